@@ -1,7 +1,332 @@
 const https = require('https'); // Use standard HTTPS module
+const http = require('http'); // For custom endpoints served over plain HTTP (e.g. local llama.cpp)
 const { extractTextFromFile } = require('./fileExtractor'); // Import the extractor
-const { handleExecuteToolCall } = require('./toolHandler'); // Import tool executor
+const { executeToolCallsParallel, getToolContentImages } = require('./toolHandler'); // Import tool executor
 const { buildOptimizedHistory } = require('./contextHandler'); // Import the new context handler function
+const { getProvider, getProviderApiKey, buildChatRequestOptions } = require('./providers'); // Provider registry
+const { isToolEnabled } = require('./mcpManager'); // Per-tool/per-server toggles
+
+// Upper bound on tool-execution rounds per user turn when settings.maxToolIterations is not set
+const DEFAULT_MAX_TOOL_ITERATIONS = 10;
+
+// In-flight chat streams keyed by the id of the webContents that started them
+const activeStreams = new Map();
+
+/**
+ * Aborts the chat stream started by the given renderer, if one is running.
+ * Destroys the in-flight HTTPS request and cancels pending MCP tool calls through the shared AbortSignal.
+ *
+ * @param {number} senderId - The webContents id of the renderer requesting the abort.
+ * @returns {boolean} - True if a running stream was aborted.
+ */
+function abortChatStream(senderId) {
+    const controller = activeStreams.get(senderId);
+    if (!controller || controller.signal.aborted) {
+        console.log(`No active chat stream to abort for sender ${senderId}.`);
+        return false;
+    }
+    console.log(`Aborting chat stream for sender ${senderId}.`);
+    controller.abort();
+    return true;
+}
+
+/**
+ * Sends one streaming chat completion request and collects the resulting assistant turn.
+ * Content and tool call deltas are forwarded to the renderer as they arrive.
+ *
+ * @param {Electron.IpcMainEvent} event - The IPC event object.
+ * @param {object} requestOptions - Options for http(s).request (protocol, hostname, path, headers...).
+ * @param {object} requestBody - The OpenAI-compatible request body.
+ * @param {object} streamState - Shared stream state ({ id, started }) across iterations of one turn.
+ * @param {Array<object>} priorToolCalls - Finalized tool calls from earlier iterations, re-sent so the renderer sees the full list.
+ * @param {AbortSignal} signal - Aborts the request; the promise then rejects with an error whose `aborted` flag is set.
+ * @returns {Promise<{content: string, toolCalls: Array<object>, finishReason: string}>}
+ */
+function streamChatCompletion(event, requestOptions, requestBody, streamState, priorToolCalls, signal) {
+    return new Promise((resolve, reject) => {
+        let accumulatedContent = "";
+        const pendingToolCalls = []; // Array to assemble tool calls as chunks arrive
+        let finalFinishReason = null;
+        let settled = false;
+
+        const fail = (message, details) => {
+            if (settled) return;
+            settled = true;
+            signal.removeEventListener('abort', onAbort);
+            const error = new Error(message);
+            if (details) error.details = details;
+            if (signal.aborted) error.aborted = true;
+            reject(error);
+        };
+
+        const onAbort = () => {
+            console.log(`Destroying in-flight request for stream ${streamState.id}.`);
+            req.destroy();
+            fail('Chat stream aborted by user.');
+        };
+
+        const transport = requestOptions.protocol === 'http:' ? http : https;
+        const req = transport.request(requestOptions, (res) => {
+            console.log(`API Response Status: ${res.statusCode}`);
+
+            if (res.statusCode !== 200) {
+                let errorBody = '';
+                res.on('data', (chunk) => errorBody += chunk);
+                res.on('end', () => {
+                    console.error(`API Error (${res.statusCode}):`, errorBody);
+                    fail(`API request failed with status ${res.statusCode}.`, errorBody || `Status: ${res.statusCode}`);
+                });
+                return; // Stop processing response data for non-200 status
+            }
+
+            res.setEncoding('utf8');
+            let buffer = '';
+
+            res.on('data', (chunk) => {
+                if (settled) return;
+                buffer += chunk;
+                let boundary = buffer.indexOf('\n\n');
+                while (boundary !== -1) {
+                    const message = buffer.substring(0, boundary);
+                    buffer = buffer.substring(boundary + 2);
+                    boundary = buffer.indexOf('\n\n');
+
+                    if (!message.startsWith('data: ')) continue;
+                    const dataContent = message.substring(6).trim();
+                    // Final processing happens in res.on('end')
+                    if (dataContent === '[DONE]') return;
+
+                    try {
+                        const jsonChunk = JSON.parse(dataContent);
+                        if (!jsonChunk.choices || jsonChunk.choices.length === 0) continue;
+                        const choice = jsonChunk.choices[0];
+                        const delta = choice.delta;
+
+                        if (!streamState.started) {
+                            streamState.id = jsonChunk.id || streamState.id;
+                            if (streamState.id.startsWith('gen-')) {
+                                console.log(`Captured Generation ID: ${streamState.id}`);
+                            }
+                            event.sender.send('chat-stream-start', {
+                                id: streamState.id,
+                                role: delta?.role || "assistant",
+                                model: jsonChunk.model,
+                            });
+                            streamState.started = true;
+                        }
+
+                        if (delta?.content) {
+                            accumulatedContent += delta.content;
+                            event.sender.send('chat-stream-content', { id: streamState.id, content: delta.content });
+                        }
+
+                        if (delta?.tool_calls && delta.tool_calls.length > 0) {
+                            for (const toolCallDelta of delta.tool_calls) {
+                                const existingCall = pendingToolCalls.find(tc => tc.index === toolCallDelta.index);
+                                if (!existingCall && toolCallDelta.index !== undefined) {
+                                    pendingToolCalls.push({
+                                        index: toolCallDelta.index,
+                                        id: toolCallDelta.id || null,
+                                        type: toolCallDelta.type || 'function',
+                                        function: {
+                                            name: toolCallDelta.function?.name || "",
+                                            arguments: toolCallDelta.function?.arguments || ""
+                                        }
+                                    });
+                                } else if (existingCall) {
+                                    if (toolCallDelta.id) existingCall.id = toolCallDelta.id;
+                                    if (toolCallDelta.function?.name) existingCall.function.name = toolCallDelta.function.name;
+                                    if (toolCallDelta.function?.arguments) existingCall.function.arguments += toolCallDelta.function.arguments;
+                                } else {
+                                    console.warn("Received tool call delta without index or matching existing call:", toolCallDelta);
+                                }
+                            }
+                            const sanitizedToolCalls = JSON.parse(JSON.stringify(pendingToolCalls)).map(tc => { delete tc.index; return tc; });
+                            event.sender.send('chat-stream-tool-calls', { id: streamState.id, tool_calls: [...priorToolCalls, ...sanitizedToolCalls] });
+                        }
+
+                        if (choice.finish_reason) {
+                            finalFinishReason = choice.finish_reason;
+                            console.log(`Captured finish_reason: ${finalFinishReason} for stream ${streamState.id}`);
+                        }
+                    } catch (parseError) {
+                        console.error('Error parsing SSE data chunk:', parseError, 'Data:', dataContent);
+                    }
+                }
+            });
+
+            res.on('end', () => {
+                console.log(`Stream ${streamState.id} ended.`);
+                if (settled) return;
+                settled = true;
+                signal.removeEventListener('abort', onAbort);
+
+                // Determine final reason if not explicitly captured
+                if (!finalFinishReason) {
+                    finalFinishReason = pendingToolCalls.length > 0 ? 'tool_calls' : 'stop';
+                    console.warn(`Stream ${streamState.id} ended without explicit finish_reason, inferring '${finalFinishReason}'.`);
+                }
+                resolve({ content: accumulatedContent, toolCalls: pendingToolCalls, finishReason: finalFinishReason });
+            });
+
+            res.on('error', (socketError) => {
+                console.error('Error during HTTPS response streaming:', socketError);
+                fail(`Network error during stream: ${socketError.message}`);
+            });
+        });
+
+        req.on('error', (requestError) => {
+            console.error('Error making HTTPS request:', requestError);
+            // Handle specific errors like DNS resolution, connection refused etc.
+            const commonMessages = {
+                'ENOTFOUND': `Could not resolve hostname ${requestOptions.hostname}. Check network connection or API endpoint.`,
+                'ECONNREFUSED': `Connection refused by ${requestOptions.hostname}. Ensure the API server is running and accessible.`,
+                'ETIMEDOUT': 'Connection timed out.',
+            };
+            fail(commonMessages[requestError.code] || `Request failed: ${requestError.message}`);
+        });
+
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        // Write the request body and end the request
+        req.write(JSON.stringify(requestBody));
+        req.end();
+    });
+}
+
+/**
+ * Sends one non-streaming chat completion request to a provider and returns the assistant text.
+ * Used for completions outside of a chat, such as MCP sampling requests from servers.
+ *
+ * @param {object} settings - The current application settings (API keys, customProviders, etc.).
+ * @param {string} providerId - Registry id of the provider (see providers.js).
+ * @param {object} requestBody - The OpenAI-compatible request body (model, messages, max_tokens...).
+ * @param {AbortSignal} [signal] - Aborts the request; the promise then rejects.
+ * @returns {Promise<{content: string, finishReason: string, model: string}>}
+ */
+async function requestChatCompletion(settings, providerId, requestBody, signal) {
+    const provider = getProvider(settings, providerId);
+    if (!provider) {
+        throw new Error(`Unsupported platform selected: ${providerId || 'none'}`);
+    }
+    if (provider.requiresApiKey && !getProviderApiKey(provider, settings)) {
+        throw new Error(`API key not configured for ${provider.name}.`);
+    }
+    const providerRequestOptions = buildChatRequestOptions(provider, settings);
+    const requestOptions = {
+        ...providerRequestOptions,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...providerRequestOptions.headers // Auth and provider-specific headers
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        const transport = requestOptions.protocol === 'http:' ? http : https;
+        const req = transport.request(requestOptions, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => {
+                signal?.removeEventListener('abort', onAbort);
+                if (res.statusCode !== 200) {
+                    console.error(`API Error (${res.statusCode}):`, body);
+                    reject(new Error(`API request failed with status ${res.statusCode}.`));
+                    return;
+                }
+                try {
+                    const data = JSON.parse(body);
+                    const choice = data.choices?.[0];
+                    resolve({
+                        content: choice?.message?.content || '',
+                        finishReason: choice?.finish_reason || 'stop',
+                        model: data.model || requestBody.model
+                    });
+                } catch (parseError) {
+                    reject(new Error(`Could not parse ${provider.name} response: ${parseError.message}`));
+                }
+            });
+            res.on('error', (socketError) => reject(new Error(`Network error: ${socketError.message}`)));
+        });
+
+        const onAbort = () => {
+            req.destroy();
+            reject(new Error('Completion request aborted.'));
+        };
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        req.on('error', (requestError) => {
+            signal?.removeEventListener('abort', onAbort);
+            reject(new Error(`Request failed: ${requestError.message}`));
+        });
+        req.write(JSON.stringify({ ...requestBody, stream: false }));
+        req.end();
+    });
+}
+
+/**
+ * Executes the tool calls of one loop iteration and builds the tool messages for the next request.
+ * Independent calls run in parallel (up to `concurrency`); 'tool-call-start'/'tool-call-end' are sent per call.
+ *
+ * @param {Electron.IpcMainEvent} event - The IPC event object.
+ * @param {Array<object>} toolCalls - Finalized tool calls (with IDs and JSON arguments).
+ * @param {Array<object>} discoveredTools - List of available MCP tools.
+ * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
+ * @param {number} iteration - The 1-based loop iteration these calls belong to.
+ * @param {AbortSignal} signal - Cancels pending MCP calls when the stream is aborted.
+ * @param {number} concurrency - Maximum number of tool calls running at once.
+ * @param {boolean} coerceArguments - Whether simple argument type mismatches are coerced before schema validation.
+ * @param {{supported: boolean, maxImagesPerMessage: number | null}} vision - Whether the model accepts images, and how many per message.
+ * @param {string | null} chatId - The chat the calls belong to, for approvals scoped to this chat.
+ * @returns {Promise<Array<object>>} - Tool role messages, in the order of toolCalls. When the tools returned images and
+ *   the model accepts them, a user message carrying the images follows, since tool messages can only hold text.
+ */
+async function executeToolCalls(event, toolCalls, discoveredTools, mcpClients, iteration, signal, concurrency, coerceArguments, vision, chatId) {
+    const toolResults = await executeToolCallsParallel(event, toolCalls, discoveredTools, mcpClients, { concurrency, signal, iteration, coerceArguments, chatId });
+
+    const imageParts = [];
+    const toolMessages = toolCalls.map((toolCall, index) => {
+        const toolResult = toolResults[index];
+        if (toolResult.error) {
+            return { role: "tool", tool_call_id: toolCall.id, name: toolCall.function.name, content: `Error: ${toolResult.error}` };
+        }
+        let content = toolResult.result;
+        const images = getToolContentImages(toolResult.content);
+        if (images.length > 0 && vision.supported) {
+            imageParts.push({ type: 'text', text: `Images returned by ${toolCall.function.name} (call ${toolCall.id}):` });
+            images.forEach(image => imageParts.push({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }));
+        } else if (images.length > 0) {
+            content += `\n[${images.length} image(s) not shown: the selected model does not accept images]`;
+        }
+        return { role: "tool", tool_call_id: toolCall.id, name: toolCall.function.name, content };
+    });
+
+    if (imageParts.length === 0) {
+        return toolMessages;
+    }
+    // Some providers accept only a limited number of images per message; the first ones are kept
+    let imageCount = 0;
+    const limitedParts = imageParts.filter(part => {
+        if (part.type !== 'image_url') return true;
+        imageCount++;
+        return !vision.maxImagesPerMessage || imageCount <= vision.maxImagesPerMessage;
+    });
+    if (imageCount > limitedParts.filter(part => part.type === 'image_url').length) {
+        console.warn(`Forwarding only ${vision.maxImagesPerMessage} of ${imageCount} tool result images (provider limit).`);
+        limitedParts.push({ type: 'text', text: `[${imageCount - vision.maxImagesPerMessage} more image(s) not shown: the provider accepts ${vision.maxImagesPerMessage} per message]` });
+    }
+    console.log(`Forwarding ${Math.min(imageCount, vision.maxImagesPerMessage || imageCount)} tool result image(s) to the model.`);
+    return [...toolMessages, { role: 'user', content: limitedParts }];
+}
 
 /**
  * Handles the 'chat-stream' IPC event for streaming chat completions using OpenAI-compatible APIs.
@@ -9,10 +334,10 @@ const { buildOptimizedHistory } = require('./contextHandler'); // Import the new
  * @param {Electron.IpcMainEvent} event - The IPC event object.
  * @param {Array<object>} messages - The array of message objects for the chat history.
  * @param {string} model - The specific model requested for this completion.
- * @param {object} settings - The current application settings (needs groqApiKey, openrouterApiKey, selectedPlatform, etc.).
- * @param {object} platformModels - Object containing fetched models for each platform { groq: {...}, openrouter: {...} }.
+ * @param {object} settings - The current application settings (API keys, customProviders, etc.).
+ * @param {object} platformModels - Object containing fetched models keyed by provider id { groq: {...}, openrouter: {...}, 'custom:x': {...} }.
  * @param {Array<object>} discoveredTools - List of available MCP tools.
- * @param {string} selectedPlatform - The selected platform ('groq' or 'openrouter'). Passed explicitly.
+ * @param {string} selectedPlatform - Registry id of the selected provider (see providers.js). Passed explicitly.
  * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
  * @param {string} chatId - The unique ID of the current chat session.
  * @param {Function} updateTempCacheCallback - Callback function to update the temp cache in main.js.
@@ -23,47 +348,43 @@ async function handleChatStream(event, messages, model, settings, platformModels
     console.log(`Handling chat-stream request. ChatID: ${chatId}, Platform: ${selectedPlatform}, Model: ${model || 'using settings'}, Messages: ${messages?.length}`);
     console.log(`Received initial cache: ${cachedSummaryFromMain ? JSON.stringify(cachedSummaryFromMain) : 'None'}`); // Log received cache
 
-    // State for the current turn, including tool call handling
-    let accumulatedContent = ""; // Text content from the model
-    let pendingToolCalls = []; // Array to assemble tool calls as chunks arrive
-    let processedToolResults = []; // Array to store results from executed tools
+    // Only one stream per renderer: a new request supersedes any stream still running
+    const senderId = event.sender.id;
+    abortChatStream(senderId);
+    const abortController = new AbortController();
+    activeStreams.set(senderId, abortController);
+    const { signal } = abortController;
 
     try {
-        let apiKey;
-        let apiHostname;
-        let apiPath;
-
-        // --- Platform Specific Configuration ---
-        if (selectedPlatform === 'groq') {
-            apiKey = settings.groqApiKey; // Use the key name from the new main.js
-            apiHostname = 'api.groq.com';
-            apiPath = '/openai/v1/chat/completions';
-            if (!apiKey || apiKey === "<replace me>") { // Adjust key check if necessary
-                event.sender.send('chat-stream-error', { error: "API key not configured for Groq. Please add your Groq API key in settings." });
-                return;
-            }
-            console.log("Configured for Groq (OpenAI Compatible Endpoint)");
-        } else if (selectedPlatform === 'openrouter') {
-            apiKey = settings.openrouterApiKey;
-            apiHostname = 'openrouter.ai';
-            apiPath = '/api/v1/chat/completions';
-            if (!apiKey) {
-                event.sender.send('chat-stream-error', { error: "API key not configured for OpenRouter. Please add your OpenRouter API key in settings." });
-                return;
-            }
-            console.log("Configured for OpenRouter");
-        } else {
+        // --- Provider Configuration ---
+        const provider = getProvider(settings, selectedPlatform);
+        if (!provider) {
             event.sender.send('chat-stream-error', { error: `Unsupported platform selected: ${selectedPlatform || 'none'}` });
             return;
         }
-        // --- End Platform Specific Configuration ---
+        if (provider.requiresApiKey && !getProviderApiKey(provider, settings)) {
+            event.sender.send('chat-stream-error', { error: `API key not configured for ${provider.name}. Please add your ${provider.name} API key in settings.` });
+            return;
+        }
+        let providerRequestOptions;
+        try {
+            providerRequestOptions = buildChatRequestOptions(provider, settings);
+        } catch {
+            event.sender.send('chat-stream-error', { error: `Invalid base URL for ${provider.name}: ${provider.baseUrl || '(empty)'}` });
+            return;
+        }
+        console.log(`Configured for ${provider.name} (${providerRequestOptions.protocol}//${providerRequestOptions.hostname}${providerRequestOptions.path})`);
+        // --- End Provider Configuration ---
 
         // Get models for the selected platform
         const modelsForPlatform = platformModels[selectedPlatform] || {};
 
         // Determine model to use: prioritise argument, then settings, then fallback based on platform
-        const defaultModel = selectedPlatform === 'groq' ? 'llama3-70b-8192' : 'openai/gpt-4o'; // Example defaults
-        const modelToUse = model || settings.model || defaultModel; // Note: settings.model might need platform prefix?
+        const modelToUse = model || settings.model || provider.defaultModel; // Note: settings.model might need platform prefix?
+        if (!modelToUse) {
+            event.sender.send('chat-stream-error', { error: `No model selected for ${provider.name}. Add a model to the endpoint in settings.` });
+            return;
+        }
 
         // Get specific model info from the fetched models
         const modelInfo = modelsForPlatform[modelToUse] || { id: modelToUse, name: modelToUse, context: 8192, vision_supported: false }; // Basic fallback if model not found
@@ -82,8 +403,10 @@ async function handleChatStream(event, messages, model, settings, platformModels
             return;
         }
 
-        // Prepare tools for the API call (remains largely the same, follows OpenAI format)
-        const tools = (discoveredTools || []).map(tool => ({
+        // Prepare tools for the API call (follows OpenAI format). Only tools enabled in the Tools panel are
+        // sent, and only those can be executed: a disabled tool is reported to the model as unknown.
+        const enabledTools = (discoveredTools || []).filter(tool => isToolEnabled(tool, settings));
+        const tools = enabledTools.map(tool => ({
             type: "function",
             function: {
                 name: tool.name,
@@ -91,7 +414,7 @@ async function handleChatStream(event, messages, model, settings, platformModels
                 parameters: tool.input_schema || {} // Ensure parameters is an object
             }
         }));
-        console.log(`Prepared ${tools.length} tools for the API call.`);
+        console.log(`Prepared ${tools.length} of ${(discoveredTools || []).length} tools for the API call.`);
 
         // Clean and prepare messages for the API
         // --- Add logic to strip images from older messages ---
@@ -102,6 +425,10 @@ async function handleChatStream(event, messages, model, settings, platformModels
             const cleanMsg = { ...msg };
             delete cleanMsg.reasoning;
             delete cleanMsg.isStreaming;
+            delete cleanMsg.prompt;
+            delete cleanMsg.mcpContent; // Typed tool result content, only kept for display
+            delete cleanMsg.structuredContent;
+            delete cleanMsg.editedArguments; // Already noted in the result text
             let finalMsg = { ...cleanMsg };
 
             // Ensure user message content is an array of parts
@@ -135,8 +462,8 @@ ${part.content}` }; // Ensure content is included
                             console.warn("Correcting image_url format for OpenAI compatibility.");
                             return { type: 'image_url', image_url: { url: part.image_url } };
                         } 
-                        // Add media_type for OpenRouter if needed (existing logic)
-                        else if (selectedPlatform === 'openrouter' && part.type === 'image_url' && part.image_url && !part.image_url.media_type) {
+                        // Add media_type for providers that expect it (existing logic)
+                        else if (provider.capabilities.imageMediaType && part.type === 'image_url' && part.image_url && !part.image_url.media_type) {
                            // ... (existing media_type logic) ...
                         }
                         // Keep other parts (like regular text)
@@ -195,8 +522,8 @@ ${part.content}` }; // Ensure content is included
             systemPromptContent += `\n\n${settings.customSystemPrompt.trim()}`;
             console.log("Appending custom system prompt.");
         }
-        // Determine if system prompt should be omitted entirely for the API call (Groq Vision)
-        const omitSystemPromptForVision = selectedPlatform === 'groq' && hasImages && modelInfo.vision_supported;
+        // Determine if system prompt should be omitted entirely for the API call (e.g. Groq Vision)
+        const omitSystemPromptForVision = provider.capabilities.omitSystemPromptWithImages && hasImages && modelInfo.vision_supported;
         console.log(`Omit system prompt for vision: ${omitSystemPromptForVision} (Platform: ${selectedPlatform}, Has Images: ${hasImages}, Vision Supported: ${modelInfo.vision_supported})`);
         const systemPromptForOptimizing = !omitSystemPromptForVision ? { role: "system", content: systemPromptContent } : null;
         // --- End System Prompt Prep ---
@@ -229,479 +556,181 @@ ${part.content}` }; // Ensure content is included
         }
         // --- End Context Fitting/Optimization ---
 
-        // --- Prepare API Request Body --- (Moved system prompt construction down)
-        const apiRequestBody = {
-            messages: [
-                // Conditionally add system prompt *based on the same vision check*
-                ...(systemPromptForOptimizing ? [systemPromptForOptimizing] : []),
-                ...messagesForApi // Use the potentially truncated list from buildOptimizedHistory
-            ],
-            model: modelToUse,
-            temperature: settings.temperature ?? 0.7,
-            top_p: settings.top_p ?? 0.95,
-            ...(tools.length > 0 && { tools: tools, tool_choice: "auto" }),
-            stream: true,
-            ...(settings.max_tokens && { max_tokens: parseInt(settings.max_tokens, 10) }),
-        };
-
-        // --- Streaming and Retry Logic using HTTPS ---
-        // Note: Retry logic is simplified (removed while loop) due to complexity with callbacks.
-        // Consider implementing Promises for robust retries if needed.
-        let retryCount = 0; // Kept for potential future use / logging
-        const MAX_TOOL_USE_RETRIES = 3;
+        // --- Agentic Tool Loop ---
+        // Each iteration sends the full tool list; tool calls are executed and their results fed back
+        // until the model stops on its own or the configured iteration limit is reached.
+        const maxIterations = parseInt(settings.maxToolIterations, 10) > 0
+            ? parseInt(settings.maxToolIterations, 10)
+            : DEFAULT_MAX_TOOL_ITERATIONS;
 
-        let requestAborted = false; // Flag to track explicit abort
-        const req = https.request({
-            hostname: apiHostname,
-            path: apiPath,
+        const requestOptions = {
+            ...providerRequestOptions,
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`,
                 'Accept': 'text/event-stream', // Essential for SSE
                 'Connection': 'keep-alive',
-                // --- Add OpenRouter specific headers if needed ---
-                ...(selectedPlatform === 'openrouter' && {
-                    'HTTP-Referer': settings.openrouterReferrer || 'https://github.com/YourApp/GroqDesktop', // Replace with actual repo/app URL
-                    'X-Title': settings.openrouterTitle || 'Groq Desktop (Electron)' // Replace with actual App Title
-                })
+                ...providerRequestOptions.headers // Auth and provider-specific headers
             }
-        }, (res) => {
-            console.log(`API Response Status: ${res.statusCode}`);
-
-            if (res.statusCode !== 200) {
-                let errorBody = '';
-                res.on('data', (chunk) => errorBody += chunk);
-                res.on('end', () => {
-                    console.error(`API Error (${res.statusCode}):`, errorBody);
-                     // Check for tool use failed error (adjust based on actual API response structure)
-                     // Basic check, may need refinement based on actual error formats from Groq/OpenRouter OpenAI endpoints
-                     const isToolUseFailedError = errorBody.toLowerCase().includes('tool_use_failed') || errorBody.toLowerCase().includes('error running tool');
-
-                     // Simplified: No retry loop active, just report error
-                     // if (isToolUseFailedError && retryCount < MAX_TOOL_USE_RETRIES) {
-                     //    console.warn(`Tool use failed error detected from API response.`);
-                     // }
-                     event.sender.send('chat-stream-error', {
-                         error: `API request failed with status ${res.statusCode}.`,
-                         details: errorBody || `Status: ${res.statusCode}`
-                     });
-                });
-                return; // Stop processing response data for non-200 status
-            }
-
-            res.setEncoding('utf8');
-            let buffer = '';
-            let finalFinishReason = null; // Capture the finish reason
-            let capturedModel = null; // Capture the model used
-            let accumulatedReasoning = null; // Store reasoning if applicable
-            let isFirstChunk = true;
-            let streamId = `stream_${Date.now()}`; // Generate a simple ID
-            let generationId = null;
-
-            res.on('data', (chunk) => {
-                if (requestAborted) return;
-                buffer += chunk;
-                let boundary = buffer.indexOf('\n\n');
-                while (boundary !== -1) {
-                    const message = buffer.substring(0, boundary);
-                    buffer = buffer.substring(boundary + 2);
-                    boundary = buffer.indexOf('\n\n');
-
-                    if (message.startsWith('data: ')) {
-                        const dataContent = message.substring(6).trim();
-                        //console.log("[RAW STREAM DATA]:", dataContent);
-
-                        if (dataContent === '[DONE]') {
-                            // Mark as done, final processing happens in res.on('end')
-                            //console.log(`[DONE] received for stream ${streamId}. Final processing in 'end' handler.`);
-                            // We don't set requestAborted here, let 'end' handle final state
-                            return; 
-                        }
-
-                        try {
-                            const jsonChunk = JSON.parse(dataContent);
-                            capturedModel = jsonChunk.model || capturedModel; // Capture model name
-
-                            if (jsonChunk.choices && jsonChunk.choices.length > 0) {
-                                const choice = jsonChunk.choices[0];
-                                const delta = choice.delta;
-
-                                if (isFirstChunk) {
-                                    streamId = jsonChunk.id || streamId; 
-                                    if (streamId.startsWith('gen-')) {
-                                        generationId = streamId;
-                                        console.log(`Captured Generation ID: ${generationId}`);
-                                    }
-                                    event.sender.send('chat-stream-start', {
-                                        id: streamId,
-                                        role: delta?.role || "assistant",
-                                        model: capturedModel,
-                                    });
-                                    isFirstChunk = false;
-                                }
-
-                                if (delta?.content) {
-                                    accumulatedContent += delta.content;
-                                    event.sender.send('chat-stream-content', { id: streamId, content: delta.content });
-                                }
-
-                                if (delta?.tool_calls && delta.tool_calls.length > 0) {
-                                    for (const toolCallDelta of delta.tool_calls) {
-                                        let existingCall = pendingToolCalls.find(tc => tc.index === toolCallDelta.index);
-                                        if (!existingCall && toolCallDelta.index !== undefined) {
-                                            pendingToolCalls.push({
-                                                index: toolCallDelta.index,
-                                                id: toolCallDelta.id || null,
-                                                type: toolCallDelta.type || 'function',
-                                                function: {
-                                                    name: toolCallDelta.function?.name || "",
-                                                    arguments: toolCallDelta.function?.arguments || ""
-                                                }
-                                            });
-                                        } else if (existingCall) {
-                                            if (toolCallDelta.id) existingCall.id = toolCallDelta.id;
-                                            if (toolCallDelta.function?.name) existingCall.function.name = toolCallDelta.function.name;
-                                            if (toolCallDelta.function?.arguments) existingCall.function.arguments += toolCallDelta.function.arguments;
-                                        } else {
-                                            console.warn("Received tool call delta without index or matching existing call:", toolCallDelta);
-                                        }
-                                    }
-                                    const sanitizedToolCalls = JSON.parse(JSON.stringify(pendingToolCalls)).map(tc => { delete tc.index; return tc; });
-                                    event.sender.send('chat-stream-tool-calls', { id: streamId, tool_calls: sanitizedToolCalls });
-                                }
-
-                                if (choice.finish_reason) {
-                                    finalFinishReason = choice.finish_reason; // Capture finish reason
-                                    console.log(`Captured finish_reason: ${finalFinishReason} for stream ${streamId}`);
-                                    // Ensure final tool call IDs are updated if they arrive with finish reason
-                                    if (delta?.tool_calls) {
-                                        delta.tool_calls.forEach(finalDelta => {
-                                           const call = pendingToolCalls.find(tc => tc.index === finalDelta.index);
-                                           if(call && finalDelta.id) call.id = finalDelta.id;
-                                        });
-                                    }
-                                    // Don't return yet, let res.on('end') handle completion
-                                }
-                            }
-                        } catch (parseError) {
-                            console.error('Error parsing SSE data chunk:', parseError, 'Data:', dataContent);
-                        }
-                    }
-                } 
-            }); 
-
-            res.on('end', async () => { 
-                console.log(`Stream ${streamId} ended.`);
-                if (requestAborted) return; // Already handled (e.g., error)
-                requestAborted = true; // Mark as handled
+        };
 
-                // Determine final reason if not explicitly captured
-                if (!finalFinishReason) {
-                    if (pendingToolCalls.length > 0) {
-                        console.warn(`Stream ${streamId} ended without explicit finish_reason, inferring 'tool_calls'.`);
-                        finalFinishReason = 'tool_calls';
-                    } else {
-                        console.warn(`Stream ${streamId} ended without explicit finish_reason, inferring 'stop'.`);
-                        finalFinishReason = 'stop'; // Or 'length'? Defaulting to 'stop'
-                    }
+        const streamState = { id: `stream_${Date.now()}`, started: false };
+        const allToolCalls = []; // Tool calls from every iteration, shown on the single assistant message in the UI
+        let requestHistory = messagesForApi;
+        let currentCache = cacheAfterFirstCall;
+        let toolRounds = 0;
+        let toolImagesSent = false; // Tool result images forwarded to the model in this stream
+
+        try {
+            for (let iteration = 1; ; iteration++) {
+                if (signal.aborted) {
+                    console.log(`Stream ${streamState.id} aborted before iteration ${iteration}.`);
+                    event.sender.send('chat-stream-stopped', { id: streamState.id });
+                    return;
                 }
 
-                // --- TOOL CALL EXECUTION LOGIC --- 
-                if (finalFinishReason === 'tool_calls' && pendingToolCalls.length > 0) {
-                    console.log(`Executing ${pendingToolCalls.length} tool calls for stream ${streamId}...`);
-
-                    // 1. Finalize Tool Calls (ensure args are valid JSON, IDs are present)
-                    const finalizedToolCalls = [];
-                    let parsingError = false;
-                    for (const call of pendingToolCalls) {
-                        if (!call.id) {
-                             console.error(`Tool call at index ${call.index} missing final ID.`);
-                             // Assign a placeholder or skip? For now, skip and report error later?
-                             // Potentially send error back to renderer?
-                             parsingError = true;
-                             break; // Stop processing tools if one is broken
-                        }
-                        try {
-                            JSON.parse(call.function.arguments || '{}'); // Validate JSON
-                            // Add the finalized call (without index) to list for assistant message
-                            finalizedToolCalls.push({
-                                id: call.id,
-                                type: call.type,
-                                function: {
-                                    name: call.function.name,
-                                    arguments: call.function.arguments
-                                }
-                            });
-                        } catch (e) {
-                            console.error(`Invalid JSON arguments for tool ${call.function.name} (ID: ${call.id}): ${e.message}`);
-                            parsingError = true;
-                            // Send error back? For now, stop processing.
-                            event.sender.send('chat-stream-error', { error: `Model generated invalid arguments for tool ${call.function.name}.` });
-                            break;
-                        }
-                    }
-
-                    if (parsingError) {
-                        console.error("Aborting tool execution due to parsing errors.");
-                        return; // Stop if any tool call is invalid
-                    }
-
-                    // 2. Create initial assistant message history entry
-                    const initialAssistantMessage = {
-                        role: "assistant",
-                        content: accumulatedContent || null, // Content can be null if only tool calls
-                        tool_calls: finalizedToolCalls
-                    };
-                    let currentMessageHistory = [...messagesForApi, initialAssistantMessage]; // Start building history for the *next* call
-
-                    // 3. Execute tools sequentially and collect results
-                    processedToolResults = []; // Clear previous results if any
-                    for (const toolToExecute of finalizedToolCalls) {
-                        console.log(`Executing tool: ${toolToExecute.function.name} (ID: ${toolToExecute.id})`);
-                        try {
-                            // Send start notification to frontend
-                             event.sender.send('tool-call-start', { 
-                                callId: toolToExecute.id, 
-                                name: toolToExecute.function.name, 
-                                args: JSON.parse(toolToExecute.function.arguments || '{}') // Send parsed args 
-                            });
-
-                            const toolResult = await handleExecuteToolCall(
-                                event, // Pass event for potential IPC within handler?
-                                toolToExecute, 
-                                discoveredTools,
-                                mcpClients // Pass the mcpClients object
-                            );
-
-                             // Send end notification to frontend
-                            event.sender.send('tool-call-end', { 
-                                callId: toolToExecute.id, 
-                                result: toolResult.result, // Assuming result has { result: ..., tool_call_id: ...} or { error: ..., tool_call_id: ...}
-                                error: toolResult.error 
-                            });
-
-                            // Format tool result message
-                            const toolResponseMessage = {
-                                role: "tool",
-                                tool_call_id: toolToExecute.id,
-                                name: toolToExecute.function.name,
-                                content: toolResult.error ? `Error: ${toolResult.error}` : toolResult.result // Content is the stringified result or error
-                            };
-                            processedToolResults.push(toolResponseMessage);
-                            currentMessageHistory.push(toolResponseMessage);
-                        } catch (execError) {
-                            console.error(`Unexpected error during tool execution flow for ${toolToExecute.function.name}:`, execError);
-                            // Send error notification to frontend
-                             event.sender.send('tool-call-end', { 
-                                callId: toolToExecute.id, 
-                                error: `Unexpected handler error: ${execError.message}` 
-                            });
-                            // Add an error message to history
-                            const errorToolMessage = {
-                                role: "tool",
-                                tool_call_id: toolToExecute.id,
-                                name: toolToExecute.function.name,
-                                content: `[Internal Handler Error executing tool: ${execError.message}]`
-                            };
-                             processedToolResults.push(errorToolMessage);
-                             currentMessageHistory.push(errorToolMessage);
-                             // Potentially stop further execution?
-                        }
-                    }
-
-                    // 4. Make the second API call
-                    console.log(`Making second API call with ${currentMessageHistory.length} messages...`);
-
-                    // Ensure the history for the second call is within context limits *again*
-                    // Use buildOptimizedHistory for the second call as well
-                    // TODO: Decide if we need to pass/update cache state *between* the two calls in a tool-use turn.
-                    // For now, let's assume the state before the *first* call is relevant, or pass null.
-                    // Passing the state *after* the first call might be more correct if summarization happened.
-                    const { history: secondCallOptimizedHistory, updatedCache: cacheAfterSecondCall } = await buildOptimizedHistory(
-                        currentMessageHistory,      // Use the history *including* initial assistant msg + tool results
-                        systemPromptForOptimizing, // Pass the same system prompt object
+                if (iteration > 1) {
+                    // Re-fit the growing history (previous history + assistant tool calls + tool results)
+                    const { history: optimizedHistory, updatedCache } = await buildOptimizedHistory(
+                        requestHistory,
+                        systemPromptForOptimizing,
                         contextLimit,
                         modelToUse,
-                        cacheAfterFirstCall,      // Pass the cache state *after* the first optimization
-                        settings.openrouterApiKey, // Pass API key
-                        settings.contextTargetTokenLimit,    // Pass target token limit setting
-                        settings.contextEnableSummarization // Pass enable summarization setting
+                        currentCache,
+                        settings.openrouterApiKey,
+                        settings.contextTargetTokenLimit,
+                        settings.contextEnableSummarization
                     );
-
-                    // Send updated cache back to main process using the callback (after second call)
-                    if (cacheAfterSecondCall !== cacheAfterFirstCall) {
-                        console.log(`[chatHandler] Context summary cache updated after 2nd call for chat ${chatId}. Calling update callback.`);
-                         if (updateTempCacheCallback) { // Check if callback exists
-                              updateTempCacheCallback(chatId, cacheAfterSecondCall);
-                         } else {
-                              console.error("[chatHandler] updateTempCacheCallback is missing!");
-                         }
+                    if (updatedCache !== currentCache) {
+                        console.log(`[chatHandler] Context summary cache updated in iteration ${iteration} for chat ${chatId}. Calling update callback.`);
+                        if (updateTempCacheCallback) {
+                            updateTempCacheCallback(chatId, updatedCache);
+                        } else {
+                            console.error("[chatHandler] updateTempCacheCallback is missing!");
+                        }
+                        currentCache = updatedCache;
                     }
+                    requestHistory = optimizedHistory;
 
-                    const secondApiRequestBody = {
-                        messages: [
-                             ...(systemPromptForOptimizing ? [systemPromptForOptimizing] : []),
-                             ...secondCallOptimizedHistory // Use the optimized history
-                        ],
-                        model: modelToUse,
-                        temperature: settings.temperature ?? 0.7,
-                        top_p: settings.top_p ?? 0.95,
-                        // No tools/tool_choice in the second call, we expect text
-                        stream: true,
-                        ...(settings.max_tokens && { max_tokens: parseInt(settings.max_tokens, 10) }),
-                    };
-
-                    // --- Make the second HTTPS request ---
-                    const secondReq = https.request({
-                        hostname: apiHostname,
-                        path: apiPath,
-                        method: 'POST',
-                        headers: { /* ... same headers as before ... */ 
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${apiKey}`,
-                            'Accept': 'text/event-stream', 
-                            'Connection': 'keep-alive',
-                            ...(selectedPlatform === 'openrouter' && { 
-                                'HTTP-Referer': settings.openrouterReferrer || 'https://github.com/YourApp/GroqDesktop',
-                                'X-Title': settings.openrouterTitle || 'Groq Desktop (Electron)'
-                            })
-                        }
-                    }, (secondRes) => {
-                        console.log(`Second API Response Status: ${secondRes.statusCode}`);
-                        if (secondRes.statusCode !== 200) {
-                             let errorBody = '';
-                             secondRes.on('data', (chunk) => errorBody += chunk);
-                             secondRes.on('end', () => {
-                                console.error(`Second API Error (${secondRes.statusCode}):`, errorBody);
-                                event.sender.send('chat-stream-error', { error: `Second API call failed: ${errorBody || secondRes.statusCode}` });
-                                // event.sender.send('turn-complete', { streamId: streamId }); // REMOVED
-                            });
-                             return;
-                        }
-                        
-                        // *** Send final stream start signal ***
-                        event.sender.send('chat-stream-final-start', { id: streamId });
-
-                        secondRes.setEncoding('utf8');
-                        let secondBuffer = '';
-                        let secondAccumulatedContent = '';
-                        let secondFinalReason = null;
-
-                        secondRes.on('data', (chunk) => {
-                            secondBuffer += chunk;
-                            let b = secondBuffer.indexOf('\n\n');
-                            while (b !== -1) {
-                                const msg = secondBuffer.substring(0, b);
-                                secondBuffer = secondBuffer.substring(b + 2);
-                                b = secondBuffer.indexOf('\n\n');
-                                if (msg.startsWith('data: ')) {
-                                    const data = msg.substring(6).trim();
-                                    if (data === '[DONE]') {
-                                        secondFinalReason = 'stop'; // Assume stop if DONE
-                                        return;
-                                    }
-                                    try {
-                                        const json = JSON.parse(data);
-                                        if (json.choices && json.choices[0]?.delta?.content) {
-                                            const contentChunk = json.choices[0].delta.content;
-                                            secondAccumulatedContent += contentChunk;
-                                            // Send final content chunk to frontend
-                                            event.sender.send('chat-stream-content', { id: streamId, content: contentChunk }); 
-                                        }
-                                        if (json.choices && json.choices[0]?.finish_reason) {
-                                            secondFinalReason = json.choices[0].finish_reason;
-                                        }
-                                    } catch (e) { /* ignore parsing errors on second stream? */ }
-                                }
-                            }
-                        });
-
-                        secondRes.on('end', () => {
-                            console.log(`Second stream ${streamId} ended. Reason: ${secondFinalReason || 'inferred stop'}`);
-                            // Send the *final* completion signal for the turn
-                             event.sender.send('chat-stream-complete', {
-                                id: streamId,
-                                content: secondAccumulatedContent, // Content from the second call
-                                role: "assistant",
-                                tool_calls: undefined, // No tool calls in the final response
-                                finish_reason: secondFinalReason || 'stop',
-                            });
-                            // event.sender.send('turn-complete'); // REMOVED
-                        });
-                        secondRes.on('error', (e) => { 
-                            console.error('Error during second response streaming:', e);
-                            event.sender.send('chat-stream-error', { error: `Network error during second stream: ${e.message}` });
-                            // Send turn-complete even if the second stream errors
-                            // event.sender.send('turn-complete', { streamId: streamId }); // REMOVED
-                        });
-                    });
-                    secondReq.on('error', (e) => { 
-                        console.error('Error making second HTTPS request:', e);
-                         event.sender.send('chat-stream-error', { error: `Failed to make second API call: ${e.message}` });
-                         // Send turn-complete if the second request fails to even start
-                         // event.sender.send('turn-complete', { streamId: streamId }); // REMOVED
-                    });
-                    secondReq.write(JSON.stringify(secondApiRequestBody));
-                    secondReq.end();
-                    // --- End second HTTPS request --- 
+                    // Signal the renderer that the response after tool execution is starting
+                    event.sender.send('chat-stream-final-start', { id: streamState.id, iteration });
+                }
 
-                } else {
-                    // --- NO TOOL CALLS - Just complete the first stream --- 
-                    console.log(`Completing stream ${streamId} normally (no tool calls). Reason: ${finalFinishReason}`);
+                // Once the limit is reached, ask for a final answer without offering tools
+                const toolsAllowed = toolRounds < maxIterations;
+                const apiRequestBody = {
+                    messages: [
+                        // Conditionally add system prompt *based on the same vision check*, which also applies to tool result images
+                        ...(systemPromptForOptimizing && !(toolImagesSent && provider.capabilities.omitSystemPromptWithImages) ? [systemPromptForOptimizing] : []),
+                        ...requestHistory // Use the potentially truncated list from buildOptimizedHistory
+                    ],
+                    model: modelToUse,
+                    temperature: settings.temperature ?? 0.7,
+                    top_p: settings.top_p ?? 0.95,
+                    ...(toolsAllowed && tools.length > 0 && { tools: tools, tool_choice: "auto" }),
+                    stream: true,
+                    ...(settings.max_tokens && { max_tokens: parseInt(settings.max_tokens, 10) }),
+                };
+
+                console.log(`[chatHandler] Iteration ${iteration}: sending ${apiRequestBody.messages.length} messages (tools: ${toolsAllowed ? tools.length : 0}, tool rounds so far: ${toolRounds}/${maxIterations}).`);
+                const turn = await streamChatCompletion(event, requestOptions, apiRequestBody, streamState, allToolCalls, signal);
+
+                if (turn.finishReason !== 'tool_calls' || turn.toolCalls.length === 0) {
+                    console.log(`Completing stream ${streamState.id} after ${iteration} iteration(s). Reason: ${turn.finishReason}`);
                     event.sender.send('chat-stream-complete', {
-                        id: streamId,
-                        content: accumulatedContent,
+                        id: streamState.id,
+                        content: turn.content,
                         role: "assistant",
-                        tool_calls: undefined, // No tool calls
-                        finish_reason: finalFinishReason,
+                        tool_calls: undefined, // Tool calls were already streamed via chat-stream-tool-calls
+                        finish_reason: turn.finishReason,
                     });
-                    // Send turn-complete for non-tool-call turns
-                    // event.sender.send('turn-complete', { streamId: streamId }); // REMOVED
+                    return;
                 }
-            });
 
-            res.on('error', (socketError) => {
-                console.error('Error during HTTPS response streaming:', socketError);
-                if (!requestAborted) {
-                    requestAborted = true;
-                    event.sender.send('chat-stream-error', { error: `Network error during stream: ${socketError.message}` });
+                if (!toolsAllowed) {
+                    // The model asked for tools even though none were offered; stop here rather than loop forever
+                    console.warn(`Stream ${streamState.id} requested tools after reaching the limit of ${maxIterations} tool rounds. Stopping.`);
+                    event.sender.send('chat-stream-complete', {
+                        id: streamState.id,
+                        content: turn.content,
+                        role: "assistant",
+                        tool_calls: undefined,
+                        finish_reason: 'max_iterations',
+                    });
+                    return;
                 }
-            });
-        }); // end https.request callback
 
-        req.on('error', (requestError) => {
-            console.error('Error making HTTPS request:', requestError);
-            if (!requestAborted) {
-                 requestAborted = true;
-                 // Handle specific errors like DNS resolution, connection refused etc.
-                 const commonMessages = {
-                     'ENOTFOUND': `Could not resolve hostname ${apiHostname}. Check network connection or API endpoint.`,
-                     'ECONNREFUSED': `Connection refused by ${apiHostname}. Ensure the API server is running and accessible.`,
-                     'ETIMEDOUT': 'Connection timed out.',
-                 };
-                 const errorMessage = commonMessages[requestError.code] || `Request failed: ${requestError.message}`;
-
-                 event.sender.send('chat-stream-error', { error: errorMessage });
+                // 1. Finalize Tool Calls (ensure args are valid JSON, IDs are present)
+                const finalizedToolCalls = [];
+                for (const call of turn.toolCalls) {
+                    if (!call.id) {
+                        console.error(`Tool call at index ${call.index} missing final ID.`);
+                        event.sender.send('chat-stream-error', { error: `Model generated a tool call without an ID (${call.function.name || 'unknown tool'}).` });
+                        return;
+                    }
+                    try {
+                        JSON.parse(call.function.arguments || '{}'); // Validate JSON
+                    } catch (e) {
+                        console.error(`Invalid JSON arguments for tool ${call.function.name} (ID: ${call.id}): ${e.message}`);
+                        event.sender.send('chat-stream-error', { error: `Model generated invalid arguments for tool ${call.function.name}.` });
+                        return;
+                    }
+                    finalizedToolCalls.push({
+                        id: call.id,
+                        type: call.type,
+                        function: {
+                            name: call.function.name,
+                            arguments: call.function.arguments
+                        }
+                    });
+                }
+                allToolCalls.push(...finalizedToolCalls);
+                toolRounds++;
+
+                // 2. Execute the tools and append the assistant message plus results to the history
+                console.log(`Executing ${finalizedToolCalls.length} tool calls for stream ${streamState.id} (iteration ${iteration})...`);
+                const toolResponseMessages = await executeToolCalls(event, finalizedToolCalls, enabledTools, mcpClients, iteration, signal, settings.maxParallelToolCalls, settings.coerceToolArguments !== false, {
+                    supported: modelInfo.vision_supported === true,
+                    maxImagesPerMessage: provider.capabilities.maxImagesPerMessage
+                }, chatId);
+                if (toolResponseMessages.some(msg => msg.role === 'user')) toolImagesSent = true;
+                requestHistory = [
+                    ...requestHistory,
+                    {
+                        role: "assistant",
+                        content: turn.content || null, // Content can be null if only tool calls
+                        tool_calls: finalizedToolCalls
+                    },
+                    ...toolResponseMessages
+                ];
             }
-        });
-
-        // Write the request body and end the request
-        req.write(JSON.stringify(apiRequestBody));
-        req.end();
-
-        // --- Handle Abort from Renderer ---
-        // Need a mechanism for the renderer to signal aborting the stream
-        // Example: ipcMain.on('chat-stream-abort', (event, streamIdToAbort) => { ... req.abort() ... });
-        // For now, no explicit abort handler is implemented here.
+        } catch (streamError) {
+            if (streamError.aborted) {
+                console.log(`Chat stream ${streamState.id} stopped by user.`);
+                event.sender.send('chat-stream-stopped', { id: streamState.id });
+                return;
+            }
+            console.error(`Chat stream ${streamState.id} failed:`, streamError.message);
+            event.sender.send('chat-stream-error', {
+                error: streamError.message,
+                ...(streamError.details && { details: streamError.details })
+            });
+        }
+        // --- End Agentic Tool Loop ---
 
     } catch (outerError) {
         // Catch errors during setup (e.g., message prep, initial checks)
         console.error('Error setting up chat completion stream:', outerError);
         event.sender.send('chat-stream-error', { error: `Setup error: ${outerError.message}` });
+    } finally {
+        if (activeStreams.get(senderId) === abortController) {
+            activeStreams.delete(senderId);
+        }
     }
 }
 
 module.exports = {
-    handleChatStream
+    handleChatStream,
+    abortChatStream,
+    requestChatCompletion
 }; 
\ No newline at end of file
@@ -306,4 +306,5 @@ async function buildOptimizedHistory(fullHistory, systemPromptMessage, modelCont
 
 module.exports = {
     buildOptimizedHistory,
+    countTokens,
 }; 
\ No newline at end of file
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, screen, shell, net } = require('electron');
+const { app, BrowserWindow, ipcMain, screen, shell } = require('electron');
 const fs   = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
@@ -23,18 +23,25 @@ console.log('Groq Desktop started, logging to', logFile);
 // Import necessary Electron modules
 // const { BrowserWindow, ipcMain, screen, shell, net } = require('electron'); // REMOVED DUPLICATE
 
-// Import shared models
-const { MODEL_CONTEXT_SIZES: FALLBACK_MODEL_DEFINITIONS } = require('../shared/models.js');
-
 // Import handlers
 const chatHandler = require('./chatHandler');
 const toolHandler = require('./toolHandler');
 
 // Import new manager modules
-const { initializeSettingsHandlers, loadSettings } = require('./settingsManager');
+const { initializeSettingsHandlers, loadSettings, saveSettings } = require('./settingsManager');
+const { initializeSecretHandlers } = require('./secretStore');
+const { initializeToolPolicyHandlers, forgetChatApprovals } = require('./toolPolicy');
+const { initializeMcpAuth } = require('./mcpAuth');
 const { initializeCommandResolver, resolveCommandPath } = require('./commandResolver');
-const { initializeMcpHandlers, connectConfiguredMcpServers, getMcpState } = require('./mcpManager');
+const { initializeMcpHandlers, connectConfiguredMcpServers, getMcpState, isToolEnabled } = require('./mcpManager');
+const { initializeResourceHandlers } = require('./mcpResources');
+const { initializePromptHandlers } = require('./mcpPrompts');
+const { initializeSamplingHandlers } = require('./mcpSampling');
+const { initializeRootsHandlers, notifyRootsChanged } = require('./mcpRoots');
+const { initializeConfigImportHandlers } = require('./mcpConfigImport');
+const { initializeToolAuditHandlers } = require('./toolAuditLog');
 const { initializeWindowManager } = require('./windowManager');
+const { DEFAULT_PROVIDER_ID, listProviders, getProvider, fetchProviderModels, describeProviders } = require('./providers');
 
 // Global variable to hold the main window instance
 let mainWindow;
@@ -43,7 +50,7 @@ let mainWindow;
 const CHATS_DIR = path.join(app.getPath('userData'), 'chats');
 
 // Variable to hold loaded model context sizes (Now fetched from APIs)
-let platformModels = { groq: {}, openrouter: {} }; // State to hold fetched models
+let platformModels = {}; // State to hold fetched models, keyed by provider id
 
 let appInstance; // To store app instance for userData path
 let tempCacheStore = {}; // In-memory store for pending cache updates
@@ -60,186 +67,6 @@ function updateTempCache(chatId, cache) {
 }
 // --- End function ---
 
-// --- Model Fetching Functions --- //
-
-/**
- * Fetches models from the Groq API.
- * @param {string} apiKey Groq API Key
- * @returns {Promise<object>} Object containing model configurations keyed by model ID.
- */
-async function fetchGroqModels(apiKey) {
-  if (!apiKey) {
-    console.log('Groq API key not provided, skipping model fetch.');
-    return {};
-  }
-  console.log('Fetching Groq models...');
-  return new Promise((resolve) => {
-    const request = net.request({
-      method: 'GET',
-      protocol: 'https:',
-      hostname: 'api.groq.com',
-      path: '/openai/v1/models',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    let body = '';
-    request.on('response', (response) => {
-      console.log(`Groq API response status: ${response.statusCode}`);
-      response.on('data', (chunk) => {
-        body += chunk.toString();
-      });
-      response.on('end', () => {
-        if (response.statusCode === 200) {
-          try {
-            const data = JSON.parse(body);
-            const models = {};
-            if (data && Array.isArray(data.data)) {
-              data.data.forEach(model => {
-                // Basic mapping - Assuming Groq API follows OpenAI structure for now
-                // We might need to supplement this with FALLBACK_MODEL_DEFINITIONS for vision/context if not provided
-                const fallback = FALLBACK_MODEL_DEFINITIONS[model.id] || FALLBACK_MODEL_DEFINITIONS['default'];
-                models[model.id] = {
-                  id: model.id,
-                  name: model.id, // Use ID as name for now, API might not provide a friendly name
-                  context: fallback.context, // Use fallback context for now
-                  vision_supported: fallback.vision_supported, // Use fallback vision support
-                  // Add other relevant fields if provided by Groq API
-                };
-              });
-            } else {
-                console.warn('Groq API response did not contain expected data structure.', data);
-            }
-            console.log(`Fetched ${Object.keys(models).length} Groq models.`);
-            resolve(models);
-          } catch (error) {
-            console.error('Error parsing Groq models response:', error, 'Body:', body);
-            resolve({});
-          }
-        } else {
-          console.error(`Error fetching Groq models: Status ${response.statusCode}`, 'Body:', body);
-          resolve({});
-        }
-      });
-      response.on('error', (error) => {
-        console.error('Error during Groq API response:', error);
-        resolve({});
-      });
-    });
-
-    request.on('error', (error) => {
-      console.error('Error making Groq API request:', error);
-      resolve({});
-    });
-
-    request.end();
-  });
-}
-
-/**
- * Fetches models from the OpenRouter API.
- * @param {string} apiKey OpenRouter API Key
- * @returns {Promise<object>} Object containing model configurations keyed by model ID.
- */
-async function fetchOpenRouterModels(apiKey) {
-  if (!apiKey) {
-    console.log('OpenRouter API key not provided, skipping model fetch.');
-    return {};
-  }
-  console.log('Fetching OpenRouter models...');
-    return new Promise((resolve) => {
-        const request = net.request({
-            method: 'GET',
-            protocol: 'https:',
-            hostname: 'openrouter.ai',
-            path: '/api/v1/models',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`
-            }
-        });
-
-        let body = '';
-        request.on('response', (response) => {
-            console.log(`OpenRouter API response status: ${response.statusCode}`);
-            response.on('data', (chunk) => {
-                body += chunk.toString();
-            });
-            response.on('end', () => {
-                if (response.statusCode === 200) {
-                    try {
-                        const data = JSON.parse(body);
-                        const models = {};
-                        if (data && Array.isArray(data.data)) {
-                            data.data.forEach(model => {
-                                // Map OpenRouter fields
-                                //console.log(`[OpenRouter Fetch] Processing model: ${model.id}, Name: ${model.name}`); // Log model ID
-                                if (model.architecture) {
-                                    //console.log(`  Architecture: ${JSON.stringify(model.architecture)}`); // Log architecture object
-                                } else {
-                                     //console.log(`  Architecture field missing for ${model.id}`);
-                                }
-                                
-                                // --- Determine vision support reliably ---
-                                let vision_supported = false;
-                                if (model.architecture && Array.isArray(model.architecture.input_modalities)) {
-                                    vision_supported = model.architecture.input_modalities.includes('image');
-                                } else {
-                                    // Fallback heuristic if architecture info is missing (less reliable)
-                                    //console.warn(`Missing architecture.input_modalities for ${model.id}, using fallback heuristic.`);
-                                     vision_supported = model.id.includes('vision') || model.id.includes('claude-3') || model.id.includes('gpt-4o'); // Slightly improved fallback
-                                }
-                                // --- End vision support check ---
-                                
-                                models[model.id] = {
-                                    id: model.id,
-                                    name: model.name || model.id, // Use name if available
-                                    context: model.context_length || FALLBACK_MODEL_DEFINITIONS['default']?.context || 8192, // Use provided context, default fallback context, or final fallback
-                                    vision_supported: vision_supported,
-                                    // --- Store Pricing Info (as number per token and original string) ---
-                                    prompt_cost_per_token: model.pricing?.prompt ? parseFloat(model.pricing.prompt) : null, // Store numeric cost per token
-                                    completion_cost_per_token: model.pricing?.completion ? parseFloat(model.pricing.completion) : null, // Store numeric cost per token
-                                    pricing_string_prompt: model.pricing?.prompt, // Keep original string 
-                                    pricing_string_completion: model.pricing?.completion, // Keep original string
-                                    // --- End Pricing Info ---
-                                };
-                                
-                                // Log pricing info if found
-                                // if (model.pricing) {
-                                //      console.log(`  Pricing for ${model.id}: ${JSON.stringify(model.pricing)} -> Stored per token: prompt=${models[model.id].prompt_cost_per_token}, completion=${models[model.id].completion_cost_per_token}`);
-                                // }
-                            });
-                        } else {
-                            console.warn('OpenRouter API response did not contain expected data structure.', data);
-                        }
-                        console.log(`Fetched ${Object.keys(models).length} OpenRouter models.`);
-                        resolve(models);
-                    } catch (error) {
-                        console.error('Error parsing OpenRouter models response:', error, 'Body:', body);
-                        resolve({});
-                    }
-                } else {
-                    console.error(`Error fetching OpenRouter models: Status ${response.statusCode}`, 'Body:', body);
-                    resolve({});
-                }
-            });
-            response.on('error', (error) => {
-              console.error('Error during OpenRouter API response:', error);
-              resolve({});
-            });
-        });
-
-        request.on('error', (error) => {
-            console.error('Error making OpenRouter API request:', error);
-            resolve({});
-        });
-
-        request.end();
-    });
-}
-
-// --- End Model Fetching --- //
 
 // App initialization sequence
 app.whenReady().then(async () => {
@@ -279,29 +106,53 @@ app.whenReady().then(async () => {
       return;
   }
 
-  // Initialize settings handlers (needs app)
-  initializeSettingsHandlers(ipcMain, app);
+  // Initialize settings handlers (needs app; saved settings may change the MCP roots)
+  initializeSettingsHandlers(ipcMain, app, notifyRootsChanged);
+  // Initialize secret store handlers (needs app)
+  initializeSecretHandlers(ipcMain, app);
+  // Initialize tool permission policy handlers (approval answers; remembered choices are saved to settings)
+  initializeToolPolicyHandlers(ipcMain, loadSettings, saveSettings);
 
   // Fetch models after settings are loaded
   const currentSettings = loadSettings(); // Load initial settings
   // Fetch models asynchronously without blocking startup
-  fetchGroqModels(currentSettings.groqApiKey)
-      .then(models => { platformModels.groq = models; })
-      .catch(err => console.error("Error fetching Groq models during init:", err));
-  fetchOpenRouterModels(currentSettings.openrouterApiKey)
-      .then(models => { platformModels.openrouter = models; })
-      .catch(err => console.error("Error fetching OpenRouter models during init:", err));
+  listProviders(currentSettings).forEach(provider => {
+      fetchProviderModels(provider, currentSettings)
+          .then(models => { platformModels[provider.id] = models; })
+          .catch(err => console.error(`Error fetching ${provider.name} models during init:`, err));
+  });
+
+  // Initialize MCP OAuth handlers (needs app, and the browser opener for the authorization page)
+  initializeMcpAuth(ipcMain, app, (url) => shell.openExternal(url));
 
   // Initialize MCP handlers (needs app, mainWindow, settings/command functions)
   initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCommandPath);
 
+  // Initialize MCP resource handlers (needs mainWindow for update events, MCP state for clients)
+  initializeResourceHandlers(ipcMain, mainWindow, getMcpState);
+
+  // Initialize MCP prompt handlers (slash commands in the chat input)
+  initializePromptHandlers(ipcMain, getMcpState);
+
+  // Initialize MCP sampling handlers (completions requested by servers, approved in the renderer)
+  initializeSamplingHandlers(ipcMain, mainWindow, loadSettings, () => platformModels, chatHandler.requestChatCompletion);
+
+  // Initialize MCP roots handlers (workspace folders shared with servers)
+  initializeRootsHandlers(ipcMain, mainWindow, loadSettings, getMcpState);
+
+  // Initialize MCP config import handlers (servers configured for other clients)
+  initializeConfigImportHandlers(ipcMain, mainWindow, loadSettings);
+
+  // Initialize the tool call audit log viewer and export
+  initializeToolAuditHandlers(ipcMain, app, mainWindow);
+
   // --- Register Core App IPC Handlers --- //
 
   // Chat completion with streaming - uses chatHandler
   ipcMain.on('chat-stream', async (event, messages, model, chatId, cachedSummary) => {
     const currentSettings = loadSettings();
     const { discoveredTools, mcpClients } = getMcpState();
-    const selectedPlatform = currentSettings.selectedPlatform || 'groq';
+    const selectedPlatform = currentSettings.selectedPlatform || DEFAULT_PROVIDER_ID;
     
     // Pass updateTempCache function and cachedSummary as callbacks/arguments
     chatHandler.handleChatStream(
@@ -319,47 +170,62 @@ app.whenReady().then(async () => {
     );
   });
 
+  // Stop the chat stream started by this renderer (request + pending tool calls)
+  ipcMain.on('chat-stream-abort', (event) => {
+    chatHandler.abortChatStream(event.sender.id);
+  });
+
+  // Cancel a single running tool call; the model gets a "cancelled by the user" result and the loop continues
+  ipcMain.handle('cancel-tool-call', async (event, callId) => {
+    if (toolHandler.cancelToolCall(callId)) {
+      return { success: true };
+    }
+    return { success: false, error: 'The tool call is no longer running.' };
+  });
+
   // Handler for executing tool calls - uses toolHandler
   ipcMain.handle('execute-tool-call', async (event, toolCall) => {
     const { discoveredTools, mcpClients } = getMcpState(); // Get current state from mcpManager
-    return toolHandler.handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients);
+    const currentSettings = loadSettings();
+    // Disabled tools are never offered to the model, so they must not be callable either
+    const enabledTools = discoveredTools.filter(tool => isToolEnabled(tool, currentSettings));
+    return toolHandler.handleExecuteToolCall(event, toolCall, enabledTools, mcpClients, {
+      coerceArguments: currentSettings.coerceToolArguments !== false
+    });
   });
 
   // Handler for getting model configurations
   ipcMain.handle('get-model-configs', async (event, platformHint = null) => {
       // Determine which platform's models to return
-      let selectedPlatform;
-      if (platformHint && (platformHint === 'groq' || platformHint === 'openrouter')) {
+      const currentSettings = loadSettings();
+      let provider = platformHint ? getProvider(currentSettings, platformHint) : null;
+      if (provider) {
           console.log(`get-model-configs: Using provided platform hint: ${platformHint}`);
-          selectedPlatform = platformHint;
       } else {
-          const currentSettings = loadSettings();
-          selectedPlatform = currentSettings.selectedPlatform || 'groq'; // Default to groq if not set
-          console.log(`get-model-configs: Using platform from settings: ${selectedPlatform}`);
+          const selectedPlatform = currentSettings.selectedPlatform || DEFAULT_PROVIDER_ID;
+          provider = getProvider(currentSettings, selectedPlatform) || getProvider(currentSettings, DEFAULT_PROVIDER_ID);
+          console.log(`get-model-configs: Using platform from settings: ${provider.id}`);
       }
 
-      const modelsToReturn = platformModels[selectedPlatform] || {};
+      const modelsToReturn = platformModels[provider.id] || {};
 
       // If no models are loaded for the selected platform, try fetching them now
-      // (This handles cases where the key might have been added after initial load or if hint is used before initial fetch completes)
-      if (Object.keys(modelsToReturn).length === 0) {
-          console.log(`No models found for ${selectedPlatform}, attempting fetch...`);
-          const currentSettings = loadSettings(); // Need settings again for API keys
-          if (selectedPlatform === 'groq' && currentSettings.groqApiKey) {
-              platformModels.groq = await fetchGroqModels(currentSettings.groqApiKey);
-              return platformModels.groq;
-          } else if (selectedPlatform === 'openrouter' && currentSettings.openrouterApiKey) {
-              platformModels.openrouter = await fetchOpenRouterModels(currentSettings.openrouterApiKey);
-              return platformModels.openrouter;
-          } else {
-               console.warn(`Cannot fetch models for ${selectedPlatform}: API key might be missing.`);
-               return {}; // Return empty if fetch isn't possible
-          }
+      // (This handles cases where the key might have been added after initial load or if hint is used before initial fetch completes).
+      // Custom endpoints are always refetched since their URL and model list can change in settings at any time.
+      if (provider.isCustom || Object.keys(modelsToReturn).length === 0) {
+          console.log(`Fetching models for ${provider.id}...`);
+          platformModels[provider.id] = await fetchProviderModels(provider, currentSettings);
+          return platformModels[provider.id];
       }
 
       return modelsToReturn;
   });
 
+  // Handler for listing the configured providers (built-in and custom endpoints)
+  ipcMain.handle('get-providers', async () => {
+      return describeProviders(loadSettings());
+  });
+
   // --- Task 2: List Chats Handler ---
   ipcMain.handle('list-chats', async () => {
     console.log("IPC Handler: list-chats invoked");
@@ -530,6 +396,7 @@ app.whenReady().then(async () => {
     try {
       await fs.promises.unlink(chatFilePath);
       console.log(`Chat deleted successfully: ${chatFilePath}`);
+      forgetChatApprovals(chatId); // Tool approvals scoped to this chat can never apply again
       return { success: true };
     } catch (error) {
       console.error(`Error deleting chat ${chatId}:`, error);
@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { safeStorage } = require('electron');
+const {
+    startAuthorization,
+    exchangeAuthorization,
+    refreshAuthorization,
+    registerClient
+} = require('@modelcontextprotocol/sdk/client/auth.js');
+
+/**
+ * OAuth 2.1 authorization for remote MCP servers.
+ *
+ * When a server answers 401, mcpManager calls authorizeServer(), which (after trying the refresh token):
+ * 1. Discovers the authorization server from the MCP server's protected-resource metadata (RFC 9728),
+ *    falling back to the MCP server's own origin for servers that predate it.
+ * 2. Loads the authorization server metadata (RFC 8414 / OpenID discovery).
+ * 3. Registers the app as a client (RFC 7591) unless a client id is configured.
+ * 4. Runs the authorization-code flow with PKCE, receiving the code on a loopback listener.
+ * Tokens are stored per server (encrypted with safeStorage) and refreshed before they expire.
+ *
+ * The browser is only opened for connects the user started; automatic connects and reconnects fail with an
+ * "authorization required" error instead. Failed flows are marked `permanent` so the reconnect supervisor does
+ * not retry them.
+ *
+ * Servers can tune the flow with an `oauth` object in their config:
+ * { issuer, clientId, clientSecret, scope, redirectPort }. `oauth: false` disables it.
+ */
+
+let appInstance;
+let openExternalFunc;
+
+const CALLBACK_PATH = '/oauth/callback';
+const AUTHORIZATION_TIMEOUT_MS = 5 * 60 * 1000; // Time the user has to finish signing in
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Refresh tokens this long before they expire
+const CLIENT_NAME = 'Groq Desktop';
+
+// In-progress flows by server, so concurrent 401s share one browser window
+const pendingAuthorizations = {};
+// Used instead of the file when safeStorage is unavailable; tokens then last until the app quits
+const memoryAuthStore = {};
+
+function getAuthStorePath() {
+    return path.join(appInstance.getPath('userData'), 'mcp-auth.json');
+}
+
+function canPersist() {
+    return !!appInstance && safeStorage.isEncryptionAvailable();
+}
+
+// Reads the per-server auth records: { serverId: base64(encrypted JSON record) }
+function readAuthStore() {
+    try {
+        const storePath = getAuthStorePath();
+        if (!fs.existsSync(storePath)) return {};
+        return JSON.parse(fs.readFileSync(storePath, 'utf8')) || {};
+    } catch (error) {
+        console.error('Error reading MCP auth store:', error);
+        return {};
+    }
+}
+
+/**
+ * Loads the stored authorization of a server.
+ * @param {string} serverId - The server id from settings.
+ * @returns {object | null} { serverUrl, issuer, authServerMetadata, clientInformation, redirectUri, tokens, expiresAt }
+ */
+function loadAuthRecord(serverId) {
+    if (!canPersist()) return memoryAuthStore[serverId] || null;
+    const encrypted = readAuthStore()[serverId];
+    if (!encrypted) return null;
+    try {
+        return JSON.parse(safeStorage.decryptString(Buffer.from(encrypted, 'base64')));
+    } catch (error) {
+        console.error(`[${serverId}] Error decrypting stored authorization:`, error.message);
+        return null;
+    }
+}
+
+function saveAuthRecord(serverId, record) {
+    if (!canPersist()) {
+        console.warn(`[${serverId}] Secure storage unavailable, keeping OAuth tokens in memory only.`);
+        memoryAuthStore[serverId] = record;
+        return;
+    }
+    const store = readAuthStore();
+    store[serverId] = safeStorage.encryptString(JSON.stringify(record)).toString('base64');
+    fs.writeFileSync(getAuthStorePath(), JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Forgets the tokens and client registration of a server (sign out).
+ * @param {string} serverId - The server id from settings.
+ */
+function clearAuthRecord(serverId) {
+    delete memoryAuthStore[serverId];
+    if (!canPersist()) return;
+    const store = readAuthStore();
+    if (!store[serverId]) return;
+    delete store[serverId];
+    fs.writeFileSync(getAuthStorePath(), JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+// Fetches a JSON document, resolving to null on 404 or a network error
+async function fetchJson(url) {
+    try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.warn(`Could not fetch ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+// Well-known URLs for a metadata document, path-aware first (RFC 8414 section 3.1, RFC 9728 section 3.1)
+function wellKnownUrls(resourceUrl, suffix) {
+    const url = new URL(resourceUrl);
+    const pathname = url.pathname.replace(/\/+$/, '');
+    const urls = [];
+    if (pathname) urls.push(`${url.origin}/.well-known/${suffix}${pathname}`);
+    urls.push(`${url.origin}/.well-known/${suffix}`);
+    return urls;
+}
+
+// Reads the resource_metadata parameter from a 401's WWW-Authenticate header
+async function probeResourceMetadataUrl(serverUrl) {
+    const controller = new AbortController();
+    try {
+        const response = await fetch(serverUrl, {
+            method: 'GET',
+            headers: { Accept: 'text/event-stream' },
+            signal: controller.signal
+        });
+        const challenge = response.headers.get('www-authenticate') || '';
+        const match = /resource_metadata="([^"]+)"/i.exec(challenge);
+        return match ? new URL(match[1], serverUrl).href : null;
+    } catch {
+        return null;
+    } finally {
+        controller.abort(); // Don't keep an event stream open if the server accepted the probe
+    }
+}
+
+/**
+ * Finds the authorization server of an MCP server and loads its metadata.
+ * @param {string} serverUrl - The MCP endpoint URL.
+ * @param {string} [configuredIssuer] - The config's `oauth.issuer`, used instead of the discovered one
+ *   (e.g. a local stand-in authorization server at http://127.0.0.1:<port>).
+ * @returns {Promise<{issuer: string, metadata: object, scopesSupported: Array<string> | undefined}>}
+ */
+async function discoverAuthorizationServer(serverUrl, configuredIssuer) {
+    let resourceMetadata = null;
+    const advertisedUrl = await probeResourceMetadataUrl(serverUrl);
+    for (const url of [advertisedUrl, ...wellKnownUrls(serverUrl, 'oauth-protected-resource')].filter(Boolean)) {
+        resourceMetadata = await fetchJson(url);
+        if (resourceMetadata) break;
+    }
+
+    // Servers without protected-resource metadata act as their own authorization server
+    const issuer = configuredIssuer || resourceMetadata?.authorization_servers?.[0] || new URL(serverUrl).origin;
+    console.log(`Authorization server for ${serverUrl}: ${issuer}${resourceMetadata ? '' : ' (no protected-resource metadata)'}`);
+
+    let metadata = null;
+    const metadataUrls = [
+        ...wellKnownUrls(issuer, 'oauth-authorization-server'),
+        ...wellKnownUrls(issuer, 'openid-configuration'),
+        `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`
+    ];
+    for (const url of metadataUrls) {
+        metadata = await fetchJson(url);
+        if (metadata) break;
+    }
+    if (!metadata) {
+        // Default endpoints from the 2025-03-26 MCP authorization spec
+        console.warn(`No authorization server metadata found for ${issuer}, using default endpoints.`);
+        const base = new URL(issuer).origin;
+        metadata = {
+            issuer: base,
+            authorization_endpoint: `${base}/authorize`,
+            token_endpoint: `${base}/token`,
+            registration_endpoint: `${base}/register`,
+            code_challenge_methods_supported: ['S256']
+        };
+    }
+    return {
+        issuer,
+        metadata: { response_types_supported: ['code'], ...metadata },
+        scopesSupported: resourceMetadata?.scopes_supported
+    };
+}
+
+/**
+ * Starts the loopback HTTP listener that receives the authorization redirect.
+ * @param {number | null} preferredPort - Port to reuse (a registered redirect URI); 0 or null picks a free port.
+ * @param {boolean} strictPort - Fail instead of picking another port when the preferred one is taken.
+ * @returns {Promise<{server: http.Server, redirectUri: string}>}
+ */
+function startLoopbackListener(preferredPort, strictPort) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        const listen = (port) => {
+            server.once('error', (error) => {
+                if (error.code === 'EADDRINUSE' && port && !strictPort) {
+                    console.warn(`OAuth redirect port ${port} is in use, using a free port instead.`);
+                    listen(0);
+                } else {
+                    reject(error);
+                }
+            });
+            server.listen(port, '127.0.0.1', () => {
+                resolve({ server, redirectUri: `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}` });
+            });
+        };
+        listen(preferredPort || 0);
+    });
+}
+
+function sendCallbackPage(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html><html><body style="font-family: sans-serif; padding: 2em;"><p>${message}</p></body></html>`);
+}
+
+/**
+ * Waits for the authorization redirect on the loopback listener and returns the code. Settles (and stops
+ * listening) on the redirect, after the timeout or when the listener is closed.
+ * @param {http.Server} server - The listener from startLoopbackListener.
+ * @param {string} expectedState - The state sent with the authorization request.
+ * @returns {Promise<string>} The authorization code.
+ */
+function waitForAuthorizationCode(server, expectedState) {
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            clearTimeout(timeout);
+            server.off('request', onRequest);
+            server.off('close', onClose);
+            callback(value);
+        };
+        const timeout = setTimeout(() => {
+            settle(reject, new Error(`Authorization was not completed within ${AUTHORIZATION_TIMEOUT_MS / 60000} minutes.`));
+        }, AUTHORIZATION_TIMEOUT_MS);
+
+        const onClose = () => settle(reject, new Error('Authorization was cancelled.'));
+
+        const onRequest = (req, res) => {
+            const url = new URL(req.url, 'http://127.0.0.1');
+            if (url.pathname !== CALLBACK_PATH) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+            if (url.searchParams.get('state') !== expectedState) {
+                sendCallbackPage(res, 400, 'Authorization failed: the response did not match the request. Please try again from Groq Desktop.');
+                return; // Keep waiting; this was not our redirect
+            }
+            const error = url.searchParams.get('error');
+            if (error) {
+                const description = url.searchParams.get('error_description');
+                sendCallbackPage(res, 400, 'Authorization was denied. You can close this window.');
+                settle(reject, new Error(`Authorization denied: ${error}${description ? ` (${description})` : ''}`));
+                return;
+            }
+            const code = url.searchParams.get('code');
+            if (!code) {
+                sendCallbackPage(res, 400, 'Authorization failed: no code was returned.');
+                settle(reject, new Error('Authorization server redirected without a code.'));
+                return;
+            }
+            sendCallbackPage(res, 200, 'Authorization complete. You can close this window and return to Groq Desktop.');
+            settle(resolve, code);
+        };
+
+        server.on('request', onRequest);
+        server.on('close', onClose);
+    });
+}
+
+function buildTokenRecord(tokens) {
+    return {
+        tokens,
+        expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null
+    };
+}
+
+/**
+ * Runs the full authorization-code + PKCE flow for a server and stores the tokens.
+ * @param {string} serverId - The server id from settings.
+ * @param {string} serverUrl - The MCP endpoint URL.
+ * @param {object} [oauthConfig] - The server config's `oauth` object.
+ * @returns {Promise<string>} The new access token.
+ */
+async function runAuthorizationFlow(serverId, serverUrl, oauthConfig = {}) {
+    const { issuer, metadata, scopesSupported } = await discoverAuthorizationServer(serverUrl, oauthConfig.issuer);
+    const previous = loadAuthRecord(serverId);
+    const reusable = previous && previous.issuer === issuer ? previous : null;
+
+    const configuredPort = parseInt(oauthConfig.redirectPort, 10) || null;
+    const previousPort = reusable?.redirectUri ? parseInt(new URL(reusable.redirectUri).port, 10) : null;
+    const { server, redirectUri } = await startLoopbackListener(configuredPort || previousPort, !!configuredPort);
+
+    try {
+        let clientInformation = null;
+        if (oauthConfig.clientId) {
+            clientInformation = { client_id: oauthConfig.clientId };
+            if (oauthConfig.clientSecret) clientInformation.client_secret = oauthConfig.clientSecret;
+        } else if (reusable?.clientInformation && reusable.redirectUri === redirectUri) {
+            clientInformation = reusable.clientInformation;
+        } else {
+            if (!metadata.registration_endpoint) {
+                throw new Error(`The authorization server ${issuer} does not support dynamic client registration. Set "oauth": { "clientId": "..." } in the server config.`);
+            }
+            console.log(`[${serverId}] Registering OAuth client with ${issuer}...`);
+            clientInformation = await registerClient(issuer, {
+                metadata,
+                clientMetadata: {
+                    client_name: CLIENT_NAME,
+                    redirect_uris: [redirectUri],
+                    grant_types: ['authorization_code', 'refresh_token'],
+                    response_types: ['code'],
+                    token_endpoint_auth_method: 'none'
+                }
+            });
+        }
+
+        const { authorizationUrl, codeVerifier } = await startAuthorization(issuer, { metadata, clientInformation, redirectUrl: redirectUri });
+        const state = crypto.randomBytes(16).toString('hex');
+        authorizationUrl.searchParams.set('state', state);
+        const scope = oauthConfig.scope || (Array.isArray(scopesSupported) ? scopesSupported.join(' ') : '');
+        if (scope) authorizationUrl.searchParams.set('scope', scope);
+
+        console.log(`[${serverId}] Opening browser for authorization: ${authorizationUrl.origin}${authorizationUrl.pathname}`);
+        // Awaited together so a failing openExternal does not leave the code promise without a handler
+        const [, authorizationCode] = await Promise.all([
+            openExternalFunc(authorizationUrl.href),
+            waitForAuthorizationCode(server, state)
+        ]);
+
+        const tokens = await exchangeAuthorization(issuer, {
+            metadata,
+            clientInformation,
+            authorizationCode,
+            codeVerifier,
+            redirectUri
+        });
+        saveAuthRecord(serverId, {
+            serverUrl,
+            issuer,
+            authServerMetadata: metadata,
+            clientInformation,
+            redirectUri,
+            ...buildTokenRecord(tokens)
+        });
+        console.log(`[${serverId}] Authorization complete.`);
+        return tokens.access_token;
+    } finally {
+        server.close();
+        server.closeAllConnections(); // Keep-alive browser connections would hold the listener open
+    }
+}
+
+/**
+ * Exchanges the stored refresh token for new tokens.
+ * @returns {Promise<string | null>} The new access token, or null if refreshing is not possible.
+ */
+async function refreshAccessToken(serverId, record) {
+    if (!record?.tokens?.refresh_token) return null;
+    try {
+        const tokens = await refreshAuthorization(record.issuer, {
+            metadata: record.authServerMetadata,
+            clientInformation: record.clientInformation,
+            refreshToken: record.tokens.refresh_token
+        });
+        // Servers may omit the refresh token when it does not rotate
+        const merged = { ...tokens, refresh_token: tokens.refresh_token || record.tokens.refresh_token };
+        saveAuthRecord(serverId, { ...record, ...buildTokenRecord(merged) });
+        console.log(`[${serverId}] Refreshed access token.`);
+        return merged.access_token;
+    } catch (error) {
+        console.warn(`[${serverId}] Token refresh failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Returns a usable stored access token for a server, refreshing it if it is about to expire.
+ * Does not start an interactive flow.
+ * @param {string} serverId - The server id from settings.
+ * @param {string} serverUrl - The MCP endpoint URL; tokens stored for a different URL are ignored.
+ * @returns {Promise<string | null>}
+ */
+async function getAccessToken(serverId, serverUrl) {
+    const record = loadAuthRecord(serverId);
+    if (!record?.tokens?.access_token || record.serverUrl !== serverUrl) return null;
+    if (record.expiresAt && record.expiresAt - TOKEN_EXPIRY_MARGIN_MS < Date.now()) {
+        return refreshAccessToken(serverId, record);
+    }
+    return record.tokens.access_token;
+}
+
+/**
+ * Handles a 401 from a server: tries the refresh token first, then runs the interactive flow if allowed.
+ * Concurrent calls for the same server share one flow.
+ * @param {string} serverId - The server id from settings.
+ * @param {string} serverUrl - The MCP endpoint URL.
+ * @param {object} [oauthConfig] - The server config's `oauth` object.
+ * @param {{interactive?: boolean}} [options] - `interactive` allows opening the browser (user-started connects only).
+ * @returns {Promise<string>} A new access token.
+ * @throws {Error} With `permanent` set when sign-in is needed but not allowed, or the flow failed or timed out.
+ */
+function authorizeServer(serverId, serverUrl, oauthConfig, { interactive = false } = {}) {
+    if (!pendingAuthorizations[serverId]) {
+        pendingAuthorizations[serverId] = (async () => {
+            const record = loadAuthRecord(serverId);
+            if (record?.serverUrl === serverUrl) {
+                const refreshed = await refreshAccessToken(serverId, record);
+                if (refreshed) return refreshed;
+            }
+            if (!interactive) {
+                const error = new Error('Authorization required: connect the server from the Tools panel to sign in.');
+                error.permanent = true;
+                throw error;
+            }
+            try {
+                return await runAuthorizationFlow(serverId, serverUrl, oauthConfig || {});
+            } catch (error) {
+                error.permanent = true; // Retrying would open the browser again
+                throw error;
+            }
+        })().finally(() => {
+            delete pendingAuthorizations[serverId];
+        });
+    }
+    return pendingAuthorizations[serverId];
+}
+
+/**
+ * Summarizes which servers hold stored authorizations (no tokens).
+ * @returns {object} { serverId: { authorized: true, issuer, expiresAt } }
+ */
+function getAuthStatus() {
+    const serverIds = canPersist() ? Object.keys(readAuthStore()) : Object.keys(memoryAuthStore);
+    const status = {};
+    serverIds.forEach(serverId => {
+        const record = loadAuthRecord(serverId);
+        if (record?.tokens) {
+            status[serverId] = { authorized: true, issuer: record.issuer, expiresAt: record.expiresAt };
+        }
+    });
+    return status;
+}
+
+function initializeMcpAuth(ipcMain, app, openExternal) {
+    appInstance = app;
+    openExternalFunc = openExternal;
+    console.log('MCP OAuth Initialized.');
+
+    // Handler for listing which servers are signed in
+    ipcMain.handle('get-mcp-auth-status', async () => {
+        return getAuthStatus();
+    });
+
+    // Handler for signing out of a server
+    ipcMain.handle('clear-mcp-auth', async (event, serverId) => {
+        try {
+            clearAuthRecord(serverId);
+            console.log(`Cleared stored authorization for ${serverId}.`);
+            return { success: true };
+        } catch (error) {
+            console.error(`Error clearing authorization for ${serverId}:`, error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeMcpAuth,
+    getAccessToken,
+    authorizeServer,
+    clearAuthRecord
+};
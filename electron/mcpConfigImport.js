@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dialog } = require('electron');
+const { listSecretNames } = require('./secretStore');
+
+// Import of MCP server configs kept for other clients: Claude Desktop (claude_desktop_config.json),
+// Cursor (mcp.json) and VS Code (mcp.json or the "mcp" section of settings.json).
+// Servers are converted to our config format and returned with a diff against settings.mcpServers;
+// the renderer merges the ones the user picks.
+
+let mainWindowInstance;
+let loadSettingsFunc;
+
+// ${input:ID} (VS Code prompts) and ${env:NAME} become ${secret:NAME} references, so values never end up in settings.json
+const SECRET_PLACEHOLDER_PATTERN = /\$\{(input|env):([^}]+)\}/g;
+const OTHER_PLACEHOLDER_PATTERN = /\$\{([^}:]+)(?::[^}]*)?\}/g;
+const SECRET_NAME_INVALID_CHARS = /[^A-Za-z0-9_.-]/g;
+
+// Folder that holds the settings of a VS Code flavour (User/settings.json, User/mcp.json)
+function getVsCodeUserDir(productName) {
+    if (process.platform === 'win32') return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), productName, 'User');
+    if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support', productName, 'User');
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), productName, 'User');
+}
+
+function getClaudeDesktopConfigPath() {
+    if (process.platform === 'win32') return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Claude', 'claude_desktop_config.json');
+    if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support', 'Claude', 'claude_desktop_config.json');
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'Claude', 'claude_desktop_config.json');
+}
+
+/**
+ * Lists the standard config file locations of the supported clients, including the workspace files
+ * (.vscode/mcp.json, .cursor/mcp.json) of the folders shared as MCP roots.
+ * @returns {Array<{path: string, label: string, workspaceFolder: string | null, exists: boolean}>}
+ */
+function getConfigSources() {
+    const sources = [
+        { path: getClaudeDesktopConfigPath(), label: 'Claude Desktop', workspaceFolder: null },
+        { path: path.join(os.homedir(), '.cursor', 'mcp.json'), label: 'Cursor (global)', workspaceFolder: null },
+        { path: path.join(getVsCodeUserDir('Code'), 'mcp.json'), label: 'VS Code (user)', workspaceFolder: null },
+        { path: path.join(getVsCodeUserDir('Code'), 'settings.json'), label: 'VS Code (user settings)', workspaceFolder: null }
+    ];
+    (loadSettingsFunc().mcpRoots || []).filter(root => root && root.path).forEach(root => {
+        const name = root.name || path.basename(root.path);
+        sources.push({ path: path.join(root.path, '.vscode', 'mcp.json'), label: `VS Code workspace (${name})`, workspaceFolder: root.path });
+        sources.push({ path: path.join(root.path, '.cursor', 'mcp.json'), label: `Cursor workspace (${name})`, workspaceFolder: root.path });
+    });
+    return sources.map(source => ({ ...source, exists: fs.existsSync(source.path) }));
+}
+
+// Files inside a .vscode or .cursor folder belong to the workspace above it
+function guessWorkspaceFolder(filePath) {
+    const dir = path.dirname(filePath);
+    return ['.vscode', '.cursor'].includes(path.basename(dir)) ? path.dirname(dir) : null;
+}
+
+// Strips // and /* */ comments and trailing commas, which VS Code and Cursor accept in their JSON files
+function parseJsonWithComments(text) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            result += char;
+            if (char === '\\') {
+                result += text[++i] ?? '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            result += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            result += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            i = text.indexOf('*/', i + 2);
+            if (i === -1) break;
+            i++;
+        } else {
+            result += char;
+        }
+    }
+    return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Finds the server map and VS Code inputs in a parsed config file.
+ * @param {object} json - The parsed file.
+ * @returns {{format: string, servers: object, inputs: Array<object>}}
+ * @throws {Error} If the file contains no MCP servers.
+ */
+function extractServers(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('The file does not contain a JSON object.');
+    if (json.mcpServers && typeof json.mcpServers === 'object') {
+        return { format: 'mcpServers', servers: json.mcpServers, inputs: [] }; // Claude Desktop, Cursor
+    }
+    if (json.servers && typeof json.servers === 'object') {
+        return { format: 'vscode', servers: json.servers, inputs: Array.isArray(json.inputs) ? json.inputs : [] };
+    }
+    const vsCodeSettings = json.mcp;
+    if (vsCodeSettings && typeof vsCodeSettings === 'object' && vsCodeSettings.servers && typeof vsCodeSettings.servers === 'object') {
+        return { format: 'vscode', servers: vsCodeSettings.servers, inputs: Array.isArray(vsCodeSettings.inputs) ? vsCodeSettings.inputs : [] };
+    }
+    throw new Error('No MCP servers found (expected "mcpServers", "servers" or "mcp.servers").');
+}
+
+function toSecretName(name) {
+    return name.replace(SECRET_NAME_INVALID_CHARS, '_');
+}
+
+/**
+ * Converts one server entry of another client to our config format.
+ * @param {string} serverId - The server name in the imported file.
+ * @param {object} entry - The server entry.
+ * @param {object} context - { workspaceFolder, inputs, secrets (Map, filled), warnings (Array, filled) }.
+ * @returns {object | null} The converted config, or null if the entry cannot be used.
+ */
+function convertServerEntry(serverId, entry, context) {
+    if (!entry || typeof entry !== 'object') {
+        context.warnings.push(`${serverId}: skipped, the entry is not an object.`);
+        return null;
+    }
+
+    // Replaces the placeholders of the other clients in one config value
+    const convertValue = (value, where) => {
+        if (typeof value !== 'string') return value;
+        const converted = value.replace(SECRET_PLACEHOLDER_PATTERN, (placeholder, kind, name) => {
+            const secretName = toSecretName(name);
+            if (!context.secrets.has(secretName)) {
+                const input = kind === 'input' ? context.inputs.find(item => item && item.id === name) : null;
+                context.secrets.set(secretName, {
+                    name: secretName,
+                    source: kind === 'input' ? `input "${name}"` : `environment variable ${name}`,
+                    description: input?.description || ''
+                });
+            }
+            return `\${secret:${secretName}}`;
+        });
+        return converted.replace(OTHER_PLACEHOLDER_PATTERN, (placeholder, variable) => {
+            if (variable === 'secret') return placeholder;
+            if (variable === 'userHome') return os.homedir();
+            if (variable === 'pathSeparator' || variable === '/') return path.sep;
+            if ((variable === 'workspaceFolder' || variable === 'workspaceRoot') && context.workspaceFolder) return context.workspaceFolder;
+            context.warnings.push(`${serverId}: ${where} uses ${placeholder}, which cannot be resolved here and is kept as is.`);
+            return placeholder;
+        });
+    };
+    const convertMap = (map, where) => Object.fromEntries(Object.entries(map && typeof map === 'object' ? map : {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => [key, convertValue(String(value), `${where} ${key}`)]));
+
+    if (entry.disabled === true) context.warnings.push(`${serverId}: disabled in the imported file; it is imported enabled.`);
+    if (entry.envFile) context.warnings.push(`${serverId}: envFile "${entry.envFile}" is not read; add its variables to env.`);
+    if (entry.cwd) context.warnings.push(`${serverId}: the working directory "${entry.cwd}" is not supported and ignored.`);
+
+    const type = typeof entry.type === 'string' ? entry.type.toLowerCase() : null;
+    if (entry.url || ['http', 'sse', 'streamablehttp'].includes(type)) {
+        if (typeof entry.url !== 'string' || !entry.url.trim()) {
+            context.warnings.push(`${serverId}: skipped, remote server without a url.`);
+            return null;
+        }
+        // Cursor and Claude Desktop entries with just a url are Streamable HTTP servers that fall back to SSE
+        const config = { transport: type === 'sse' ? 'sse' : 'streamableHttp', url: convertValue(entry.url, 'url') };
+        const headers = convertMap(entry.headers, 'header');
+        if (Object.keys(headers).length > 0) config.headers = headers;
+        if (config.transport === 'streamableHttp') config.fallbackToSse = true;
+        return config;
+    }
+
+    if (typeof entry.command !== 'string' || !entry.command.trim()) {
+        context.warnings.push(`${serverId}: skipped, neither a command nor a url is configured.`);
+        return null;
+    }
+    return {
+        transport: 'stdio',
+        command: convertValue(entry.command, 'command'),
+        args: Array.isArray(entry.args) ? entry.args.map(arg => convertValue(String(arg), 'args')) : [],
+        env: convertMap(entry.env, 'env')
+    };
+}
+
+/**
+ * Line diff (longest common subsequence) of two pretty-printed configs, for the preview.
+ * @param {object | undefined} current - The config in our settings, if any.
+ * @param {object} imported - The converted config.
+ * @returns {Array<{type: 'same' | 'add' | 'remove', text: string}>}
+ */
+function diffConfigs(current, imported) {
+    const oldLines = current ? JSON.stringify(current, null, 2).split('\n') : [];
+    const newLines = JSON.stringify(imported, null, 2).split('\n');
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            lines.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            lines.push({ type: 'remove', text: oldLines[i++] });
+        } else {
+            lines.push({ type: 'add', text: newLines[j++] });
+        }
+    }
+    return lines;
+}
+
+/**
+ * Reads a config file of another client and prepares the import preview.
+ * @param {string} filePath - The config file.
+ * @param {string | null} workspaceFolder - Folder that ${workspaceFolder} stands for, if known.
+ * @returns {{path: string, format: string, servers: Array<object>, secrets: Array<object>, warnings: Array<string>}}
+ *   Each server is { id, config, status: 'new' | 'changed' | 'unchanged', diff }.
+ */
+function readConfigForImport(filePath, workspaceFolder) {
+    const { format, servers, inputs } = extractServers(parseJsonWithComments(fs.readFileSync(filePath, 'utf8')));
+    const context = { workspaceFolder: workspaceFolder || guessWorkspaceFolder(filePath), inputs, secrets: new Map(), warnings: [] };
+    const currentServers = loadSettingsFunc().mcpServers || {};
+
+    const preview = Object.entries(servers).map(([serverId, entry]) => {
+        const config = convertServerEntry(serverId, entry, context);
+        if (!config) return null;
+        const current = currentServers[serverId];
+        const status = !current ? 'new' : JSON.stringify(current) === JSON.stringify(config) ? 'unchanged' : 'changed';
+        return { id: serverId, config, status, diff: diffConfigs(current, config) };
+    }).filter(Boolean);
+
+    const storedSecrets = listSecretNames();
+    const secrets = [...context.secrets.values()].map(secret => ({ ...secret, stored: storedSecrets.includes(secret.name) }));
+    console.log(`Prepared import of ${preview.length} MCP servers from ${filePath} (${format}).`);
+    return { path: filePath, format, servers: preview, secrets, warnings: context.warnings };
+}
+
+function initializeConfigImportHandlers(ipcMain, mainWindow, loadSettings) {
+    mainWindowInstance = mainWindow;
+    loadSettingsFunc = loadSettings;
+
+    // Handler for listing the known config file locations of other clients
+    ipcMain.handle('list-mcp-import-sources', async () => {
+        try {
+            return { success: true, sources: getConfigSources() };
+        } catch (error) {
+            console.error('Error listing MCP import sources:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handler for reading a config file for the import preview; without a path the user picks the file
+    ipcMain.handle('read-mcp-import-file', async (event, filePath, workspaceFolder) => {
+        try {
+            if (!filePath) {
+                const result = await dialog.showOpenDialog(mainWindowInstance, {
+                    title: 'Import MCP servers',
+                    properties: ['openFile'],
+                    filters: [{ name: 'JSON', extensions: ['json'] }, { name: 'All Files', extensions: ['*'] }]
+                });
+                if (result.canceled || result.filePaths.length === 0) {
+                    return { success: true, canceled: true };
+                }
+                filePath = result.filePaths[0];
+            }
+            return { success: true, ...readConfigForImport(filePath, workspaceFolder) };
+        } catch (error) {
+            console.error(`Error reading MCP config for import (${filePath}):`, error);
+            return { success: false, error: `Could not import ${filePath || 'the file'}: ${error.message}` };
+        }
+    });
+}
+
+module.exports = {
+    initializeConfigImportHandlers
+};
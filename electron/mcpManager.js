@@ -4,6 +4,21 @@ const { URL } = require('url'); // Import URL
 const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
 const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
 const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const {
+    ToolListChangedNotificationSchema,
+    ResourceListChangedNotificationSchema,
+    PromptListChangedNotificationSchema,
+    LoggingMessageNotificationSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const { countTokens } = require('./contextHandler');
+const { resolveSecretReferences } = require('./secretStore');
+const { getAccessToken, authorizeServer } = require('./mcpAuth');
+const { registerResourceNotifications } = require('./mcpResources');
+const { registerSamplingHandler } = require('./mcpSampling');
+const { registerRootsHandler } = require('./mcpRoots');
+const { initializeReconnectHandlers, handleConnectionLost, cancelReconnect, getReconnectStates } = require('./mcpReconnect');
+const { getSandboxProfile, runsInContainer, buildSandboxedSpawn } = require('./mcpSandbox');
 
 // State variables managed by this module
 let mcpClients = {};
@@ -11,6 +26,22 @@ let discoveredTools = [];
 const mcpServerLogs = {};
 const MAX_LOG_LINES = 500; // Limit stored log lines per server
 
+// Tools are exposed to the model as "<serverId>__<toolName>" so servers can share tool names
+const TOOL_NAME_SEPARATOR = '__';
+const MAX_TOOL_NAME_LENGTH = 64; // OpenAI-compatible APIs reject longer function names
+
+// Transports that connect to an already running server over HTTP instead of spawning a process
+const REMOTE_TRANSPORTS = ['sse', 'streamableHttp'];
+// Streamable HTTP session ids by server, so a reconnect can resume the server-side session
+const streamableHttpSessions = {};
+// Retry behaviour of the Streamable HTTP GET stream, which resumes from the last event id it received
+const STREAMABLE_HTTP_RECONNECTION = {
+  initialReconnectionDelay: 1000,
+  maxReconnectionDelay: 30000,
+  reconnectionDelayGrowFactor: 1.5,
+  maxRetries: 5
+};
+
 // Dependencies injected during initialization
 // let _ipcMainInstance; // Removed unused variable
 let appInstance;
@@ -18,12 +49,95 @@ let mainWindowInstance;
 let loadSettingsFunc;
 let resolveCommandPathFunc;
 
+// Builds the server-qualified tool name sent to the model, restricted to the characters function names allow
+function qualifyToolName(serverId, toolName, takenNames) {
+  const sanitize = (part) => String(part).replace(/[^a-zA-Z0-9_-]/g, '_');
+  const baseName = `${sanitize(serverId)}${TOOL_NAME_SEPARATOR}${sanitize(toolName)}`.slice(0, MAX_TOOL_NAME_LENGTH);
+  // Sanitizing or truncating can map two tools onto one name; number the later ones
+  let qualifiedName = baseName;
+  for (let suffix = 2; takenNames.has(qualifiedName); suffix++) {
+    const suffixText = `_${suffix}`;
+    qualifiedName = `${baseName.slice(0, MAX_TOOL_NAME_LENGTH - suffixText.length)}${suffixText}`;
+  }
+  return qualifiedName;
+}
+
+// Whether a tool is sent to the model, based on the per-server and per-tool toggles in settings
+function isToolEnabled(tool, settings) {
+  if ((settings?.disabledToolServers || []).includes(tool.serverId)) return false;
+  const disabledForServer = settings?.disabledTools?.[tool.serverId] || [];
+  return !disabledForServer.includes(tool.originalName || tool.name);
+}
+
+// Normalizes the transport of a server config; anything unknown is treated as stdio
+function getTransportType(serverConfig) {
+  return REMOTE_TRANSPORTS.includes(serverConfig?.transport) ? serverConfig.transport : 'stdio';
+}
+
+// Env vars of a stdio server config with ${secret:NAME} references resolved. Throws on an unknown secret.
+function resolveEnvSecrets(serverId, env) {
+  return Object.fromEntries(Object.entries(env || {}).map(([name, value]) => {
+    try {
+      return [name, resolveSecretReferences(value)];
+    } catch (error) {
+      throw new Error(`Env var '${name}' of ${serverId}: ${error.message}`);
+    }
+  }));
+}
+
+// Connection details for a remote (SSE / Streamable HTTP) server config, with ${secret:NAME} references in
+// header values resolved. Throws on a missing or invalid url or an unknown secret.
+function buildRemoteConnectionDetails(serverId, serverConfig) {
+  const transportType = getTransportType(serverConfig);
+  if (!serverConfig.url) throw new Error(`Missing 'url' for ${transportType} server ${serverId}.`);
+  try { new URL(serverConfig.url); } catch (e) { throw new Error(`Invalid 'url' for ${transportType} ${serverId}: ${e.message}`); }
+  const headers = {};
+  Object.entries(serverConfig.headers || {}).forEach(([name, value]) => {
+    if (!name || typeof value !== 'string') return;
+    try {
+      headers[name] = resolveSecretReferences(value);
+    } catch (error) {
+      throw new Error(`Header '${name}' of ${serverId}: ${error.message}`);
+    }
+  });
+  return {
+    transport: transportType,
+    url: serverConfig.url,
+    headers,
+    fallbackToSse: serverConfig.fallbackToSse !== false, // Only used by streamableHttp
+    oauth: serverConfig.oauth // Optional OAuth overrides, or false to never authorize
+  };
+}
+
+// Persists a settings update made from the MCP handlers
+function writeSettings(settings) {
+  const settingsPath = path.join(appInstance.getPath('userData'), 'settings.json');
+  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+}
+
+// Copy of the discovered tools for the renderer, with the servers sharing each tool's original name
+// and whether each tool is currently enabled
+function getAnnotatedTools() {
+  const settings = loadSettingsFunc ? loadSettingsFunc() : {};
+  const serversByOriginalName = {};
+  discoveredTools.forEach(tool => {
+    const original = tool.originalName || tool.name;
+    serversByOriginalName[original] = [...(serversByOriginalName[original] || []), tool.serverId];
+  });
+  return discoveredTools.map(tool => ({
+    ...tool,
+    collidesWith: serversByOriginalName[tool.originalName || tool.name].filter(serverId => serverId !== tool.serverId),
+    enabled: isToolEnabled(tool, settings)
+  }));
+}
+
 // Notify renderer process about MCP server status changes
 function notifyMcpServerStatus() {
   if (mainWindowInstance && !mainWindowInstance.isDestroyed() && mainWindowInstance.webContents) {
     mainWindowInstance.webContents.send('mcp-server-status-changed', {
-      tools: [...discoveredTools], // Send a copy
-      connectedServers: Object.keys(mcpClients)
+      tools: getAnnotatedTools(), // Send a copy
+      connectedServers: Object.keys(mcpClients),
+      reconnectStates: getReconnectStates()
     });
      console.log('Notified renderer of MCP status change.');
   } else {
@@ -38,6 +152,86 @@ function sendLogUpdate(serverId, logChunk) {
     }
 }
 
+// Appends lines to a server's log buffer and forwards them to open log viewers
+function appendServerLog(serverId, lines) {
+    mcpServerLogs[serverId] = [...(mcpServerLogs[serverId] || []), ...lines].slice(-MAX_LOG_LINES);
+    sendLogUpdate(serverId, lines.join('\n'));
+}
+
+// Maps a server's tools/list result to tool objects, qualifying names against the tools of the other servers
+function buildServerTools(serverId, tools) {
+    const otherTools = discoveredTools.filter(tool => tool.serverId !== serverId);
+    const takenNames = new Set(otherTools.map(t => t.name));
+    const serverTools = tools.map(tool => {
+        const originalName = tool.name || 'unnamed_tool';
+        const qualifiedName = qualifyToolName(serverId, originalName, takenNames);
+        takenNames.add(qualifiedName);
+        const description = tool.description || 'No description';
+        const inputSchema = tool.inputSchema || {};
+        return {
+            name: qualifiedName, // Name exposed to the model
+            originalName: originalName, // Name the server knows, used for callTool
+            description: description,
+            input_schema: inputSchema,
+            output_schema: tool.outputSchema, // Declared shape of structuredContent in results, if any
+            serverId: serverId,
+            // Approximate prompt cost of this tool's definition in the request's tools array
+            tokenEstimate: countTokens(JSON.stringify({
+                type: 'function',
+                function: { name: qualifiedName, description, parameters: inputSchema }
+            }))
+        };
+    });
+    const sharedNames = serverTools
+        .filter(tool => otherTools.some(other => other.originalName === tool.originalName))
+        .map(tool => tool.originalName);
+    if (sharedNames.length > 0) {
+        console.warn(`[${serverId}] Tool names also exposed by other servers (kept apart by server prefix): ${sharedNames.join(', ')}`);
+    }
+    return serverTools;
+}
+
+// Re-lists the tools of a connected server after it reported a change
+async function refreshServerTools(serverId, client) {
+    try {
+        const toolsResult = await client.listTools();
+        if (mcpClients[serverId] !== client) return; // Disconnected or reconnected in the meantime
+        const serverTools = buildServerTools(serverId, Array.isArray(toolsResult?.tools) ? toolsResult.tools : []);
+        discoveredTools = [...discoveredTools.filter(tool => tool.serverId !== serverId), ...serverTools];
+        console.log(`[${serverId}] Tool list changed, now ${serverTools.length} tools.`);
+        notifyMcpServerStatus();
+    } catch (error) {
+        console.error(`[${serverId}] Error refreshing tools after list change:`, error.message);
+    }
+}
+
+// Handles list_changed and logging notifications of a connected server.
+// Resources and prompts are listed on demand by the renderer, which only needs to know that they changed.
+function registerServerNotifications(serverId, client) {
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => refreshServerTools(serverId, client));
+
+    const notifyListChanged = (list) => {
+        console.log(`[${serverId}] ${list} list changed.`);
+        if (mainWindowInstance && !mainWindowInstance.isDestroyed() && mainWindowInstance.webContents) {
+            mainWindowInstance.webContents.send('mcp-list-changed', { serverId, list });
+        }
+    };
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => notifyListChanged('resources'));
+    client.setNotificationHandler(PromptListChangedNotificationSchema, () => notifyListChanged('prompts'));
+
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+        const { level, logger, data } = notification.params;
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        const prefix = `[${level}]${logger ? ` ${logger}:` : ''}`;
+        appendServerLog(serverId, text.split('\n').map(line => `${prefix} ${line}`));
+    });
+    // Without a level, servers decide themselves what to send
+    if (client.getServerCapabilities()?.logging) {
+        client.setLoggingLevel('info')
+            .catch(error => console.warn(`[${serverId}] Could not set logging level: ${error.message}`));
+    }
+}
+
 // Function to set up periodic health check for a server
 function setupServerHealthCheck(client, serverId, intervalMs) {
   // Clear existing interval for this client if any (safety measure)
@@ -64,49 +258,178 @@ function setupServerHealthCheck(client, serverId, intervalMs) {
       console.log(`[${serverId}] Health check successful.`);
     } catch (error) {
       console.error(`[${serverId}] Health check failed:`, error.message || error);
-
-      // --- Recovery / Disconnect Logic ---
-      clearInterval(client.healthCheckInterval); // Stop trying on this interval
-      client.healthCheckInterval = null; // Clear the stored interval ID
-
-      console.warn(`[${serverId}] Health check failed. Marking as disconnected and cleaning up.`);
-
-      // Clean up the failed client connection
-       if (mcpClients[serverId] === client) { // Ensure we're removing the correct client instance
-           delete mcpClients[serverId];
-           // Remove tools associated with this server
-           discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
-           // Clear logs for the failed server
-           delete mcpServerLogs[serverId];
-           // Notify renderer about the disconnection due to health check failure
-           notifyMcpServerStatus();
-
-           // Attempt to close the client connection gracefully, but don't wait indefinitely
-           try {
-               await client.close();
-               console.log(`[${serverId}] Closed client connection after health check failure.`);
-           } catch (closeError) {
-               console.error(`[${serverId}] Error closing client after health check failure: ${closeError.message}`);
-           }
-       } else {
-           console.warn(`[${serverId}] Client instance mismatch during health check failure cleanup. State might be inconsistent.`);
-       }
+      await handleServerLost(serverId, client, `Health check failed: ${error.message || error}`);
     }
   }, intervalMs);
 }
 
+// Cleans up a client whose connection was lost and hands the server to the reconnect supervisor.
+// Intentional closes remove the client from mcpClients first, so they never get here.
+async function handleServerLost(serverId, client, reason) {
+    if (mcpClients[serverId] !== client) return;
+    console.warn(`[${serverId}] Connection lost: ${reason}`);
+    if (client.healthCheckInterval) {
+        clearInterval(client.healthCheckInterval);
+        client.healthCheckInterval = null;
+    }
+    delete mcpClients[serverId];
+    discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
+    // Logs are kept so the cause stays visible while the server is reconnecting
+    appendServerLog(serverId, [`[Connection lost: ${reason}]`]);
+    handleConnectionLost(serverId, reason);
+    notifyMcpServerStatus();
+
+    try {
+        await client.close();
+        console.log(`[${serverId}] Closed client connection after it was lost.`);
+    } catch (closeError) {
+        console.error(`[${serverId}] Error closing lost client: ${closeError.message}`);
+    }
+}
+
+function createMcpClient() {
+    // Capabilities belong in the options; as part of the client info they would not be advertised
+    return new Client(
+        { name: "groq-desktop", version: appInstance.getVersion() },
+        { capabilities: { sampling: {}, roots: { listChanged: true } } }
+    );
+}
+
+// The SSE transport sends its headers on two paths: the long-lived GET event stream (eventSourceInit)
+// and the POSTed messages (requestInit)
+function createSseTransport(connectionDetails) {
+    const headers = connectionDetails.headers || {};
+    return new SSEClientTransport(new URL(connectionDetails.url), {
+        eventSourceInit: {
+            fetch: (url, init) => fetch(url, {
+                ...init,
+                headers: { ...headers, Accept: 'text/event-stream' }
+            })
+        },
+        requestInit: { headers }
+    });
+}
+
+// HTTP status of a failed remote request. StreamableHTTPError and SseError carry it as `code`;
+// rejected POSTs throw a plain Error with the status in the message.
+function getHttpStatus(error) {
+    if (typeof error?.code === 'number') return error.code;
+    const match = /\(HTTP (\d{3})\)/.exec(error?.message || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Connects a Streamable HTTP server. Resumes the server's previous session when one is known, starts a
+ * fresh session if the server no longer accepts it, and falls back to the older SSE transport when the
+ * server rejects the Streamable HTTP handshake (per the MCP backwards compatibility guidance).
+ * @param {string} serverId - The server id from settings.
+ * @param {object} connectionDetails - { url, headers, fallbackToSse }.
+ * @returns {Promise<{client: Client, transport: object}>} The connected client and the transport in use.
+ */
+async function connectStreamableHttp(serverId, connectionDetails) {
+    const url = new URL(connectionDetails.url);
+    const headers = connectionDetails.headers || {};
+    const previousSession = streamableHttpSessions[serverId];
+    const resumeSessionId = previousSession && previousSession.url === connectionDetails.url ? previousSession.sessionId : undefined;
+
+    const attempt = async (sessionId) => {
+        const client = createMcpClient();
+        const transport = new StreamableHTTPClientTransport(url, {
+            requestInit: { headers },
+            reconnectionOptions: STREAMABLE_HTTP_RECONNECTION,
+            sessionId
+        });
+        await client.connect(transport);
+        if (sessionId) {
+            // Client.connect skips initialization for an existing session, so make sure the server still knows it
+            await client.ping();
+        }
+        return { client, transport };
+    };
+
+    if (resumeSessionId) {
+        try {
+            console.log(`[${serverId}] Resuming Streamable HTTP session ${resumeSessionId}...`);
+            const connection = await attempt(resumeSessionId);
+            console.log(`[${serverId}] Resumed Streamable HTTP session.`);
+            return connection;
+        } catch (error) {
+            console.warn(`[${serverId}] Could not resume session ${resumeSessionId} (${error.message}), starting a new one.`);
+            delete streamableHttpSessions[serverId];
+        }
+    }
+
+    try {
+        const connection = await attempt(undefined);
+        if (connection.transport.sessionId) {
+            streamableHttpSessions[serverId] = { url: connectionDetails.url, sessionId: connection.transport.sessionId };
+            console.log(`[${serverId}] Streamable HTTP session ${connection.transport.sessionId} started.`);
+        }
+        return connection;
+    } catch (error) {
+        // 4xx (other than auth failures) means the endpoint does not speak Streamable HTTP
+        const status = getHttpStatus(error);
+        const isProtocolMismatch = status >= 400 && status < 500 && status !== 401 && status !== 403;
+        if (!connectionDetails.fallbackToSse || !isProtocolMismatch) throw error;
+
+        console.warn(`[${serverId}] Streamable HTTP handshake rejected (HTTP ${status}), falling back to SSE transport.`);
+        const client = createMcpClient();
+        const transport = createSseTransport(connectionDetails);
+        await client.connect(transport);
+        console.log(`[${serverId}] Connected using SSE fallback.`);
+        return { client, transport };
+    }
+}
+
+/**
+ * Connects an SSE or Streamable HTTP server. Unless the config sets its own Authorization header or
+ * `oauth: false`, a stored OAuth access token is sent and a 401 runs the authorization flow in
+ * mcpAuth.js, followed by one retry with the new token. The browser sign-in only runs when
+ * `connectionDetails.interactive` is set (connects the user started).
+ * @param {string} serverId - The server id from settings.
+ * @param {object} connectionDetails - From buildRemoteConnectionDetails.
+ * @returns {Promise<{client: Client, transport: object}>} The connected client and the transport in use.
+ */
+async function connectRemoteServer(serverId, connectionDetails) {
+    const connect = async (headers) => {
+        const details = { ...connectionDetails, headers };
+        if (details.transport === 'streamableHttp') return connectStreamableHttp(serverId, details);
+        const client = createMcpClient();
+        const transport = createSseTransport(details);
+        await client.connect(transport);
+        return { client, transport };
+    };
+
+    const configuredHeaders = connectionDetails.headers || {};
+    const hasAuthorizationHeader = Object.keys(configuredHeaders).some(name => name.toLowerCase() === 'authorization');
+    if (connectionDetails.oauth === false || hasAuthorizationHeader) {
+        return connect(configuredHeaders);
+    }
+
+    const withToken = (accessToken) => accessToken ? { ...configuredHeaders, Authorization: `Bearer ${accessToken}` } : configuredHeaders;
+    const storedToken = await getAccessToken(serverId, connectionDetails.url);
+    try {
+        return await connect(withToken(storedToken));
+    } catch (error) {
+        if (getHttpStatus(error) !== 401) throw error;
+        console.log(`[${serverId}] Server requires authorization (HTTP 401), starting OAuth flow...`);
+        const accessToken = await authorizeServer(serverId, connectionDetails.url, connectionDetails.oauth, { interactive: connectionDetails.interactive === true });
+        return connect(withToken(accessToken));
+    }
+}
+
 // Function to connect to an MCP server using process configuration
 async function connectMcpServerProcess(serverId, connectionDetails) {
     // --- Pre-connection Cleanup ---
     if (mcpClients[serverId]) {
         console.log(`[${serverId}] Cleaning up existing client/connection before new attempt.`);
         const oldClient = mcpClients[serverId];
+        delete mcpClients[serverId]; // Before closing, so the close is not taken for a lost connection
         if (oldClient.healthCheckInterval) clearInterval(oldClient.healthCheckInterval);
         if (oldClient.transport instanceof StdioClientTransport && oldClient.transport?.process?.stderr) {
             oldClient.transport.process.stderr.removeAllListeners();
         }
         try { await oldClient.close(); } catch (e) { console.warn(`Error closing previous client ${serverId}: ${e.message}`); }
-        delete mcpClients[serverId];
         discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
         delete mcpServerLogs[serverId];
         notifyMcpServerStatus(); // Notify UI about cleanup
@@ -115,7 +438,7 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
     // --- Validate Config ---
     const transportType = connectionDetails.transport || 'stdio';
     if (transportType === 'stdio' && !connectionDetails.command) throw new Error(`[${serverId}] Internal Error: Missing command for stdio.`);
-    if (transportType === 'sse' && !connectionDetails.url) throw new Error(`[${serverId}] Internal Error: Missing url for sse.`);
+    if (REMOTE_TRANSPORTS.includes(transportType) && !connectionDetails.url) throw new Error(`[${serverId}] Internal Error: Missing url for ${transportType}.`);
 
     // --- Determine Server Type & Timeouts ---
     let connectTimeout = 5000;
@@ -131,12 +454,13 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
     console.log(`Attempting ${transportType.toUpperCase()} connection to ${serverId}${transportType === 'stdio' ? ` cmd: ${connectionDetails.command}` : ` url: ${connectionDetails.url}`} (Conn T/O: ${connectTimeout}ms)`);
 
     // --- Create Client and Transport ---
-    const client = new Client({ name: "groq-desktop", version: appInstance.getVersion(), capabilities: { tools: true } });
+    let client = createMcpClient();
     let transport;
     try {
-        if (transportType === 'sse') {
-            const sseUrl = new URL(connectionDetails.url);
-            transport = new SSEClientTransport(sseUrl, {});
+        if (REMOTE_TRANSPORTS.includes(transportType)) {
+            // Remote transports are created in connectRemoteServer, which may retry after authorization,
+            // with a fresh session or with the SSE fallback
+            transport = null;
         } else { // stdio
             // Construct the PATH needed by the script
             const requiredPaths = [
@@ -157,17 +481,31 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
                 ...customEnvPath.split(':')
             ].filter((p, i, arr) => p && arr.indexOf(p) === i).join(':'); // Deduplicate and join
 
-            const finalEnv = {
-                 ...process.env, // Base environment
-                 ...connectionDetails.env, // Custom env from config
-                 PATH: combinedPath // Override with the combined PATH
-            };
+            let spawnOptions;
+            if (connectionDetails.sandbox) {
+                // Filtered env, own working directory and optionally a wrapper (see mcpSandbox.js)
+                spawnOptions = buildSandboxedSpawn(serverId, connectionDetails.sandbox, {
+                    command: connectionDetails.command,
+                    args: connectionDetails.args || [],
+                    env: resolveEnvSecrets(serverId, connectionDetails.env),
+                    searchPath: combinedPath,
+                    userDataPath: appInstance.getPath('userData')
+                });
+            } else {
+                spawnOptions = {
+                    command: connectionDetails.command,
+                    args: connectionDetails.args || [],
+                    env: {
+                        ...process.env, // Base environment
+                        ...resolveEnvSecrets(serverId, connectionDetails.env), // Custom env from config
+                        PATH: combinedPath // Override with the combined PATH
+                    },
+                    cwd: path.dirname(connectionDetails.command) // Set cwd to script's directory
+                };
+            }
 
             const transportOptions = {
-                command: connectionDetails.command,
-                args: connectionDetails.args || [],
-                env: finalEnv,
-                cwd: path.dirname(connectionDetails.command), // Set cwd to script's directory
+                ...spawnOptions,
                 connectTimeout: connectTimeout,
                 stderr: 'pipe'
             };
@@ -175,17 +513,28 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
         }
     } catch (transportError) {
          console.error(`[${serverId}] Error creating transport: ${transportError.message}`);
+         appendServerLog(serverId, [`[Connection failed: ${transportError.message}]`]);
          throw transportError;
     }
 
-    mcpServerLogs[serverId] = []; // Initialize log buffer
+    mcpServerLogs[serverId] = mcpServerLogs[serverId] || []; // Initialize log buffer, keeping lines from before a reconnect
 
     // --- Connection and Initialization Logic ---
     try {
         console.log(`[${serverId}] Connecting transport...`);
-        await client.connect(transport);
+        if (REMOTE_TRANSPORTS.includes(transportType)) {
+            ({ client, transport } = await connectRemoteServer(serverId, connectionDetails));
+        } else {
+            await client.connect(transport);
+        }
         mcpClients[serverId] = client; // Store client
         console.log(`[${serverId}] Transport connected.`);
+        // Exited processes and closed remote connections are reconnected by the supervisor
+        client.onclose = () => handleServerLost(serverId, client, transportType === 'stdio' ? 'Server process exited' : 'Connection closed');
+        registerResourceNotifications(serverId, client);
+        registerSamplingHandler(serverId, client);
+        registerRootsHandler(serverId, client);
+        registerServerNotifications(serverId, client);
 
         // --- Stderr Logging & Process Exit/Error Handling ---
         if (transport instanceof StdioClientTransport && transport.stderr) {
@@ -234,19 +583,14 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
         // --- Process Tools ---
         let serverTools = [];
         if (toolsResult && toolsResult.tools && Array.isArray(toolsResult.tools)) {
-             serverTools = toolsResult.tools.map(tool => ({
-                name: tool.name || 'unnamed_tool',
-                description: tool.description || 'No description',
-                input_schema: tool.inputSchema || {},
-                serverId: serverId
-            }));
+            serverTools = buildServerTools(serverId, toolsResult.tools);
             console.log(`[${serverId}] Discovered ${serverTools.length} tools.`);
         } else {
             console.warn(`[${serverId}] listTools returned no tools or invalid format.`);
         }
 
         // --- Update Global State and Notify ---
-        discoveredTools = [...discoveredTools, ...serverTools];
+        discoveredTools = [...discoveredTools.filter(tool => tool.serverId !== serverId), ...serverTools];
         setupServerHealthCheck(client, serverId, healthCheckIntervalMs);
         notifyMcpServerStatus();
 
@@ -256,20 +600,58 @@ async function connectMcpServerProcess(serverId, connectionDetails) {
         console.error(`[${serverId}] Failed to connect or initialize:`, error.message || error);
         // --- Error Handling and Cleanup ---
         if (mcpClients[serverId]) {
-            if (mcpClients[serverId].healthCheckInterval) clearInterval(mcpClients[serverId].healthCheckInterval);
-            try { await mcpClients[serverId].close(); } catch (e) { console.error(`[${serverId}] Error closing client on failure: ${e.message}`); }
+            const failedClient = mcpClients[serverId];
             delete mcpClients[serverId];
+            if (failedClient.healthCheckInterval) clearInterval(failedClient.healthCheckInterval);
+            try { await failedClient.close(); } catch (e) { console.error(`[${serverId}] Error closing client on failure: ${e.message}`); }
         }
         if (transport instanceof StdioClientTransport && transport.stderr) {
              transport.stderr.removeAllListeners();
         }
         discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
-        delete mcpServerLogs[serverId];
+        appendServerLog(serverId, [`[Connection failed: ${error.message || error}]`]);
         notifyMcpServerStatus();
         throw error; // Re-throw
     }
 }
 
+// Connection details for a configured server, as used by the automatic connects
+function buildConnectionDetails(serverId, serverConfig) {
+    const transportType = getTransportType(serverConfig);
+    if (REMOTE_TRANSPORTS.includes(transportType)) {
+        return buildRemoteConnectionDetails(serverId, serverConfig);
+    }
+    if (!serverConfig.command) throw new Error(`Missing 'command' for stdio server ${serverId}.`);
+    const sandbox = getSandboxProfile(serverConfig);
+    return {
+        transport: transportType,
+        // A containerized command is looked up inside the image, not on the host
+        command: runsInContainer(sandbox) ? serverConfig.command : resolveCommandPathFunc(serverConfig.command),
+        args: serverConfig.args || [],
+        env: serverConfig.env || {},
+        sandbox
+    };
+}
+
+// Reconnects a server from its current settings; called by the reconnect supervisor
+async function reconnectServer(serverId) {
+    const settings = loadSettingsFunc();
+    const serverConfig = settings.mcpServers?.[serverId];
+    if (!serverConfig || settings.disabledMcpServers?.includes(serverId)) {
+        const error = new Error('The server was removed or disabled.');
+        error.permanent = true;
+        throw error;
+    }
+    let connectionDetails;
+    try {
+        connectionDetails = buildConnectionDetails(serverId, serverConfig);
+    } catch (configError) {
+        configError.permanent = true; // Retrying cannot fix the configuration
+        throw configError;
+    }
+    await connectMcpServerProcess(serverId, connectionDetails);
+}
+
 // Function to connect to all configured MCP servers from settings
 async function connectConfiguredMcpServers() {
     if (!loadSettingsFunc || !resolveCommandPathFunc) {
@@ -300,20 +682,7 @@ async function connectConfiguredMcpServers() {
 
     const connectionPromises = serverConfigs.map(async ([serverId, serverConfig]) => {
       try {
-        const transportType = serverConfig.transport === 'sse' ? 'sse' : 'stdio';
-        let connectionDetails = { transport: transportType };
-
-        if (transportType === 'sse') {
-            if (!serverConfig.url) throw new Error(`Missing 'url' for SSE server ${serverId}.`);
-            try { new URL(serverConfig.url); connectionDetails.url = serverConfig.url; } catch (e) { throw new Error(`Invalid 'url' for SSE ${serverId}: ${e.message}`); }
-        } else { // stdio
-            if (!serverConfig.command) throw new Error(`Missing 'command' for stdio server ${serverId}.`);
-            connectionDetails.command = resolveCommandPathFunc(serverConfig.command);
-            connectionDetails.args = serverConfig.args || [];
-            connectionDetails.env = serverConfig.env || {};
-        }
-
-        await connectMcpServerProcess(serverId, connectionDetails);
+        await connectMcpServerProcess(serverId, buildConnectionDetails(serverId, serverConfig));
         console.log(`Successfully connected to MCP server: ${serverId}`);
         return { status: 'fulfilled', serverId };
       } catch (error) {
@@ -340,20 +709,23 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
     mainWindowInstance = mainWindow;
     loadSettingsFunc = loadSettings;
     resolveCommandPathFunc = resolveCommandPath;
+    initializeReconnectHandlers(ipcMain, loadSettings, reconnectServer, notifyMcpServerStatus);
 
     console.log("MCPManager Initialized.");
 
     // Handler for connecting to an MCP server
     ipcMain.handle('connect-mcp-server', async (event, serverConfig) => {
+      const isRemote = REMOTE_TRANSPORTS.includes(serverConfig?.transport);
       if (!serverConfig || !serverConfig.id ||
-          (serverConfig.transport === 'sse' && !serverConfig.url) ||
-          (serverConfig.transport !== 'sse' && !serverConfig.command && !serverConfig.scriptPath)) {
+          (isRemote && !serverConfig.url) ||
+          (!isRemote && !serverConfig.command && !serverConfig.scriptPath)) {
           console.error("Invalid serverConfig for connect-mcp-server:", serverConfig);
-          return { success: false, error: "Invalid server configuration.", tools: [], allTools: discoveredTools };
+          return { success: false, error: "Invalid server configuration.", tools: [], allTools: getAnnotatedTools() };
       }
 
       try {
-        const { id, scriptPath, command, args, env, transport, url } = serverConfig;
+        const { id, scriptPath, command, args, env } = serverConfig;
+        cancelReconnect(id); // A manual connect takes over from the supervisor
         const settings = loadSettingsFunc();
         if (settings.disabledMcpServers?.includes(id)) {
             settings.disabledMcpServers = settings.disabledMcpServers.filter(serverId => serverId !== id);
@@ -365,39 +737,40 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
             } catch (saveError) { console.error(`Failed to save settings after enabling ${id}:`, saveError); }
         }
 
-        let connectionDetails = { transport: transport || 'stdio' };
+        let connectionDetails = { transport: getTransportType(serverConfig) };
 
-        if (connectionDetails.transport === 'sse') {
-            if (!url) return { success: false, error: `Missing 'url' for SSE server ${id}`, tools: [], allTools: discoveredTools };
-            try { new URL(url); connectionDetails.url = url; } catch (e) { return { success: false, error: `Invalid 'url' for SSE ${id}: ${e.message}`, tools: [], allTools: discoveredTools }; }
+        if (isRemote) {
+            // A connect from the UI may open the browser to sign in; automatic (re)connects may not
+            try { connectionDetails = { ...buildRemoteConnectionDetails(id, serverConfig), interactive: true }; } catch (e) { return { success: false, error: e.message, tools: [], allTools: getAnnotatedTools() }; }
         } else { // stdio
+            connectionDetails.sandbox = getSandboxProfile(serverConfig);
             if (command) {
-                const resolvedCommand = resolveCommandPathFunc(command);
+                const resolvedCommand = runsInContainer(connectionDetails.sandbox) ? command : resolveCommandPathFunc(command);
                 connectionDetails.command = resolvedCommand;
                 connectionDetails.args = args || [];
                 connectionDetails.env = env || {};
             } else if (scriptPath) { // Handle legacy scriptPath if needed
                 const absoluteScriptPath = path.resolve(scriptPath);
-                if (!fs.existsSync(absoluteScriptPath)) return { success: false, error: `Script not found: ${absoluteScriptPath}`, tools: [], allTools: discoveredTools };
+                if (!fs.existsSync(absoluteScriptPath)) return { success: false, error: `Script not found: ${absoluteScriptPath}`, tools: [], allTools: getAnnotatedTools() };
                 const isJs = absoluteScriptPath.endsWith('.js');
                 const isPy = absoluteScriptPath.endsWith('.py');
-                if (!isJs && !isPy) return { success: false, error: "Script must be .js or .py", tools: [], allTools: discoveredTools };
+                if (!isJs && !isPy) return { success: false, error: "Script must be .js or .py", tools: [], allTools: getAnnotatedTools() };
                 const scriptCommand = isPy ? (process.platform === "win32" ? "python" : "python3") : process.execPath;
                 connectionDetails.command = scriptCommand;
                 connectionDetails.args = [absoluteScriptPath, ...(args || [])];
                 connectionDetails.env = env || {};
                 console.log(`Using script path for ${id}: ${scriptCommand} ${absoluteScriptPath}`);
             } else {
-                return { success: false, error: `Internal Error: No command/scriptPath for stdio ${id}.`, tools: [], allTools: discoveredTools };
+                return { success: false, error: `Internal Error: No command/scriptPath for stdio ${id}.`, tools: [], allTools: getAnnotatedTools() };
             }
         }
 
         const result = await connectMcpServerProcess(id, connectionDetails);
-        return { success: true, tools: result.tools || [], allTools: discoveredTools };
+        return { success: true, tools: result.tools || [], allTools: getAnnotatedTools() };
 
       } catch (error) {
         console.error(`Error connecting MCP server (${serverConfig?.id || '?'}):`, error);
-        return { success: false, error: error.message || "Connection error.", tools: [], allTools: discoveredTools };
+        return { success: false, error: error.message || "Connection error.", tools: [], allTools: getAnnotatedTools() };
       }
     });
 
@@ -405,10 +778,11 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
     ipcMain.handle('disconnect-mcp-server', async (event, serverId) => {
         if (!serverId || typeof serverId !== 'string') {
             console.error("Invalid serverId for disconnect:", serverId);
-            return { success: false, error: "Invalid Server ID.", allTools: discoveredTools };
+            return { success: false, error: "Invalid Server ID.", allTools: getAnnotatedTools() };
         }
 
         try {
+            cancelReconnect(serverId);
             const settings = loadSettingsFunc();
             if (!settings.disabledMcpServers) settings.disabledMcpServers = [];
             if (!settings.disabledMcpServers.includes(serverId)) {
@@ -424,30 +798,79 @@ function initializeMcpHandlers(ipcMain, app, mainWindow, loadSettings, resolveCo
             if (mcpClients[serverId]) {
                 const client = mcpClients[serverId];
                 if (client.healthCheckInterval) clearInterval(client.healthCheckInterval);
+                // An explicit disconnect ends the Streamable HTTP session instead of keeping it for resumption
+                if (client.transport instanceof StreamableHTTPClientTransport && client.transport.sessionId) {
+                    try { await client.transport.terminateSession(); console.log(`Terminated session for ${serverId}`); } catch(e) { console.warn(`Error terminating session for ${serverId}: ${e.message}`); }
+                }
+                delete streamableHttpSessions[serverId];
+                delete mcpClients[serverId]; // Before closing, so the close is not taken for a lost connection
                 try { await client.close(); console.log(`Closed connection to ${serverId}`); } catch(e) { console.error(`Error closing client ${serverId}:`, e); }
-                delete mcpClients[serverId];
                 const initialToolCount = discoveredTools.length;
                 discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
                 console.log(`Removed ${initialToolCount - discoveredTools.length} tools for ${serverId}`);
                 delete mcpServerLogs[serverId]; // Clear logs on disconnect
                 notifyMcpServerStatus();
-                return { success: true, allTools: discoveredTools };
+                return { success: true, allTools: getAnnotatedTools() };
             } else {
                 console.log(`No active client found for ${serverId} to disconnect.`);
                 discoveredTools = discoveredTools.filter(t => t.serverId !== serverId);
                 delete mcpServerLogs[serverId]; // Ensure logs are cleared even if client was lost
                 notifyMcpServerStatus();
-                return { success: true, message: "No active client found.", allTools: discoveredTools };
+                return { success: true, message: "No active client found.", allTools: getAnnotatedTools() };
             }
         } catch (error) {
             console.error(`Error disconnecting ${serverId}:`, error);
-            return { success: false, error: error.message || "Disconnection error.", allTools: discoveredTools };
+            return { success: false, error: error.message || "Disconnection error.", allTools: getAnnotatedTools() };
         }
     });
 
     // Handler for getting all discovered tools
     ipcMain.handle('get-mcp-tools', async () => {
-      return { tools: [...discoveredTools] }; // Return a copy
+      return { tools: getAnnotatedTools() }; // Return a copy
+    });
+
+    // Handler for enabling/disabling a single tool (by the server's own tool name)
+    ipcMain.handle('set-tool-enabled', async (event, serverId, toolName, enabled) => {
+        if (!serverId || !toolName) {
+            return { success: false, error: "Invalid server ID or tool name.", allTools: getAnnotatedTools() };
+        }
+        try {
+            const settings = loadSettingsFunc();
+            const disabledTools = { ...(settings.disabledTools || {}) };
+            const disabledForServer = (disabledTools[serverId] || []).filter(name => name !== toolName);
+            if (!enabled) disabledForServer.push(toolName);
+            if (disabledForServer.length > 0) {
+                disabledTools[serverId] = disabledForServer;
+            } else {
+                delete disabledTools[serverId];
+            }
+            writeSettings({ ...settings, disabledTools });
+            console.log(`Tool ${toolName} on ${serverId} ${enabled ? 'enabled' : 'disabled'}.`);
+            notifyMcpServerStatus();
+            return { success: true, allTools: getAnnotatedTools() };
+        } catch (error) {
+            console.error(`Error updating tool toggle for ${serverId}/${toolName}:`, error);
+            return { success: false, error: error.message, allTools: getAnnotatedTools() };
+        }
+    });
+
+    // Handler for enabling/disabling all tools of a server without disconnecting it
+    ipcMain.handle('set-tool-server-enabled', async (event, serverId, enabled) => {
+        if (!serverId) {
+            return { success: false, error: "Invalid Server ID.", allTools: getAnnotatedTools() };
+        }
+        try {
+            const settings = loadSettingsFunc();
+            const disabledToolServers = (settings.disabledToolServers || []).filter(id => id !== serverId);
+            if (!enabled) disabledToolServers.push(serverId);
+            writeSettings({ ...settings, disabledToolServers });
+            console.log(`Tools of server ${serverId} ${enabled ? 'enabled' : 'disabled'}.`);
+            notifyMcpServerStatus();
+            return { success: true, allTools: getAnnotatedTools() };
+        } catch (error) {
+            console.error(`Error updating tool toggle for server ${serverId}:`, error);
+            return { success: false, error: error.message, allTools: getAnnotatedTools() };
+        }
     });
 
     // Handler for getting MCP server logs
@@ -473,6 +896,7 @@ function getMcpState() {
 module.exports = {
     initializeMcpHandlers,
     connectConfiguredMcpServers,
-    getMcpState // Export getter for state
+    getMcpState, // Export getter for state
+    isToolEnabled
     // Expose connectMcpServerProcess or others only if absolutely necessary outside this module
 }; 
\ No newline at end of file
@@ -0,0 +1,105 @@
+// MCP prompts: prompt templates of connected servers, offered as slash commands in the chat input
+
+let getMcpStateFunc;
+
+/**
+ * Lists the prompts of every connected server that offers prompts.
+ * @returns {Promise<Array<{serverId: string, name: string, description?: string, arguments: Array}>>}
+ */
+async function listServerPrompts() {
+    const { mcpClients } = getMcpStateFunc();
+    const perServer = await Promise.all(Object.entries(mcpClients)
+        .filter(([, client]) => client.getServerCapabilities()?.prompts)
+        .map(async ([serverId, client]) => {
+            try {
+                const prompts = [];
+                let cursor;
+                do {
+                    const result = await client.listPrompts(cursor ? { cursor } : undefined);
+                    prompts.push(...(result.prompts || []));
+                    cursor = result.nextCursor;
+                } while (cursor);
+                return prompts.map(prompt => ({
+                    serverId,
+                    name: prompt.name,
+                    description: prompt.description,
+                    arguments: prompt.arguments || []
+                }));
+            } catch (error) {
+                console.error(`[${serverId}] Error listing prompts:`, error.message);
+                return [];
+            }
+        }));
+    return perServer.flat();
+}
+
+// Converts one content item of a prompt message into a chat message part
+function toContentPart(content) {
+    switch (content.type) {
+        case 'text':
+            return { type: 'text', text: content.text };
+        case 'image':
+            return { type: 'image_url', image_url: { url: `data:${content.mimeType};base64,${content.data}` } };
+        case 'resource': {
+            const resource = content.resource;
+            if (typeof resource.text === 'string') {
+                return { type: 'file_content', name: resource.uri, content: resource.text };
+            }
+            if (resource.mimeType?.startsWith('image/')) {
+                return { type: 'image_url', image_url: { url: `data:${resource.mimeType};base64,${resource.blob}` } };
+            }
+            return { type: 'text', text: `[Binary resource not included: ${resource.uri} (${resource.mimeType || 'unknown type'})]` };
+        }
+        default:
+            return { type: 'text', text: `[Unsupported ${content.type} content not included]` };
+    }
+}
+
+/**
+ * Converts prompts/get messages into chat messages: user messages get structured content
+ * (as sent by the chat input), assistant messages plain text.
+ * @param {Array<{role: string, content: object}>} promptMessages - Messages returned by the server.
+ * @returns {Array<{role: string, content: string | Array}>}
+ */
+function toChatMessages(promptMessages) {
+    return promptMessages.map(({ role, content }) => {
+        const part = toContentPart(content);
+        if (role === 'assistant') {
+            const text = part.type === 'file_content' ? `[Content of file: ${part.name}]\n\n${part.content}` : (part.text || '');
+            return { role, content: text };
+        }
+        return { role: 'user', content: [part] };
+    });
+}
+
+function initializePromptHandlers(ipcMain, getMcpState) {
+    getMcpStateFunc = getMcpState;
+
+    // Handler for listing prompts of all connected servers
+    ipcMain.handle('get-mcp-prompts', async () => {
+        try {
+            return { success: true, prompts: await listServerPrompts() };
+        } catch (error) {
+            console.error('Error listing MCP prompts:', error);
+            return { success: false, error: error.message, prompts: [] };
+        }
+    });
+
+    // Handler for expanding a prompt with the user's arguments
+    ipcMain.handle('get-mcp-prompt', async (event, serverId, name, args) => {
+        try {
+            const client = getMcpStateFunc().mcpClients[serverId];
+            if (!client) throw new Error(`Server ${serverId} is not connected.`);
+            const result = await client.getPrompt({ name, arguments: args || {} });
+            console.log(`[${serverId}] Expanded prompt "${name}" into ${result.messages.length} messages`);
+            return { success: true, description: result.description, messages: toChatMessages(result.messages) };
+        } catch (error) {
+            console.error(`[${serverId}] Error getting prompt "${name}":`, error.message);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializePromptHandlers
+};
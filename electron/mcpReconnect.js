@@ -0,0 +1,154 @@
+// Supervised reconnects of MCP servers whose connection was lost (failed health check, exited process, closed transport).
+// Attempts back off exponentially with jitter and are capped per server; a server that keeps losing its
+// connection right after reconnecting is treated as crash-looping and given up on.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+// This many lost connections within the window stop the reconnects even if attempts remain
+const CRASH_LOOP_LOSSES = 3;
+const CRASH_LOOP_WINDOW_MS = 5 * 60000;
+
+let loadSettingsFunc;
+let reconnectServerFunc;
+let onStateChangeFunc;
+
+// serverId -> { status: 'reconnecting' | 'failed', attempt, maxAttempts, nextAttemptAt, lastError, timer }
+const reconnectStates = {};
+const recentLosses = {}; // serverId -> timestamps of lost connections within the crash loop window
+
+/**
+ * Resolves how often a server is reconnected: `mcpReconnectLimits[serverId].maxAttempts` overrides
+ * `mcpReconnectMaxAttempts`. 0 turns automatic reconnects off.
+ * @param {object} settings - The current application settings.
+ * @param {string} serverId - The server id.
+ * @returns {number}
+ */
+function getMaxAttempts(settings, serverId) {
+    const isAttemptCount = (value) => Number.isInteger(value) && value >= 0;
+    const override = settings.mcpReconnectLimits?.[serverId]?.maxAttempts;
+    if (isAttemptCount(override)) return override;
+    return isAttemptCount(settings.mcpReconnectMaxAttempts) ? settings.mcpReconnectMaxAttempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+// Exponential delay for an attempt (1s, 2s, 4s, ... up to 60s); half of it is random so servers that
+// failed together do not reconnect in lockstep
+function getBackoffDelay(attempt) {
+    const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+function setState(serverId, state) {
+    if (state) {
+        reconnectStates[serverId] = state;
+    } else {
+        delete reconnectStates[serverId];
+    }
+    onStateChangeFunc?.();
+}
+
+function failPermanently(serverId, lastError, maxAttempts) {
+    console.warn(`[${serverId}] Giving up on reconnecting: ${lastError}`);
+    setState(serverId, { status: 'failed', attempt: 0, maxAttempts, nextAttemptAt: null, lastError, timer: null });
+}
+
+function scheduleAttempt(serverId, attempt, lastError) {
+    const maxAttempts = getMaxAttempts(loadSettingsFunc(), serverId);
+    if (maxAttempts === 0) {
+        failPermanently(serverId, `${lastError} (automatic reconnect is off)`, maxAttempts);
+        return;
+    }
+    if (attempt > maxAttempts) {
+        failPermanently(serverId, `${lastError} (gave up after ${maxAttempts} attempts)`, maxAttempts);
+        return;
+    }
+    const delay = getBackoffDelay(attempt);
+    console.log(`[${serverId}] Reconnect attempt ${attempt}/${maxAttempts} in ${delay}ms.`);
+    const state = { status: 'reconnecting', attempt, maxAttempts, nextAttemptAt: Date.now() + delay, lastError, timer: null };
+    state.timer = setTimeout(() => runAttempt(serverId, state), delay);
+    setState(serverId, state);
+}
+
+async function runAttempt(serverId, state) {
+    if (reconnectStates[serverId] !== state) return; // Cancelled by a manual connect or disconnect
+    state.timer = null;
+    state.nextAttemptAt = null;
+    onStateChangeFunc?.();
+    try {
+        await reconnectServerFunc(serverId);
+        console.log(`[${serverId}] Reconnected on attempt ${state.attempt}.`);
+        if (reconnectStates[serverId] === state) setState(serverId, null);
+    } catch (error) {
+        if (reconnectStates[serverId] !== state) return;
+        console.error(`[${serverId}] Reconnect attempt ${state.attempt} failed:`, error.message);
+        if (error.permanent) {
+            failPermanently(serverId, error.message, state.maxAttempts);
+        } else {
+            scheduleAttempt(serverId, state.attempt + 1, error.message);
+        }
+    }
+}
+
+/**
+ * Starts reconnecting a server whose connection was lost, unless it is crash-looping.
+ * @param {string} serverId - The server id.
+ * @param {string} reason - Why the connection was lost, shown in the Tools panel.
+ */
+function handleConnectionLost(serverId, reason) {
+    cancelTimer(serverId);
+    const now = Date.now();
+    const losses = [...(recentLosses[serverId] || []).filter(timestamp => now - timestamp < CRASH_LOOP_WINDOW_MS), now];
+    recentLosses[serverId] = losses;
+    if (losses.length >= CRASH_LOOP_LOSSES) {
+        failPermanently(serverId, `${reason} (crash loop: connection lost ${losses.length} times within ${CRASH_LOOP_WINDOW_MS / 60000} minutes)`, getMaxAttempts(loadSettingsFunc(), serverId));
+        return;
+    }
+    scheduleAttempt(serverId, 1, reason);
+}
+
+function cancelTimer(serverId) {
+    const timer = reconnectStates[serverId]?.timer;
+    if (timer) clearTimeout(timer);
+}
+
+/**
+ * Stops supervising a server, e.g. because the user connected or disconnected it manually.
+ * Also forgets its recent losses, so a manual reconnect starts without crash loop history.
+ * @param {string} serverId - The server id.
+ */
+function cancelReconnect(serverId) {
+    delete recentLosses[serverId];
+    if (!reconnectStates[serverId]) return;
+    cancelTimer(serverId);
+    console.log(`[${serverId}] Automatic reconnect cancelled.`);
+    setState(serverId, null);
+}
+
+// Reconnect states for the renderer, without the timer handles
+function getReconnectStates() {
+    return Object.fromEntries(Object.entries(reconnectStates).map(([serverId, state]) => [serverId, {
+        status: state.status,
+        attempt: state.attempt,
+        maxAttempts: state.maxAttempts,
+        nextAttemptAt: state.nextAttemptAt,
+        lastError: state.lastError
+    }]));
+}
+
+function initializeReconnectHandlers(ipcMain, loadSettings, reconnectServer, onStateChange) {
+    loadSettingsFunc = loadSettings;
+    reconnectServerFunc = reconnectServer;
+    onStateChangeFunc = onStateChange;
+
+    // Handler for the reconnect states shown in the Tools panel
+    ipcMain.handle('get-mcp-reconnect-states', async () => {
+        return { success: true, states: getReconnectStates() };
+    });
+}
+
+module.exports = {
+    initializeReconnectHandlers,
+    handleConnectionLost,
+    cancelReconnect,
+    getReconnectStates
+};
@@ -0,0 +1,176 @@
+const { ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { UriTemplate } = require('@modelcontextprotocol/sdk/shared/uriTemplate.js');
+
+// MCP resources: listing, reading and update subscriptions for resources attached in the chat input
+
+let mainWindowInstance;
+let getMcpStateFunc;
+
+// Subscribed resource URIs by server, counted per attachment so two attachments of one resource share a subscription
+const resourceSubscriptions = {};
+
+function sendToRenderer(channel, payload) {
+    if (mainWindowInstance && !mainWindowInstance.isDestroyed() && mainWindowInstance.webContents) {
+        mainWindowInstance.webContents.send(channel, payload);
+    }
+}
+
+function getConnectedClient(serverId) {
+    const client = getMcpStateFunc().mcpClients[serverId];
+    if (!client) throw new Error(`Server ${serverId} is not connected.`);
+    return client;
+}
+
+// Collects every page of a paginated list request
+async function listAllPages(listPage, itemsKey) {
+    const items = [];
+    let cursor;
+    do {
+        const result = await listPage(cursor ? { cursor } : undefined);
+        items.push(...(result[itemsKey] || []));
+        cursor = result.nextCursor;
+    } while (cursor);
+    return items;
+}
+
+/**
+ * Lists resources and resource templates of every connected server that offers resources.
+ * @returns {Promise<Array<{serverId: string, resources: Array, resourceTemplates: Array, subscribable: boolean, error?: string}>>}
+ */
+async function listServerResources() {
+    const { mcpClients } = getMcpStateFunc();
+    return Promise.all(Object.entries(mcpClients)
+        .filter(([, client]) => client.getServerCapabilities()?.resources)
+        .map(async ([serverId, client]) => {
+            const subscribable = client.getServerCapabilities().resources.subscribe === true;
+            try {
+                const [resources, resourceTemplates] = await Promise.all([
+                    listAllPages(params => client.listResources(params), 'resources'),
+                    // Templates are optional; servers without them answer "method not found"
+                    listAllPages(params => client.listResourceTemplates(params), 'resourceTemplates').catch(() => [])
+                ]);
+                return { serverId, resources, resourceTemplates, subscribable };
+            } catch (error) {
+                console.error(`[${serverId}] Error listing resources:`, error.message);
+                return { serverId, resources: [], resourceTemplates: [], subscribable, error: error.message };
+            }
+        }));
+}
+
+/**
+ * Reads a resource, expanding a URI template first when variables are given.
+ * @param {string} serverId - The server id.
+ * @param {string} uri - A resource URI, or a URI template (RFC 6570) when `variables` is set.
+ * @param {object} [variables] - Template variables.
+ * @returns {Promise<{uri: string, contents: Array<{uri: string, mimeType?: string, text?: string, blob?: string}>}>}
+ */
+async function readServerResource(serverId, uri, variables) {
+    const client = getConnectedClient(serverId);
+    const resolvedUri = variables ? new UriTemplate(uri).expand(variables) : uri;
+    const result = await client.readResource({ uri: resolvedUri });
+    return { uri: resolvedUri, contents: result.contents || [] };
+}
+
+/**
+ * Registers the resource update handler on a newly connected client and restores its subscriptions.
+ * Called by mcpManager after every successful connection.
+ * @param {string} serverId - The server id.
+ * @param {Client} client - The connected MCP client.
+ */
+function registerResourceNotifications(serverId, client) {
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, async (notification) => {
+        const uri = notification.params.uri;
+        console.log(`[${serverId}] Resource updated: ${uri}`);
+        try {
+            const result = await client.readResource({ uri });
+            sendToRenderer('mcp-resource-updated', { serverId, uri, contents: result.contents || [] });
+        } catch (error) {
+            console.error(`[${serverId}] Error re-reading updated resource ${uri}:`, error.message);
+        }
+    });
+
+    // A reconnect starts a new server session, which has no subscriptions yet
+    const subscribed = resourceSubscriptions[serverId];
+    if (subscribed && subscribed.size > 0 && client.getServerCapabilities()?.resources?.subscribe) {
+        subscribed.forEach((count, uri) => {
+            client.subscribeResource({ uri })
+                .catch(error => console.warn(`[${serverId}] Could not restore subscription to ${uri}: ${error.message}`));
+        });
+    }
+}
+
+function initializeResourceHandlers(ipcMain, mainWindow, getMcpState) {
+    mainWindowInstance = mainWindow;
+    getMcpStateFunc = getMcpState;
+
+    // Handler for listing resources and templates of all connected servers
+    ipcMain.handle('get-mcp-resources', async () => {
+        try {
+            return { success: true, servers: await listServerResources() };
+        } catch (error) {
+            console.error('Error listing MCP resources:', error);
+            return { success: false, error: error.message, servers: [] };
+        }
+    });
+
+    // Handler for reading a resource (or an expanded resource template)
+    ipcMain.handle('read-mcp-resource', async (event, serverId, uri, variables) => {
+        try {
+            const result = await readServerResource(serverId, uri, variables);
+            console.log(`[${serverId}] Read resource ${result.uri} (${result.contents.length} content items)`);
+            return { success: true, ...result };
+        } catch (error) {
+            console.error(`[${serverId}] Error reading resource ${uri}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handler for subscribing to updates of an attached resource
+    ipcMain.handle('subscribe-mcp-resource', async (event, serverId, uri) => {
+        try {
+            const client = getConnectedClient(serverId);
+            if (!client.getServerCapabilities()?.resources?.subscribe) {
+                return { success: false, error: `Server ${serverId} does not support resource subscriptions.` };
+            }
+            const subscribed = resourceSubscriptions[serverId] || (resourceSubscriptions[serverId] = new Map());
+            const count = subscribed.get(uri) || 0;
+            if (count === 0) {
+                await client.subscribeResource({ uri });
+                console.log(`[${serverId}] Subscribed to ${uri}`);
+            }
+            subscribed.set(uri, count + 1);
+            return { success: true };
+        } catch (error) {
+            console.error(`[${serverId}] Error subscribing to ${uri}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handler for dropping a subscription when its attachment is removed or sent
+    ipcMain.handle('unsubscribe-mcp-resource', async (event, serverId, uri) => {
+        const subscribed = resourceSubscriptions[serverId];
+        const count = subscribed?.get(uri) || 0;
+        if (count === 0) return { success: true };
+        if (count > 1) {
+            subscribed.set(uri, count - 1);
+            return { success: true };
+        }
+        subscribed.delete(uri);
+        try {
+            const client = getMcpStateFunc().mcpClients[serverId];
+            if (client) {
+                await client.unsubscribeResource({ uri });
+                console.log(`[${serverId}] Unsubscribed from ${uri}`);
+            }
+            return { success: true };
+        } catch (error) {
+            console.warn(`[${serverId}] Error unsubscribing from ${uri}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeResourceHandlers,
+    registerResourceNotifications
+};
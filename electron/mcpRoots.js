@@ -0,0 +1,88 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { dialog } = require('electron');
+const { ListRootsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+// MCP roots: workspace folders the user has shared with servers (settings.mcpRoots, answered on roots/list)
+
+let mainWindowInstance;
+let loadSettingsFunc;
+let getMcpStateFunc;
+let advertisedRootsKey = null; // Roots as last announced to the servers, to detect changes on save
+
+/**
+ * Builds the roots/list answer from the configured workspace folders.
+ * @param {object} settings - The current application settings.
+ * @returns {Array<{uri: string, name: string}>}
+ */
+function getRoots(settings) {
+    return (settings.mcpRoots || [])
+        .filter(root => root && root.path)
+        .map(root => ({ uri: pathToFileURL(root.path).href, name: root.name || path.basename(root.path) }));
+}
+
+/**
+ * Registers the roots/list handler on a newly connected client.
+ * The client must advertise the `roots` capability (see createMcpClient in mcpManager).
+ * @param {string} serverId - The server id.
+ * @param {Client} client - The connected MCP client.
+ */
+function registerRootsHandler(serverId, client) {
+    client.setRequestHandler(ListRootsRequestSchema, async () => {
+        const roots = getRoots(loadSettingsFunc());
+        console.log(`[${serverId}] Listing ${roots.length} roots`);
+        return { roots };
+    });
+}
+
+/**
+ * Sends roots/list_changed to every connected server if the shared folders differ from the last announced ones.
+ * Called after settings are saved.
+ * @param {object} settings - The saved settings.
+ */
+function notifyRootsChanged(settings) {
+    if (!getMcpStateFunc) return;
+    const rootsKey = JSON.stringify(getRoots(settings));
+    if (rootsKey === advertisedRootsKey) return;
+    advertisedRootsKey = rootsKey;
+
+    const { mcpClients } = getMcpStateFunc();
+    Object.entries(mcpClients).forEach(([serverId, client]) => {
+        console.log(`[${serverId}] Sending roots/list_changed`);
+        client.sendRootsListChanged()
+            .catch(error => console.warn(`[${serverId}] Could not send roots/list_changed: ${error.message}`));
+    });
+}
+
+function initializeRootsHandlers(ipcMain, mainWindow, loadSettings, getMcpState) {
+    mainWindowInstance = mainWindow;
+    loadSettingsFunc = loadSettings;
+    getMcpStateFunc = getMcpState;
+    advertisedRootsKey = JSON.stringify(getRoots(loadSettings()));
+
+    // Handler for picking workspace folders to share
+    ipcMain.handle('select-mcp-root-folders', async () => {
+        try {
+            const result = await dialog.showOpenDialog(mainWindowInstance, {
+                title: 'Share folders with MCP servers',
+                properties: ['openDirectory', 'multiSelections']
+            });
+            if (result.canceled) {
+                return { success: true, folders: [] };
+            }
+            return {
+                success: true,
+                folders: result.filePaths.map(folderPath => ({ path: folderPath, name: path.basename(folderPath) }))
+            };
+        } catch (error) {
+            console.error('Error selecting root folders:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeRootsHandlers,
+    registerRootsHandler,
+    notifyRootsChanged
+};
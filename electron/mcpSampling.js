@@ -0,0 +1,195 @@
+const { CreateMessageRequestSchema, ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { DEFAULT_PROVIDER_ID } = require('./providers');
+
+// MCP sampling: servers ask the app's model for a completion (sampling/createMessage).
+// Every request needs the user's approval and is bounded by per-server token and frequency limits.
+
+const DEFAULT_SAMPLING_MAX_TOKENS = 1024;
+const DEFAULT_SAMPLING_REQUESTS_PER_MINUTE = 5;
+// Error code the MCP spec uses for a sampling request the user rejected
+const USER_REJECTED_CODE = -1;
+
+let mainWindowInstance;
+let loadSettingsFunc;
+let getPlatformModelsFunc;
+let requestChatCompletionFunc;
+
+const pendingApprovals = new Map(); // requestId -> resolve(approved)
+const recentRequests = {}; // serverId -> timestamps of requests in the last minute
+let nextRequestNumber = 1;
+
+/**
+ * Resolves the sampling limits of a server: `samplingLimits[serverId]` overrides the global defaults.
+ * @param {object} settings - The current application settings.
+ * @param {string} serverId - The server id.
+ * @returns {{enabled: boolean, maxTokens: number, maxRequestsPerMinute: number}}
+ */
+function getSamplingLimits(settings, serverId) {
+    const override = settings.samplingLimits?.[serverId] || {};
+    // The first positive number wins; cleared inputs can leave NaN or empty values behind
+    const firstLimit = (...values) => values.find(value => Number.isFinite(value) && value > 0);
+    return {
+        enabled: override.enabled !== false,
+        maxTokens: firstLimit(override.maxTokens, settings.samplingMaxTokens, DEFAULT_SAMPLING_MAX_TOKENS),
+        maxRequestsPerMinute: firstLimit(override.maxRequestsPerMinute, settings.samplingMaxRequestsPerMinute, DEFAULT_SAMPLING_REQUESTS_PER_MINUTE)
+    };
+}
+
+// Records a request and reports whether it stays within the per-minute limit.
+// Declined requests count too, so a server cannot flood the user with approval dialogs.
+function allowRequest(serverId, maxRequestsPerMinute) {
+    const now = Date.now();
+    const recent = (recentRequests[serverId] || []).filter(timestamp => now - timestamp < 60000);
+    if (recent.length >= maxRequestsPerMinute) {
+        recentRequests[serverId] = recent;
+        return false;
+    }
+    recentRequests[serverId] = [...recent, now];
+    return true;
+}
+
+// Picks the model for a request: the first available model matching one of the server's hints, else the selected model
+function selectModel(modelPreferences, settings) {
+    const platform = settings.selectedPlatform || DEFAULT_PROVIDER_ID;
+    const availableModels = Object.keys(getPlatformModelsFunc()[platform] || {});
+    for (const hint of modelPreferences?.hints || []) {
+        if (!hint.name) continue;
+        const match = availableModels.find(modelId => modelId.toLowerCase().includes(hint.name.toLowerCase()));
+        if (match) return { platform, model: match, matchedHint: hint.name };
+    }
+    return { platform, model: settings.model, matchedHint: null };
+}
+
+// Converts sampling messages into OpenAI-compatible chat messages. Images are only passed on for vision models
+// (checked in handleCreateMessage).
+function toProviderMessages(systemPrompt, messages) {
+    const converted = messages.map(({ role, content }) => {
+        if (content.type === 'text') {
+            return { role, content: content.text };
+        }
+        if (content.type === 'image' && role === 'user') {
+            return { role, content: [{ type: 'image_url', image_url: { url: `data:${content.mimeType};base64,${content.data}` } }] };
+        }
+        return { role, content: `[${content.type} content not supported]` };
+    });
+    return systemPrompt ? [{ role: 'system', content: systemPrompt }, ...converted] : converted;
+}
+
+// Shows the approval dialog in the renderer and waits for the user's decision
+function requestApproval(details, signal) {
+    if (!mainWindowInstance || mainWindowInstance.isDestroyed()) {
+        return Promise.resolve(false);
+    }
+    if (signal.aborted) {
+        return Promise.resolve(false); // The server cancelled the request before it got here
+    }
+    const requestId = `sampling-${nextRequestNumber++}`;
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            pendingApprovals.delete(requestId);
+            mainWindowInstance.webContents.send('mcp-sampling-request-cancelled', { requestId });
+            resolve(false);
+        };
+        pendingApprovals.set(requestId, (approved) => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(approved);
+        });
+        signal.addEventListener('abort', onAbort, { once: true });
+        mainWindowInstance.webContents.send('mcp-sampling-request', { requestId, ...details });
+    });
+}
+
+async function handleCreateMessage(serverId, request, extra) {
+    const params = request.params;
+    const settings = loadSettingsFunc();
+    const limits = getSamplingLimits(settings, serverId);
+    console.log(`[${serverId}] Sampling request (${params.messages.length} messages, maxTokens ${params.maxTokens})`);
+
+    if (!limits.enabled) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Sampling is disabled for this server.');
+    }
+    if (!allowRequest(serverId, limits.maxRequestsPerMinute)) {
+        console.warn(`[${serverId}] Sampling request rejected: limit of ${limits.maxRequestsPerMinute} requests per minute reached.`);
+        throw new McpError(ErrorCode.InvalidRequest, `Sampling rate limit reached (${limits.maxRequestsPerMinute} requests per minute).`);
+    }
+    const { platform, model, matchedHint } = selectModel(params.modelPreferences, settings);
+    if (!model) {
+        throw new McpError(ErrorCode.InternalError, 'No model is selected in the app.');
+    }
+    // Same check as for chat messages: images need a model that supports vision
+    const hasImages = params.messages.some(message => message.content?.type === 'image');
+    const modelInfo = getPlatformModelsFunc()[platform]?.[model];
+    if (hasImages && modelInfo?.vision_supported !== true) {
+        console.warn(`[${serverId}] Sampling request rejected: it contains images and ${model} does not support image inputs.`);
+        throw new McpError(ErrorCode.InvalidRequest, `The request contains images, but the model ${model} does not support image inputs.`);
+    }
+    const maxTokens = Math.min(params.maxTokens, limits.maxTokens);
+
+    const approved = await requestApproval({
+        serverId,
+        messages: params.messages,
+        systemPrompt: params.systemPrompt,
+        includeContext: params.includeContext,
+        temperature: params.temperature,
+        modelPreferences: params.modelPreferences,
+        requestedMaxTokens: params.maxTokens,
+        maxTokens,
+        platform,
+        model,
+        matchedHint
+    }, extra.signal);
+    if (!approved) {
+        console.log(`[${serverId}] Sampling request declined.`);
+        throw new McpError(USER_REJECTED_CODE, 'User rejected sampling request');
+    }
+
+    // Context from other chats or servers (includeContext) is never added
+    const result = await requestChatCompletionFunc(settings, platform, {
+        model,
+        messages: toProviderMessages(params.systemPrompt, params.messages),
+        max_tokens: maxTokens,
+        temperature: params.temperature ?? settings.temperature ?? 0.7,
+        ...(params.stopSequences?.length ? { stop: params.stopSequences } : {})
+    }, extra.signal);
+    console.log(`[${serverId}] Sampling completed with ${result.model} (finish reason: ${result.finishReason})`);
+
+    return {
+        model: result.model,
+        role: 'assistant',
+        content: { type: 'text', text: result.content },
+        stopReason: result.finishReason === 'length' ? 'maxTokens' : 'endTurn'
+    };
+}
+
+/**
+ * Registers the sampling/createMessage handler on a newly connected client.
+ * The client must advertise the `sampling` capability (see createMcpClient in mcpManager).
+ * @param {string} serverId - The server id.
+ * @param {Client} client - The connected MCP client.
+ */
+function registerSamplingHandler(serverId, client) {
+    client.setRequestHandler(CreateMessageRequestSchema, (request, extra) => handleCreateMessage(serverId, request, extra));
+}
+
+function initializeSamplingHandlers(ipcMain, mainWindow, loadSettings, getPlatformModels, requestChatCompletion) {
+    mainWindowInstance = mainWindow;
+    loadSettingsFunc = loadSettings;
+    getPlatformModelsFunc = getPlatformModels;
+    requestChatCompletionFunc = requestChatCompletion;
+
+    // Handler for the user's decision in the sampling approval dialog
+    ipcMain.handle('respond-sampling-request', async (event, requestId, approved) => {
+        const resolve = pendingApprovals.get(requestId);
+        if (!resolve) {
+            return { success: false, error: 'The sampling request is no longer pending.' };
+        }
+        pendingApprovals.delete(requestId);
+        resolve(approved === true);
+        return { success: true };
+    });
+}
+
+module.exports = {
+    initializeSamplingHandlers,
+    registerSamplingHandler
+};
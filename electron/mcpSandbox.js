@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sandbox profiles for stdio MCP servers (serverConfig.sandbox). Without a profile a server is spawned as before:
+// with the full app environment and its command's directory as working directory. With a profile:
+//   { type: 'none' | 'bubblewrap' | 'firejail' | 'docker', envPassthrough: [...], cwd, allowNetwork, image }
+// only the listed env vars (exact names or `PREFIX*`), the server's own env and PATH reach the process, it runs in
+// `cwd` (default: userData/mcp-sandbox/<serverId>), and `type` selects the wrapper it is started under.
+// bubblewrap and firejail get a read-only view of the file system with only the working directory and a private
+// /tmp writable; docker runs `command` inside `image` with the working directory mounted at /workspace.
+// `allowNetwork: false` cuts the process off from the network.
+
+const SANDBOX_TYPES = ['none', 'bubblewrap', 'firejail', 'docker'];
+// Env vars passed through when a profile does not list its own
+const DEFAULT_ENV_PASSTHROUGH = ['HOME', 'USER', 'LOGNAME', 'LANG', 'LC_*', 'TZ', 'TERM'];
+// Executables the wrappers need, looked up in the server's PATH before spawning
+const SANDBOX_EXECUTABLES = { bubblewrap: 'bwrap', firejail: 'firejail', docker: 'docker' };
+const CONTAINER_WORKDIR = '/workspace';
+// Vars that describe the host and must not be copied into a container
+const HOST_ONLY_ENV = ['PATH', 'HOME'];
+
+// Errors in the sandbox setup cannot be fixed by retrying, so the reconnect supervisor gives up on them
+function sandboxError(serverId, message) {
+    const error = new Error(`Sandbox for ${serverId}: ${message}`);
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * Returns the sandbox profile of a server config, or null when it has none. A profile of type 'none' still
+ * filters the environment and sets the working directory.
+ * @param {object} serverConfig - A stdio server config from settings.mcpServers.
+ * @returns {object | null}
+ */
+function getSandboxProfile(serverConfig) {
+    const sandbox = serverConfig?.sandbox;
+    if (!sandbox || typeof sandbox !== 'object' || Array.isArray(sandbox)) return null;
+    return sandbox;
+}
+
+// Whether the server's command runs inside a container, in which case it must not be resolved on the host
+function runsInContainer(sandbox) {
+    return sandbox?.type === 'docker';
+}
+
+function matchesEnvPattern(name, pattern) {
+    if (typeof pattern !== 'string' || !pattern) return false;
+    return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+// First executable called `name` in the ':'-separated search path, or null
+function findExecutable(name, searchPath) {
+    for (const dir of (searchPath || '').split(':').filter(Boolean)) {
+        const candidate = path.join(dir, name);
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            if (fs.statSync(candidate).isFile()) return candidate;
+        } catch {
+            // Not here, keep looking
+        }
+    }
+    return null;
+}
+
+// Working directory of a sandboxed server: the configured one, which must exist, or a per-server default
+function resolveWorkingDirectory(serverId, sandbox, userDataPath) {
+    const configured = typeof sandbox.cwd === 'string' ? sandbox.cwd.trim() : '';
+    if (configured) {
+        const cwd = path.resolve(configured);
+        let stats;
+        try { stats = fs.statSync(cwd); } catch { stats = null; }
+        if (!stats || !stats.isDirectory()) {
+            throw sandboxError(serverId, `working directory ${cwd} does not exist.`);
+        }
+        return cwd;
+    }
+    const cwd = path.join(userDataPath, 'mcp-sandbox', serverId.replace(/[^a-zA-Z0-9_.-]/g, '_'));
+    fs.mkdirSync(cwd, { recursive: true });
+    return cwd;
+}
+
+/**
+ * Environment of a sandboxed server: the passthrough vars from the app environment, the server's own env and PATH.
+ * @param {object} sandbox - The sandbox profile.
+ * @param {object} serverEnv - The server's env with secrets resolved.
+ * @param {string} searchPath - The PATH the server runs with.
+ * @returns {object}
+ */
+function buildSandboxEnv(sandbox, serverEnv, searchPath) {
+    const patterns = Array.isArray(sandbox.envPassthrough) ? sandbox.envPassthrough : DEFAULT_ENV_PASSTHROUGH;
+    const env = {};
+    Object.entries(process.env).forEach(([name, value]) => {
+        if (value !== undefined && patterns.some(pattern => matchesEnvPattern(name, pattern))) env[name] = value;
+    });
+    return { ...env, ...serverEnv, PATH: searchPath };
+}
+
+/**
+ * Builds the process to spawn for a stdio server with a sandbox profile. Throws (with `permanent` set) when the
+ * profile is invalid or its sandbox tool is not installed, so the server fails to start instead of running
+ * unsandboxed.
+ * @param {string} serverId - The server id.
+ * @param {object} sandbox - The sandbox profile.
+ * @param {object} options
+ * @param {string} options.command - The server command (resolved on the host, or as configured for docker).
+ * @param {string[]} options.args - The server arguments.
+ * @param {object} options.env - The server's env with secrets resolved.
+ * @param {string} options.searchPath - The PATH the server runs with; also used to find the sandbox tool.
+ * @param {string} options.userDataPath - The app's userData directory, for the default working directory.
+ * @returns {{command: string, args: string[], env: object, cwd: string}}
+ */
+function buildSandboxedSpawn(serverId, sandbox, { command, args, env, searchPath, userDataPath }) {
+    const type = sandbox.type || 'none';
+    if (!SANDBOX_TYPES.includes(type)) {
+        throw sandboxError(serverId, `unknown type '${type}' (expected one of ${SANDBOX_TYPES.join(', ')}).`);
+    }
+    if ((type === 'bubblewrap' || type === 'firejail') && process.platform !== 'linux') {
+        throw sandboxError(serverId, `${type} is only available on Linux.`);
+    }
+    if (type === 'docker' && !(typeof sandbox.image === 'string' && sandbox.image.trim())) {
+        throw sandboxError(serverId, `the docker sandbox needs an 'image' to run the server in.`);
+    }
+    const executable = SANDBOX_EXECUTABLES[type];
+    const toolPath = executable ? findExecutable(executable, searchPath) : null;
+    if (executable && !toolPath) {
+        throw sandboxError(serverId, `'${executable}' was not found in PATH. Install ${type} or change the server's sandbox setting.`);
+    }
+
+    const cwd = resolveWorkingDirectory(serverId, sandbox, userDataPath);
+    const sandboxEnv = buildSandboxEnv(sandbox, env, searchPath);
+    const allowNetwork = sandbox.allowNetwork !== false;
+    console.log(`[${serverId}] Sandbox: ${type}, cwd ${cwd}, network ${allowNetwork ? 'allowed' : 'blocked'}, env: ${Object.keys(sandboxEnv).sort().join(', ')}`);
+
+    if (type === 'bubblewrap') {
+        return {
+            command: toolPath,
+            args: [
+                '--ro-bind', '/', '/',
+                '--dev', '/dev',
+                '--proc', '/proc',
+                '--tmpfs', '/tmp',
+                '--bind', cwd, cwd,
+                '--chdir', cwd,
+                '--die-with-parent',
+                ...(allowNetwork ? [] : ['--unshare-net']),
+                '--', command, ...args
+            ],
+            env: sandboxEnv,
+            cwd
+        };
+    }
+    if (type === 'firejail') {
+        return {
+            command: toolPath,
+            args: [
+                '--quiet',
+                '--read-only=/',
+                `--read-write=${cwd}`,
+                '--private-tmp',
+                ...(allowNetwork ? [] : ['--net=none']),
+                command, ...args
+            ],
+            env: sandboxEnv,
+            cwd
+        };
+    }
+    if (type === 'docker') {
+        const containerEnvNames = Object.keys(sandboxEnv).filter(name => !HOST_ONLY_ENV.includes(name));
+        // The docker CLI itself keeps the app's DOCKER_* settings (host, context, config dir)
+        const dockerEnv = { ...sandboxEnv };
+        Object.entries(process.env).forEach(([name, value]) => {
+            if (name.startsWith('DOCKER_') && dockerEnv[name] === undefined) dockerEnv[name] = value;
+        });
+        return {
+            command: toolPath, // The docker binary itself: a wrapper script's output would corrupt the stdio channel
+            args: [
+                'run', '-i', '--rm',
+                ...(allowNetwork ? [] : ['--network', 'none']),
+                '-v', `${cwd}:${CONTAINER_WORKDIR}`,
+                '-w', CONTAINER_WORKDIR,
+                ...containerEnvNames.flatMap(name => ['-e', name]), // Values come from the docker CLI's env
+                sandbox.image.trim(),
+                command, ...args
+            ],
+            env: dockerEnv,
+            cwd
+        };
+    }
+    return { command, args, env: sandboxEnv, cwd };
+}
+
+module.exports = {
+    SANDBOX_TYPES,
+    DEFAULT_ENV_PASSTHROUGH,
+    getSandboxProfile,
+    runsInContainer,
+    buildSandboxedSpawn
+};
@@ -4,9 +4,14 @@ contextBridge.exposeInMainWorld('electron', {
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
   getSettingsPath: () => ipcRenderer.invoke('get-settings-path'),
+  // Secrets (values are write-only from the renderer)
+  listSecrets: () => ipcRenderer.invoke('list-secrets'),
+  setSecret: (name, value) => ipcRenderer.invoke('set-secret', name, value),
+  deleteSecret: (name) => ipcRenderer.invoke('delete-secret', name),
   reloadSettings: () => ipcRenderer.invoke('reload-settings'),
   // Chat API - streaming only
   executeToolCall: (toolCall) => ipcRenderer.invoke('execute-tool-call', toolCall),
+  cancelToolCall: (callId) => ipcRenderer.invoke('cancel-tool-call', callId),
   
   // Streaming API events
   startChatStream: (messages, model, chatId, cachedSummary) => {
@@ -32,6 +37,10 @@ contextBridge.exposeInMainWorld('electron', {
         ipcRenderer.on('tool-call-start', (_, data) => callback(data));
         return () => ipcRenderer.removeListener('tool-call-start', callback);
       },
+      onToolCallProgress: (callback) => {
+        ipcRenderer.on('tool-call-progress', (_, data) => callback(data));
+        return () => ipcRenderer.removeListener('tool-call-progress', callback);
+      },
       onToolCallEnd: (callback) => {
         ipcRenderer.on('tool-call-end', (_, data) => callback(data));
         return () => ipcRenderer.removeListener('tool-call-end', callback);
@@ -49,17 +58,28 @@ contextBridge.exposeInMainWorld('electron', {
         ipcRenderer.on('chat-stream-error', (_, data) => callback(data));
         return () => ipcRenderer.removeListener('chat-stream-error', callback);
       },
+      // Fired once the main process has torn down a stream after stop()
+      onStopped: (callback) => {
+        ipcRenderer.on('chat-stream-stopped', (_, data) => callback(data));
+        return () => ipcRenderer.removeListener('chat-stream-stopped', callback);
+      },
+      // Abort the in-flight request and any pending tool calls
+      stop: () => {
+        ipcRenderer.send('chat-stream-abort');
+      },
       cleanup: () => {
         ipcRenderer.removeAllListeners('chat-stream-start');
         ipcRenderer.removeAllListeners('chat-stream-content');
         ipcRenderer.removeAllListeners('chat-stream-tool-calls');
         // Add new listeners to cleanup
         ipcRenderer.removeAllListeners('tool-call-start');
+        ipcRenderer.removeAllListeners('tool-call-progress');
         ipcRenderer.removeAllListeners('tool-call-end');
         ipcRenderer.removeAllListeners('chat-stream-final-start');
         // Existing cleanup
         ipcRenderer.removeAllListeners('chat-stream-complete');
         ipcRenderer.removeAllListeners('chat-stream-error');
+        ipcRenderer.removeAllListeners('chat-stream-stopped');
       }
     };
   },
@@ -68,8 +88,13 @@ contextBridge.exposeInMainWorld('electron', {
   connectMcpServer: (serverConfig) => ipcRenderer.invoke('connect-mcp-server', serverConfig),
   disconnectMcpServer: (serverId) => ipcRenderer.invoke('disconnect-mcp-server', serverId),
   getMcpTools: () => ipcRenderer.invoke('get-mcp-tools'),
+  setToolEnabled: (serverId, toolName, enabled) => ipcRenderer.invoke('set-tool-enabled', serverId, toolName, enabled),
+  setToolServerEnabled: (serverId, enabled) => ipcRenderer.invoke('set-tool-server-enabled', serverId, enabled),
+  getMcpReconnectStates: () => ipcRenderer.invoke('get-mcp-reconnect-states'),
   // Function to get model configurations
   getModelConfigs: () => ipcRenderer.invoke('get-model-configs'),
+  // Function to list configured providers (built-in and custom OpenAI-compatible endpoints)
+  getProviders: () => ipcRenderer.invoke('get-providers'),
   
   // --- Chat Persistence Functions ---
   listChats: () => ipcRenderer.invoke('list-chats'),
@@ -87,6 +112,70 @@ contextBridge.exposeInMainWorld('electron', {
     return () => ipcRenderer.removeListener('mcp-server-status-changed', listener);
   },
   
+  // MCP OAuth
+  getMcpAuthStatus: () => ipcRenderer.invoke('get-mcp-auth-status'),
+  clearMcpAuth: (serverId) => ipcRenderer.invoke('clear-mcp-auth', serverId),
+
+  // MCP Resources
+  getMcpResources: () => ipcRenderer.invoke('get-mcp-resources'),
+  readMcpResource: (serverId, uri, variables) => ipcRenderer.invoke('read-mcp-resource', serverId, uri, variables),
+  subscribeMcpResource: (serverId, uri) => ipcRenderer.invoke('subscribe-mcp-resource', serverId, uri),
+  unsubscribeMcpResource: (serverId, uri) => ipcRenderer.invoke('unsubscribe-mcp-resource', serverId, uri),
+  onMcpResourceUpdated: (callback) => {
+    const listener = (event, update) => callback(update);
+    ipcRenderer.on('mcp-resource-updated', listener);
+    // Return a function to remove the listener
+    return () => ipcRenderer.removeListener('mcp-resource-updated', listener);
+  },
+  onMcpListChanged: (callback) => {
+    const listener = (event, change) => callback(change);
+    ipcRenderer.on('mcp-list-changed', listener);
+    // Return a function to remove the listener
+    return () => ipcRenderer.removeListener('mcp-list-changed', listener);
+  },
+
+  // MCP Prompts
+  getMcpPrompts: () => ipcRenderer.invoke('get-mcp-prompts'),
+  getMcpPrompt: (serverId, name, args) => ipcRenderer.invoke('get-mcp-prompt', serverId, name, args),
+
+  // MCP Sampling
+  respondSamplingRequest: (requestId, approved) => ipcRenderer.invoke('respond-sampling-request', requestId, approved),
+  onMcpSamplingRequest: (callback) => {
+    const listener = (event, request) => callback(request);
+    ipcRenderer.on('mcp-sampling-request', listener);
+    return () => ipcRenderer.removeListener('mcp-sampling-request', listener);
+  },
+  onMcpSamplingRequestCancelled: (callback) => {
+    const listener = (event, { requestId }) => callback(requestId);
+    ipcRenderer.on('mcp-sampling-request-cancelled', listener);
+    return () => ipcRenderer.removeListener('mcp-sampling-request-cancelled', listener);
+  },
+
+  // Tool permission approvals (asked by the policy in the main process)
+  respondToolApproval: (requestId, choice, options) => ipcRenderer.invoke('respond-tool-approval', requestId, choice, options),
+  resetToolApprovals: () => ipcRenderer.invoke('reset-tool-approvals'),
+  onToolApprovalRequest: (callback) => {
+    const listener = (event, request) => callback(request);
+    ipcRenderer.on('tool-approval-request', listener);
+    return () => ipcRenderer.removeListener('tool-approval-request', listener);
+  },
+  onToolApprovalCancelled: (callback) => {
+    const listener = (event, { requestId }) => callback(requestId);
+    ipcRenderer.on('tool-approval-cancelled', listener);
+    return () => ipcRenderer.removeListener('tool-approval-cancelled', listener);
+  },
+
+  // MCP Roots
+  selectMcpRootFolders: () => ipcRenderer.invoke('select-mcp-root-folders'),
+
+  // MCP config import (servers configured for other clients)
+  listMcpImportSources: () => ipcRenderer.invoke('list-mcp-import-sources'),
+  readMcpImportFile: (filePath, workspaceFolder) => ipcRenderer.invoke('read-mcp-import-file', filePath, workspaceFolder),
+
+  // Tool call audit log
+  getToolAuditLog: (filters) => ipcRenderer.invoke('get-tool-audit-log', filters),
+  exportToolAuditLog: (filters, format) => ipcRenderer.invoke('export-tool-audit-log', filters, format),
+
   // MCP Log Handling
   getMcpServerLogs: (serverId) => ipcRenderer.invoke('get-mcp-server-logs', serverId),
   onMcpLogUpdate: (callback) => {
@@ -0,0 +1,313 @@
+const { net } = require('electron');
+const { MODEL_CONTEXT_SIZES: FALLBACK_MODEL_DEFINITIONS } = require('../shared/models.js');
+
+// Registry ids of user-defined endpoints are prefixed so they can never shadow a built-in provider
+const CUSTOM_PROVIDER_PREFIX = 'custom:';
+const DEFAULT_PROVIDER_ID = 'groq';
+const DEFAULT_CUSTOM_CONTEXT = 8192;
+
+/**
+ * Built-in providers. Every provider speaks the OpenAI chat completions protocol; they differ in
+ * base URL, authentication, how the model list is fetched and how model entries map to capabilities.
+ *
+ * Provider shape:
+ * - id, name: Registry id (stored as settings.selectedPlatform) and display name.
+ * - baseUrl: API root; `chatPath` and `modelsPath` are appended to it.
+ * - apiKeySetting: Settings field holding the API key. `requiresApiKey` rejects requests without one.
+ * - authHeader / authScheme: Header carrying the key and the optional scheme prefix (e.g. 'Bearer').
+ * - defaultModel: Used when neither the request nor settings name a model.
+ * - capabilities: Flags consumed by chatHandler and the renderer
+ *   (omitSystemPromptWithImages, maxImagesPerMessage, pricing, imageMediaType).
+ * - getExtraHeaders(settings): Additional request headers.
+ * - mapModel(model): Maps one entry of the `/models` response to the app's model config format.
+ */
+const BUILTIN_PROVIDERS = {
+    groq: {
+        id: 'groq',
+        name: 'Groq',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        chatPath: '/chat/completions',
+        modelsPath: '/models',
+        apiKeySetting: 'groqApiKey',
+        requiresApiKey: true,
+        authHeader: 'Authorization',
+        authScheme: 'Bearer',
+        defaultModel: 'llama3-70b-8192',
+        capabilities: {
+            omitSystemPromptWithImages: true, // Groq vision models reject a system prompt alongside images
+            maxImagesPerMessage: 1,
+            pricing: false,
+            imageMediaType: false
+        },
+        getExtraHeaders: () => ({}),
+        mapModel: (model) => {
+            // The Groq API does not report context or vision support, so supplement it with the shared definitions
+            const fallback = FALLBACK_MODEL_DEFINITIONS[model.id] || FALLBACK_MODEL_DEFINITIONS['default'];
+            return {
+                id: model.id,
+                name: model.id, // Use ID as name, the API does not provide a friendly name
+                context: fallback.context,
+                vision_supported: fallback.vision_supported
+            };
+        }
+    },
+    openrouter: {
+        id: 'openrouter',
+        name: 'OpenRouter',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        chatPath: '/chat/completions',
+        modelsPath: '/models',
+        apiKeySetting: 'openrouterApiKey',
+        requiresApiKey: true,
+        authHeader: 'Authorization',
+        authScheme: 'Bearer',
+        defaultModel: 'openai/gpt-4o',
+        capabilities: {
+            omitSystemPromptWithImages: false,
+            maxImagesPerMessage: null,
+            pricing: true,
+            imageMediaType: true
+        },
+        getExtraHeaders: (settings) => ({
+            'HTTP-Referer': settings.openrouterReferrer || 'https://github.com/YourApp/GroqDesktop', // Replace with actual repo/app URL
+            'X-Title': settings.openrouterTitle || 'Groq Desktop (Electron)' // Replace with actual App Title
+        }),
+        mapModel: (model) => {
+            // --- Determine vision support reliably ---
+            let vision_supported = false;
+            if (model.architecture && Array.isArray(model.architecture.input_modalities)) {
+                vision_supported = model.architecture.input_modalities.includes('image');
+            } else {
+                // Fallback heuristic if architecture info is missing (less reliable)
+                vision_supported = model.id.includes('vision') || model.id.includes('claude-3') || model.id.includes('gpt-4o');
+            }
+            return {
+                id: model.id,
+                name: model.name || model.id,
+                context: model.context_length || FALLBACK_MODEL_DEFINITIONS['default']?.context || 8192,
+                vision_supported: vision_supported,
+                // --- Store Pricing Info (as number per token and original string) ---
+                prompt_cost_per_token: model.pricing?.prompt ? parseFloat(model.pricing.prompt) : null,
+                completion_cost_per_token: model.pricing?.completion ? parseFloat(model.pricing.completion) : null,
+                pricing_string_prompt: model.pricing?.prompt,
+                pricing_string_completion: model.pricing?.completion
+            };
+        }
+    }
+};
+
+/**
+ * Builds a provider from a user-defined OpenAI-compatible endpoint (settings.customProviders entry).
+ * Entries look like { id, name, baseUrl, apiKey, authHeader, models: [ids], contextLength, visionSupported }.
+ * @param {object} entry - The custom endpoint as stored in settings.
+ * @returns {object} A provider in the same shape as the built-ins.
+ */
+function createCustomProvider(entry) {
+    const contextLength = parseInt(entry.contextLength, 10) > 0 ? parseInt(entry.contextLength, 10) : DEFAULT_CUSTOM_CONTEXT;
+    const visionSupported = entry.visionSupported === true;
+    const modelIds = Array.isArray(entry.models) ? entry.models.filter(Boolean) : [];
+    const customAuthHeader = typeof entry.authHeader === 'string' && entry.authHeader.trim() ? entry.authHeader.trim() : null;
+
+    return {
+        id: `${CUSTOM_PROVIDER_PREFIX}${entry.id}`,
+        name: entry.name || entry.id,
+        baseUrl: (entry.baseUrl || '').replace(/\/+$/, ''),
+        chatPath: '/chat/completions',
+        modelsPath: '/models',
+        apiKey: entry.apiKey || '',
+        requiresApiKey: false, // Local servers (llama.cpp, vLLM) often run without auth
+        authHeader: customAuthHeader || 'Authorization',
+        authScheme: customAuthHeader ? null : 'Bearer',
+        defaultModel: modelIds[0] || null,
+        staticModels: modelIds,
+        isCustom: true,
+        capabilities: {
+            omitSystemPromptWithImages: false,
+            maxImagesPerMessage: null,
+            pricing: false,
+            imageMediaType: false
+        },
+        getExtraHeaders: () => ({}),
+        mapModel: (model) => ({
+            id: model.id,
+            name: model.id,
+            context: contextLength,
+            vision_supported: visionSupported
+        })
+    };
+}
+
+/**
+ * Lists all providers: the built-ins followed by the custom endpoints configured in settings.
+ * @param {object} settings - The current application settings.
+ * @returns {Array<object>} Provider objects.
+ */
+function listProviders(settings) {
+    const customEntries = Array.isArray(settings?.customProviders) ? settings.customProviders : [];
+    const customProviders = customEntries
+        .filter(entry => entry && entry.id && entry.baseUrl)
+        .map(createCustomProvider);
+    return [...Object.values(BUILTIN_PROVIDERS), ...customProviders];
+}
+
+/**
+ * Looks up a provider by registry id.
+ * @param {object} settings - The current application settings.
+ * @param {string} providerId - Registry id, e.g. 'groq' or 'custom:my-vllm'.
+ * @returns {object | null} The provider, or null if it is not configured.
+ */
+function getProvider(settings, providerId) {
+    return listProviders(settings).find(provider => provider.id === providerId) || null;
+}
+
+/**
+ * Returns the API key for a provider (custom endpoints carry their own key).
+ * @param {object} provider - The provider.
+ * @param {object} settings - The current application settings.
+ * @returns {string} The key, or an empty string.
+ */
+function getProviderApiKey(provider, settings) {
+    const apiKey = provider.isCustom ? provider.apiKey : settings[provider.apiKeySetting];
+    // Treat the settings placeholder as missing
+    return apiKey && apiKey !== '<replace me>' ? apiKey : '';
+}
+
+/**
+ * Builds the auth and provider-specific headers for a request.
+ * @param {object} provider - The provider.
+ * @param {object} settings - The current application settings.
+ * @returns {object} Header map.
+ */
+function buildProviderHeaders(provider, settings) {
+    const apiKey = getProviderApiKey(provider, settings);
+    const headers = { ...provider.getExtraHeaders(settings) };
+    if (apiKey) {
+        headers[provider.authHeader] = provider.authScheme ? `${provider.authScheme} ${apiKey}` : apiKey;
+    }
+    return headers;
+}
+
+/**
+ * Builds http(s).request options for the provider's chat completions endpoint.
+ * @param {object} provider - The provider.
+ * @param {object} settings - The current application settings.
+ * @returns {{protocol: string, hostname: string, port: string, path: string, headers: object}}
+ */
+function buildChatRequestOptions(provider, settings) {
+    const url = new URL(`${provider.baseUrl}${provider.chatPath}`);
+    return {
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port: url.port || undefined,
+        path: `${url.pathname}${url.search}`,
+        headers: buildProviderHeaders(provider, settings)
+    };
+}
+
+/**
+ * Fetches the model list of a provider and maps it through the provider's capability mapping.
+ * Custom endpoints with an explicit model list skip the request. Never rejects; failures resolve to {}.
+ * @param {object} provider - The provider.
+ * @param {object} settings - The current application settings.
+ * @returns {Promise<object>} Object containing model configurations keyed by model ID.
+ */
+async function fetchProviderModels(provider, settings) {
+    if (provider.staticModels && provider.staticModels.length > 0) {
+        const models = {};
+        provider.staticModels.forEach(modelId => {
+            models[modelId] = provider.mapModel({ id: modelId });
+        });
+        console.log(`Using ${Object.keys(models).length} configured models for ${provider.name}.`);
+        return models;
+    }
+    if (provider.requiresApiKey && !getProviderApiKey(provider, settings)) {
+        console.log(`${provider.name} API key not provided, skipping model fetch.`);
+        return {};
+    }
+
+    console.log(`Fetching ${provider.name} models...`);
+    return new Promise((resolve) => {
+        let request;
+        try {
+            request = net.request({
+                method: 'GET',
+                url: `${provider.baseUrl}${provider.modelsPath}`,
+                headers: {
+                    ...buildProviderHeaders(provider, settings),
+                    'Content-Type': 'application/json'
+                }
+            });
+        } catch (error) {
+            console.error(`Error creating ${provider.name} models request:`, error);
+            resolve({});
+            return;
+        }
+
+        let body = '';
+        request.on('response', (response) => {
+            console.log(`${provider.name} API response status: ${response.statusCode}`);
+            response.on('data', (chunk) => {
+                body += chunk.toString();
+            });
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    console.error(`Error fetching ${provider.name} models: Status ${response.statusCode}`, 'Body:', body);
+                    resolve({});
+                    return;
+                }
+                try {
+                    const data = JSON.parse(body);
+                    const models = {};
+                    if (data && Array.isArray(data.data)) {
+                        data.data.forEach(model => {
+                            models[model.id] = provider.mapModel(model);
+                        });
+                    } else {
+                        console.warn(`${provider.name} API response did not contain expected data structure.`, data);
+                    }
+                    console.log(`Fetched ${Object.keys(models).length} ${provider.name} models.`);
+                    resolve(models);
+                } catch (error) {
+                    console.error(`Error parsing ${provider.name} models response:`, error, 'Body:', body);
+                    resolve({});
+                }
+            });
+            response.on('error', (error) => {
+                console.error(`Error during ${provider.name} API response:`, error);
+                resolve({});
+            });
+        });
+
+        request.on('error', (error) => {
+            console.error(`Error making ${provider.name} API request:`, error);
+            resolve({});
+        });
+
+        request.end();
+    });
+}
+
+/**
+ * Serializable provider summaries for the renderer (no functions, no API keys).
+ * @param {object} settings - The current application settings.
+ * @returns {Array<{id: string, name: string, isCustom: boolean, capabilities: object}>}
+ */
+function describeProviders(settings) {
+    return listProviders(settings).map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        isCustom: provider.isCustom === true,
+        capabilities: provider.capabilities
+    }));
+}
+
+module.exports = {
+    CUSTOM_PROVIDER_PREFIX,
+    DEFAULT_PROVIDER_ID,
+    listProviders,
+    getProvider,
+    getProviderApiKey,
+    buildChatRequestOptions,
+    fetchProviderModels,
+    describeProviders
+};
@@ -0,0 +1,274 @@
+/**
+ * Minimal JSON Schema validator for MCP tool arguments.
+ *
+ * Covers the subset of JSON Schema that tool `inputSchema`s use in practice: type (including unions),
+ * properties / required / additionalProperties, items, enum / const, numeric and length bounds, pattern,
+ * allOf / anyOf / oneOf and local `$ref`s ("#/definitions/..." or "#/$defs/..."). Unknown keywords
+ * (format, descriptions...) are ignored so a server is never blocked by a schema feature we don't check.
+ */
+
+/**
+ * Returns the JSON type name of a value, distinguishing integers, arrays and null.
+ * @param {any} value - The value to inspect.
+ * @returns {string} - One of 'null', 'array', 'object', 'integer', 'number', 'string', 'boolean' or 'undefined'.
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = jsonTypeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Tries to convert a scalar to the requested type (string "5" -> 5, "true" -> true, 5 -> "5").
+ * @returns {{ok: boolean, value?: any}}
+ */
+function coerceScalar(value, type) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value.trim());
+        if (Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) {
+            return { ok: true, value: number };
+        }
+    }
+    if (type === 'boolean' && typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (normalized === 'true' || normalized === 'false') {
+            return { ok: true, value: normalized === 'true' };
+        }
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+        return { ok: true, value: String(value) };
+    }
+    return { ok: false };
+}
+
+function resolveRef(ref, rootSchema) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) return null;
+    const segments = ref.slice(1).split('/').filter(Boolean)
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let node = rootSchema;
+    for (const segment of segments) {
+        if (!node || typeof node !== 'object') return null;
+        node = node[segment];
+    }
+    return node || null;
+}
+
+function formatPath(path) {
+    return path || '(root)';
+}
+
+/**
+ * Validates one value against one schema node.
+ * Returns the (possibly coerced) value; violations are pushed onto ctx.errors.
+ */
+function validateNode(value, schema, path, ctx) {
+    if (schema === true || schema === undefined || schema === null) return value;
+    if (schema === false) {
+        ctx.errors.push({ path: formatPath(path), keyword: 'false', message: 'is not allowed' });
+        return value;
+    }
+    if (typeof schema !== 'object') return value;
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, ctx.rootSchema);
+        if (!target) {
+            // An unresolvable reference is the schema's problem, not the model's
+            console.warn(`[schemaValidator] Could not resolve $ref "${schema.$ref}", skipping.`);
+            return value;
+        }
+        if (ctx.depth > 50) return value; // Guard against recursive schemas
+        ctx.depth++;
+        const result = validateNode(value, target, path, ctx);
+        ctx.depth--;
+        return result;
+    }
+
+    let current = value;
+
+    // --- type (with optional coercion) ---
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(current, type))) {
+            let coerced = false;
+            if (ctx.coerce) {
+                for (const type of types) {
+                    const attempt = coerceScalar(current, type);
+                    if (attempt.ok) {
+                        ctx.coercions.push({ path: formatPath(path), from: jsonTypeOf(current), to: type });
+                        current = attempt.value;
+                        coerced = true;
+                        break;
+                    }
+                }
+            }
+            if (!coerced) {
+                ctx.errors.push({
+                    path: formatPath(path),
+                    keyword: 'type',
+                    message: `must be ${types.join(' or ')} (got ${jsonTypeOf(current)})`
+                });
+                return current; // Further checks would only add noise for a wrong type
+            }
+        }
+    }
+
+    // --- enum / const ---
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, current))) {
+        ctx.errors.push({
+            path: formatPath(path),
+            keyword: 'enum',
+            message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+        });
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, current)) {
+        ctx.errors.push({ path: formatPath(path), keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    // --- numbers ---
+    if (typeof current === 'number') {
+        if (typeof schema.minimum === 'number' && current < schema.minimum) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+        }
+        if (typeof schema.maximum === 'number' && current > schema.maximum) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && current <= schema.exclusiveMinimum) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'exclusiveMinimum', message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && current >= schema.exclusiveMaximum) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'exclusiveMaximum', message: `must be < ${schema.exclusiveMaximum}` });
+        }
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && !Number.isInteger(current / schema.multipleOf)) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'multipleOf', message: `must be a multiple of ${schema.multipleOf}` });
+        }
+    }
+
+    // --- strings ---
+    if (typeof current === 'string') {
+        if (typeof schema.minLength === 'number' && current.length < schema.minLength) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'minLength', message: `must have at least ${schema.minLength} characters` });
+        }
+        if (typeof schema.maxLength === 'number' && current.length > schema.maxLength) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'maxLength', message: `must have at most ${schema.maxLength} characters` });
+        }
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(current)) {
+                    ctx.errors.push({ path: formatPath(path), keyword: 'pattern', message: `must match pattern ${schema.pattern}` });
+                }
+            } catch {
+                console.warn(`[schemaValidator] Invalid pattern "${schema.pattern}" in schema, skipping.`);
+            }
+        }
+    }
+
+    // --- arrays ---
+    if (Array.isArray(current)) {
+        if (typeof schema.minItems === 'number' && current.length < schema.minItems) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+        }
+        if (typeof schema.maxItems === 'number' && current.length > schema.maxItems) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems === true) {
+            const seen = current.map(item => JSON.stringify(item));
+            if (new Set(seen).size !== seen.length) {
+                ctx.errors.push({ path: formatPath(path), keyword: 'uniqueItems', message: 'must not contain duplicate items' });
+            }
+        }
+        if (Array.isArray(schema.items)) {
+            // Tuple form
+            current = current.map((item, index) => index < schema.items.length
+                ? validateNode(item, schema.items[index], `${path}/${index}`, ctx)
+                : item);
+        } else if (schema.items !== undefined) {
+            current = current.map((item, index) => validateNode(item, schema.items, `${path}/${index}`, ctx));
+        }
+    }
+
+    // --- objects ---
+    if (jsonTypeOf(current) === 'object') {
+        const properties = schema.properties || {};
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach(key => {
+                if (current[key] === undefined) {
+                    ctx.errors.push({ path: formatPath(path), keyword: 'required', message: `missing required property "${key}"` });
+                }
+            });
+        }
+        const validated = { ...current };
+        Object.keys(current).forEach(key => {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                validated[key] = validateNode(current[key], properties[key], `${path}/${key}`, ctx);
+            } else if (schema.additionalProperties === false) {
+                ctx.errors.push({ path: formatPath(path), keyword: 'additionalProperties', message: `unexpected property "${key}"` });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validated[key] = validateNode(current[key], schema.additionalProperties, `${path}/${key}`, ctx);
+            }
+        });
+        current = validated;
+    }
+
+    // --- combinators ---
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subSchema => {
+            current = validateNode(current, subSchema, path, ctx);
+        });
+    }
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+        const isOneOf = !Array.isArray(schema.anyOf);
+        const branches = isOneOf ? schema.oneOf : schema.anyOf;
+        const matches = branches
+            .map(subSchema => {
+                const branchCtx = { ...ctx, errors: [], coercions: [] };
+                const branchValue = validateNode(current, subSchema, path, branchCtx);
+                return { ok: branchCtx.errors.length === 0, value: branchValue, coercions: branchCtx.coercions };
+            })
+            .filter(branch => branch.ok);
+        if (matches.length === 0) {
+            ctx.errors.push({
+                path: formatPath(path),
+                keyword: isOneOf ? 'oneOf' : 'anyOf',
+                message: `must match ${isOneOf ? 'exactly one' : 'at least one'} of the allowed schemas`
+            });
+        } else if (isOneOf && matches.length > 1) {
+            ctx.errors.push({ path: formatPath(path), keyword: 'oneOf', message: 'matches more than one of the allowed schemas' });
+        } else {
+            current = matches[0].value;
+            ctx.coercions.push(...matches[0].coercions);
+        }
+    }
+
+    return current;
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {any} value - The value to validate (e.g. parsed tool arguments).
+ * @param {object} schema - The JSON Schema (e.g. an MCP tool's input_schema).
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.coerce=false] - Convert simple type mismatches (string "5" -> number) instead of failing.
+ * @returns {{valid: boolean, value: any, errors: Array<{path: string, keyword: string, message: string}>, coercions: Array<{path: string, from: string, to: string}>}}
+ *   `value` is the input with coercions applied; the input itself is never mutated.
+ */
+function validateAgainstSchema(value, schema, options = {}) {
+    const ctx = { rootSchema: schema, coerce: options.coerce === true, errors: [], coercions: [], depth: 0 };
+    const validatedValue = validateNode(value, schema, '', ctx);
+    return { valid: ctx.errors.length === 0, value: validatedValue, errors: ctx.errors, coercions: ctx.coercions };
+}
+
+module.exports = {
+    validateAgainstSchema
+};
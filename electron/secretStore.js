@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { safeStorage } = require('electron');
+
+let appInstance; // To store app instance for userData path
+
+// Config values reference secrets as ${secret:NAME}; the value itself never appears in settings.json
+const SECRET_REFERENCE_PATTERN = /\$\{secret:([A-Za-z0-9_.-]+)\}/g;
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function getSecretsPath() {
+    return path.join(appInstance.getPath('userData'), 'secrets.json');
+}
+
+// Reads the stored secrets as { name: base64 ciphertext }
+function readSecretFile() {
+    if (!appInstance) {
+        console.error("App instance not initialized in secretStore.");
+        return {};
+    }
+    try {
+        const secretsPath = getSecretsPath();
+        if (!fs.existsSync(secretsPath)) return {};
+        const data = JSON.parse(fs.readFileSync(secretsPath, 'utf8'));
+        return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+        console.error('Error reading secrets file:', error);
+        return {};
+    }
+}
+
+function writeSecretFile(secrets) {
+    fs.writeFileSync(getSecretsPath(), JSON.stringify(secrets, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Lists the names of the stored secrets (never their values).
+ * @returns {Array<string>} Sorted secret names.
+ */
+function listSecretNames() {
+    return Object.keys(readSecretFile()).sort();
+}
+
+/**
+ * Decrypts a stored secret.
+ * @param {string} name - The secret name.
+ * @returns {string | null} The secret value, or null if it does not exist or cannot be decrypted.
+ */
+function getSecret(name) {
+    const encrypted = readSecretFile()[name];
+    if (!encrypted) return null;
+    try {
+        return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+    } catch (error) {
+        console.error(`Error decrypting secret "${name}":`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Replaces ${secret:NAME} references in a string with the stored secret values.
+ * @param {string} value - A config value, e.g. "Bearer ${secret:GITHUB_TOKEN}".
+ * @returns {string} The value with all references resolved.
+ * @throws {Error} If a referenced secret does not exist.
+ */
+function resolveSecretReferences(value) {
+    if (typeof value !== 'string') return value;
+    return value.replace(SECRET_REFERENCE_PATTERN, (reference, name) => {
+        const secret = getSecret(name);
+        if (secret === null) {
+            throw new Error(`Secret "${name}" is not stored. Add it in Settings under Secrets.`);
+        }
+        return secret;
+    });
+}
+
+function initializeSecretHandlers(ipcMain, app) {
+    appInstance = app;
+    console.log('SecretStore Initialized. Secrets file location:', getSecretsPath());
+
+    // Handler for listing secret names
+    ipcMain.handle('list-secrets', async () => {
+        return { success: true, names: listSecretNames() };
+    });
+
+    // Handler for storing (or replacing) a secret
+    ipcMain.handle('set-secret', async (event, name, value) => {
+        if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+            return { success: false, error: 'Secret names may only contain letters, digits, "_", "-" and "."' };
+        }
+        if (typeof value !== 'string' || value === '') {
+            return { success: false, error: 'Secret value must not be empty.' };
+        }
+        if (!safeStorage.isEncryptionAvailable()) {
+            return { success: false, error: 'Secure storage is not available on this system, so secrets cannot be saved.' };
+        }
+        try {
+            const secrets = readSecretFile();
+            secrets[name] = safeStorage.encryptString(value).toString('base64');
+            writeSecretFile(secrets);
+            console.log(`Stored secret "${name}".`);
+            return { success: true, names: listSecretNames() };
+        } catch (error) {
+            console.error(`Error storing secret "${name}":`, error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handler for deleting a secret
+    ipcMain.handle('delete-secret', async (event, name) => {
+        try {
+            const secrets = readSecretFile();
+            delete secrets[name];
+            writeSecretFile(secrets);
+            console.log(`Deleted secret "${name}".`);
+            return { success: true, names: listSecretNames() };
+        } catch (error) {
+            console.error(`Error deleting secret "${name}":`, error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeSecretHandlers,
+    listSecretNames,
+    resolveSecretReferences
+};
@@ -1,7 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const { validatePolicyRules } = require('./toolPolicy');
 
 let appInstance; // To store app instance for userData path
+let onSettingsSavedFunc;
 
 // Helper function to load settings with defaults and validation
 function loadSettings() {
@@ -15,12 +17,27 @@ function loadSettings() {
             top_p: 0.95,
             mcpServers: {},
             disabledMcpServers: [],
+            disabledTools: {},
+            disabledToolServers: [],
             customSystemPrompt: '',
             contextTargetTokenLimit: 50000,
             contextEnableSummarization: true,
             openrouterReferrer: 'https://github.com/tom-englert/groq-desktop-beta',
             openrouterTitle: 'Groq Desktop (Electron)',
-            max_tokens: null
+            max_tokens: null,
+            maxToolIterations: 10,
+            maxParallelToolCalls: 4,
+            coerceToolArguments: true,
+            samplingMaxTokens: 1024,
+            samplingMaxRequestsPerMinute: 5,
+            samplingLimits: {},
+            mcpRoots: [],
+            mcpReconnectMaxAttempts: 5,
+            mcpReconnectLimits: {},
+            toolPolicyRules: [],
+            toolPolicyDefaultAction: 'ask',
+            toolPolicyYolo: false,
+            customProviders: []
         };
     }
     const userDataPath = appInstance.getPath('userData');
@@ -32,12 +49,27 @@ function loadSettings() {
         top_p: 0.95,
         mcpServers: {},
         disabledMcpServers: [],
+        disabledTools: {},
+        disabledToolServers: [],
         customSystemPrompt: '',
         contextTargetTokenLimit: 50000,
         contextEnableSummarization: true,
         openrouterReferrer: 'https://github.com/tom-englert/groq-desktop-beta',
         openrouterTitle: 'Groq Desktop (Electron)',
-        max_tokens: null
+        max_tokens: null,
+        maxToolIterations: 10,
+        maxParallelToolCalls: 4,
+        coerceToolArguments: true,
+        samplingMaxTokens: 1024,
+        samplingMaxRequestsPerMinute: 5,
+        samplingLimits: {},
+        mcpRoots: [],
+        mcpReconnectMaxAttempts: 5,
+        mcpReconnectLimits: {},
+        toolPolicyRules: [],
+        toolPolicyDefaultAction: 'ask',
+        toolPolicyYolo: false,
+        customProviders: []
     };
 
     try {
@@ -55,12 +87,27 @@ function loadSettings() {
             settings.top_p = settings.top_p ?? defaultSettings.top_p;
             settings.mcpServers = settings.mcpServers || defaultSettings.mcpServers;
             settings.disabledMcpServers = settings.disabledMcpServers || defaultSettings.disabledMcpServers;
+            settings.disabledTools = settings.disabledTools || defaultSettings.disabledTools;
+            settings.disabledToolServers = settings.disabledToolServers || defaultSettings.disabledToolServers;
             settings.customSystemPrompt = settings.customSystemPrompt || defaultSettings.customSystemPrompt;
             settings.contextTargetTokenLimit = settings.contextTargetTokenLimit ?? defaultSettings.contextTargetTokenLimit;
             settings.contextEnableSummarization = settings.contextEnableSummarization ?? defaultSettings.contextEnableSummarization;
             settings.openrouterReferrer = settings.openrouterReferrer || defaultSettings.openrouterReferrer;
             settings.openrouterTitle = settings.openrouterTitle || defaultSettings.openrouterTitle;
             settings.max_tokens = settings.max_tokens ?? defaultSettings.max_tokens;
+            settings.maxToolIterations = settings.maxToolIterations ?? defaultSettings.maxToolIterations;
+            settings.maxParallelToolCalls = settings.maxParallelToolCalls ?? defaultSettings.maxParallelToolCalls;
+            settings.coerceToolArguments = settings.coerceToolArguments ?? defaultSettings.coerceToolArguments;
+            settings.samplingMaxTokens = settings.samplingMaxTokens ?? defaultSettings.samplingMaxTokens;
+            settings.samplingMaxRequestsPerMinute = settings.samplingMaxRequestsPerMinute ?? defaultSettings.samplingMaxRequestsPerMinute;
+            settings.samplingLimits = settings.samplingLimits || defaultSettings.samplingLimits;
+            settings.mcpRoots = Array.isArray(settings.mcpRoots) ? settings.mcpRoots : defaultSettings.mcpRoots;
+            settings.mcpReconnectMaxAttempts = settings.mcpReconnectMaxAttempts ?? defaultSettings.mcpReconnectMaxAttempts;
+            settings.mcpReconnectLimits = settings.mcpReconnectLimits || defaultSettings.mcpReconnectLimits;
+            settings.toolPolicyRules = Array.isArray(settings.toolPolicyRules) ? settings.toolPolicyRules : defaultSettings.toolPolicyRules;
+            settings.toolPolicyDefaultAction = settings.toolPolicyDefaultAction || defaultSettings.toolPolicyDefaultAction;
+            settings.toolPolicyYolo = settings.toolPolicyYolo === true;
+            settings.customProviders = Array.isArray(settings.customProviders) ? settings.customProviders : defaultSettings.customProviders;
 
             // Optional: Persist the potentially updated settings back to file if defaults were applied
             // fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
@@ -79,8 +126,25 @@ function loadSettings() {
     }
 }
 
-function initializeSettingsHandlers(ipcMain, app) {
+/**
+ * Writes the settings file and lets other modules react to the change.
+ * Used by the save-settings handler and by main process modules that change settings themselves.
+ * @param {object} settings - The complete settings object.
+ * @throws {Error} If the settings are not an object or cannot be written.
+ */
+function saveSettings(settings) {
+    // Basic validation before saving
+    if (!settings || typeof settings !== 'object') {
+        throw new Error("Invalid settings object provided.");
+    }
+    const settingsPath = path.join(appInstance.getPath('userData'), 'settings.json');
+    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    if (onSettingsSavedFunc) onSettingsSavedFunc(settings); // Let other modules react (e.g. announce changed MCP roots)
+}
+
+function initializeSettingsHandlers(ipcMain, app, onSettingsSaved) {
     appInstance = app; // Store app instance
+    onSettingsSavedFunc = onSettingsSaved;
 
     // Log settings path on initialization
     const userDataPath = appInstance.getPath('userData');
@@ -112,16 +176,9 @@ function initializeSettingsHandlers(ipcMain, app) {
 
     // Handler for saving settings
     ipcMain.handle('save-settings', async (event, settings) => {
-      const userDataPath = appInstance.getPath('userData'); // Use stored instance
-      const settingsPath = path.join(userDataPath, 'settings.json');
-
       try {
-        // Basic validation before saving
-        if (!settings || typeof settings !== 'object') {
-            throw new Error("Invalid settings object provided.");
-        }
-         // Optionally add more validation here
-        fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+        validatePolicyRules(settings); // A rule that cannot be evaluated would fail every tool call it is reached by
+        saveSettings(settings);
         return { success: true };
       } catch (error) {
         console.error('Error saving settings:', error);
@@ -132,5 +189,6 @@ function initializeSettingsHandlers(ipcMain, app) {
 
 module.exports = {
     loadSettings,
+    saveSettings,
     initializeSettingsHandlers
 }; 
\ No newline at end of file
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { dialog } = require('electron');
+
+// Append-only audit log of tool calls (userData/tool-audit.jsonl), one JSON object per line:
+//   { timestamp, chatId, callId, name, server, tool, arguments, originalArguments?, approval, durationMs, resultSize, error }
+// `approval` is the permission decision ({ action, source: rule | remembered | default | user, choice, rule }),
+// null when the call failed before the policy was asked. `durationMs` covers the MCP call only (not the wait
+// for approval) and is null when the tool never ran. `resultSize` is the size of the result in bytes.
+// `originalArguments` holds the model's arguments when the user edited them in the approval dialog
+// (`arguments` is then what the tool ran with).
+// Entries are never rewritten; the viewer reads the whole file and filters it here.
+
+const AUDIT_LOG_FILE = 'tool-audit.jsonl';
+const CSV_COLUMNS = ['timestamp', 'chatId', 'callId', 'server', 'tool', 'arguments', 'originalArguments', 'approval', 'durationMs', 'resultSize', 'error'];
+
+let appInstance;
+let mainWindowInstance;
+let writeQueue = Promise.resolve(); // Keeps appends in call order
+
+function getAuditLogPath() {
+    return path.join(appInstance.getPath('userData'), AUDIT_LOG_FILE);
+}
+
+/**
+ * Appends an entry to the audit log. Never throws: a failed write is logged but must not fail the tool call.
+ * @param {object} entry - The entry; `timestamp` defaults to now.
+ */
+function recordToolCall(entry) {
+    if (!appInstance) {
+        console.warn('Tool audit log not initialized; entry not written.');
+        return;
+    }
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    writeQueue = writeQueue
+        .then(() => fs.promises.appendFile(getAuditLogPath(), line, { encoding: 'utf8', mode: 0o600 }))
+        .catch(error => console.error('Error writing the tool audit log:', error));
+}
+
+// Reads all entries; lines that do not parse (e.g. cut off by a crash) are skipped
+async function readEntries() {
+    let data;
+    try {
+        data = await fs.promises.readFile(getAuditLogPath(), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return data.split('\n').filter(line => line.trim()).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+// Start of a local YYYY-MM-DD day in ms, or null for an empty or invalid date
+function parseDay(day) {
+    if (!day) return null;
+    const time = new Date(`${day}T00:00:00`).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+// Applies the viewer filters: exact server and tool, and an inclusive range of days
+function filterEntries(entries, { server, tool, from, to } = {}) {
+    const fromTime = parseDay(from);
+    const toTime = parseDay(to);
+    return entries.filter(entry => {
+        if (server && entry.server !== server) return false;
+        if (tool && entry.tool !== tool) return false;
+        const time = new Date(entry.timestamp).getTime();
+        if (fromTime !== null && time < fromTime) return false;
+        if (toTime !== null && time >= toTime + 24 * 60 * 60 * 1000) return false;
+        return true;
+    });
+}
+
+/**
+ * Short text for an approval decision, e.g. "allow (user: chat)" or "deny (rule: deny fs/* when ...)".
+ * @param {object | null} approval - The `approval` field of an entry.
+ * @returns {string}
+ */
+function describeApproval(approval) {
+    if (!approval) return '';
+    const detail = approval.choice || approval.rule;
+    return `${approval.action} (${approval.source}${detail ? `: ${detail}` : ''})`;
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => toCsvValue(column === 'approval' ? describeApproval(entry.approval) : entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function initializeToolAuditHandlers(ipcMain, app, mainWindow) {
+    appInstance = app;
+    mainWindowInstance = mainWindow;
+
+    // Handler for the audit log viewer: filtered entries (newest first) plus the servers and tools that occur,
+    // so the viewer can offer them as filter choices
+    ipcMain.handle('get-tool-audit-log', async (event, filters = {}) => {
+        try {
+            const entries = await readEntries();
+            const matching = filterEntries(entries, filters).reverse();
+            const limit = parseInt(filters.limit, 10) > 0 ? parseInt(filters.limit, 10) : matching.length;
+            return {
+                success: true,
+                entries: matching.slice(0, limit),
+                total: matching.length,
+                servers: [...new Set(entries.map(entry => entry.server).filter(Boolean))].sort(),
+                tools: [...new Set(entries.filter(entry => !filters.server || entry.server === filters.server).map(entry => entry.tool).filter(Boolean))].sort(),
+                path: getAuditLogPath()
+            };
+        } catch (error) {
+            console.error('Error reading the tool audit log:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Handler for exporting the filtered entries (oldest first) as 'csv' or 'json' to a file the user picks
+    ipcMain.handle('export-tool-audit-log', async (event, filters = {}, format = 'json') => {
+        try {
+            const entries = filterEntries(await readEntries(), filters);
+            const extension = format === 'csv' ? 'csv' : 'json';
+            const result = await dialog.showSaveDialog(mainWindowInstance, {
+                title: 'Export tool audit log',
+                defaultPath: `tool-audit-${new Date().toISOString().slice(0, 10)}.${extension}`,
+                filters: [extension === 'csv' ? { name: 'CSV', extensions: ['csv'] } : { name: 'JSON', extensions: ['json'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: true, canceled: true };
+            }
+            const data = extension === 'csv' ? toCsv(entries) : JSON.stringify(entries, null, 2);
+            await fs.promises.writeFile(result.filePath, data, 'utf8');
+            console.log(`Exported ${entries.length} tool audit entries to ${result.filePath}`);
+            return { success: true, path: result.filePath, count: entries.length };
+        } catch (error) {
+            console.error('Error exporting the tool audit log:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeToolAuditHandlers,
+    recordToolCall
+};
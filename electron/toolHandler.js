@@ -1,15 +1,155 @@
+const { z } = require('zod');
+const { CallToolResultSchema } = require('@modelcontextprotocol/sdk/types.js');
 const { limitContentLength } = require('./utils');
+const { validateAgainstSchema } = require('./schemaValidator');
+const { checkToolPermission } = require('./toolPolicy');
+const { recordToolCall } = require('./toolAuditLog');
+
+// Number of tool calls from one model turn that may run at the same time when no setting is given
+const DEFAULT_TOOL_CONCURRENCY = 4;
+// Time a call may go without a result or progress notification before it fails
+const TOOL_CALL_TIMEOUT_MS = 300000;
+
+// Accepts content types this SDK version does not know yet (e.g. resource_link) instead of failing the call
+const ToolResultSchema = CallToolResultSchema.extend({
+  content: z.array(z.object({ type: z.string() }).passthrough()).default([])
+});
+
+/**
+ * Text the model sees for a tool result. Text blocks are kept as they are; images, audio and
+ * resources are described by a short placeholder instead of their base64 data.
+ * @param {Array<object>} content - The typed content array of an MCP tool result.
+ * @returns {string}
+ */
+function toolContentToText(content) {
+  return content.map(part => {
+    switch (part.type) {
+      case 'text':
+        return part.text;
+      case 'image':
+        return `[Image: ${part.mimeType}]`;
+      case 'audio':
+        return `[Audio not included: ${part.mimeType}]`;
+      case 'resource': {
+        const resource = part.resource || {};
+        if (typeof resource.text === 'string') {
+          return `[Resource: ${resource.uri}]\n${resource.text}`;
+        }
+        return resource.mimeType?.startsWith('image/')
+          ? `[Image resource: ${resource.uri} (${resource.mimeType})]`
+          : `[Binary resource not included: ${resource.uri} (${resource.mimeType || 'unknown type'})]`;
+      }
+      case 'resource_link':
+        return `[Resource link: ${part.name || part.uri} <${part.uri}>${part.description ? ` - ${part.description}` : ''}]`;
+      default:
+        return JSON.stringify(part);
+    }
+  }).join('\n');
+}
+
+/**
+ * Images in a tool result (image blocks and embedded image resources), for forwarding to vision models.
+ * @param {Array<object>} [content] - The typed content array of an MCP tool result.
+ * @returns {Array<{mimeType: string, data: string}>}
+ */
+function getToolContentImages(content) {
+  return (content || []).flatMap(part => {
+    if (part.type === 'image' && part.data) return [{ mimeType: part.mimeType, data: part.data }];
+    if (part.type === 'resource' && part.resource?.blob && part.resource.mimeType?.startsWith('image/')) {
+      return [{ mimeType: part.resource.mimeType, data: part.resource.blob }];
+    }
+    return [];
+  });
+}
+
+// Running MCP tool calls by tool call id, so the user can cancel a single call
+const activeToolCalls = new Map(); // callId -> AbortController
+
+/**
+ * Cancels one running tool call. The MCP request is aborted, which sends notifications/cancelled
+ * to the server; the model receives a "cancelled by the user" tool result.
+ * @param {string} callId - The tool call id.
+ * @returns {boolean} - True if a running call was cancelled.
+ */
+function cancelToolCall(callId) {
+  const controller = activeToolCalls.get(callId);
+  if (!controller || controller.signal.aborted) {
+    console.log(`No running tool call to cancel for ID ${callId}.`);
+    return false;
+  }
+  console.log(`Cancelling tool call ${callId}.`);
+  controller.abort('Cancelled by the user'); // Sent to the server as the reason in notifications/cancelled
+  return true;
+}
 
 /**
  * Handles the 'execute-tool-call' IPC event.
  *
+ * Every call passes the tool permission policy (toolPolicy.js) first; calls the policy asks about wait for the
+ * user's answer in the renderer that sent `event`. Each call, including refused and failed ones, is written to
+ * the tool audit log (toolAuditLog.js). When the user edited the arguments while approving, the call runs with
+ * those; the result says so in its text and carries them as `editedArguments`.
+ *
  * @param {Electron.IpcMainInvokeEvent} event - The IPC event object.
  * @param {object} toolCall - The tool call object received from the model.
  * @param {Array<object>} discoveredTools - List of available MCP tools.
  * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
- * @returns {Promise<object>} - A promise resolving to the tool result or error.
+ * @param {object} [options] - Optional execution options.
+ * @param {AbortSignal} [options.signal] - Cancels the pending MCP request (the server is sent notifications/cancelled)
+ *   or a pending approval.
+ * @param {boolean} [options.coerceArguments] - Convert simple type mismatches (string "5" -> number) before validating.
+ * @param {string} [options.chatId] - The chat making the call, for approvals scoped to one chat.
+ * @param {function({progress: number, total?: number, message?: string}): void} [options.onProgress] - Called for each
+ *   MCP progress notification of the call; each notification also restarts the timeout.
+ * @returns {Promise<object>} - A promise resolving to the tool result or error. `result` is the text for the model,
+ *   `content` the typed MCP content (images, resources) for display and vision models, `structuredContent` the
+ *   tool's structured output. Results flagged `isError` and structured output that violates the tool's
+ *   outputSchema are returned as `error` (with the content kept for display). Argument schema violations are
+ *   returned as `validationErrors` alongside an `error` message listing each of them.
  */
-async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients) {
+async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients, options = {}) {
+  const timestamp = new Date().toISOString(); // When the call came in, before any wait for approval
+  const audit = { server: null, tool: null, arguments: toolCall?.function?.arguments ?? null, approval: null, durationMs: null };
+  let toolResult = await runToolCall(event, toolCall, discoveredTools, mcpClients, options, audit);
+  if (audit.originalArguments !== undefined) {
+    toolResult = markArgumentsEdited(toolResult, audit.arguments);
+  }
+  recordToolCall({
+    timestamp,
+    chatId: options.chatId || null,
+    callId: toolResult.tool_call_id,
+    name: toolCall?.function?.name || null,
+    server: audit.server,
+    tool: audit.tool,
+    arguments: audit.arguments,
+    ...(audit.originalArguments !== undefined && { originalArguments: audit.originalArguments }),
+    approval: audit.approval,
+    durationMs: audit.durationMs,
+    resultSize: getResultSize(toolResult),
+    error: toolResult.error || null
+  });
+  return toolResult;
+}
+
+// Tells the model (in the result text, which is also what the saved chat keeps) and the UI (`editedArguments`)
+// that the call ran with arguments the user changed before approving it
+function markArgumentsEdited(toolResult, editedArgs) {
+  const note = `[The user edited the arguments before approving this call. It ran with: ${JSON.stringify(editedArgs)}]`;
+  return {
+    ...toolResult,
+    ...(toolResult.error ? { error: `${note}\n${toolResult.error}` } : { result: `${note}\n${toolResult.result}` }),
+    editedArguments: editedArgs
+  };
+}
+
+// Size in bytes of what the tool returned: the typed content if any, else the result text
+function getResultSize(toolResult) {
+  if (toolResult.content !== undefined) return Buffer.byteLength(JSON.stringify(toolResult.content));
+  return typeof toolResult.result === 'string' ? Buffer.byteLength(toolResult.result) : null;
+}
+
+// The body of handleExecuteToolCall; fills `audit` with what it learns about the call on the way
+async function runToolCall(event, toolCall, discoveredTools, mcpClients, options, audit) {
   console.log(`Handling execute-tool-call for: ${toolCall?.function?.name} (ID: ${toolCall?.id})`);
 
   // Basic validation of the tool call object
@@ -22,8 +162,20 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
   const toolCallId = toolCall.id;
 
   try {
-    // Find the MCP tool configuration matching the requested tool name
-    const mcpTool = discoveredTools.find(t => t.name === toolName);
+    // Find the MCP tool configuration matching the requested (server-qualified) tool name.
+    // Older chats may still reference the plain name; accept it only when exactly one server has that tool.
+    let mcpTool = discoveredTools.find(t => t.name === toolName);
+    if (!mcpTool) {
+      const byOriginalName = discoveredTools.filter(t => t.originalName === toolName);
+      if (byOriginalName.length > 1) {
+        console.error(`Tool name "${toolName}" is ambiguous between servers: ${byOriginalName.map(t => t.serverId).join(', ')}`);
+        return {
+          error: `Ambiguous tool name: ${toolName}. Use one of: ${byOriginalName.map(t => t.name).join(', ')}.`,
+          tool_call_id: toolCallId
+        };
+      }
+      mcpTool = byOriginalName[0];
+    }
 
     if (!mcpTool) {
       console.error(`Tool "${toolName}" not found among discovered tools.`);
@@ -43,6 +195,9 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
         };
     }
 
+    audit.server = clientId;
+    audit.tool = mcpTool.originalName || toolName;
+
     const client = mcpClients[clientId];
     if (!client) {
       console.error(`MCP Client instance not found for server ID: ${clientId} (required by tool ${toolName})`);
@@ -61,7 +216,7 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
       } else {
           args = JSON.parse(toolCall.function.arguments);
       }
-       // Optional: Validate parsed args against mcpTool.input_schema here
+      audit.arguments = args;
     } catch (parseError) {
       console.error(`Error parsing arguments for tool "${toolName}": ${parseError.message}`);
       console.error(`Raw arguments string:`, toolCall.function.arguments);
@@ -71,42 +226,117 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
       };
     }
 
-    // Execute the tool call via the MCP client
-    console.log(`Executing MCP tool "${toolName}" on server ${clientId} with args:`, args);
+    // Validate arguments against the tool's input schema so the model can fix them without a server round trip
+    if (mcpTool.input_schema && typeof mcpTool.input_schema === 'object') {
+      const validation = validateAgainstSchema(args, mcpTool.input_schema, { coerce: options.coerceArguments === true });
+      if (validation.coercions.length > 0) {
+        console.log(`Coerced arguments for tool "${toolName}":`, validation.coercions.map(c => `${c.path}: ${c.from} -> ${c.to}`).join(', '));
+      }
+      if (!validation.valid) {
+        console.warn(`Arguments for tool "${toolName}" failed schema validation:`, validation.errors);
+        const violations = validation.errors.map(err => `- ${err.path}: ${err.message}`).join('\n');
+        return {
+          error: limitContentLength(`Invalid arguments for tool "${toolName}". The call was not executed. Fix these problems and call the tool again:\n${violations}`),
+          validationErrors: validation.errors,
+          tool_call_id: toolCallId
+        };
+      }
+      args = validation.value;
+      audit.arguments = args;
+    }
+
+    // Execute the tool call via the MCP client, under the name the server registered
+    const serverToolName = mcpTool.originalName || toolName;
+
+    // The permission policy sees the arguments the server would receive; "ask" waits for the user
+    const permission = await checkToolPermission(
+      { toolCall, serverId: clientId, toolName: serverToolName, args, inputSchema: mcpTool.input_schema },
+      { sender: event?.sender, signal: options.signal, chatId: options.chatId }
+    );
+    audit.approval = permission.decision;
+    if (!permission.allowed) {
+      return { error: permission.reason, tool_call_id: toolCallId };
+    }
+    if (permission.args) {
+      // The user changed the arguments in the approval dialog (already validated there)
+      audit.originalArguments = args;
+      args = permission.args;
+      audit.arguments = args;
+    }
+
+    console.log(`Executing MCP tool "${serverToolName}" (as "${toolName}") on server ${clientId} with args:`, args);
+    // Own controller per call: aborted by the user's cancel button or when the whole stream is stopped
+    const callController = new AbortController();
+    const abortCall = () => callController.abort(options.signal.reason);
+    if (options.signal?.aborted) {
+      callController.abort();
+    } else {
+      options.signal?.addEventListener('abort', abortCall, { once: true });
+    }
+    activeToolCalls.set(toolCallId, callController);
+    const startedAt = Date.now();
     try {
-      // Attempt to pass timeout option (Note: May not work based on SDK issue)
+      // Passing onprogress makes the SDK send a progress token with the request
       const result = await client.callTool(
         {
-          name: toolName,
+          name: serverToolName,
           arguments: args
         },
-        undefined, // Placeholder for potentially deprecated/unused options
-        { timeout: 300000 } // 5 minutes (300,000 ms)
+        ToolResultSchema,
+        {
+          timeout: TOOL_CALL_TIMEOUT_MS,
+          resetTimeoutOnProgress: true,
+          signal: callController.signal,
+          onprogress: (progress) => options.onProgress?.(progress)
+        }
       );
 
-       console.log(`MCP tool "${toolName}" executed successfully. Result content length: ${JSON.stringify(result?.content)?.length}`);
-
-       // Prepare result, ensuring content is stringified and limited
-       let resultString;
-       try {
-            // Handle different types of content (string, object, null, etc.)
-            if (result?.content === undefined || result?.content === null) {
-                resultString = ""; // Represent null/undefined content as empty string
-            } else if (typeof result.content === 'string') {
-                resultString = result.content;
-            } else {
-                resultString = JSON.stringify(result.content);
-            }
-       } catch (stringifyError) {
-           console.error(`Failed to stringify result content for tool "${toolName}":`, stringifyError);
-           resultString = `[Error stringifying tool result: ${stringifyError.message}]`;
-       }
+      const content = result.content;
+      const { structuredContent } = result;
+      const text = toolContentToText(content);
 
+      if (result.isError) {
+        console.warn(`MCP tool "${toolName}" reported an error: ${text}`);
+        return {
+          error: limitContentLength(`Tool "${toolName}" reported an error: ${text || '(no details)'}`),
+          content,
+          tool_call_id: toolCallId
+        };
+      }
+
+      // A tool that declares an outputSchema must return matching structured content
+      if (mcpTool.output_schema && typeof mcpTool.output_schema === 'object') {
+        const outputErrors = structuredContent === undefined
+          ? [{ path: '(root)', message: 'no structured content was returned' }]
+          : validateAgainstSchema(structuredContent, mcpTool.output_schema).errors;
+        if (outputErrors.length > 0) {
+          console.warn(`Structured output of tool "${toolName}" does not match its output schema:`, outputErrors);
+          const violations = outputErrors.map(err => `- ${err.path}: ${err.message}`).join('\n');
+          return {
+            error: limitContentLength(`Tool "${toolName}" returned output that does not match its declared output schema:\n${violations}`),
+            content,
+            structuredContent,
+            tool_call_id: toolCallId
+          };
+        }
+      }
+
+      console.log(`MCP tool "${toolName}" executed successfully. Result content: ${content.map(part => part.type).join(', ') || 'empty'}${structuredContent !== undefined ? ' + structured' : ''}`);
       return {
-        result: resultString, // Limit length *after* stringifying
+        // Servers should mirror structured output as text; fall back to the JSON when they do not
+        result: limitContentLength(text || (structuredContent !== undefined ? JSON.stringify(structuredContent) : '')), // Images no longer count against the limit
+        content,
+        structuredContent,
         tool_call_id: toolCallId
       };
     } catch (executionError) {
+      if (callController.signal.aborted) {
+        console.log(`MCP tool call "${toolName}" (ID: ${toolCallId}) cancelled by user.`);
+        return {
+          error: `Execution of tool "${toolName}" was cancelled by the user.`,
+          tool_call_id: toolCallId
+        };
+      }
       console.error(`Error executing MCP tool call for "${toolName}": ${executionError.message}`);
       // Log the execution error stack if available
       if (executionError.stack) {
@@ -117,6 +347,10 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
         error: limitContentLength(`Error during execution of tool "${toolName}": ${executionError.message}`),
         tool_call_id: toolCallId
       };
+    } finally {
+      audit.durationMs = Date.now() - startedAt;
+      options.signal?.removeEventListener('abort', abortCall);
+      if (activeToolCalls.get(toolCallId) === callController) activeToolCalls.delete(toolCallId);
     }
 
   } catch (handlerError) {
@@ -129,6 +363,99 @@ async function handleExecuteToolCall(event, toolCall, discoveredTools, mcpClient
   }
 }
 
+/**
+ * Executes a batch of tool calls through handleExecuteToolCall with at most `concurrency` running at once.
+ * Progress is reported per call over 'tool-call-start' / 'tool-call-progress' / 'tool-call-end'; calls may finish in any order,
+ * but the returned results always follow the order of `toolCalls`.
+ *
+ * @param {Electron.IpcMainEvent | Electron.IpcMainInvokeEvent} event - The IPC event; progress is sent to its sender.
+ * @param {Array<object>} toolCalls - The tool call objects received from the model.
+ * @param {Array<object>} discoveredTools - List of available MCP tools.
+ * @param {object} mcpClients - Object mapping server IDs to active MCP client instances.
+ * @param {object} [options] - Optional execution options.
+ * @param {number} [options.concurrency] - Maximum number of calls in flight (1 runs them serially).
+ * @param {AbortSignal} [options.signal] - Cancels running calls; calls not yet started are skipped.
+ * @param {boolean} [options.coerceArguments] - Passed through to handleExecuteToolCall.
+ * @param {number} [options.iteration] - Tool loop iteration, forwarded in the progress events.
+ * @param {string} [options.chatId] - Passed through to handleExecuteToolCall.
+ * @returns {Promise<Array<object>>} - Results ({ result | error, content, structuredContent, tool_call_id }) in the original call order.
+ */
+async function executeToolCallsParallel(event, toolCalls, discoveredTools, mcpClients, options = {}) {
+  const { signal, iteration, coerceArguments, chatId } = options;
+  const requestedConcurrency = parseInt(options.concurrency, 10) > 0 ? parseInt(options.concurrency, 10) : DEFAULT_TOOL_CONCURRENCY;
+  const concurrency = Math.min(requestedConcurrency, toolCalls.length);
+  const results = new Array(toolCalls.length);
+  let nextIndex = 0;
+
+  console.log(`Executing ${toolCalls.length} tool call(s) with concurrency ${concurrency}.`);
+
+  const sendProgress = (channel, payload) => {
+    if (event?.sender && !event.sender.isDestroyed()) {
+      event.sender.send(channel, payload);
+    }
+  };
+
+  const runCall = async (index) => {
+    const toolCall = toolCalls[index];
+    const callId = toolCall?.id;
+    const name = toolCall?.function?.name;
+
+    if (signal?.aborted) {
+      results[index] = { error: `Execution of tool "${name}" was cancelled by the user.`, tool_call_id: callId };
+      sendProgress('tool-call-end', { callId, name, error: results[index].error, index, iteration });
+      return;
+    }
+
+    let args;
+    try {
+      args = JSON.parse(toolCall?.function?.arguments || '{}');
+    } catch {
+      args = toolCall?.function?.arguments; // Show the raw string; handleExecuteToolCall reports the parse error
+    }
+    sendProgress('tool-call-start', { callId, name, args, index, iteration });
+
+    let toolResult;
+    try {
+      toolResult = await handleExecuteToolCall(event, toolCall, discoveredTools, mcpClients, {
+        signal,
+        coerceArguments,
+        chatId,
+        onProgress: ({ progress, total, message }) => sendProgress('tool-call-progress', { callId, name, progress, total, message, index, iteration })
+      });
+    } catch (execError) {
+      console.error(`Unexpected error during tool execution flow for ${name}:`, execError);
+      toolResult = { error: `Unexpected handler error: ${execError.message}`, tool_call_id: callId };
+    }
+    results[index] = toolResult;
+    sendProgress('tool-call-end', {
+      callId,
+      name,
+      result: toolResult.result,
+      content: toolResult.content,
+      structuredContent: toolResult.structuredContent,
+      editedArguments: toolResult.editedArguments,
+      error: toolResult.error,
+      index,
+      iteration
+    });
+  };
+
+  // Each worker pulls the next pending call until none are left
+  const worker = async () => {
+    while (nextIndex < toolCalls.length) {
+      const index = nextIndex++;
+      await runCall(index);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  return results;
+}
+
 module.exports = {
-    handleExecuteToolCall
+    DEFAULT_TOOL_CONCURRENCY,
+    cancelToolCall,
+    getToolContentImages,
+    handleExecuteToolCall,
+    executeToolCallsParallel
 }; 
\ No newline at end of file
@@ -0,0 +1,425 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateAgainstSchema } = require('./schemaValidator');
+
+// Tool permission policy, evaluated in the tool execution path (toolHandler) so the renderer cannot skip it.
+// settings.toolPolicyRules is an ordered list; the first rule matching a call decides:
+//   { action: 'allow' | 'deny' | 'ask', server: 'glob', tool: 'glob', args: [{ name, operator, value }] }
+// `server` and `tool` match the server id and the tool name the server registered (`*` and `?` wildcards).
+// Argument conditions read an argument by name (dots reach into objects) and compare it with
+// `under` / `notUnder` (path inside a folder) or `matches` / `notMatches` (glob). All conditions must hold.
+// Calls no rule matches get settings.toolPolicyDefaultAction ('ask' unless changed).
+// YOLO mode from the approval dialog is stored separately (settings.toolPolicyYolo) so revoking approvals leaves the
+// default action the user chose alone; while it is on, calls no rule matches are allowed.
+// Decisions remembered from the approval dialog are stored as rules too ({ createdBy: 'approval' }), optionally
+// limited to one chat (`chatId`) or until a time (`expiresAt`, ms since epoch); outside that scope they do not match.
+// They are only consulted after the user's own rules, so a rule added later always takes precedence.
+
+const POLICY_ACTIONS = ['allow', 'deny', 'ask'];
+const DEFAULT_POLICY_ACTION = 'ask';
+const ARGUMENT_OPERATORS = ['under', 'notUnder', 'matches', 'notMatches'];
+// Choices of the approval dialog; everything but 'once' and 'deny' is remembered
+const APPROVAL_CHOICES = ['once', 'chat', 'timed', 'always', 'never', 'yolo', 'deny'];
+const DEFAULT_APPROVAL_MINUTES = 30;
+const MAX_APPROVAL_MINUTES = 7 * 24 * 60;
+
+let loadSettingsFunc;
+let saveSettingsFunc;
+
+const pendingApprovals = new Map(); // requestId -> { resolve({ choice, minutes, args }), details }
+let nextRequestNumber = 1;
+
+function globToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+}
+
+function matchesGlob(pattern, value) {
+    if (pattern === undefined || pattern === null || pattern === '' || pattern === '*') return true;
+    return globToRegExp(pattern).test(String(value));
+}
+
+// Absolute, normalized path with ~ expanded and symlinks resolved where the path exists
+function normalizePath(value) {
+    const expanded = value === '~' || value.startsWith('~/') || value.startsWith('~\\') ? path.join(os.homedir(), value.slice(1)) : value;
+    const resolved = path.resolve(expanded);
+    try {
+        return fs.realpathSync(resolved);
+    } catch {
+        return resolved; // Files about to be created do not exist yet
+    }
+}
+
+// Relative paths never count as inside a folder: the server resolves them against its own working directory
+function isPathUnder(value, folder) {
+    if (typeof value !== 'string' || !value) return false;
+    const expandsHome = value === '~' || value.startsWith('~/') || value.startsWith('~\\');
+    if (!expandsHome && !path.isAbsolute(value)) return false;
+    const relative = path.relative(normalizePath(folder), normalizePath(value));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function getArgument(args, name) {
+    return String(name).split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), args);
+}
+
+// Array arguments (e.g. several paths) satisfy `under` / `matches` only if every element does
+function matchesCondition(args, condition) {
+    const value = getArgument(args, condition.name);
+    if (value === undefined) return false;
+    const values = Array.isArray(value) ? value : [value];
+    const holdsForAll = (test) => values.length > 0 && values.every(test);
+    switch (condition.operator) {
+        case 'under': return holdsForAll(item => isPathUnder(item, condition.value));
+        case 'notUnder': return !holdsForAll(item => isPathUnder(item, condition.value));
+        case 'matches': return holdsForAll(item => matchesGlob(condition.value, typeof item === 'string' ? item : JSON.stringify(item)));
+        case 'notMatches': return !holdsForAll(item => matchesGlob(condition.value, typeof item === 'string' ? item : JSON.stringify(item)));
+        default: return false;
+    }
+}
+
+// Why a rule cannot be evaluated, or null if it is valid. Every operator compares with a non-empty `value`.
+function getRuleError(rule) {
+    if (!rule || typeof rule !== 'object') return 'not an object';
+    if (!POLICY_ACTIONS.includes(rule.action)) return `unknown action '${rule.action}'`;
+    if (rule.args === undefined || rule.args === null) return null;
+    if (!Array.isArray(rule.args)) return 'argument conditions must be a list';
+    for (const condition of rule.args) {
+        if (!condition || !condition.name) return 'an argument condition has no argument name';
+        if (!ARGUMENT_OPERATORS.includes(condition.operator)) return `unknown operator '${condition.operator}' for argument '${condition.name}'`;
+        if (typeof condition.value !== 'string' || !condition.value.trim()) return `the condition on argument '${condition.name}' has no value`;
+    }
+    return null;
+}
+
+function isValidRule(rule) {
+    return getRuleError(rule) === null;
+}
+
+/**
+ * Checks the rules of settings about to be saved by the user.
+ * @param {object} settings - The settings to save.
+ * @throws {Error} Naming the first invalid rule (numbered as in Settings) and what is wrong with it.
+ */
+function validatePolicyRules(settings) {
+    const rules = Array.isArray(settings?.toolPolicyRules) ? settings.toolPolicyRules : [];
+    rules.filter(rule => rule?.createdBy !== 'approval').forEach((rule, index) => {
+        const error = getRuleError(rule);
+        if (error) throw new Error(`Tool permission rule #${index + 1} is invalid: ${error}.`);
+    });
+}
+
+// Whether a remembered decision applies to a call made now from the given chat
+function isInScope(rule, chatId, now) {
+    if (rule.chatId && rule.chatId !== chatId) return false;
+    if (rule.expiresAt && rule.expiresAt <= now) return false;
+    return true;
+}
+
+function isExpired(rule, now = Date.now()) {
+    return Boolean(rule?.expiresAt) && rule.expiresAt <= now;
+}
+
+/**
+ * Human-readable summary of a rule, used in error messages and the approval dialog.
+ * @param {object} rule - A policy rule.
+ * @returns {string} E.g. "deny filesystem/write_file when path notUnder ~/projects".
+ */
+function describeRule(rule) {
+    const conditions = (rule.args || []).map(condition => `${condition.name} ${condition.operator} ${condition.value}`);
+    const scope = [
+        rule.chatId ? 'in this chat' : null,
+        rule.expiresAt ? `until ${new Date(rule.expiresAt).toLocaleString()}` : null
+    ].filter(Boolean);
+    return `${rule.action} ${rule.server || '*'}/${rule.tool || '*'}${conditions.length > 0 ? ` when ${conditions.join(' and ')}` : ''}${scope.length > 0 ? ` ${scope.join(' ')}` : ''}`;
+}
+
+// How a decision was reached, for log lines and refusal messages
+function describeMatch(rule, ruleIndex) {
+    if (!rule) return 'the default action';
+    return ruleIndex === -1 ? `a remembered decision (${describeRule(rule)})` : `rule #${ruleIndex + 1} (${describeRule(rule)})`;
+}
+
+/**
+ * Finds the decision for a tool call: the first matching rule (the user's rules before remembered decisions),
+ * else YOLO mode if it is on, else the default action.
+ * @param {object} settings - The current application settings.
+ * @param {{serverId: string, toolName: string, args: object, chatId?: string}} call - The server, the tool's own name, the arguments and the calling chat.
+ * @param {number} [now] - Current time for expiring decisions.
+ * @returns {{action: 'allow' | 'deny' | 'ask', rule: object | null, ruleIndex: number, yolo?: true}} `ruleIndex` counts
+ *   the user's rules only, as numbered in Settings; it is -1 for remembered decisions, YOLO mode and the default action.
+ */
+function evaluateToolPolicy(settings, { serverId, toolName, args, chatId }, now = Date.now()) {
+    const rules = Array.isArray(settings.toolPolicyRules) ? settings.toolPolicyRules : [];
+    const userRules = rules.filter(rule => rule?.createdBy !== 'approval');
+    const rememberedRules = rules.filter(rule => rule?.createdBy === 'approval');
+    const matches = (rule) => isInScope(rule, chatId, now) && matchesGlob(rule.server, serverId) && matchesGlob(rule.tool, toolName)
+        && (rule.args || []).every(condition => matchesCondition(args || {}, condition));
+
+    for (let index = 0; index < userRules.length; index++) {
+        const rule = userRules[index];
+        if (!isValidRule(rule)) {
+            console.warn(`Ignoring invalid tool policy rule #${index + 1} (${getRuleError(rule)}):`, rule);
+            continue;
+        }
+        if (matches(rule)) {
+            return { action: rule.action, rule, ruleIndex: index };
+        }
+    }
+    const remembered = rememberedRules.find(rule => isValidRule(rule) && matches(rule));
+    if (remembered) {
+        return { action: remembered.action, rule: remembered, ruleIndex: -1 };
+    }
+    if (settings.toolPolicyYolo === true) {
+        return { action: 'allow', rule: null, ruleIndex: -1, yolo: true };
+    }
+    const defaultAction = POLICY_ACTIONS.includes(settings.toolPolicyDefaultAction) ? settings.toolPolicyDefaultAction : DEFAULT_POLICY_ACTION;
+    return { action: defaultAction, rule: null, ruleIndex: -1 };
+}
+
+// Shows the approval dialog in the renderer that started the call and waits for the user's choice.
+// Resolves { choice: 'unavailable' } without a window to ask and { choice: 'cancelled' } when the call is stopped first.
+function requestApproval(sender, details, signal) {
+    if (!sender || sender.isDestroyed()) {
+        return Promise.resolve({ choice: 'unavailable' });
+    }
+    const requestId = `tool-approval-${nextRequestNumber++}`;
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            pendingApprovals.delete(requestId);
+            if (!sender.isDestroyed()) sender.send('tool-approval-cancelled', { requestId });
+            resolve({ choice: 'cancelled' });
+        };
+        pendingApprovals.set(requestId, {
+            details,
+            resolve: (response) => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(response);
+            }
+        });
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        sender.send('tool-approval-request', { requestId, ...details });
+    });
+}
+
+// Checks arguments the user edited in the approval dialog: they must match the tool's input schema (coerced like
+// the model's arguments) and must not be blocked by a rule. Returns { args } or { error, validationErrors? }.
+function checkEditedArguments(details, editedArgs) {
+    if (!editedArgs || typeof editedArgs !== 'object' || Array.isArray(editedArgs)) {
+        return { error: 'The arguments must be a JSON object.' };
+    }
+    const settings = loadSettingsFunc();
+    let args = editedArgs;
+    if (details.inputSchema && typeof details.inputSchema === 'object') {
+        const validation = validateAgainstSchema(editedArgs, details.inputSchema, { coerce: settings.coerceToolArguments !== false });
+        if (!validation.valid) {
+            return { error: 'The arguments do not match the tool\'s input schema.', validationErrors: validation.errors };
+        }
+        args = validation.value;
+    }
+    const { action, rule, ruleIndex } = evaluateToolPolicy(settings, { serverId: details.serverId, toolName: details.toolName, args, chatId: details.chatId });
+    if (action === 'deny') {
+        return { error: `These arguments are blocked by ${describeMatch(rule, ruleIndex)}.` };
+    }
+    return { args };
+}
+
+// Builds the rule a remembered dialog choice stands for; null for choices that are not remembered as rules
+function buildApprovalRule(choice, { serverId, toolName, chatId, minutes }, now = Date.now()) {
+    const base = { server: serverId, tool: toolName, createdBy: 'approval', createdAt: now };
+    switch (choice) {
+        case 'always': return { action: 'allow', ...base };
+        case 'never': return { action: 'deny', ...base };
+        case 'chat': return chatId ? { action: 'allow', ...base, chatId } : null;
+        case 'timed': return { action: 'allow', ...base, expiresAt: now + minutes * 60 * 1000 };
+        default: return null;
+    }
+}
+
+// Saves a remembered choice: a scoped rule, or the YOLO flag for 'yolo'.
+// Expired decisions are dropped on the way so the list does not grow forever, and a decision without scope
+// replaces the scoped ones for the same tool (otherwise "allow in this chat" would outlive "never allow").
+function rememberChoice(choice, call) {
+    try {
+        const settings = loadSettingsFunc();
+        if (choice === 'yolo') {
+            saveSettingsFunc({ ...settings, toolPolicyYolo: true });
+            console.log('Tool policy: allowing all tools without a matching rule.');
+            return;
+        }
+        const rule = buildApprovalRule(choice, call);
+        if (!rule) return;
+        const rules = Array.isArray(settings.toolPolicyRules) ? settings.toolPolicyRules : [];
+        const isGlobal = !rule.chatId && !rule.expiresAt;
+        const keptRules = rules.filter(existing => !(existing?.createdBy === 'approval' && (isExpired(existing)
+            || (isGlobal && existing.server === rule.server && existing.tool === rule.tool))));
+        saveSettingsFunc({ ...settings, toolPolicyRules: [...keptRules, rule] });
+        console.log(`Tool policy: remembered "${describeRule(rule)}".`);
+    } catch (error) {
+        // The call itself was decided; only remembering the choice failed
+        console.error('Error saving the tool approval choice:', error);
+    }
+}
+
+// Removes the decisions remembered for a chat, e.g. when the chat is deleted
+function forgetChatApprovals(chatId) {
+    if (!chatId || !loadSettingsFunc) return;
+    try {
+        const settings = loadSettingsFunc();
+        const rules = Array.isArray(settings.toolPolicyRules) ? settings.toolPolicyRules : [];
+        const keptRules = rules.filter(rule => rule?.chatId !== chatId);
+        if (keptRules.length !== rules.length) {
+            saveSettingsFunc({ ...settings, toolPolicyRules: keptRules });
+            console.log(`Tool policy: removed ${rules.length - keptRules.length} decision(s) of deleted chat ${chatId}.`);
+        }
+    } catch (error) {
+        console.error('Error removing the tool approvals of a chat:', error);
+    }
+}
+
+/**
+ * Decides whether a tool call may run, asking the user when the policy says so.
+ * @param {object} call - { toolCall, serverId, toolName (the server's name), args (validated), inputSchema (for edited arguments) }.
+ * @param {object} context - { sender: WebContents to ask, signal: AbortSignal cancelling the question, chatId: the calling chat }.
+ * @returns {Promise<{allowed: boolean, reason?: string, decision: object}>} `reason` explains a refusal to the model;
+ *   `decision` records how it was decided for the audit log: { action: 'allow' | 'deny',
+ *   source: 'rule' | 'remembered' | 'default' | 'user', rule?: text of the matching rule, choice?: the user's choice,
+ *   argumentsEdited?: true }. `args` is only set when the user edited the arguments before approving; the call must
+ *   then run with them instead.
+ */
+async function checkToolPermission({ toolCall, serverId, toolName, args, inputSchema }, { sender, signal, chatId } = {}) {
+    const settings = loadSettingsFunc();
+    const { action, rule, ruleIndex, yolo } = evaluateToolPolicy(settings, { serverId, toolName, args, chatId });
+    const ruleText = yolo ? 'YOLO mode' : describeMatch(rule, ruleIndex);
+    const ruleDecision = yolo ? { source: 'remembered', choice: 'yolo' } : {
+        source: !rule ? 'default' : ruleIndex === -1 ? 'remembered' : 'rule',
+        ...(rule && { rule: describeRule(rule) })
+    };
+
+    if (action === 'allow') {
+        console.log(`Tool policy: ${serverId}/${toolName} allowed by ${ruleText}.`);
+        return { allowed: true, decision: { action: 'allow', ...ruleDecision } };
+    }
+    if (action === 'deny') {
+        console.warn(`Tool policy: ${serverId}/${toolName} denied by ${ruleText}.`);
+        return {
+            allowed: false,
+            reason: `The call was blocked by ${ruleText} of the user's tool permissions. Do not retry it.`,
+            decision: { action: 'deny', ...ruleDecision }
+        };
+    }
+
+    console.log(`Tool policy: ${serverId}/${toolName} needs approval (${ruleText}).`);
+    const { choice, minutes, args: editedArgs } = await requestApproval(sender, {
+        callId: toolCall.id,
+        name: toolCall.function.name,
+        serverId,
+        toolName,
+        args,
+        inputSchema: inputSchema || null,
+        chatId: chatId || null,
+        rule: rule ? describeRule(rule) : null,
+        // An explicit ask rule keeps asking; remembering the choice would be overridden by it anyway
+        canRemember: !rule,
+        defaultMinutes: DEFAULT_APPROVAL_MINUTES
+    }, signal);
+
+    if (choice === 'unavailable' || choice === 'cancelled') {
+        console.log(`Tool policy: ${serverId}/${toolName} not run, approval ${choice}.`);
+        return {
+            allowed: false,
+            reason: choice === 'cancelled' ? 'The call was stopped before the user approved it.' : 'The call needs the user\'s approval, but there is no window to ask.',
+            decision: { action: 'deny', source: 'user', choice }
+        };
+    }
+    const remember = !rule && choice !== 'once' && choice !== 'deny';
+    if (remember) {
+        rememberChoice(choice, { serverId, toolName, chatId, minutes });
+    }
+    if (choice === 'deny' || choice === 'never') {
+        console.log(`Tool policy: ${serverId}/${toolName} denied by the user${remember ? ' for good' : ''}.`);
+        return {
+            allowed: false,
+            reason: remember ? 'The user denied this tool permanently. Do not call it again.' : 'The user denied this tool call.',
+            decision: { action: 'deny', source: 'user', choice, ...(rule && { rule: describeRule(rule) }) }
+        };
+    }
+    const argumentsEdited = editedArgs !== undefined && JSON.stringify(editedArgs) !== JSON.stringify(args);
+    if (argumentsEdited) {
+        console.log(`Tool policy: ${serverId}/${toolName} approved with arguments edited by the user:`, editedArgs);
+    }
+    return {
+        allowed: true,
+        decision: {
+            action: 'allow',
+            source: 'user',
+            choice: choice === 'timed' ? `timed (${minutes} min)` : choice,
+            ...(rule && { rule: describeRule(rule) }),
+            ...(argumentsEdited && { argumentsEdited: true })
+        },
+        ...(argumentsEdited && { args: editedArgs })
+    };
+}
+
+function initializeToolPolicyHandlers(ipcMain, loadSettings, saveSettings) {
+    loadSettingsFunc = loadSettings;
+    saveSettingsFunc = saveSettings;
+
+    // Handler for the user's choice in the tool approval dialog (see APPROVAL_CHOICES; anything else denies).
+    // `options.minutes` is the duration of a 'timed' approval, `options.args` arguments the user edited.
+    // Edited arguments that fail the checks are refused with { success: false, argumentsRejected: true, error,
+    // validationErrors? } and the call keeps waiting, so the dialog can stay open for a fix.
+    ipcMain.handle('respond-tool-approval', async (event, requestId, choice, options = {}) => {
+        const pending = pendingApprovals.get(requestId);
+        if (!pending) {
+            return { success: false, error: 'The tool call is no longer waiting for approval.' };
+        }
+        const finalChoice = APPROVAL_CHOICES.includes(choice) ? choice : 'deny';
+        let args;
+        if (options?.args !== undefined && finalChoice !== 'deny' && finalChoice !== 'never') {
+            const checked = checkEditedArguments(pending.details, options.args);
+            if (checked.error) {
+                console.log(`Tool policy: edited arguments for ${pending.details.serverId}/${pending.details.toolName} refused: ${checked.error}`);
+                return { success: false, argumentsRejected: true, error: checked.error, validationErrors: checked.validationErrors };
+            }
+            args = checked.args;
+        }
+        pendingApprovals.delete(requestId);
+        const minutes = parseInt(options?.minutes, 10);
+        pending.resolve({
+            choice: finalChoice,
+            minutes: Math.min(Math.max(Number.isNaN(minutes) ? DEFAULT_APPROVAL_MINUTES : minutes, 1), MAX_APPROVAL_MINUTES),
+            args
+        });
+        return { success: true };
+    });
+
+    // Handler for resetting remembered approvals: rules added from the dialog and YOLO mode
+    ipcMain.handle('reset-tool-approvals', async () => {
+        try {
+            const settings = loadSettingsFunc();
+            const rules = Array.isArray(settings.toolPolicyRules) ? settings.toolPolicyRules : [];
+            saveSettingsFunc({
+                ...settings,
+                toolPolicyRules: rules.filter(rule => rule?.createdBy !== 'approval'),
+                toolPolicyYolo: false
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Error resetting tool approvals:', error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+module.exports = {
+    initializeToolPolicyHandlers,
+    checkToolPermission,
+    forgetChatApprovals,
+    validatePolicyRules
+};
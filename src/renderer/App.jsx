@@ -4,63 +4,35 @@ import MessageList from './components/MessageList';
 import ChatInput from './components/ChatInput';
 import ToolsPanel from './components/ToolsPanel';
 import ToolApprovalModal from './components/ToolApprovalModal';
+import SamplingApprovalModal from './components/SamplingApprovalModal';
 import ChatListSidebar from './components/ChatListSidebar';
 import { useChat } from './context/ChatContext'; // Import useChat hook
 import { v4 as uuidv4 } from 'uuid'; // Re-add uuid import
 // import { get_encoding } from "@dqbd/tiktoken"; // Removed
 
-// LocalStorage keys
-const TOOL_APPROVAL_PREFIX = 'tool_approval_';
-const YOLO_MODE_KEY = 'tool_approval_yolo_mode';
-
-// --- LocalStorage Helper Functions ---
-const getToolApprovalStatus = (toolName) => {
-  try {
-    const yoloMode = localStorage.getItem(YOLO_MODE_KEY);
-    if (yoloMode === 'true') {
-      return 'yolo';
-    }
-    const toolStatus = localStorage.getItem(`${TOOL_APPROVAL_PREFIX}${toolName}`);
-    if (toolStatus === 'always') {
-      return 'always';
-    }
-    // Default: prompt the user
-    return 'prompt';
-  } catch (error) {
-    console.error("Error reading tool approval status from localStorage:", error);
-    return 'prompt'; // Fail safe: prompt user if localStorage fails
+// Inserts a tool result into the tool messages following an assistant message, ordered by the
+// position of its call in the assistant's tool_calls (parallel calls may finish in any order).
+const insertToolMessageInCallOrder = (prevMessages, assistantId, toolMessage) => {
+  const assistantIndex = prevMessages.findIndex(msg => msg.id === assistantId);
+  if (assistantIndex === -1) {
+    console.warn(`[insertToolMessageInCallOrder] Assistant message ${assistantId} not found, appending tool message.`);
+    return [...prevMessages, toolMessage];
   }
-};
-
-const setToolApprovalStatus = (toolName, status) => {
-  try {
-    if (status === 'yolo') {
-      localStorage.setItem(YOLO_MODE_KEY, 'true');
-      // Optionally clear specific tool settings when YOLO is enabled?
-      // Object.keys(localStorage).forEach(key => {
-      //   if (key.startsWith(TOOL_APPROVAL_PREFIX)) {
-      //     localStorage.removeItem(key);
-      //   }
-      // });
-    } else if (status === 'always') {
-      localStorage.setItem(`${TOOL_APPROVAL_PREFIX}${toolName}`, 'always');
-      // Ensure YOLO mode is off if a specific tool is set to always
-      localStorage.removeItem(YOLO_MODE_KEY);
-    } else if (status === 'once') {
-      // 'once' doesn't change persistent storage, just allows current execution
-      // Ensure YOLO mode is off if 'once' is chosen for a specific tool
-      localStorage.removeItem(YOLO_MODE_KEY);
-    } else if (status === 'deny') {
-       // 'deny' also doesn't change persistent storage by default.
-       // Could potentially add a 'never' status if needed.
-       // Ensure YOLO mode is off if 'deny' is chosen
-       localStorage.removeItem(YOLO_MODE_KEY);
-    }
-  } catch (error) {
-    console.error("Error writing tool approval status to localStorage:", error);
+  const callOrder = (prevMessages[assistantIndex].tool_calls || []).map(tc => tc.id);
+  const orderOf = (callId) => {
+    const position = callOrder.indexOf(callId);
+    return position === -1 ? Number.MAX_SAFE_INTEGER : position;
+  };
+  let insertIndex = assistantIndex + 1;
+  while (
+    insertIndex < prevMessages.length &&
+    prevMessages[insertIndex].role === 'tool' &&
+    orderOf(prevMessages[insertIndex].tool_call_id) <= orderOf(toolMessage.tool_call_id)
+  ) {
+    insertIndex++;
   }
+  return [...prevMessages.slice(0, insertIndex), toolMessage, ...prevMessages.slice(insertIndex)];
 };
-// --- End LocalStorage Helper Functions ---
 
 
 function App() {
@@ -76,13 +48,15 @@ function App() {
     setThinkingSteps, // Get thinkingSteps setter
   } = useChat(); 
   const [loading, setLoading] = useState(false);
-  const [selectedPlatform, setSelectedPlatform] = useState('groq'); // 'groq' or 'openrouter'
+  const [selectedPlatform, setSelectedPlatform] = useState('groq'); // Provider registry id: 'groq', 'openrouter' or 'custom:<id>'
+  const [providers, setProviders] = useState([]); // Configured providers [{ id, name, isCustom, capabilities }]
   const [selectedModel, setSelectedModel] = useState(''); // Model ID for the selected platform
   const [mcpTools, setMcpTools] = useState([]);
   const [isToolsPanelOpen, setIsToolsPanelOpen] = useState(false);
   const [mcpServersStatus, setMcpServersStatus] = useState({ loading: false, message: "" });
   const messagesEndRef = useRef(null);
   const chatInputRef = useRef(null); // Add ref for ChatInput
+  const activeStreamRef = useRef(null); // Handler of the chat stream currently in flight (for Stop)
   // Store the list of models from capabilities keys
   // const models = Object.keys(MODEL_CONTEXT_SIZES).filter(key => key !== 'default'); // Old way
   const [modelConfigs, setModelConfigs] = useState({}); // State for model configurations
@@ -96,12 +70,13 @@ function App() {
   const [initialLoadComplete, setInitialLoadComplete] = useState(false);
 
   // State to hold all fetched model configs (key = platform, value = { modelId: config })
-  const [allPlatformModels, setAllPlatformModels] = useState({ groq: {}, openrouter: {} });
+  const [allPlatformModels, setAllPlatformModels] = useState({});
+
+  // Tool calls the main process permission policy asks about, oldest first
+  const [toolApprovalRequests, setToolApprovalRequests] = useState([]);
 
-  // --- State for Tool Approval Flow ---
-  const [pendingApprovalCall, setPendingApprovalCall] = useState(null); // Holds the tool call object needing approval
-  const [pausedChatState, setPausedChatState] = useState(null); // Holds { currentMessages, finalAssistantMessage, accumulatedResponses }
-  // --- End Tool Approval State ---
+  // Sampling requests from MCP servers waiting for approval, oldest first
+  const [samplingRequests, setSamplingRequests] = useState([]);
 
   const [lastSavedMessageId, setLastSavedMessageId] = useState(null); // Track last saved message
   const [activeChatCache, setActiveChatCache] = useState(null); // <-- Add state for cache
@@ -120,8 +95,6 @@ function App() {
   // Function to clear the entire chat
   const handleClearChat = () => {
     setMessages([]); // Clear messages from context
-    setPendingApprovalCall(null); // Clear any pending tool approvals
-    setPausedChatState(null); // Clear any paused state
     setLoading(false); // Ensure loading indicator is off
     console.log("Chat cleared.");
   };
@@ -132,8 +105,6 @@ function App() {
     setMessages([]);      // Clear message history
     setActiveChatId(null); // Set active chat ID to null
     setActiveChatCache(null); // <-- Clear active cache
-    setPendingApprovalCall(null); // Clear any pending tool approvals
-    setPausedChatState(null); // Clear any paused state
     setLoading(false); // Ensure loading indicator is off
     console.log("[handleNewChat] Finished clearing state.");
     // Focus the chat input after the next frame to ensure DOM update
@@ -159,9 +130,6 @@ function App() {
         if (loadResult && loadResult.success && loadResult.chatData) {
             // console.log(`Successfully loaded chat: ${loadResult.chatData.id}`);
             // Clear previous state before loading new chat
-            setPendingApprovalCall(null); 
-            setPausedChatState(null);
-            
             setMessages(loadResult.chatData.messages || []);
             setActiveChatId(loadResult.chatData.id);
             setActiveChatCache(loadResult.chatData.cachedSummary || null); // <-- Load cache here
@@ -169,7 +137,7 @@ function App() {
             // Set platform and model from loaded chat
             const { platform: loadedPlatform, model: loadedModel } = loadResult.chatData;
 
-            if (loadedPlatform && allPlatformModels[loadedPlatform]) {
+            if (loadedPlatform && providers.some(provider => provider.id === loadedPlatform)) {
                 setSelectedPlatform(loadedPlatform); // Update platform state
                 // Ensure models for this platform are loaded (might need refresh if API keys changed)
                 // Consider if a specific model load is needed here or rely on initial load
@@ -420,9 +388,13 @@ ${part.content}` };
         // Set loading status
         setMcpServersStatus({ loading: true, message: "Connecting to MCP servers..." });
 
-        // --- Load settings first to know the platform ---
+        // --- Load settings and providers first to know the platform ---
         const settings = await window.electron.getSettings(); // Await settings
-        const initialPlatform = settings.selectedPlatform || 'groq';
+        const availableProviders = await window.electron.getProviders();
+        setProviders(availableProviders);
+        const initialPlatform = availableProviders.some(provider => provider.id === settings.selectedPlatform)
+          ? settings.selectedPlatform
+          : 'groq'; // Fall back if the saved provider (e.g. a removed custom endpoint) no longer exists
         setSelectedPlatform(initialPlatform);
 
         console.log(`Initial platform from settings: ${initialPlatform}`);
@@ -512,10 +484,10 @@ ${part.content}` };
             setActiveChatCache(loadResult.chatData.cachedSummary || null); // <-- Load cache here
             // Set platform and model based on the loaded chat
             // Ensure platform is loaded first before model
-            if (loadResult.chatData.platform && allPlatformModels[loadResult.chatData.platform]) {
+            if (loadResult.chatData.platform && availableProviders.some(provider => provider.id === loadResult.chatData.platform)) {
               setSelectedPlatform(loadResult.chatData.platform);
               // Make sure the model exists for the loaded platform
-              if (loadResult.chatData.model && allPlatformModels[loadResult.chatData.platform][loadResult.chatData.model]) {
+              if (loadResult.chatData.model && allPlatformModels[loadResult.chatData.platform]?.[loadResult.chatData.model]) {
                 setSelectedModel(loadResult.chatData.model);
                  console.log(`Set platform to ${loadResult.chatData.platform} and model to ${loadResult.chatData.model} from loaded chat.`);
               } else {
@@ -597,74 +569,12 @@ ${part.content}` };
     scrollToBottom();
   }, [messages]);
 
-  const executeToolCall = async (toolCall) => {
-    try {
-      const response = await window.electron.executeToolCall(toolCall);
-      //console.log(`Tool call response: ${JSON.stringify(response)}`);
-      // Return the tool response message in the correct format
-      return {
-        role: 'tool',
-        content: response.error ? JSON.stringify({ error: response.error }) : (response.result || ''),
-        tool_call_id: toolCall.id
-      };
-    } catch (error) {
-      console.error('Error executing tool call:', error);
-      return { 
-        role: 'tool', 
-        content: JSON.stringify({ error: error.message }),
-        tool_call_id: toolCall.id
-      };
-    }
-  };
-
-  // Refactored processToolCalls to handle sequential checking and pausing
-  const processToolCalls = async (assistantMessage, currentMessagesBeforeAssistant) => {
-    if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
-      return { status: 'completed', toolResponseMessages: [] };
-    }
-
-    const toolResponseMessages = [];
-    let needsPause = false;
-
-    for (const toolCall of assistantMessage.tool_calls) {
-      const toolName = toolCall.function.name;
-      const approvalStatus = getToolApprovalStatus(toolName);
-
-      if (approvalStatus === 'always' || approvalStatus === 'yolo') {
-        console.log(`Tool '${toolName}' automatically approved (${approvalStatus}). Executing...`);
-        try {
-          const resultMsg = await executeToolCall(toolCall);
-          toolResponseMessages.push(resultMsg);
-          // Update UI immediately for executed tool calls
-          setMessages(prev => [...prev, resultMsg]);
-        } catch (error) {
-           console.error(`Error executing automatically approved tool call '${toolName}':`, error);
-           const errorMsg = {
-               role: 'tool',
-               content: JSON.stringify({ error: `Error executing tool '${toolName}': ${error.message}` }),
-               tool_call_id: toolCall.id
-           };
-           toolResponseMessages.push(errorMsg);
-           setMessages(prev => [...prev, errorMsg]); // Show error in UI
-        }
-      } else { // status === 'prompt'
-        console.log(`Tool '${toolName}' requires user approval.`);
-        setPendingApprovalCall(toolCall);
-        setPausedChatState({
-          currentMessages: currentMessagesBeforeAssistant, // History before this assistant message
-          finalAssistantMessage: assistantMessage,
-          accumulatedResponses: toolResponseMessages // Responses gathered *before* this pause
-        });
-        needsPause = true;
-        break; // Stop processing further tools for this turn
-      }
-    }
-
-    if (needsPause) {
-      return { status: 'paused', toolResponseMessages };
-    } else {
-      return { status: 'completed', toolResponseMessages };
-    }
+  // New chats get their ID before the first request (save-chat keeps it), so tool approvals can be scoped to the chat
+  const ensureActiveChatId = () => {
+    if (activeChatId) return activeChatId;
+    const newChatId = uuidv4();
+    setActiveChatId(newChatId);
+    return newChatId;
   };
 
   // Core function to execute a chat turn (fetch response, handle tools)
@@ -698,7 +608,8 @@ ${part.content}` };
         console.log("[App.jsx] Sending chat stream with cache:", currentCache);
         // --- >>> END OF ADDED LOG <<< ---
 
-        const streamHandler = window.electron.startChatStream(turnMessages, selectedModel, activeChatId, currentCache); // <-- Pass currentCache
+        const streamHandler = window.electron.startChatStream(turnMessages, selectedModel, ensureActiveChatId(), currentCache); // <-- Pass currentCache
+        activeStreamRef.current = streamHandler;
 
         // Setup event handlers for streaming
         streamHandler.onStart((startData) => { 
@@ -710,7 +621,12 @@ ${part.content}` };
         streamHandler.onFinalStart(({ id }) => {
             console.log(`[onFinalStart] Final stream starting for ID: ${id}`);
             setMessages(prev => prev.map(msg => 
-                msg.id === assistantPlaceholder.id ? { ...msg, status: 'streaming_final_response' } : msg
+                msg.id === assistantPlaceholder.id ? {
+                    ...msg,
+                    status: 'streaming_final_response',
+                    // Later tool-loop iterations append to finalContent; keep their text in separate paragraphs
+                    finalContent: msg.finalContent ? `${msg.finalContent}\n\n` : msg.finalContent
+                } : msg
             ));
         });
 
@@ -763,8 +679,23 @@ ${part.content}` };
              }));
          });
 
+        // Progress notifications of long-running MCP calls
+        streamHandler.onToolCallProgress(({ callId, progress, total, message }) => {
+             setThinkingSteps(prev => {
+                 const step = prev[assistantPlaceholder.id]?.[callId];
+                 if (!step || step.status !== 'executing') return prev;
+                 return {
+                     ...prev,
+                     [assistantPlaceholder.id]: {
+                         ...prev[assistantPlaceholder.id],
+                         [callId]: { ...step, progress: { progress, total, message } }
+                     }
+                 };
+             });
+         });
+
         // *** NEW: Handle Tool Call End ***
-        streamHandler.onToolCallEnd(({ callId, name, result, error }) => {
+        streamHandler.onToolCallEnd(({ callId, name, result, content, structuredContent, editedArguments, error }) => {
              console.log(`[onToolCallEnd] ID: ${callId}, Error: ${!!error}, Result:`, result);
              // Update thinking steps state
              let thinkingStepName = 'unknown_tool'; // Default name
@@ -779,6 +710,9 @@ ${part.content}` };
                      ...currentSteps[callId], 
                      status: error ? 'error' : 'complete', 
                      result: error ? null : result, 
+                     content, // Typed MCP content (images, resources) for display, also of results the tool flagged as errors
+                     structuredContent, // Structured output, shown as a JSON tree
+                     editedArguments, // Arguments the user changed in the approval dialog
                      error: error ? error : null 
                  };
                  return {
@@ -796,26 +730,15 @@ ${part.content}` };
                  id: callId, 
                  tool_call_id: callId,
                  name: thinkingStepName || 'unknown_tool', 
-                 content: error ? `Error: ${error}` : result 
+                 content: error ? `Error: ${error}` : result,
+                 // Keep images and resources of the result so the saved chat can still show them
+                 ...(content?.some(part => part.type !== 'text') && { mcpContent: content }),
+                 ...(structuredContent !== undefined && { structuredContent }),
+                 ...(editedArguments && { editedArguments })
              };
             
-             // Add the tool message *after* the assistant placeholder
-             setMessages(prevMessages => {
-                 const assistantIndex = prevMessages.findIndex(msg => msg.id === assistantPlaceholder.id);
-                 if (assistantIndex !== -1) {
-                     // Insert after the assistant message
-                     const newMessages = [
-                         ...prevMessages.slice(0, assistantIndex + 1),
-                         toolResponseMessage,
-                         ...prevMessages.slice(assistantIndex + 1)
-                     ];
-                     return newMessages;
-                 } else {
-                     // Fallback: Append if placeholder not found (shouldn't happen ideally)
-                     console.warn(`[onToolCallEnd] Assistant placeholder ${assistantPlaceholder.id} not found, appending tool message.`);
-                     return [...prevMessages, toolResponseMessage];
-                 }
-            });
+             // Add the tool message after the assistant placeholder, in tool call order
+             setMessages(prevMessages => insertToolMessageInCallOrder(prevMessages, assistantPlaceholder.id, toolResponseMessage));
          });
 
         // Handle stream completion (this receives the *final* message data)
@@ -879,9 +802,26 @@ ${part.content}` };
                  reject(new Error(error || 'Unknown streaming error'));
             });
 
+            streamHandler.onStopped(() => {
+                console.log("[onStopped] Stream stopped by user.");
+                setMessages(prevMessages => {
+                    const answeredCallIds = new Set(prevMessages.filter(msg => msg.role === 'tool').map(msg => msg.tool_call_id));
+                    return prevMessages.map(msg => msg.id === assistantPlaceholder.id ? {
+                        ...msg,
+                        // Drop tool calls that never got a result so the saved history stays valid for the API
+                        tool_calls: (msg.tool_calls || []).filter(tc => answeredCallIds.has(tc.id)),
+                        status: 'stopped',
+                        isStreaming: false
+                    } : msg);
+                });
+                setLoading(false);
+                resolve();
+            });
+
         }); // End Promise
 
         streamHandler.cleanup();
+        activeStreamRef.current = null;
         
         // Remove the complex logic that tried to re-run the loop after tool calls
         // The backend now handles the two-step process.
@@ -939,15 +879,20 @@ ${part.content}` };
   };
 
   // Handle sending message (text or structured content with images)
-  const handleSendMessage = async (content) => {
+  // promptMessages: messages an MCP prompt (slash command) expanded into; they precede the typed content
+  const handleSendMessage = async (content, promptMessages = []) => {
     let currentTurnStreamId = null; // Track the stream ID for this turn
 
     // Check if content is structured (array) or just text (string)
     const isStructuredContent = Array.isArray(content);
-    const hasContent = isStructuredContent ? content.some(part => (part.type === 'text' && part.text.trim()) || part.type === 'image_url') : content.trim();
+    const hasContent = isStructuredContent ? content.some(part => (part.type === 'text' && part.text.trim()) || part.type === 'image_url' || part.type === 'file_content') : content.trim();
 
-    if (!hasContent) return;
+    if (!hasContent && promptMessages.length === 0) return;
 
+    const expandedPromptMessages = promptMessages.map(promptMessage => ({
+      ...promptMessage,
+      id: `${promptMessage.role}-${Date.now()}-${Math.random()}`
+    }));
     // Format the user message based on content type
     const userMessage = {
       role: 'user',
@@ -955,7 +900,7 @@ ${part.content}` };
       id: `user-${Date.now()}-${Math.random()}`,
       content: content
     };
-    const initialMessages = [...messages, userMessage];
+    const initialMessages = [...messages, ...expandedPromptMessages, ...(hasContent ? [userMessage] : [])];
     setMessages(initialMessages);
 
     setLoading(true);
@@ -984,7 +929,8 @@ ${part.content}` };
         console.log("[App.jsx] Sending chat stream with cache:", currentCache);
         // --- >>> END OF ADDED LOG <<< ---
 
-        const streamHandler = window.electron.startChatStream(initialMessages, selectedModel, activeChatId, currentCache); // <-- Pass currentCache
+        const streamHandler = window.electron.startChatStream(initialMessages, selectedModel, ensureActiveChatId(), currentCache); // <-- Pass currentCache
+        activeStreamRef.current = streamHandler;
 
         // Setup event handlers for streaming
         streamHandler.onStart((startData) => { 
@@ -996,7 +942,12 @@ ${part.content}` };
         streamHandler.onFinalStart(({ id }) => {
             console.log(`[onFinalStart] Final stream starting for ID: ${id}`);
             setMessages(prev => prev.map(msg => 
-                msg.id === assistantPlaceholder.id ? { ...msg, status: 'streaming_final_response' } : msg
+                msg.id === assistantPlaceholder.id ? {
+                    ...msg,
+                    status: 'streaming_final_response',
+                    // Later tool-loop iterations append to finalContent; keep their text in separate paragraphs
+                    finalContent: msg.finalContent ? `${msg.finalContent}\n\n` : msg.finalContent
+                } : msg
             ));
         });
 
@@ -1049,8 +1000,23 @@ ${part.content}` };
              }));
          });
 
+        // Progress notifications of long-running MCP calls
+        streamHandler.onToolCallProgress(({ callId, progress, total, message }) => {
+             setThinkingSteps(prev => {
+                 const step = prev[assistantPlaceholder.id]?.[callId];
+                 if (!step || step.status !== 'executing') return prev;
+                 return {
+                     ...prev,
+                     [assistantPlaceholder.id]: {
+                         ...prev[assistantPlaceholder.id],
+                         [callId]: { ...step, progress: { progress, total, message } }
+                     }
+                 };
+             });
+         });
+
         // *** NEW: Handle Tool Call End ***
-        streamHandler.onToolCallEnd(({ callId, name, result, error }) => {
+        streamHandler.onToolCallEnd(({ callId, name, result, content, structuredContent, editedArguments, error }) => {
              console.log(`[onToolCallEnd] ID: ${callId}, Error: ${!!error}, Result:`, result);
              // Update thinking steps state
              let thinkingStepName = 'unknown_tool'; // Default name
@@ -1065,6 +1031,9 @@ ${part.content}` };
                      ...currentSteps[callId], 
                      status: error ? 'error' : 'complete', 
                      result: error ? null : result, 
+                     content, // Typed MCP content (images, resources) for display, also of results the tool flagged as errors
+                     structuredContent, // Structured output, shown as a JSON tree
+                     editedArguments, // Arguments the user changed in the approval dialog
                      error: error ? error : null 
                  };
                  return {
@@ -1082,26 +1051,15 @@ ${part.content}` };
                  id: callId, 
                  tool_call_id: callId,
                  name: thinkingStepName || 'unknown_tool', 
-                 content: error ? `Error: ${error}` : result 
+                 content: error ? `Error: ${error}` : result,
+                 // Keep images and resources of the result so the saved chat can still show them
+                 ...(content?.some(part => part.type !== 'text') && { mcpContent: content }),
+                 ...(structuredContent !== undefined && { structuredContent }),
+                 ...(editedArguments && { editedArguments })
              };
             
-             // Add the tool message *after* the assistant placeholder
-             setMessages(prevMessages => {
-                 const assistantIndex = prevMessages.findIndex(msg => msg.id === assistantPlaceholder.id);
-                 if (assistantIndex !== -1) {
-                     // Insert after the assistant message
-                     const newMessages = [
-                         ...prevMessages.slice(0, assistantIndex + 1),
-                         toolResponseMessage,
-                         ...prevMessages.slice(assistantIndex + 1)
-                     ];
-                     return newMessages;
-                 } else {
-                     // Fallback: Append if placeholder not found (shouldn't happen ideally)
-                     console.warn(`[onToolCallEnd] Assistant placeholder ${assistantPlaceholder.id} not found, appending tool message.`);
-                     return [...prevMessages, toolResponseMessage];
-                 }
-            });
+             // Add the tool message after the assistant placeholder, in tool call order
+             setMessages(prevMessages => insertToolMessageInCallOrder(prevMessages, assistantPlaceholder.id, toolResponseMessage));
          });
 
         // Handle stream completion (this receives the *final* message data)
@@ -1165,9 +1123,26 @@ ${part.content}` };
                  reject(new Error(error || 'Unknown streaming error'));
             });
 
+            streamHandler.onStopped(() => {
+                console.log("[onStopped] Stream stopped by user.");
+                setMessages(prevMessages => {
+                    const answeredCallIds = new Set(prevMessages.filter(msg => msg.role === 'tool').map(msg => msg.tool_call_id));
+                    return prevMessages.map(msg => msg.id === assistantPlaceholder.id ? {
+                        ...msg,
+                        // Drop tool calls that never got a result so the saved history stays valid for the API
+                        tool_calls: (msg.tool_calls || []).filter(tc => answeredCallIds.has(tc.id)),
+                        status: 'stopped',
+                        isStreaming: false
+                    } : msg);
+                });
+                setLoading(false);
+                resolve();
+            });
+
         }); // End Promise
 
         streamHandler.cleanup();
+        activeStreamRef.current = null;
         
         // Remove the complex logic that tried to re-run the loop after tool calls
         // The backend now handles the two-step process.
@@ -1204,161 +1179,71 @@ ${part.content}` };
     }
   };
 
-  // --- Placeholder for resuming chat after modal interaction ---
-  const resumeChatFlow = async (handledToolResponse) => {
-     if (!pausedChatState) {
-         console.error("Attempted to resume chat flow without paused state.");
-         setLoading(false); // Ensure loading indicator stops
-         return;
-     }
-
-     const { currentMessages, finalAssistantMessage, accumulatedResponses } = pausedChatState;
-     setPausedChatState(null); // Clear the paused state
-
-     const allResponsesForTurn = [...accumulatedResponses, handledToolResponse];
-
-     // Find the index of the tool that caused the pause
-     const pausedToolIndex = finalAssistantMessage.tool_calls.findIndex(
-         tc => tc.id === handledToolResponse.tool_call_id // Match based on ID
-     );
+  // --- Tool Call Approval ---
+  useEffect(() => {
+    const removeRequestListener = window.electron.onToolApprovalRequest((request) => {
+      console.log(`Tool approval request ${request.requestId} for ${request.serverId}/${request.toolName}`);
+      setToolApprovalRequests(prev => [...prev, request]);
+    });
+    // The call was stopped (e.g. the stream was aborted) before the user decided
+    const removeCancelListener = window.electron.onToolApprovalCancelled((requestId) => {
+      setToolApprovalRequests(prev => prev.filter(request => request.requestId !== requestId));
+    });
+    return () => {
+      removeRequestListener();
+      removeCancelListener();
+    };
+  }, []);
 
-     if (pausedToolIndex === -1) {
-          console.error("Could not find the paused tool call in the original message.");
-          setLoading(false);
-          return; // Cannot proceed
-     }
-
-     const remainingTools = finalAssistantMessage.tool_calls.slice(pausedToolIndex + 1);
-     let needsPauseAgain = false;
-
-     // Process remaining tools
-     for (const nextToolCall of remainingTools) {
-        const toolName = nextToolCall.function.name;
-        const approvalStatus = getToolApprovalStatus(toolName);
-
-        if (approvalStatus === 'always' || approvalStatus === 'yolo') {
-            console.log(`Resuming: Tool '${toolName}' automatically approved (${approvalStatus}). Executing...`);
-            try {
-                const resultMsg = await executeToolCall(nextToolCall);
-                allResponsesForTurn.push(resultMsg);
-                setMessages(prev => [...prev, resultMsg]); // Update UI immediately
-            } catch (error) {
-                console.error(`Resuming: Error executing tool call '${toolName}':`, error);
-                const errorMsg = { role: 'tool', content: JSON.stringify({ error: `Error executing tool '${toolName}': ${error.message}` }), tool_call_id: nextToolCall.id };
-                allResponsesForTurn.push(errorMsg);
-                setMessages(prev => [...prev, errorMsg]);
-            }
-        } else { // Needs prompt again
-            console.log(`Resuming: Tool '${toolName}' requires user approval.`);
-            setPendingApprovalCall(nextToolCall);
-            // Save state again, including the responses gathered *during* this resume attempt
-            setPausedChatState({
-                currentMessages: currentMessages, // Original messages before assistant response
-                finalAssistantMessage: finalAssistantMessage,
-                accumulatedResponses: allResponsesForTurn // All responses UP TO this new pause
-            });
-            needsPauseAgain = true;
-            break; // Stop processing remaining tools
-        }
-     }
-
-     if (needsPauseAgain) {
-        // Loading state remains true, waiting for the next modal interaction
-        console.log("Chat flow paused again for the next tool.");
-     } else {
-        // All remaining tools were processed. Prepare for the next API call.
-        console.log("All tools for the turn processed. Continuing conversation.");
-        setLoading(true); // Show loading for the next API call
-
-        const nextApiMessages = [
-            ...currentMessages, // History BEFORE the assistant message with tools
-            { // The assistant message itself
-                role: finalAssistantMessage.role,
-                content: finalAssistantMessage.content,
-                tool_calls: finalAssistantMessage.tool_calls,
-            },
-            // Map ALL tool responses for the completed turn
-            ...allResponsesForTurn.map(msg => ({
-                role: 'tool',
-                content: msg.content,
-                tool_call_id: msg.tool_call_id
-            }))
-        ];
-
-        // Continue the conversation loop by executing the next turn
-        // This recursively calls the main logic, effectively continuing the loop
-        // Pass the fully prepared message list for the *next* API call
-        // We need to handle the loading state correctly after this returns
-        try {
-             // Start the next turn and get its results
-             const { status: nextTurnStatus, finalMessages: finalMessagesAfterResume } = await executeChatTurn(nextApiMessages);
-
-             // If the *next* turn also pauses, loading state remains true, otherwise stop loading
-             if (nextTurnStatus !== 'paused') {
-                 setLoading(false);
-                 // --- Task 12 (Revised): Save chat after successful resume/completion ---
-                 console.log(`[resumeChatFlow] Resumed turn completed. Status: ${nextTurnStatus}. Calling saveCurrentChat.`);
-                 saveCurrentChat(finalMessagesAfterResume, activeChatId); // Save the definitive final list
-                 // --- End Task 12 --- 
-             } else {
-                // It paused again, do not set loading false
-                 console.log("[resumeChatFlow] Resumed turn resulted in another pause.");
-             }
-        } catch (error) {
-            console.error("Error during resumed chat turn:", error);
-            setLoading(false); // Stop loading on error
-        }
-     }
+  // Returns the main process's answer; the dialog stays open when edited arguments were rejected so they can be fixed
+  const handleToolApproval = async (requestId, choice, options) => {
+    try {
+      const result = await window.electron.respondToolApproval(requestId, choice, options);
+      if (!result.success) console.warn(`Tool approval ${requestId} was not accepted: ${result.error}`);
+      if (!result.argumentsRejected) {
+        setToolApprovalRequests(prev => prev.filter(request => request.requestId !== requestId));
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error responding to tool approval ${requestId}:`, error);
+      setToolApprovalRequests(prev => prev.filter(request => request.requestId !== requestId));
+      return { success: false, error: error.message };
+    }
   };
+  // --- End Tool Call Approval ---
 
-  // --- Placeholder for handling modal choice ---
-  const handleToolApproval = async (choice, toolCall) => {
-     if (!toolCall || !toolCall.id) {
-         console.error("handleToolApproval called with invalid toolCall:", toolCall);
-         return;
-     }
-     console.log(`User choice for tool '${toolCall.function.name}': ${choice}`);
-
-     // Update localStorage based on choice
-     setToolApprovalStatus(toolCall.function.name, choice);
-
-     // Clear the pending call *before* executing/resuming
-     setPendingApprovalCall(null);
+  // --- MCP Sampling Approval ---
+  useEffect(() => {
+    const removeRequestListener = window.electron.onMcpSamplingRequest((request) => {
+      console.log(`Sampling request ${request.requestId} from ${request.serverId}`);
+      setSamplingRequests(prev => [...prev, request]);
+    });
+    // The server cancelled or timed out the request before the user decided
+    const removeCancelListener = window.electron.onMcpSamplingRequestCancelled((requestId) => {
+      setSamplingRequests(prev => prev.filter(request => request.requestId !== requestId));
+    });
+    return () => {
+      removeRequestListener();
+      removeCancelListener();
+    };
+  }, []);
 
-     let handledToolResponse;
+  const handleSamplingResponse = async (requestId, approved) => {
+    setSamplingRequests(prev => prev.filter(request => request.requestId !== requestId));
+    try {
+      await window.electron.respondSamplingRequest(requestId, approved);
+    } catch (error) {
+      console.error(`Error responding to sampling request ${requestId}:`, error);
+    }
+  };
+  // --- End MCP Sampling Approval ---
 
-     if (choice === 'deny') {
-         handledToolResponse = {
-             role: 'tool',
-             content: JSON.stringify({ error: 'Tool execution denied by user.' }),
-             tool_call_id: toolCall.id
-         };
-         setMessages(prev => [...prev, handledToolResponse]); // Show denial in UI
-         // Resume processing potential subsequent tools
-         await resumeChatFlow(handledToolResponse);
-     } else { // 'once', 'always', 'yolo' -> Execute the tool
-         setLoading(true); // Show loading specifically for tool execution phase
-         try {
-             console.log(`Executing tool '${toolCall.function.name}' after user approval...`);
-             handledToolResponse = await executeToolCall(toolCall);
-             setMessages(prev => [...prev, handledToolResponse]); // Show result in UI
-             // Resume processing potential subsequent tools
-             await resumeChatFlow(handledToolResponse);
-         } catch (error) {
-             console.error(`Error executing approved tool call '${toolCall.function.name}':`, error);
-             handledToolResponse = {
-                 role: 'tool',
-                 content: JSON.stringify({ error: `Error executing tool '${toolCall.function.name}' after approval: ${error.message}` }),
-                 tool_call_id: toolCall.id
-             };
-             setMessages(prev => [...prev, handledToolResponse]); // Show error in UI
-              // Still try to resume processing subsequent tools even if this one failed
-             await resumeChatFlow(handledToolResponse);
-         } finally {
-              // Loading state will be handled by resumeChatFlow or set to false if it errors/completes fully
-              // setLoading(false); // Don't set false here, resumeChatFlow handles it
-         }
-     }
+  // Stop the in-flight generation; the stream's onStopped handler finalizes the message
+  const handleStopGenerating = () => {
+    if (activeStreamRef.current) {
+      console.log("[handleStopGenerating] Stopping active chat stream.");
+      activeStreamRef.current.stop();
+    }
   };
 
   // Disconnect from an MCP server
@@ -1448,6 +1333,7 @@ ${part.content}` };
   // --- Calculate derived state --- //
   const isVisionSupported = allPlatformModels[selectedPlatform]?.[selectedModel]?.vision_supported || false;
   const currentModelInfo = allPlatformModels[selectedPlatform]?.[selectedModel] || null;
+  const currentProvider = providers.find(provider => provider.id === selectedPlatform) || null;
 
   // Effect to save chat when a turn completes
   useEffect(() => {
@@ -1457,7 +1343,7 @@ ${part.content}` };
     let messageToSave = null;
     for (let i = messages.length - 1; i >= 0; i--) {
         const msg = messages[i];
-        if (msg.role === 'assistant' && (msg.status === 'complete' || msg.status === 'error')) {
+        if (msg.role === 'assistant' && (msg.status === 'complete' || msg.status === 'error' || msg.status === 'stopped')) {
             // Check if this completed message ID is different from the last one saved
              if (msg.id && msg.id !== lastSavedMessageId) {
                  messageToSave = msg; 
@@ -1606,8 +1492,9 @@ ${part.content}` };
                   onChange={(e) => handlePlatformChange(e.target.value)}
                   className="border border-gray-500 rounded-md bg-transparent text-white"
                 >
-                  <option value="groq" className="text-black">Groq</option>
-                  <option value="openrouter" className="text-black">OpenRouter</option>
+                  {providers.map(provider => (
+                    <option key={provider.id} value={provider.id} className="text-black">{provider.name}</option>
+                  ))}
                 </select>
               </div>
               <Link to="/settings" className="btn btn-primary">Settings</Link>
@@ -1672,10 +1559,10 @@ ${part.content}` };
                            {/* Display pricing per Million tokens by multiplying cost per token */}
                            Pricing: ${(currentModelInfo.prompt_cost_per_token * 1000000).toFixed(2)}/M Prompt | ${(currentModelInfo.completion_cost_per_token * 1000000).toFixed(2)}/M Completion
                         </span>
-                    ) : selectedPlatform === 'openrouter' ? (
+                    ) : currentProvider?.capabilities?.pricing ? (
                         <span>Pricing info unavailable</span>
                     ) : (
-                         <span>(Pricing N/A for Groq)</span>
+                         <span>(Pricing N/A for {currentProvider?.name || selectedPlatform})</span>
                     )}
                 </div>
                 {/* --- End Model Pricing Display --- */}
@@ -1684,9 +1571,10 @@ ${part.content}` };
               <ChatInput
                 ref={chatInputRef}
                 onSendMessage={handleSendMessage}
+                onStop={handleStopGenerating}
                 loading={loading}
                 visionSupported={isVisionSupported}
-                selectedPlatform={selectedPlatform}
+                maxImagesPerMessage={currentProvider?.capabilities?.maxImagesPerMessage ?? null}
               />
             </div>
           </div>
@@ -1698,17 +1586,33 @@ ${part.content}` };
             onClose={() => setIsToolsPanelOpen(false)}
             onDisconnectServer={disconnectMcpServer}
             onReconnectServer={reconnectMcpServer}
+            onAttachResource={(resource) => {
+              chatInputRef.current?.attachResource(resource);
+              setIsToolsPanelOpen(false);
+            }}
           />
         )}
 
         {/* --- Tool Approval Modal --- */}
-        {pendingApprovalCall && (
+        {toolApprovalRequests.length > 0 && (
           <ToolApprovalModal
-            toolCall={pendingApprovalCall}
+            key={toolApprovalRequests[0].requestId}
+            request={toolApprovalRequests[0]}
+            tool={mcpTools.find(tool => tool.name === toolApprovalRequests[0].name)}
+            queuedCount={toolApprovalRequests.length - 1}
             onApprove={handleToolApproval}
           />
         )}
         {/* --- End Tool Approval Modal --- */}
+
+        {/* Tool approvals take precedence; sampling requests wait behind them */}
+        {toolApprovalRequests.length === 0 && samplingRequests.length > 0 && (
+          <SamplingApprovalModal
+            request={samplingRequests[0]}
+            queuedCount={samplingRequests.length - 1}
+            onRespond={handleSamplingResponse}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
 import { v4 as uuidv4 } from 'uuid'; // Import uuid
-import { FileText, Image as ImageIcon, AlertCircle, Loader2, CheckCircle, XCircle } from 'lucide-react'; // Remove X icon import if not needed elsewhere
+import { FileText, Image as ImageIcon, AlertCircle, Loader2, CheckCircle, XCircle, Square } from 'lucide-react'; // Remove X icon import if not needed elsewhere
 
 // Define Attachment Status constants
 const STATUS_PENDING = 'pending';
@@ -9,7 +9,7 @@ const STATUS_COMPLETE = 'complete';
 const STATUS_ERROR = 'error';
 
 // Wrap component with forwardRef
-const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported = false, selectedPlatform }, ref) => {
+const ChatInput = forwardRef(({ onSendMessage, onStop, loading = false, visionSupported = false, maxImagesPerMessage = null }, ref) => {
   const [message, setMessage] = useState('');
   // Updated attachments state structure
   const [attachments, setAttachments] = useState([]); 
@@ -20,18 +20,32 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
   //   extractedText: '...', // Populated on complete (if not image)
   //   errorMessage: '...', // Populated on error
   //   isImage: false, 
-  //   base64: null // For image previews
+  //   base64: null, // For image previews
+  //   resource: { serverId, uri } // Set for MCP resources; their content follows server updates
   // }
   const [isDragging, setIsDragging] = useState(false);
+  // MCP prompts offered as slash commands
+  const [prompts, setPrompts] = useState([]);
+  const [highlightedPromptIndex, setHighlightedPromptIndex] = useState(0);
+  const [selectedPrompt, setSelectedPrompt] = useState(null); // { serverId, name, description, arguments }
+  const [promptArgs, setPromptArgs] = useState({});
+  const [promptError, setPromptError] = useState(null);
+  const [expandingPrompt, setExpandingPrompt] = useState(false);
+  const [promptListVersion, setPromptListVersion] = useState(0); // Bumped when a server reports changed prompts
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
   const prevLoadingRef = useRef(loading);
+  const attachmentsRef = useRef(attachments); // Latest attachments for async resource loading
+  attachmentsRef.current = attachments;
+  // Vision models of some providers (e.g. Groq) accept only one image per message
+  const singleImageLimit = visionSupported && maxImagesPerMessage === 1;
 
-  // Expose focus method via useImperativeHandle
+  // Expose focus and resource attachment via useImperativeHandle
   useImperativeHandle(ref, () => ({
     focus: () => {
       textareaRef.current?.focus();
-    }
+    },
+    attachResource: (resource) => attachResource(resource)
   }));
 
   // Allowed file types (adjust as needed)
@@ -84,6 +98,115 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
   }, []); // Empty dependency array means this runs once on mount
   // --- End IPC Listener ---
 
+  // --- IPC Listener for MCP Resource Updates ---
+  useEffect(() => {
+    const removeListener = window.electron?.onMcpResourceUpdated?.(({ serverId, uri, contents }) => {
+      console.log(`[Resource Update] ${serverId}: ${uri}`);
+      setAttachments(prevAttachments =>
+        prevAttachments.map(att =>
+          att.resource?.serverId === serverId && att.resource?.uri === uri
+            ? { ...att, ...resourceContentsToAttachment(contents) }
+            : att
+        )
+      );
+    });
+    return () => removeListener?.();
+  }, []);
+  // --- End IPC Listener ---
+
+  // Maps the contents of resources/read to attachment fields: text is sent like an extracted file,
+  // an image is sent like an attached image when there is no text
+  const resourceContentsToAttachment = (contents) => {
+    const textParts = contents.filter(item => typeof item.text === 'string');
+    const binaryParts = contents.filter(item => typeof item.blob === 'string');
+    const image = binaryParts.find(item => item.mimeType?.startsWith('image/'));
+
+    if (textParts.length === 0 && image) {
+      return {
+        isImage: true,
+        base64: `data:${image.mimeType};base64,${image.blob}`,
+        extractedText: null,
+        status: STATUS_COMPLETE,
+        errorMessage: null
+      };
+    }
+    if (textParts.length === 0) {
+      return {
+        isImage: false,
+        status: STATUS_ERROR,
+        errorMessage: binaryParts.length > 0 ? 'Binary resource content is not supported' : 'Resource is empty'
+      };
+    }
+    const skipped = binaryParts.map(item => `[Binary content not included: ${item.uri} (${item.mimeType || 'unknown type'})]`);
+    return {
+      isImage: false,
+      base64: null,
+      extractedText: [...textParts.map(item => item.text), ...skipped].join('\n\n'),
+      status: STATUS_COMPLETE,
+      errorMessage: null
+    };
+  };
+
+  // Attaches an MCP resource (or an expanded resource template) chosen in the tools panel
+  const attachResource = async ({ serverId, uri, variables, name, mimeType }) => {
+    if (attachments.length >= 5) {
+      alert('You can only add 5 attachments per message.');
+      return;
+    }
+    const uniqueId = uuidv4();
+    setAttachments(prev => [...prev, {
+      id: uniqueId,
+      name: name || uri,
+      type: mimeType || 'mcp-resource',
+      size: 0,
+      isImage: false,
+      base64: null,
+      extractedText: null,
+      errorMessage: null,
+      status: STATUS_EXTRACTING,
+      progress: 0,
+      resource: null
+    }]);
+
+    const result = await window.electron.readMcpResource(serverId, uri, variables);
+    if (!result.success) {
+      setAttachments(prev => prev.map(att => att.id === uniqueId
+        ? { ...att, status: STATUS_ERROR, errorMessage: result.error || 'Failed to read resource' }
+        : att));
+      return;
+    }
+
+    const resourceFields = resourceContentsToAttachment(result.contents);
+    if (resourceFields.isImage && singleImageLimit && attachments.some(att => att.isImage)) {
+      alert('Vision models support only one image per message. The resource was not added.');
+      setAttachments(prev => prev.filter(att => att.id !== uniqueId));
+      return;
+    }
+
+    // Subscriptions are best effort; servers without subscription support just don't refresh
+    const subscription = await window.electron.subscribeMcpResource(serverId, result.uri);
+    if (!subscription.success) {
+      console.log(`Not subscribed to ${result.uri}: ${subscription.error}`);
+    }
+    const resource = { serverId, uri: result.uri, subscribed: subscription.success };
+
+    // Removed while loading: drop the subscription that was just made
+    if (!attachmentsRef.current.some(att => att.id === uniqueId)) {
+      releaseResources([{ resource }]);
+      return;
+    }
+    setAttachments(prev => prev.map(att => att.id === uniqueId
+      ? { ...att, name: name || result.uri, ...resourceFields, resource }
+      : att));
+  };
+
+  // Ends the update subscriptions of removed or sent resource attachments
+  const releaseResources = (releasedAttachments) => {
+    releasedAttachments
+      .filter(att => att.resource?.subscribed)
+      .forEach(att => window.electron.unsubscribeMcpResource(att.resource.serverId, att.resource.uri));
+  };
+
   // Function to process files (needs significant changes)
   const processFiles = (fileList) => {
     const files = Array.from(fileList);
@@ -101,12 +224,12 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
         
         const isImage = file.type.startsWith('image/');
 
-        // Apply 1-image limit ONLY for Groq platform vision models
-        if (selectedPlatform === 'groq' && visionSupported && isImage && imageAlreadyAttached) {
+        // Apply 1-image limit ONLY for providers whose vision models accept a single image (e.g. Groq)
+        if (singleImageLimit && isImage && imageAlreadyAttached) {
             // Trying to add a second image when vision model has 1-image limit
             imageLimitReached = true; // Mark that we skipped an image due to the limit
             continue; // Skip this image file
-        } else if (selectedPlatform === 'groq' && visionSupported && isImage && !imageAlreadyAttached && filesToAdd.some(f => f.type.startsWith('image/'))) {
+        } else if (singleImageLimit && isImage && !imageAlreadyAttached && filesToAdd.some(f => f.type.startsWith('image/'))) {
              // Prevent adding more than one image *within the same batch* if vision is supported
              imageLimitReached = true;
              continue; // Skip subsequent images in this batch
@@ -208,6 +331,48 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
     });
   };
 
+  // --- Slash Command (MCP Prompt) Handling ---
+  // The popup is open while the input is a single "/word" and no prompt has been picked yet
+  const slashQuery = !selectedPrompt && /^\/\S*$/.test(message) ? message.slice(1).toLowerCase() : null;
+  const matchingPrompts = slashQuery === null ? [] : prompts.filter(prompt =>
+    prompt.name.toLowerCase().includes(slashQuery) || prompt.serverId.toLowerCase().includes(slashQuery)
+  );
+
+  // Load the prompts of the connected servers each time the popup opens, and again if they change while it is open
+  const isSlashPopupOpen = slashQuery !== null;
+  useEffect(() => {
+    if (!isSlashPopupOpen) return;
+    setHighlightedPromptIndex(0);
+    window.electron.getMcpPrompts()
+      .then(result => setPrompts(result.success ? result.prompts : []))
+      .catch(error => console.error('Error loading MCP prompts:', error));
+  }, [isSlashPopupOpen, promptListVersion]);
+
+  useEffect(() => {
+    const removeListener = window.electron.onMcpListChanged(({ list }) => {
+      if (list === 'prompts') setPromptListVersion(version => version + 1);
+    });
+    return () => removeListener();
+  }, []);
+
+  const selectPrompt = (prompt) => {
+    setSelectedPrompt(prompt);
+    setPromptArgs({});
+    setPromptError(null);
+    setMessage('');
+    textareaRef.current?.focus();
+  };
+
+  const clearSelectedPrompt = () => {
+    setSelectedPrompt(null);
+    setPromptArgs({});
+    setPromptError(null);
+  };
+
+  const missingPromptArgs = (selectedPrompt?.arguments || [])
+    .filter(arg => arg.required && !promptArgs[arg.name]?.trim());
+  // --- End Slash Command Handling ---
+
   // Modified handler to just call processFiles
   const handleFileChange = (e) => {
     if (e.target.files) {
@@ -299,6 +464,7 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
 
   // Function to remove an attachment
   const removeAttachment = (index) => {
+    releaseResources([attachments[index]]);
     setAttachments(prev => prev.filter((_, i) => i !== index));
   };
 
@@ -329,14 +495,32 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
   }, [loading]);
 
   // Modified handleSubmit to handle both sending new messages and submitting edits
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     const textContent = message.trim();
     const hasText = textContent.length > 0;
     const hasAttachments = attachments.length > 0;
 
     const isExtractionPending = attachments.some(att => att.status === STATUS_PENDING || att.status === STATUS_EXTRACTING);
-    if ((hasText || hasAttachments) && !loading && !isExtractionPending) {
+    if ((hasText || hasAttachments || selectedPrompt) && !loading && !isExtractionPending && !expandingPrompt) {
+      // Expand the selected prompt first; its messages are sent ahead of the typed text
+      let promptMessages = [];
+      if (selectedPrompt) {
+        if (missingPromptArgs.length > 0) return;
+        const args = Object.fromEntries(Object.entries(promptArgs).filter(([, value]) => value.trim() !== ''));
+        setExpandingPrompt(true);
+        const result = await window.electron.getMcpPrompt(selectedPrompt.serverId, selectedPrompt.name, args);
+        setExpandingPrompt(false);
+        if (!result.success) {
+          setPromptError(result.error || 'Failed to expand prompt');
+          return;
+        }
+        promptMessages = result.messages.map(promptMessage => ({
+          ...promptMessage,
+          prompt: { serverId: selectedPrompt.serverId, name: selectedPrompt.name }
+        }));
+      }
+
       let contentToSend = [];
 
       // Add attachments first
@@ -371,27 +555,50 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
         contentToSend.push({ type: 'text', text: textContent });
       }
 
-      if (contentToSend.length > 0) {
-        onSendMessage(contentToSend); // Call original send handler
+      if (contentToSend.length > 0 || promptMessages.length > 0) {
+        onSendMessage(contentToSend, promptMessages); // Call original send handler
+        clearSelectedPrompt();
         setMessage('');
+        releaseResources(attachments); // The sent message keeps the content as it was at send time
         setAttachments([]); // Clear attachments after sending
       }
     }
   };
 
   const handleKeyDown = (e) => {
+    // Navigate the slash command popup
+    if (matchingPrompts.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setHighlightedPromptIndex(prev => (prev + step + matchingPrompts.length) % matchingPrompts.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        selectPrompt(matchingPrompts[Math.min(highlightedPromptIndex, matchingPrompts.length - 1)]);
+        return;
+      }
+    }
+    if (e.key === 'Escape' && (slashQuery !== null || selectedPrompt)) {
+      e.preventDefault();
+      if (selectedPrompt) clearSelectedPrompt();
+      else setMessage('');
+      return;
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
     }
   };
 
-  // Calculate if adding more images should be disabled (Specific to Groq vision models)
-  const disableImageAdding = selectedPlatform === 'groq' && visionSupported && attachments.some(att => att.isImage);
+  // Calculate if adding more images should be disabled (providers with a 1-image limit)
+  const disableImageAdding = singleImageLimit && attachments.some(att => att.isImage);
   // Calculate if send should be disabled (due to loading or pending extraction)
   const isExtractionPending = attachments.some(att => att.status === STATUS_PENDING || att.status === STATUS_EXTRACTING);
   // Disable if loading, extraction pending, or if NOT editing AND input/attachments are empty
-  const disableSend = loading || isExtractionPending || (!message.trim() && attachments.length === 0);
+  const disableSend = loading || isExtractionPending || expandingPrompt || missingPromptArgs.length > 0 ||
+    (!message.trim() && attachments.length === 0 && !selectedPrompt);
 
   return (
     <form 
@@ -406,10 +613,10 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
         <div className="flex flex-col gap-2 mb-2">
           <div className="flex justify-between items-center"> {/* Container for title and potential warning */} 
             <p className="text-sm font-medium text-gray-400">Attached Files ({attachments.length}):</p>
-            {/* Show 1-image limit message if applicable (Groq specific) */}
-            {selectedPlatform === 'groq' && visionSupported && attachments.some(att => att.isImage) && (
-                <span className="text-xs text-yellow-400 flex items-center gap-1" title="The selected Groq model supports only one image input.">
-                    <AlertCircle size={14} /> 1 Image Limit (Groq)
+            {/* Show 1-image limit message if applicable (provider specific) */}
+            {singleImageLimit && attachments.some(att => att.isImage) && (
+                <span className="text-xs text-yellow-400 flex items-center gap-1" title="The selected model supports only one image input.">
+                    <AlertCircle size={14} /> 1 Image Limit
                 </span>
             )}
           </div>
@@ -465,8 +672,76 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
         </div>
       )}
 
+      {/* Selected Prompt and its Arguments */}
+      {selectedPrompt && (
+        <div className="p-2 border border-gray-600 rounded-md bg-gray-800">
+          <div className="flex justify-between items-start gap-2">
+            <div className="min-w-0">
+              <p className="text-sm text-white">
+                <span className="font-mono">/{selectedPrompt.name}</span>
+                <span className="ml-2 text-xs text-gray-400">{selectedPrompt.serverId}</span>
+              </p>
+              {selectedPrompt.description && <p className="text-xs text-gray-400">{selectedPrompt.description}</p>}
+            </div>
+            <button
+              type="button"
+              onClick={clearSelectedPrompt}
+              className="text-gray-400 hover:text-gray-200 text-xs"
+              aria-label="Remove prompt"
+            >
+              ✕
+            </button>
+          </div>
+          {selectedPrompt.arguments.length > 0 && (
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              {selectedPrompt.arguments.map(arg => (
+                <input
+                  key={arg.name}
+                  type="text"
+                  value={promptArgs[arg.name] || ''}
+                  onChange={(e) => setPromptArgs(prev => ({ ...prev, [arg.name]: e.target.value }))}
+                  placeholder={`${arg.name}${arg.required ? ' *' : ''}`}
+                  title={arg.description || arg.name}
+                  className="px-2 py-1 text-sm bg-gray-700 border border-gray-600 rounded text-white placeholder-gray-400"
+                />
+              ))}
+            </div>
+          )}
+          {promptError && <p className="mt-2 text-xs text-red-400">{promptError}</p>}
+          <p className="mt-2 text-xs text-gray-500">
+            {expandingPrompt ? 'Expanding prompt...' : 'The prompt is sent first; any text you type is added after it.'}
+          </p>
+        </div>
+      )}
+
       {/* Input Row */}
-      <div className="flex items-end gap-2"> {/* Changed items-start to items-end */}
+      <div className="relative flex items-end gap-2"> {/* Changed items-start to items-end */}
+        {/* Slash Command Popup */}
+        {slashQuery !== null && (
+          <div className="absolute bottom-full left-0 right-0 mb-2 max-h-60 overflow-y-auto bg-gray-800 border border-gray-600 rounded-md shadow-lg z-10">
+            {matchingPrompts.length === 0 ? (
+              <p className="p-2 text-sm text-gray-400">No prompts from connected servers match.</p>
+            ) : matchingPrompts.map((prompt, index) => (
+              <button
+                key={`${prompt.serverId}:${prompt.name}`}
+                type="button"
+                onMouseDown={(e) => e.preventDefault()} // Keep focus in the textarea
+                onClick={() => selectPrompt(prompt)}
+                onMouseEnter={() => setHighlightedPromptIndex(index)}
+                className={`block w-full text-left p-2 ${index === highlightedPromptIndex ? 'bg-gray-700' : ''}`}
+              >
+                <span className="font-mono text-sm text-white">/{prompt.name}</span>
+                <span className="ml-2 text-xs text-gray-400">{prompt.serverId}</span>
+                {prompt.arguments.length > 0 && (
+                  <span className="ml-2 text-xs font-mono text-gray-500">
+                    {prompt.arguments.map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`).join(' ')}
+                  </span>
+                )}
+                {prompt.description && <p className="text-xs text-gray-400 truncate">{prompt.description}</p>}
+              </button>
+            ))}
+          </div>
+        )}
         {/* File Upload Button - Show if fewer than 5 attachments AND not editing */}
         {attachments.length < 5 && (
           <button
@@ -500,12 +775,23 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
             onChange={(e) => setMessage(e.target.value)}
             onKeyDown={handleKeyDown}
             onPaste={handlePaste} // Keep paste handler
-            placeholder="Type your message or drop files..."
+            placeholder={selectedPrompt ? 'Add a message after the prompt (optional)...' : 'Type your message, / for prompts, or drop files...'}
             className="flex-1 p-2 bg-transparent text-white placeholder-gray-400 resize-none border-none focus:outline-none focus:ring-0 overflow-y-auto max-h-40" // Adjust max-h as needed
             rows="1"
             disabled={loading}
           />
-          {/* Send/Submit Button */}
+          {/* Stop Button (replaces Send while a response is generating) */}
+          {loading && onStop ? (
+            <button
+              type="button"
+              onClick={onStop}
+              className="p-2 rounded-md bg-red-600 text-white hover:bg-red-700"
+              title="Stop generating"
+            >
+              <Square className="h-5 w-5" fill="currentColor" />
+            </button>
+          ) : (
+          /* Send/Submit Button */
           <button
             type="submit"
             className={`p-2 rounded-md ${disableSend ? 'bg-gray-600 text-gray-400 cursor-not-allowed' : 'bg-primary text-white hover:bg-primary-dark'}`}
@@ -519,6 +805,7 @@ const ChatInput = forwardRef(({ onSendMessage, loading = false, visionSupported
                  </svg>
             )}
           </button>
+          )}
         </div>
       </div>
     </form>
@@ -32,23 +32,22 @@ function useLogViewer(serverId, transportType) {
     logsEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
-  // Fetch initial logs or set SSE message
+  // Fetch initial logs (stdout/stderr for stdio servers, MCP log messages for all servers)
   useEffect(() => {
-    if (transportType === 'sse') {
-      // For SSE, just display the info message and don't fetch
-      setLogs(["[Info: Logs for SSE servers must be checked directly on the server. Stdout/stderr is not captured.]"]);
-      setIsLoading(false);
-      setError(null);
-      return; // Skip fetching and live updates for SSE
-    }
+    const isRemote = transportType && transportType !== 'stdio';
 
-    // Proceed with fetching for stdio
     const fetchLogs = async () => {
       setIsLoading(true);
       setError(null);
       try {
         const result = await window.electron.getMcpServerLogs(serverId);
-        setLogs(result?.logs || ['No logs available yet.']);
+        const fetchedLogs = result?.logs || [];
+        if (isRemote && fetchedLogs.length === 0) {
+          // Remote (SSE / Streamable HTTP) servers only show the log messages they send over MCP
+          setLogs(["[Info: Only MCP log messages sent by this remote server appear here. Stdout/stderr is not captured.]"]);
+        } else {
+          setLogs(fetchedLogs.length > 0 ? fetchedLogs : ['No logs available yet.']);
+        }
       } catch (err) {
         console.error(`Error fetching logs for ${serverId}:`, err);
         setError(`Failed to load logs: ${err.message}`);
@@ -68,8 +67,7 @@ function useLogViewer(serverId, transportType) {
 
   // Subscribe to live log updates
   useEffect(() => {
-    // Only subscribe for stdio transports
-    if (!serverId || transportType === 'sse') {
+    if (!serverId) {
         return;
     }
 
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+
+const STATUS_STYLES = {
+  new: 'bg-green-900 text-green-300',
+  changed: 'bg-yellow-900 text-yellow-300',
+  unchanged: 'bg-gray-700 text-gray-400'
+};
+const STATUS_LABELS = { new: 'New', changed: 'Overwrites existing', unchanged: 'Unchanged' };
+const DIFF_LINE_STYLES = { add: 'text-green-300 bg-green-900 bg-opacity-30', remove: 'text-red-300 bg-red-900 bg-opacity-30', same: 'text-gray-400' };
+const DIFF_LINE_PREFIX = { add: '+ ', remove: '- ', same: '  ' };
+
+// Imports MCP servers from the config files of other clients (Claude Desktop, Cursor, VS Code).
+// Shows the known files, then a preview of the servers to add or overwrite with a diff against the current config.
+// `onImport` receives { serverId: config } for the selected servers.
+function McpImportModal({ onImport, onClose }) {
+  const [sources, setSources] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    const loadSources = async () => {
+      const result = await window.electron.listMcpImportSources();
+      if (result.success) {
+        setSources(result.sources);
+      } else {
+        setError(result.error);
+      }
+    };
+    loadSources().catch(err => setError(err.message));
+  }, []);
+
+  // Reads a config file (or asks for one without a path) and shows its preview
+  const readFile = async (filePath, workspaceFolder) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await window.electron.readMcpImportFile(filePath, workspaceFolder);
+      if (!result.success) {
+        setError(result.error);
+      } else if (!result.canceled) {
+        setPreview(result);
+        // Unchanged servers have nothing to import
+        setSelectedIds(result.servers.filter(server => server.status !== 'unchanged').map(server => server.id));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleServer = (serverId) => {
+    setSelectedIds(prev => prev.includes(serverId) ? prev.filter(id => id !== serverId) : [...prev, serverId]);
+  };
+
+  const handleImport = () => {
+    const servers = Object.fromEntries(preview.servers
+      .filter(server => selectedIds.includes(server.id))
+      .map(server => [server.id, server.config]));
+    onImport(servers);
+  };
+
+  const overwriteCount = preview ? preview.servers.filter(server => server.status === 'changed' && selectedIds.includes(server.id)).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[60]">
+      <div className="bg-gray-900 w-full max-w-4xl max-h-[90vh] rounded-lg shadow-xl overflow-hidden flex flex-col border border-gray-700">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-700 flex justify-between items-center bg-gray-800">
+          <h2 className="text-lg font-semibold text-white">
+            Import MCP Servers{preview && <span className="ml-2 text-sm font-mono text-gray-400 break-all">{preview.path}</span>}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-200"
+            aria-label="Close import"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-4 text-sm">
+          {error && <p className="mb-3 text-red-400">{error}</p>}
+          {!preview ? (
+            <>
+              <p className="text-gray-400 mb-3">
+                Pick a config file of another client. Workspace files are looked up in the folders shared under Workspace Folders.
+              </p>
+              <div className="border border-gray-700 rounded-md overflow-hidden mb-3">
+                {sources.map(source => (
+                  <div key={source.path} className="flex justify-between items-center p-2 border-b border-gray-700 last:border-b-0">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-gray-200">{source.label}</div>
+                      <div className="text-xs font-mono text-gray-500 truncate" title={source.path}>{source.path}</div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => readFile(source.path, source.workspaceFolder)}
+                      disabled={!source.exists || isLoading}
+                      className="ml-4 text-xs py-1 px-2 bg-primary hover:bg-primary/90 text-white rounded disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed"
+                    >
+                      {source.exists ? 'Preview' : 'Not found'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => readFile(null, null)}
+                disabled={isLoading}
+                className="px-3 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded text-sm disabled:opacity-50"
+              >
+                Choose File...
+              </button>
+            </>
+          ) : (
+            <>
+              {preview.servers.length === 0 && <p className="text-gray-400">The file contains no servers that can be imported.</p>}
+              <div className="space-y-3">
+                {preview.servers.map(server => (
+                  <div key={server.id} className="border border-gray-700 rounded-md">
+                    <label className="flex items-center gap-2 p-2 bg-gray-800 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(server.id)}
+                        onChange={() => toggleServer(server.id)}
+                        disabled={server.status === 'unchanged'}
+                      />
+                      <span className="font-medium text-gray-200 break-all">{server.id}</span>
+                      <span className={`text-xs px-2 py-0.5 rounded ${STATUS_STYLES[server.status]}`}>{STATUS_LABELS[server.status]}</span>
+                    </label>
+                    {server.status !== 'unchanged' && (
+                      <pre className="text-xs font-mono p-2 overflow-x-auto">
+                        {server.diff.map((line, index) => (
+                          <div key={index} className={DIFF_LINE_STYLES[line.type]}>{DIFF_LINE_PREFIX[line.type]}{line.text}</div>
+                        ))}
+                      </pre>
+                    )}
+                  </div>
+                ))}
+              </div>
+              {preview.secrets.length > 0 && (
+                <div className="mt-4">
+                  <h4 className="font-medium text-gray-300 mb-1">Secrets used by the imported servers</h4>
+                  <p className="text-xs text-gray-400 mb-2">
+                    Inputs and environment variables are imported as <span className="font-mono">{'${secret:NAME}'}</span> references. Add missing ones under Secrets before connecting.
+                  </p>
+                  <ul className="text-xs space-y-1">
+                    {preview.secrets.map(secret => (
+                      <li key={secret.name}>
+                        <span className={secret.stored ? 'text-green-400' : 'text-yellow-400'}>{secret.stored ? '✓' : '!'}</span>
+                        <span className="ml-2 font-mono text-gray-200">{secret.name}</span>
+                        <span className="text-gray-500"> from {secret.source}{secret.description ? ` - ${secret.description}` : ''}</span>
+                        {!secret.stored && <span className="text-yellow-400"> (not stored yet)</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {preview.warnings.length > 0 && (
+                <div className="mt-4">
+                  <h4 className="font-medium text-gray-300 mb-1">Warnings</h4>
+                  <ul className="text-xs text-yellow-300 list-disc pl-5 space-y-1">
+                    {preview.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-3 border-t border-gray-700 bg-gray-800 flex justify-between items-center">
+          <div>
+            {preview && (
+              <button
+                type="button"
+                onClick={() => { setPreview(null); setError(null); }}
+                className="py-2 px-4 text-gray-300 hover:text-white text-sm"
+              >
+                Back
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors text-sm"
+            >
+              Cancel
+            </button>
+            {preview && (
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={selectedIds.length === 0}
+                className="py-2 px-4 bg-primary hover:bg-primary/90 text-white rounded transition-colors text-sm disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed"
+              >
+                Import {selectedIds.length} {selectedIds.length === 1 ? 'server' : 'servers'}{overwriteCount > 0 ? ` (${overwriteCount} overwritten)` : ''}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default McpImportModal;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import ToolCall from './ToolCall';
+import { ToolCallProgress, ToolResultContent, JsonTree, hasRichContent } from './ToolCall';
 import { useChat } from '../context/ChatContext';
 import MarkdownRenderer from './MarkdownRenderer';
 
@@ -28,6 +28,38 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
     return toolMessage ? toolMessage.content : null;
   };
 
+  // Typed content (images, resources) saved with a tool result, if it had more than text
+  const findToolResultContent = (toolCallId) => {
+    const toolMessage = allMessages?.find(msg => msg.role === 'tool' && msg.tool_call_id === toolCallId);
+    return toolMessage?.mcpContent || null;
+  };
+
+  const findToolStructuredContent = (toolCallId) => {
+    const toolMessage = allMessages?.find(msg => msg.role === 'tool' && msg.tool_call_id === toolCallId);
+    return toolMessage?.structuredContent;
+  };
+
+  // Arguments the user changed in the approval dialog; the call ran with these instead of the model's
+  const findToolEditedArguments = (toolCallId) => {
+    const toolMessage = allMessages?.find(msg => msg.role === 'tool' && msg.tool_call_id === toolCallId);
+    return toolMessage?.editedArguments || null;
+  };
+
+  const renderArguments = (argsString, editedArguments) => (
+    <details className="mt-1 ml-6 cursor-pointer" open={Boolean(editedArguments)}>
+      <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">
+        Arguments{editedArguments && <span className="ml-1 text-yellow-300">(edited by you before running)</span>}
+      </summary>
+      <pre className="mt-1 text-xs whitespace-pre-wrap break-words bg-gray-800 p-1 rounded">{editedArguments ? JSON.stringify(editedArguments, null, 2) : argsString}</pre>
+      {editedArguments && (
+        <>
+          <div className="mt-1 text-xs text-gray-500">Arguments the model sent:</div>
+          <pre className="mt-1 text-xs whitespace-pre-wrap break-words bg-gray-800 p-1 rounded text-gray-500">{argsString}</pre>
+        </>
+      )}
+    </details>
+  );
+
   const messageClasses = `flex ${isUser ? 'justify-end' : 'justify-start'}`;
   // Apply background only for user messages
   const bubbleStyle = isUser ? 'bg-user-message-bg' : ''; // No background for assistant/system
@@ -189,11 +221,24 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                                     {step.status === 'error' && <span className="text-red-400">✗</span>}
                                     <span>{step.name || 'Unknown Tool'}</span>
                                 </div>
-                                <details className="mt-1 ml-6 cursor-pointer">
-                                    <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Arguments</summary>
-                                    <pre className="mt-1 text-xs whitespace-pre-wrap break-words bg-gray-800 p-1 rounded">{argsString}</pre>
-                                </details>
-                                {step.status === 'complete' && step.result != null && (
+                                {step.status === 'executing' && (
+                                    <div className="ml-6">
+                                        <ToolCallProgress progress={step.progress} onCancel={() => window.electron.cancelToolCall(callId)} />
+                                    </div>
+                                )}
+                                {renderArguments(argsString, step.editedArguments)}
+                                {step.structuredContent !== undefined && step.structuredContent !== null && (
+                                    <details className="mt-1 ml-6 cursor-pointer" open>
+                                        <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Structured result</summary>
+                                        <div className="mt-1 bg-gray-800 p-1 rounded overflow-x-auto"><JsonTree value={step.structuredContent} /></div>
+                                    </details>
+                                )}
+                                {step.status === 'complete' && hasRichContent(step.content) ? (
+                                    <details className="mt-1 ml-6 cursor-pointer" open> { /* Open so images are visible right away */}
+                                        <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Result</summary>
+                                        <div className="mt-1 text-xs bg-gray-800 p-1 rounded"><ToolResultContent content={step.content} /></div>
+                                    </details>
+                                ) : step.status === 'complete' && step.result != null && (
                                     <details className="mt-1 ml-6 cursor-pointer">
                                         <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Result</summary>
                                         <div className="mt-1 text-xs bg-gray-800 p-1 rounded">{resultDisplay}</div>
@@ -202,7 +247,13 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                                 {step.status === 'error' && step.error && (
                                     <details className="mt-1 ml-6 cursor-pointer" open> { /* Open error details by default */}
                                         <summary className="text-xs text-red-400 hover:text-red-200 outline-none focus:outline-none">Error</summary>
-                                        <div className="mt-1 text-xs text-red-300 bg-red-900 bg-opacity-30 p-1 rounded">{step.error}</div>
+                                        <div className="mt-1 text-xs text-red-300 bg-red-900 bg-opacity-30 p-1 rounded whitespace-pre-wrap">{step.error}</div>
+                                    </details>
+                                )}
+                                {step.status === 'error' && hasRichContent(step.content) && (
+                                    <details className="mt-1 ml-6 cursor-pointer">
+                                        <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Content</summary>
+                                        <div className="mt-1 text-xs bg-gray-800 p-1 rounded"><ToolResultContent content={step.content} /></div>
                                     </details>
                                 )}
                             </div>
@@ -215,6 +266,8 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                  <div className="historical-tool-steps-container mt-2 border-t border-gray-600 pt-2 space-y-2">
                      {tool_calls.map((toolCall, index) => {
                          const toolResultContent = findToolResult(toolCall.id); // Find the saved result
+                         const richContent = findToolResultContent(toolCall.id);
+                         const structuredContent = findToolStructuredContent(toolCall.id);
                          let resultIsError = false;
                          let errorDisplay = null;
                          let resultDisplay = toolResultContent;
@@ -262,10 +315,13 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                                     )}
                                     <span>{toolCall.function?.name || 'Unknown Tool'}</span>
                                  </div>
-                                <details className="mt-1 ml-6 cursor-pointer">
-                                    <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Arguments</summary>
-                                    <pre className="mt-1 text-xs whitespace-pre-wrap break-words bg-gray-800 p-1 rounded">{argsString}</pre>
-                                 </details>
+                                {renderArguments(argsString, findToolEditedArguments(toolCall.id))}
+                                {structuredContent !== undefined && structuredContent !== null && (
+                                    <details className="mt-1 ml-6 cursor-pointer">
+                                        <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Structured result</summary>
+                                        <div className="mt-1 bg-gray-800 p-1 rounded overflow-x-auto"><JsonTree value={structuredContent} /></div>
+                                    </details>
+                                )}
                                 {resultIsError ? (
                                     <details className="mt-1 ml-6 cursor-pointer" open>
                                          <summary className="text-xs text-red-400 hover:text-red-200 outline-none focus:outline-none">Error</summary>
@@ -274,7 +330,9 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                                 ) : (
                                     <details className="mt-1 ml-6 cursor-pointer">
                                         <summary className="text-xs text-gray-400 hover:text-gray-200 outline-none focus:outline-none">Result</summary>
-                                        <div className="mt-1 text-xs bg-gray-800 p-1 rounded">{resultDisplay ?? '(No result content)'}</div>
+                                        <div className="mt-1 text-xs bg-gray-800 p-1 rounded">
+                                            {richContent ? <ToolResultContent content={richContent} /> : (resultDisplay ?? '(No result content)')}
+                                        </div>
                                     </details>
                                 )}
                              </div>
@@ -298,7 +356,12 @@ function Message({ message, children, onToolCallExecute, allMessages, isLastMess
                 </div>
              )}
 
-            {/* Reasoning Section (Only show if NOT editing) */} 
+            {/* Stopped Notice */}
+             {!isEditing && role === 'assistant' && status === 'stopped' && (
+                <div className="mt-2 text-xs italic text-gray-400">Generation stopped</div>
+             )}
+
+            {/* Reasoning Section (Only show if NOT editing) */}
              {!isEditing && hasReasoning && (
               <div className="mt-3 border-t border-gray-600 pt-2">
                 <button 
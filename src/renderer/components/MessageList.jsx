@@ -7,6 +7,13 @@ import { FileText, XCircle, FileCode, FileJson, File } from 'lucide-react';
 const fileContentPrefix = '[Content of file:';
 const fileErrorPrefix = '[Error processing file:';
 
+// Marks messages that an MCP prompt (slash command) expanded into
+const PromptLabel = ({ prompt }) => (
+  <span className="text-xs text-gray-400 font-mono self-start" title={`Expanded from the "${prompt.name}" prompt of ${prompt.serverId}`}>
+    /{prompt.name} · {prompt.serverId}
+  </span>
+);
+
 // --- Helper Function for File Icons ---
 const getIconForFileType = (filename) => {
   if (!filename) return FileText; // Default icon
@@ -118,6 +125,7 @@ function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage, on
                 onMouseLeave={() => setShowRemoveButtonIndex(null)}
               >
                 <div className="flex-1 flex flex-col gap-2"> {/* Use flex-col for text/images */}
+                  {message.prompt && <PromptLabel prompt={message.prompt} />}
                   {/* Check if content is an array (structured) or string (simple text) */}
                   {Array.isArray(message.content) ? (
                     message.content.map((part, partIndex) => {
@@ -227,7 +235,10 @@ function MessageList({ messages = [], onToolCallExecute, onRemoveLastMessage, on
                 </div>
               </div>
             ) : message.role === 'assistant' ? (
-              <MarkdownRenderer content={message.content || ''} />
+              <>
+                {message.prompt && <PromptLabel prompt={message.prompt} />}
+                <MarkdownRenderer content={message.content || ''} />
+              </>
             ) : null}
           </Message>
         );
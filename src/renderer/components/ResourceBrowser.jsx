@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+
+// Variables of an RFC 6570 URI template, e.g. "file:///{path}{?rev}" -> path (required), rev (optional query parameter)
+const getTemplateVariables = (uriTemplate) => {
+  const variables = [];
+  for (const [, expression] of uriTemplate.matchAll(/\{([^}]+)\}/g)) {
+    const optional = /^[?&]/.test(expression);
+    expression.replace(/^[+#./;?&]/, '').split(',').forEach(part => {
+      const name = part.replace(/\*$/, '').replace(/:\d+$/, '').trim();
+      if (name && !variables.some(variable => variable.name === name)) variables.push({ name, optional });
+    });
+  }
+  return variables;
+};
+
+function ResourceBrowser({ tools = [], onAttachResource }) {
+  const [resourceServers, setResourceServers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [templateValues, setTemplateValues] = useState({});
+
+  const loadResources = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.electron.getMcpResources();
+      if (result.success) {
+        setResourceServers(result.servers || []);
+      } else {
+        setError(result.error || 'Failed to load resources');
+      }
+    } catch (err) {
+      console.error('Error loading MCP resources:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload whenever the tool list changes, i.e. when servers connect or disconnect
+  useEffect(() => {
+    loadResources();
+  }, [tools]);
+
+  // Reload when a server reports that its resources changed
+  useEffect(() => {
+    const removeListener = window.electron.onMcpListChanged(({ list }) => {
+      if (list === 'resources') loadResources();
+    });
+    return () => removeListener();
+  }, []);
+
+  const handleTemplateValueChange = (key, variable, value) => {
+    setTemplateValues(prev => ({
+      ...prev,
+      [key]: { ...prev[key], [variable]: value }
+    }));
+  };
+
+  const attachTemplate = (serverId, template) => {
+    const key = `${serverId}:${template.uriTemplate}`;
+    // Leave out empty optional variables so they are not expanded as "?rev="
+    const variables = Object.fromEntries(
+      Object.entries(templateValues[key] || {}).filter(([, value]) => value !== '')
+    );
+    onAttachResource({
+      serverId,
+      uri: template.uriTemplate,
+      variables,
+      name: template.name,
+      mimeType: template.mimeType
+    });
+  };
+
+  const serversWithResources = resourceServers.filter(server =>
+    server.error || server.resources.length > 0 || server.resourceTemplates.length > 0
+  );
+
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-md font-semibold text-white">Resources</h3>
+        <button
+          onClick={loadResources}
+          disabled={loading}
+          className="text-xs text-gray-400 hover:text-gray-200 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+      {!loading && serversWithResources.length === 0 ? (
+        <p className="text-sm text-gray-400">No connected server offers resources.</p>
+      ) : (
+        <div className="space-y-3">
+          {serversWithResources.map(server => (
+            <div key={server.serverId} className="border border-gray-700 rounded-lg overflow-hidden">
+              <div className="p-2 bg-gray-600 flex justify-between items-center">
+                <h4 className="font-medium text-white text-sm">
+                  Server: {server.serverId} ({server.resources.length} resources, {server.resourceTemplates.length} templates)
+                </h4>
+                {server.subscribable && (
+                  <span className="text-xs text-gray-300" title="Attached resources are refreshed when the server reports a change">
+                    Live updates
+                  </span>
+                )}
+              </div>
+              {server.error && <p className="p-2 text-sm text-red-400">{server.error}</p>}
+              <div className="divide-y divide-gray-700 max-h-60 overflow-y-auto">
+                {server.resources.map(resource => (
+                  <div key={resource.uri} className="p-2 bg-gray-700 flex justify-between items-center gap-3">
+                    <div className="min-w-0">
+                      <p className="text-sm text-white truncate">{resource.name || resource.uri}</p>
+                      <p className="text-xs font-mono text-gray-400 truncate" title={resource.uri}>{resource.uri}</p>
+                      {resource.description && (
+                        <p className="text-xs text-gray-400 truncate" title={resource.description}>{resource.description}</p>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => onAttachResource({ serverId: server.serverId, uri: resource.uri, name: resource.name, mimeType: resource.mimeType })}
+                      className="flex-shrink-0 text-sm py-1 px-2 bg-primary hover:bg-primary-dark text-white rounded"
+                    >
+                      Attach
+                    </button>
+                  </div>
+                ))}
+                {server.resourceTemplates.map(template => {
+                  const key = `${server.serverId}:${template.uriTemplate}`;
+                  const variables = getTemplateVariables(template.uriTemplate);
+                  return (
+                    <div key={template.uriTemplate} className="p-2 bg-gray-700">
+                      <div className="flex justify-between items-center gap-3">
+                        <div className="min-w-0">
+                          <p className="text-sm text-white truncate">{template.name || template.uriTemplate}</p>
+                          <p className="text-xs font-mono text-gray-400 truncate" title={template.uriTemplate}>{template.uriTemplate}</p>
+                          {template.description && (
+                            <p className="text-xs text-gray-400 truncate" title={template.description}>{template.description}</p>
+                          )}
+                        </div>
+                        <button
+                          onClick={() => attachTemplate(server.serverId, template)}
+                          disabled={variables.some(variable => !variable.optional && !templateValues[key]?.[variable.name])}
+                          className="flex-shrink-0 text-sm py-1 px-2 bg-primary hover:bg-primary-dark text-white rounded disabled:opacity-50"
+                        >
+                          Attach
+                        </button>
+                      </div>
+                      {variables.length > 0 && (
+                        <div className="mt-2 flex flex-wrap gap-2">
+                          {variables.map(variable => (
+                            <input
+                              key={variable.name}
+                              type="text"
+                              value={templateValues[key]?.[variable.name] || ''}
+                              onChange={(e) => handleTemplateValueChange(key, variable.name, e.target.value)}
+                              placeholder={variable.optional ? `${variable.name} (optional)` : variable.name}
+                              className="flex-1 min-w-[8rem] px-2 py-1 text-sm bg-gray-800 border border-gray-600 rounded text-white placeholder-gray-500"
+                            />
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ResourceBrowser;
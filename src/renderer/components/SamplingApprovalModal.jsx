@@ -0,0 +1,108 @@
+import React from 'react';
+
+// Describes the numeric priorities of MCP model preferences (0..1)
+const formatPriority = (value) => (typeof value === 'number' ? `${Math.round(value * 100)}%` : 'not set');
+
+function SamplingApprovalModal({ request, queuedCount = 0, onRespond }) {
+  if (!request) return null;
+
+  const preferences = request.modelPreferences || {};
+  const hints = (preferences.hints || []).map(hint => hint.name).filter(Boolean);
+
+  const baseButtonClass = "w-full sm:w-auto px-4 py-2 rounded focus:outline-none focus:ring-2 focus:ring-opacity-70 transition duration-150 ease-in-out text-sm font-medium text-gray-100";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-gray-800 w-full max-w-2xl rounded-lg shadow-xl overflow-hidden flex flex-col border border-gray-700">
+        <div className="p-4 border-b border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-100">Sampling Request from {request.serverId}</h2>
+          <p className="text-xs text-gray-400 mt-1">
+            The server asks to run a completion with your model. It only receives the response if you allow it.
+            {queuedCount > 0 && ` ${queuedCount} more request${queuedCount > 1 ? 's' : ''} waiting.`}
+          </p>
+        </div>
+
+        <div className="p-5 overflow-y-auto max-h-[60vh] space-y-4">
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Model:</label>
+              <div className="bg-gray-900 p-2 rounded text-gray-200 font-mono border border-gray-700">
+                {request.model}
+                {request.matchedHint && <span className="ml-2 text-xs text-gray-400">(matches hint "{request.matchedHint}")</span>}
+              </div>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Max Tokens:</label>
+              <div className="bg-gray-900 p-2 rounded text-gray-200 font-mono border border-gray-700">
+                {request.maxTokens}
+                {request.maxTokens < request.requestedMaxTokens && (
+                  <span className="ml-2 text-xs text-yellow-300">(requested {request.requestedMaxTokens}, capped by limit)</span>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Model Preferences:</label>
+            <div className="bg-gray-900 p-2 rounded text-gray-300 text-xs border border-gray-700 space-y-1">
+              <p>Hints: {hints.length > 0 ? hints.join(', ') : 'none'}</p>
+              <p>
+                Cost: {formatPriority(preferences.costPriority)} · Speed: {formatPriority(preferences.speedPriority)} · Intelligence: {formatPriority(preferences.intelligencePriority)}
+              </p>
+              {request.temperature !== undefined && <p>Temperature: {request.temperature}</p>}
+              {request.includeContext && request.includeContext !== 'none' && (
+                <p className="text-yellow-300">Requested context "{request.includeContext}" is not shared.</p>
+              )}
+            </div>
+          </div>
+
+          {request.systemPrompt && (
+            <div>
+              <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">System Prompt:</label>
+              <pre className="bg-gray-900 p-2 rounded text-gray-200 text-sm border border-gray-700 whitespace-pre-wrap">{request.systemPrompt}</pre>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Messages:</label>
+            <div className="space-y-2">
+              {request.messages.map((message, index) => (
+                <div key={index} className="bg-gray-900 p-2 rounded border border-gray-700">
+                  <p className="text-xs text-gray-400 mb-1">{message.role}</p>
+                  {message.content.type === 'text' ? (
+                    <pre className="text-sm text-gray-200 whitespace-pre-wrap">{message.content.text}</pre>
+                  ) : message.content.type === 'image' ? (
+                    <img
+                      src={`data:${message.content.mimeType};base64,${message.content.data}`}
+                      alt={`Message ${index + 1}`}
+                      className="max-w-xs max-h-48 rounded-md"
+                    />
+                  ) : (
+                    <p className="text-sm text-gray-400">[{message.content.type} content]</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="p-4 border-t border-gray-700 bg-gray-700/30 flex flex-wrap gap-3 justify-end">
+          <button
+            onClick={() => onRespond(request.requestId, true)}
+            className={`bg-blue-700 hover:bg-blue-800 focus:ring-blue-500 ${baseButtonClass}`}
+          >
+            Allow
+          </button>
+          <button
+            onClick={() => onRespond(request.requestId, false)}
+            className={`bg-red-700 hover:bg-red-800 focus:ring-red-600 ${baseButtonClass}`}
+          >
+            Deny
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SamplingApprovalModal;
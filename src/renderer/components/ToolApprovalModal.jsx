@@ -1,32 +1,65 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 
-function ToolApprovalModal({ toolCall, onApprove }) {
-  if (!toolCall) return null;
+// Asks the user about a tool call the permission policy (electron/toolPolicy.js) did not decide by itself.
+// `request` comes from the main process: { requestId, name, serverId, toolName, args, chatId, rule, canRemember, defaultMinutes };
+// `rule` describes the "ask" rule that matched, if any. Choices: 'once', 'chat', 'timed' (for `minutes`), 'always',
+// 'never', 'yolo' or 'deny'; all but 'once' and 'deny' are remembered and listed under Settings > Tool Call Permissions.
+// The arguments can be edited before allowing the call; the main process checks them against `request.inputSchema`
+// and the permission rules, and `onApprove` resolves to { argumentsRejected, error, validationErrors } when they fail.
+function ToolApprovalModal({ request, tool, queuedCount = 0, onApprove }) {
+  const [minutes, setMinutes] = useState(request?.defaultMinutes || 30);
+  const [isEditing, setIsEditing] = useState(false);
+  const [argsText, setArgsText] = useState(() => JSON.stringify(request?.args ?? {}, null, 2));
+  const [rejection, setRejection] = useState(null); // { error, validationErrors } from the main process
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const { function: func } = toolCall;
-  const toolName = func.name;
-  let args = {};
-  try {
-    const argsString = func.arguments ?? '{}';
-    args = JSON.parse(argsString);
-  } catch (e) {
-    console.error("Failed to parse tool call arguments for modal:", func.arguments, e);
-    args = { parse_error: "Could not parse arguments", original_arguments: func.arguments };
+  if (!request) return null;
+
+  // Parse errors are shown while typing; schema errors come back from the main process on submit
+  let editedArgs;
+  let jsonError = null;
+  if (isEditing) {
+    try {
+      editedArgs = JSON.parse(argsText);
+      if (!editedArgs || typeof editedArgs !== 'object' || Array.isArray(editedArgs)) jsonError = 'The arguments must be a JSON object.';
+    } catch (err) {
+      jsonError = err.message;
+    }
   }
+  const argsChanged = isEditing && !jsonError && JSON.stringify(editedArgs) !== JSON.stringify(request.args ?? {});
+  const canAllow = !jsonError && !isSubmitting;
 
-  const handleChoice = (choice) => {
-    if (onApprove) {
-      onApprove(choice, toolCall);
+  const handleChoice = async (choice) => {
+    if (!onApprove) return;
+    const isDenial = choice === 'deny' || choice === 'never';
+    const options = {
+      ...(choice === 'timed' && { minutes }),
+      ...(!isDenial && argsChanged && { args: editedArgs })
+    };
+    setIsSubmitting(true);
+    setRejection(null);
+    const result = await onApprove(request.requestId, choice, Object.keys(options).length > 0 ? options : undefined);
+    if (result?.argumentsRejected) {
+      setRejection(result);
+      setIsSubmitting(false);
     }
   };
 
+  const resetArguments = () => {
+    setArgsText(JSON.stringify(request.args ?? {}, null, 2));
+    setRejection(null);
+  };
+
   // More subtle button styling, consistent text color
-  const baseButtonClass = "w-full sm:w-auto px-4 py-2 rounded focus:outline-none focus:ring-2 focus:ring-opacity-70 transition duration-150 ease-in-out text-sm font-medium text-gray-100";
+  const baseButtonClass = "w-full sm:w-auto px-4 py-2 rounded focus:outline-none focus:ring-2 focus:ring-opacity-70 transition duration-150 ease-in-out text-sm font-medium text-gray-100 disabled:opacity-50 disabled:cursor-not-allowed";
   const buttonClasses = {
     once:   `bg-blue-700 hover:bg-blue-800 focus:ring-blue-500 ${baseButtonClass}`,
+    chat:   `bg-teal-700 hover:bg-teal-800 focus:ring-teal-600 ${baseButtonClass}`,
+    timed:  `bg-teal-700 hover:bg-teal-800 focus:ring-teal-600 ${baseButtonClass}`,
     always: `bg-green-700 hover:bg-green-800 focus:ring-green-600 ${baseButtonClass}`,
+    never:  `bg-red-900 hover:bg-red-950 focus:ring-red-700 ${baseButtonClass}`,
     yolo:   `bg-yellow-700 hover:bg-yellow-800 focus:ring-yellow-600 ${baseButtonClass}`,
     deny:   `bg-red-700 hover:bg-red-800 focus:ring-red-600 ${baseButtonClass}`,
   }; // Note: YOLO button text is now gray-100 like others
@@ -40,6 +73,7 @@ function ToolApprovalModal({ toolCall, onApprove }) {
               <path strokeLinecap="round" strokeLinejoin="round" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
             Tool Call Approval Required
+            {queuedCount > 0 && <span className="ml-2 text-xs font-normal text-gray-400">({queuedCount} more waiting)</span>}
           </h2>
         </div>
 
@@ -47,58 +81,161 @@ function ToolApprovalModal({ toolCall, onApprove }) {
           <div>
             <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Tool Name:</label>
             <div className="bg-gray-900 p-3 rounded text-gray-200 font-mono text-sm border border-gray-700">
-              {toolName}
+              {request.toolName}
             </div>
           </div>
 
           <div>
-            <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Arguments:</label>
-            <div className="rounded-md text-sm overflow-x-auto border border-gray-700">
-              <SyntaxHighlighter
-                language="json"
-                style={vscDarkPlus}
-                customStyle={{
-                  borderRadius: '0.3rem',
-                  margin: 0,
-                  padding: '0.75rem',
-                  fontSize: '0.875rem',
-                  backgroundColor: '#1E1E1E'
-                }}
-                codeTagProps={{ style: { fontFamily: "'Fira Code', monospace" } }}
-                wrapLongLines={true}
-              >
-                {JSON.stringify(args, null, 2)}
-              </SyntaxHighlighter>
+            <label className="block text-xs font-medium text-gray-400 mb-1 uppercase tracking-wider">Server:</label>
+            <div className="bg-gray-900 p-3 rounded text-gray-200 font-mono text-sm border border-gray-700">
+              {request.serverId}
+            </div>
+            {tool?.collidesWith?.length > 0 && (
+              <p className="mt-1 text-xs text-yellow-300">
+                A tool with this name is also provided by: {tool.collidesWith.join(', ')}. Only the server above will run it.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <label className="block text-xs font-medium text-gray-400 uppercase tracking-wider">
+                Arguments:{argsChanged && <span className="ml-2 normal-case tracking-normal text-yellow-300">edited</span>}
+              </label>
+              <div className="flex gap-3 text-xs">
+                {isEditing && argsChanged && (
+                  <button type="button" onClick={resetArguments} className="text-gray-400 hover:text-gray-200">Reset</button>
+                )}
+                {!isEditing && (
+                  <button type="button" onClick={() => setIsEditing(true)} className="text-blue-400 hover:text-blue-300">Edit</button>
+                )}
+              </div>
             </div>
+            {isEditing ? (
+              <>
+                <textarea
+                  value={argsText}
+                  onChange={e => { setArgsText(e.target.value); setRejection(null); }}
+                  spellCheck={false}
+                  rows={Math.min(Math.max(argsText.split('\n').length, 4), 16)}
+                  className={`w-full p-3 rounded-md bg-[#1E1E1E] text-gray-100 font-mono text-sm border ${jsonError || rejection ? 'border-red-500' : 'border-gray-700'} focus:outline-none focus:border-blue-500`}
+                  aria-label="Tool arguments (JSON)"
+                />
+                {jsonError && <p className="mt-1 text-xs text-red-400">Invalid JSON: {jsonError}</p>}
+                {rejection && (
+                  <div className="mt-1 text-xs text-red-400">
+                    <p>{rejection.error}</p>
+                    {rejection.validationErrors?.length > 0 && (
+                      <ul className="list-disc pl-5 mt-1 font-mono">
+                        {rejection.validationErrors.map((err, index) => <li key={index}>{err.path}: {err.message}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                )}
+                {argsChanged && !rejection && (
+                  <p className="mt-1 text-xs text-gray-400">The tool runs with the edited arguments; the result tells the model they were changed.</p>
+                )}
+              </>
+            ) : (
+              <div className="rounded-md text-sm overflow-x-auto border border-gray-700">
+                <SyntaxHighlighter
+                  language="json"
+                  style={vscDarkPlus}
+                  customStyle={{
+                    borderRadius: '0.3rem',
+                    margin: 0,
+                    padding: '0.75rem',
+                    fontSize: '0.875rem',
+                    backgroundColor: '#1E1E1E'
+                  }}
+                  codeTagProps={{ style: { fontFamily: "'Fira Code', monospace" } }}
+                  wrapLongLines={true}
+                >
+                  {JSON.stringify(request.args ?? {}, null, 2)}
+                </SyntaxHighlighter>
+              </div>
+            )}
           </div>
+
+          {request.rule && (
+            <p className="text-xs text-gray-400">
+              Asked because of the permission rule <span className="font-mono text-gray-300">{request.rule}</span>, so the choice is not remembered.
+            </p>
+          )}
         </div>
 
         <div className="p-4 border-t border-gray-700 bg-gray-700/30 flex flex-wrap gap-3 justify-end">
            <button
             onClick={() => handleChoice('once')}
+            disabled={!canAllow}
             className={buttonClasses.once}
           >
             Allow Once
           </button>
-          <button
-            onClick={() => handleChoice('always')}
-            className={buttonClasses.always}
-          >
-            Always Allow This Tool
-          </button>
-           <button
-            onClick={() => handleChoice('yolo')}
-            title="Always Allow Any Tool (Warning: potential security risk from prompt injection)"
-            className={buttonClasses.yolo}
-          >
-            YOLO Mode
-          </button>
+          {request.canRemember && (
+            <>
+              {request.chatId && (
+                <button
+                  onClick={() => handleChoice('chat')}
+                  disabled={!canAllow}
+                  title="Allow this tool without asking again, only in the current chat"
+                  className={buttonClasses.chat}
+                >
+                  Allow in This Chat
+                </button>
+              )}
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => handleChoice('timed')}
+                  disabled={!canAllow || !(minutes >= 1)}
+                  className={buttonClasses.timed}
+                >
+                  Allow for
+                </button>
+                <input
+                  type="number"
+                  min="1"
+                  value={minutes}
+                  onChange={(e) => setMinutes(parseInt(e.target.value, 10) || '')}
+                  className="w-16 px-2 py-2 bg-gray-900 border border-gray-600 rounded text-sm text-gray-100"
+                  aria-label="Minutes"
+                />
+                <span className="text-sm text-gray-300">min</span>
+              </div>
+              <button
+                onClick={() => handleChoice('always')}
+                disabled={!canAllow}
+                className={buttonClasses.always}
+              >
+                Always Allow This Tool
+              </button>
+              <button
+                onClick={() => handleChoice('yolo')}
+                disabled={!canAllow}
+                title="Always allow tools without a permission rule; deny rules still apply (Warning: potential security risk from prompt injection)"
+                className={buttonClasses.yolo}
+              >
+                YOLO Mode
+              </button>
+            </>
+          )}
           <button
             onClick={() => handleChoice('deny')}
+            disabled={isSubmitting}
             className={buttonClasses.deny}
           >
             Deny
           </button>
+          {request.canRemember && (
+            <button
+              onClick={() => handleChoice('never')}
+              disabled={isSubmitting}
+              title="Deny this tool from now on, in every chat"
+              className={buttonClasses.never}
+            >
+              Never Allow
+            </button>
+          )}
         </div>
       </div>
     </div>
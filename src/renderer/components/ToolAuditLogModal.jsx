@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+
+// Entries shown at once; the export always contains every matching entry
+const DISPLAY_LIMIT = 500;
+const EMPTY_FILTERS = { server: '', tool: '', from: '', to: '' };
+
+const formatApproval = (approval) => {
+  if (!approval) return 'not reached';
+  const detail = approval.choice || (approval.source === 'default' ? 'default action' : approval.source);
+  return `${approval.action === 'allow' ? 'Allowed' : 'Denied'} (${detail})${approval.argumentsEdited ? ', arguments edited' : ''}`;
+};
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+};
+
+// Viewer for the tool call audit log written by electron/toolAuditLog.js, with filters and CSV / JSON export
+function ToolAuditLogModal({ onClose }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [log, setLog] = useState({ entries: [], total: 0, servers: [], tools: [], path: '' });
+  const [expandedIndex, setExpandedIndex] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const loadLog = async () => {
+      setIsLoading(true);
+      try {
+        const result = await window.electron.getToolAuditLog({ ...filters, limit: DISPLAY_LIMIT });
+        if (result.success) {
+          setLog(result);
+          setExpandedIndex(null);
+        } else {
+          setStatus({ type: 'error', message: result.error });
+        }
+      } catch (err) {
+        setStatus({ type: 'error', message: err.message });
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadLog();
+  }, [filters]);
+
+  const updateFilter = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const result = await window.electron.exportToolAuditLog(filters, format);
+      if (!result.success) {
+        setStatus({ type: 'error', message: result.error });
+      } else if (!result.canceled) {
+        setStatus({ type: 'success', message: `Exported ${result.count} entries to ${result.path}` });
+      }
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    }
+  };
+
+  const inputClass = "px-2 py-1 border border-gray-600 rounded-md bg-gray-900 text-white text-sm";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center z-[60]">
+      <div className="bg-gray-900 w-full max-w-5xl max-h-[90vh] rounded-lg shadow-xl overflow-hidden flex flex-col border border-gray-700">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-700 flex justify-between items-center bg-gray-800">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Tool Call Audit Log</h2>
+            {log.path && <p className="text-xs font-mono text-gray-500 mt-1 break-all">{log.path}</p>}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-200"
+            aria-label="Close audit log"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="p-3 border-b border-gray-700 flex flex-wrap items-center gap-3 text-sm text-gray-300">
+          <label className="flex items-center gap-1">
+            Server
+            <select value={filters.server} onChange={e => updateFilter({ server: e.target.value, tool: '' })} className={inputClass}>
+              <option value="">All</option>
+              {log.servers.map(server => <option key={server} value={server}>{server}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            Tool
+            <select value={filters.tool} onChange={e => updateFilter({ tool: e.target.value })} className={inputClass}>
+              <option value="">All</option>
+              {log.tools.map(tool => <option key={tool} value={tool}>{tool}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1">
+            From
+            <input type="date" value={filters.from} onChange={e => updateFilter({ from: e.target.value })} className={inputClass} />
+          </label>
+          <label className="flex items-center gap-1">
+            To
+            <input type="date" value={filters.to} onChange={e => updateFilter({ to: e.target.value })} className={inputClass} />
+          </label>
+          <button type="button" onClick={() => setFilters(EMPTY_FILTERS)} className="text-xs text-blue-400 hover:text-blue-300">
+            Clear filters
+          </button>
+        </div>
+
+        {/* Entries */}
+        <div className="flex-1 overflow-y-auto text-sm">
+          {status && <p className={`px-4 pt-3 ${status.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>{status.message}</p>}
+          {isLoading ? (
+            <p className="p-4 text-gray-400">Loading...</p>
+          ) : log.entries.length === 0 ? (
+            <p className="p-4 text-gray-400">No tool calls recorded{Object.values(filters).some(Boolean) ? ' for these filters' : ''}.</p>
+          ) : (
+            <table className="w-full text-left">
+              <thead className="sticky top-0 bg-gray-800 text-xs uppercase tracking-wider text-gray-400">
+                <tr>
+                  <th className="px-3 py-2">Time</th>
+                  <th className="px-3 py-2">Server / Tool</th>
+                  <th className="px-3 py-2">Approval</th>
+                  <th className="px-3 py-2 text-right">Duration</th>
+                  <th className="px-3 py-2 text-right">Result</th>
+                  <th className="px-3 py-2">Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {log.entries.map((entry, index) => (
+                  <React.Fragment key={index}>
+                    <tr
+                      onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}
+                      className="border-t border-gray-800 hover:bg-gray-800 cursor-pointer align-top"
+                    >
+                      <td className="px-3 py-2 text-gray-400 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</td>
+                      <td className="px-3 py-2 font-mono text-gray-200 break-all">{entry.server ? `${entry.server}/${entry.tool}` : entry.name}</td>
+                      <td className={`px-3 py-2 whitespace-nowrap ${entry.approval?.action === 'deny' ? 'text-red-300' : 'text-gray-300'}`}>{formatApproval(entry.approval)}</td>
+                      <td className="px-3 py-2 text-right text-gray-400 whitespace-nowrap">{entry.durationMs !== null && entry.durationMs !== undefined ? `${entry.durationMs} ms` : '-'}</td>
+                      <td className="px-3 py-2 text-right text-gray-400 whitespace-nowrap">{formatSize(entry.resultSize)}</td>
+                      <td className="px-3 py-2 text-red-400 truncate max-w-xs" title={entry.error || ''}>{entry.error || ''}</td>
+                    </tr>
+                    {expandedIndex === index && (
+                      <tr className="bg-gray-800/50">
+                        <td colSpan={6} className="px-3 py-2 text-xs space-y-2">
+                          <div className="text-gray-400">
+                            Chat: <span className="font-mono text-gray-300">{entry.chatId || '-'}</span>
+                            <span className="ml-4">Call: <span className="font-mono text-gray-300">{entry.callId}</span></span>
+                            {entry.approval?.rule && <span className="ml-4">Rule: <span className="font-mono text-gray-300">{entry.approval.rule}</span></span>}
+                          </div>
+                          <pre className="font-mono text-gray-200 whitespace-pre-wrap break-all bg-gray-900 p-2 rounded">
+                            {typeof entry.arguments === 'string' ? entry.arguments : JSON.stringify(entry.arguments, null, 2)}
+                          </pre>
+                          {entry.originalArguments !== undefined && (
+                            <>
+                              <div className="text-gray-400">Edited by the user; the model sent:</div>
+                              <pre className="font-mono text-gray-500 whitespace-pre-wrap break-all bg-gray-900 p-2 rounded">
+                                {JSON.stringify(entry.originalArguments, null, 2)}
+                              </pre>
+                            </>
+                          )}
+                          {entry.error && <pre className="font-mono text-red-300 whitespace-pre-wrap break-all">{entry.error}</pre>}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-3 border-t border-gray-700 bg-gray-800 flex justify-between items-center text-sm">
+          <span className="text-gray-400">
+            {log.total > log.entries.length ? `Showing the newest ${log.entries.length} of ${log.total} entries` : `${log.total} ${log.total === 1 ? 'entry' : 'entries'}`}
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => handleExport('csv')}
+              disabled={log.total === 0}
+              className="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => handleExport('json')}
+              disabled={log.total === 0}
+              className="py-2 px-4 bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={onClose}
+              className="py-2 px-4 bg-primary hover:bg-primary/90 text-white rounded transition-colors"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ToolAuditLogModal;
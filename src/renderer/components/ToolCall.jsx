@@ -2,7 +2,175 @@ import React, { useState, useEffect } from 'react';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { vscDarkPlus } from 'react-syntax-highlighter/dist/esm/styles/prism';
 
-function ToolCall({ toolCall, toolResult }) {
+// Progress bar and cancel button of a running tool call.
+// `progress` is the latest MCP progress notification ({ progress, total?, message? }); without a total the bar is indeterminate.
+export function ToolCallProgress({ progress, onCancel }) {
+  const [cancelling, setCancelling] = useState(false);
+  const hasTotal = typeof progress?.total === 'number' && progress.total > 0;
+  const percent = hasTotal ? Math.min(100, Math.round((progress.progress / progress.total) * 100)) : null;
+
+  const handleCancel = async (e) => {
+    e.stopPropagation();
+    setCancelling(true);
+    try {
+      const result = await onCancel();
+      if (result && !result.success) setCancelling(false);
+    } catch (error) {
+      console.error('Error cancelling tool call:', error);
+      setCancelling(false);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <div className="flex-1 h-1.5 bg-gray-600 rounded-full overflow-hidden">
+          <div
+            className={`h-full bg-blue-500 ${hasTotal ? 'transition-all duration-300' : 'w-1/3 animate-pulse'}`}
+            style={hasTotal ? { width: `${percent}%` } : undefined}
+          />
+        </div>
+        <span className="text-xs text-gray-400 whitespace-nowrap">
+          {hasTotal ? `${percent}%` : progress ? `${progress.progress}` : 'Running'}
+        </span>
+        {onCancel && (
+          <button
+            onClick={handleCancel}
+            disabled={cancelling}
+            className="text-xs px-2 py-0.5 rounded bg-red-700 hover:bg-red-800 text-white disabled:opacity-50"
+          >
+            {cancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        )}
+      </div>
+      {progress?.message && <p className="text-xs text-gray-400 mt-1 truncate" title={progress.message}>{progress.message}</p>}
+    </div>
+  );
+}
+
+// Whether a typed MCP tool result has more than text, i.e. needs ToolResultContent to be shown properly
+export const hasRichContent = (content) => Array.isArray(content) && content.some(part => part.type !== 'text');
+
+const isWebUrl = (uri) => /^https?:\/\//i.test(uri || '');
+
+// Renders the typed content of an MCP tool result: text, images, audio, embedded resources and resource links
+export function ToolResultContent({ content }) {
+  return (
+    <div className="space-y-2">
+      {content.map((part, index) => {
+        switch (part.type) {
+          case 'text':
+            return <pre key={index} className="text-xs whitespace-pre-wrap break-words">{part.text}</pre>;
+          case 'image':
+            return (
+              <img
+                key={index}
+                src={`data:${part.mimeType};base64,${part.data}`}
+                alt={`Tool result image ${index + 1}`}
+                className="max-w-full max-h-80 rounded border border-gray-600"
+              />
+            );
+          case 'audio':
+            return <audio key={index} controls src={`data:${part.mimeType};base64,${part.data}`} className="w-full" />;
+          case 'resource': {
+            const resource = part.resource || {};
+            if (resource.blob && resource.mimeType?.startsWith('image/')) {
+              return (
+                <img
+                  key={index}
+                  src={`data:${resource.mimeType};base64,${resource.blob}`}
+                  alt={resource.uri}
+                  title={resource.uri}
+                  className="max-w-full max-h-80 rounded border border-gray-600"
+                />
+              );
+            }
+            return (
+              <details key={index} className="border border-gray-600 rounded p-1">
+                <summary className="text-xs font-mono text-gray-300 truncate" title={resource.uri}>
+                  Resource: {resource.uri}{resource.mimeType ? ` (${resource.mimeType})` : ''}
+                </summary>
+                {typeof resource.text === 'string' ? (
+                  <pre className="mt-1 text-xs whitespace-pre-wrap break-words">{resource.text}</pre>
+                ) : (
+                  <p className="mt-1 text-xs text-gray-400">Binary content not shown.</p>
+                )}
+              </details>
+            );
+          }
+          case 'resource_link':
+            return (
+              <div key={index} className="text-xs">
+                <span className="text-gray-400">Link: </span>
+                {isWebUrl(part.uri) ? (
+                  <a href={part.uri} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline break-all">
+                    {part.name || part.uri}
+                  </a>
+                ) : (
+                  <span className="font-mono text-gray-200 break-all" title={part.uri}>{part.name || part.uri}</span>
+                )}
+                {part.description && <span className="text-gray-400"> - {part.description}</span>}
+              </div>
+            );
+          default:
+            return <pre key={index} className="text-xs whitespace-pre-wrap break-words">{JSON.stringify(part, null, 2)}</pre>;
+        }
+      })}
+    </div>
+  );
+}
+
+// One value of a JsonTree; objects and arrays can be collapsed, the first levels start expanded
+function JsonTreeNode({ name, value, depth }) {
+  const isContainer = value !== null && typeof value === 'object';
+  const [expanded, setExpanded] = useState(depth < 2);
+  const label = name !== undefined && <span className="text-purple-300">{name}: </span>;
+
+  if (!isContainer) {
+    const valueClass = typeof value === 'string' ? 'text-green-300'
+      : typeof value === 'number' ? 'text-blue-300'
+      : 'text-yellow-300'; // booleans and null
+    return (
+      <div className="pl-4">
+        {label}<span className={`${valueClass} break-all`}>{JSON.stringify(value)}</span>
+      </div>
+    );
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  return (
+    <div className="pl-4">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="text-left text-gray-300 hover:text-white -ml-4 w-full"
+      >
+        <span className="inline-block w-4 text-gray-500">{expanded ? '▾' : '▸'}</span>
+        {label}
+        <span>{open}</span>
+        {!expanded && <span className="text-gray-500"> {entries.length} {entries.length === 1 ? 'item' : 'items'} {close}</span>}
+      </button>
+      {expanded && (
+        <>
+          {entries.map(([key, item]) => <JsonTreeNode key={key} name={key} value={item} depth={depth + 1} />)}
+          <div>{close}</div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Collapsible tree of a JSON value, used for the structured output of MCP tools
+export function JsonTree({ value }) {
+  return (
+    <div className="font-mono text-xs -ml-4">
+      <JsonTreeNode value={value} depth={0} />
+    </div>
+  );
+}
+
+function ToolCall({ toolCall, toolResult, content, structuredContent, progress, onCancel }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -128,6 +296,7 @@ function ToolCall({ toolCall, toolResult }) {
                 Executing...
               </div>
             )}
+            {isPending && (progress || onCancel) && <ToolCallProgress progress={progress} onCancel={onCancel} />}
 
             {error && (
               <div className="text-red-500 text-sm mt-2 p-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md">
@@ -136,7 +305,25 @@ function ToolCall({ toolCall, toolResult }) {
               </div>
             )}
 
-            {result && !error && (
+            {structuredContent !== undefined && !error && (
+              <div className="mt-2">
+                <div className="text-sm font-medium text-gray-400 mb-1">Structured result:</div>
+                <div className="rounded-md p-2 bg-[#222326] text-gray-200 overflow-x-auto">
+                  <JsonTree value={structuredContent} />
+                </div>
+              </div>
+            )}
+
+            {hasRichContent(content) && !error && (
+              <div className="mt-2">
+                <div className="text-sm font-medium text-gray-400 mb-1">Result:</div>
+                <div className="rounded-md p-2 bg-[#222326] text-gray-200">
+                  <ToolResultContent content={content} />
+                </div>
+              </div>
+            )}
+
+            {result && !error && !hasRichContent(content) && (
               <div className="mt-2">
                 <div className="text-sm font-medium text-gray-400 mb-1">Result:</div>
                 <div className="rounded-md text-sm overflow-x-auto">
@@ -1,27 +1,35 @@
 import React, { useState, useEffect } from 'react';
 import LogViewerModal from './LogViewerModal';
+import ResourceBrowser from './ResourceBrowser';
+import ToolAuditLogModal from './ToolAuditLogModal';
 
-function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer }) {
+function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer, onAttachResource }) {
   const [expandedTools, setExpandedTools] = useState({});
   const [configuredServers, setConfiguredServers] = useState([]);
   const [serverStatuses, setServerStatuses] = useState({});
   const [viewingLogsForServer, setViewingLogsForServer] = useState(null);
+  const [showAuditLog, setShowAuditLog] = useState(false);
   const [actionInProgress, setActionInProgress] = useState(null);
+  const [disabledToolServers, setDisabledToolServers] = useState([]);
+  const [authStatus, setAuthStatus] = useState({});
+  const [reconnectStates, setReconnectStates] = useState({}); // serverId -> { status: 'reconnecting' | 'failed', attempt, maxAttempts, lastError }
 
   useEffect(() => {
     const loadConfiguredServers = async () => {
       try {
         const settings = await window.electron.getSettings();
+        setDisabledToolServers(settings?.disabledToolServers || []);
+        setAuthStatus(await window.electron.getMcpAuthStatus() || {});
         if (settings && settings.mcpServers) {
           const servers = Object.entries(settings.mcpServers).map(([id, config]) => {
             // Determine transport type (default to stdio if missing)
-            const transportType = config.transport === 'sse' ? 'sse' : 'stdio';
+            const transportType = ['sse', 'streamableHttp'].includes(config.transport) ? config.transport : 'stdio';
             return {
               id,
               // Include relevant fields based on transport type for display?
               command: transportType === 'stdio' ? config.command : undefined,
               args: transportType === 'stdio' ? (config.args || []) : [],
-              url: transportType === 'sse' ? config.url : undefined,
+              url: transportType !== 'stdio' ? config.url : undefined,
               transport: transportType // Store the transport type
             };
           });
@@ -44,6 +52,30 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     loadConfiguredServers();
   }, [tools]);
 
+  // Automatic reconnects change state without changing the tool list, so follow the status events as well
+  useEffect(() => {
+    window.electron.getMcpReconnectStates()
+      .then(result => setReconnectStates(result.success ? result.states : {}))
+      .catch(error => console.error('Error loading MCP reconnect states:', error));
+    const removeListener = window.electron.onMcpServerStatusChanged((data) => {
+      if (data?.reconnectStates) setReconnectStates(data.reconnectStates);
+    });
+    return () => removeListener();
+  }, []);
+
+  // Badge text and colour of a configured server
+  const getStatusBadge = (serverId) => {
+    if (serverStatuses[serverId] === 'connected') return { label: 'Connected', className: 'bg-green-500' };
+    const reconnect = reconnectStates[serverId];
+    if (reconnect?.status === 'reconnecting') {
+      return { label: `Reconnecting (attempt ${reconnect.attempt} of ${reconnect.maxAttempts})`, className: 'bg-yellow-600', title: reconnect.lastError };
+    }
+    if (reconnect?.status === 'failed') {
+      return { label: 'Failed permanently', className: 'bg-red-700', title: reconnect.lastError };
+    }
+    return { label: 'Disconnected', className: 'bg-red-500' };
+  };
+
   // Add event listener for ESC key
   useEffect(() => {
     const handleKeyDown = (event) => {
@@ -83,6 +115,23 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     }
   };
 
+  const handleSignOut = async (serverId) => {
+    try {
+      const result = await window.electron.clearMcpAuth(serverId);
+      if (result.success) {
+        setAuthStatus(prev => {
+          const updated = { ...prev };
+          delete updated[serverId];
+          return updated;
+        });
+      } else {
+        console.error(`Failed to sign out of ${serverId}:`, result.error);
+      }
+    } catch (error) {
+      console.error(`Error signing out of ${serverId}:`, error);
+    }
+  };
+
   const handleReconnect = async (serverId) => {
     if (!onReconnectServer || serverStatuses[serverId] !== 'disconnected') return;
     
@@ -101,6 +150,36 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     }
   };
 
+  const handleToggleTool = async (tool, enabled) => {
+    try {
+      const result = await window.electron.setToolEnabled(tool.serverId, tool.originalName || tool.name, enabled);
+      if (!result.success) {
+        console.error(`Failed to update tool ${tool.name}:`, result.error);
+      }
+      // The updated tool list arrives through the MCP status listener in App
+    } catch (error) {
+      console.error(`Error toggling tool ${tool.name}:`, error);
+    }
+  };
+
+  const handleToggleServerTools = async (serverId, enabled) => {
+    try {
+      const result = await window.electron.setToolServerEnabled(serverId, enabled);
+      if (result.success) {
+        setDisabledToolServers(prev => enabled ? prev.filter(id => id !== serverId) : [...prev, serverId]);
+      } else {
+        console.error(`Failed to update tools of server ${serverId}:`, result.error);
+      }
+    } catch (error) {
+      console.error(`Error toggling tools of server ${serverId}:`, error);
+    }
+  };
+
+  // Token cost of the tool definitions that will be sent with each request
+  const sumTokens = (toolList) => toolList.reduce((total, tool) => total + (tool.tokenEstimate || 0), 0);
+  const enabledTools = (tools || []).filter(tool => tool.enabled !== false);
+  const enabledTokenEstimate = sumTokens(enabledTools);
+
   // Group tools by server
   const toolsByServer = (tools || []).reduce((acc, tool) => {
     const serverId = tool.serverId || 'unknown';
@@ -111,6 +190,9 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     return acc;
   }, {});
 
+  // Tools whose name is also exposed by another server (kept apart by the server prefix)
+  const collidingTools = (tools || []).filter(tool => tool.collidesWith?.length > 0);
+
   // Servers with no tools (disconnected)
   const disconnectedServers = configuredServers
     .filter(server => !toolsByServer[server.id])
@@ -120,7 +202,12 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
     <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50">
       <div className="bg-gray-800 w-full max-w-3xl max-h-[80vh] rounded-lg shadow-lg overflow-hidden flex flex-col">
         <div className="p-4 border-b border-gray-700 flex justify-between items-center">
-          <h2 className="text-xl font-semibold text-white">Available Tools ({tools.length})</h2>
+          <div>
+            <h2 className="text-xl font-semibold text-white">Available Tools ({tools.length})</h2>
+            <p className="text-xs text-gray-400 mt-1">
+              Sending {enabledTools.length} of {tools.length} tools to the model · ~{enabledTokenEstimate.toLocaleString()} tokens per request
+            </p>
+          </div>
           <button 
             onClick={onClose}
             className="text-gray-400 hover:text-gray-200"
@@ -137,29 +224,44 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
             <div className="mb-6">
               <h3 className="text-md font-semibold text-white mb-2">Configured MCP Servers</h3>
               <div className="border border-gray-700 rounded-md overflow-hidden mb-4">
-                {configuredServers.map(server => (
+                {configuredServers.map(server => {
+                  const badge = getStatusBadge(server.id);
+                  return (
                   <div key={server.id} className="p-3 border-b border-gray-700 last:border-b-0 bg-gray-900 flex justify-between items-center">
                     <div>
                       <div className="font-medium text-gray-300 flex items-center">
                         {server.id}
-                        <span className={`ml-2 text-xs px-1.5 py-0.5 rounded-full ${
-                          serverStatuses[server.id] === 'connected' 
-                            ? 'bg-green-500' 
-                            : 'bg-red-500'
-                        }`}>
-                          {serverStatuses[server.id] === 'connected' ? 'Connected' : 'Disconnected'}
+                        <span className={`ml-2 text-xs px-1.5 py-0.5 rounded-full ${badge.className}`} title={badge.title}>
+                          {badge.label}
                         </span>
+                        {authStatus[server.id]?.authorized && (
+                          <span className="ml-2 text-xs px-1.5 py-0.5 rounded-full bg-blue-600" title={`Authorized by ${authStatus[server.id].issuer}`}>
+                            Signed in
+                          </span>
+                        )}
                       </div>
+                      {reconnectStates[server.id]?.lastError && serverStatuses[server.id] !== 'connected' && (
+                        <div className="text-xs text-gray-400 mt-1">{reconnectStates[server.id].lastError}</div>
+                      )}
                       <div className="text-sm text-gray-500 mt-1">
-                        {server.transport === 'sse' ? (
-                          <div><span className="font-mono">Type: SSE | URL: {server.url || 'N/A'}</span></div>
+                        {server.transport !== 'stdio' ? (
+                          <div><span className="font-mono">Type: {server.transport === 'sse' ? 'SSE' : 'Streamable HTTP'} | URL: {server.url || 'N/A'}</span></div>
                         ) : (
                           <div><span className="font-mono">Type: Stdio | $ {server.command || 'N/A'} {server.args.join(' ')}</span></div>
                         )}
                       </div>
                     </div>
                     <div className="flex space-x-2 flex-shrink-0 ml-4">
-                      {serverStatuses[server.id] === 'connected' && (
+                      {authStatus[server.id]?.authorized && (
+                        <button
+                          onClick={() => handleSignOut(server.id)}
+                          className="text-gray-600 hover:text-gray-800 text-sm py-1 px-2 bg-gray-200 hover:bg-gray-300 rounded"
+                          title="Forget the stored OAuth tokens. You will be asked to sign in again on the next connection."
+                        >
+                          Sign out
+                        </button>
+                      )}
+                      {(serverStatuses[server.id] === 'connected' || reconnectStates[server.id]) && (
                         <button
                           onClick={() => setViewingLogsForServer({ id: server.id, transport: server.transport })}
                           disabled={actionInProgress === server.id}
@@ -183,12 +285,13 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
                           disabled={actionInProgress === server.id}
                           className="text-green-600 hover:text-green-800 text-sm py-1 px-2 bg-green-100 hover:bg-green-200 rounded disabled:opacity-50"
                         >
-                          {actionInProgress === server.id ? 'Connecting...' : 'Reconnect'}
+                          {actionInProgress === server.id ? 'Connecting...' : reconnectStates[server.id]?.status === 'reconnecting' ? 'Reconnect now' : 'Reconnect'}
                         </button>
                       )}
                     </div>
                   </div>
-                ))}
+                  );
+                })}
               </div>
               <p className="text-xs text-gray-500 italic">
                 These servers are automatically started when the application launches.
@@ -197,8 +300,22 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
             </div>
           )}
         
+          {/* Resources section */}
+          {onAttachResource && (
+            <ResourceBrowser tools={tools} onAttachResource={onAttachResource} />
+          )}
+
           {/* Available tools section */}
           <h3 className="text-md font-semibold text-white mb-2">Available Tools by Server</h3>
+          {collidingTools.length > 0 && (
+            <div className="mb-4 p-3 rounded-md border border-yellow-700 bg-yellow-900/30 text-sm text-yellow-200">
+              {collidingTools.length} tools share a name with a tool on another server:{' '}
+              <span className="font-mono">
+                {[...new Set(collidingTools.map(tool => tool.originalName || tool.name))].join(', ')}
+              </span>.
+              The model sees them under their server-qualified names.
+            </div>
+          )}
           {Object.keys(toolsByServer).length === 0 ? (
             <p className="text-gray-400 text-center">No tools available. All configured servers are disconnected.</p>
           ) : (
@@ -206,9 +323,22 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
               {Object.entries(toolsByServer).map(([serverId, serverTools]) => (
                 <div key={serverId} className="border border-gray-700 rounded-lg overflow-hidden">
                   <div className="p-3 bg-gray-600 flex justify-between items-center">
-                    <h3 className="font-medium text-white">
-                      Server: {serverId} ({serverTools.length} tools)
-                    </h3>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="checkbox"
+                        checked={!disabledToolServers.includes(serverId)}
+                        onChange={(e) => handleToggleServerTools(serverId, e.target.checked)}
+                        title="Send this server's tools to the model"
+                      />
+                      <div>
+                        <h3 className="font-medium text-white">
+                          Server: {serverId} ({serverTools.length} tools)
+                        </h3>
+                        <p className="text-xs text-gray-300">
+                          {serverTools.filter(tool => tool.enabled !== false).length} enabled · ~{sumTokens(serverTools.filter(tool => tool.enabled !== false)).toLocaleString()} tokens
+                        </p>
+                      </div>
+                    </div>
                     {serverId !== 'unknown' && serverStatuses[serverId] === 'connected' && (
                       <button
                         onClick={() => handleDisconnect(serverId)}
@@ -227,23 +357,51 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
                         className="border border-gray-700 rounded-lg overflow-hidden"
                       >
                         <div 
-                          className="p-3 bg-gray-700 flex justify-between items-center cursor-pointer"
+                          className={`p-3 bg-gray-700 flex justify-between items-center cursor-pointer ${tool.enabled === false ? 'opacity-60' : ''}`}
                           onClick={() => toggleToolExpand(tool.name)}
                         >
-                          <div>
-                            <h3 className="font-medium text-white">{tool.name}</h3>
+                          <input
+                            type="checkbox"
+                            className="mr-3 flex-shrink-0"
+                            checked={tool.enabled !== false}
+                            disabled={disabledToolServers.includes(serverId)}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) => handleToggleTool(tool, e.target.checked)}
+                            title={disabledToolServers.includes(serverId) ? 'All tools of this server are disabled' : 'Send this tool to the model'}
+                          />
+                          <div className="flex-1 min-w-0">
+                            <h3 className="font-medium text-white flex items-center flex-wrap gap-2">
+                              {tool.originalName || tool.name}
+                              {tool.collidesWith?.length > 0 && (
+                                <span
+                                  className="text-xs px-1.5 py-0.5 rounded bg-yellow-700 text-yellow-100"
+                                  title={`Also exposed by: ${tool.collidesWith.join(', ')}`}
+                                >
+                                  Name conflict
+                                </span>
+                              )}
+                            </h3>
+                            <p className="text-xs font-mono text-gray-500">{tool.name}</p>
                             <p className="text-sm text-gray-400">
                               {tool.description?.substring(0, 100)}
                               {tool.description?.length > 100 ? '...' : ''}
                             </p>
                           </div>
-                          <span className="text-gray-400">
+                          <span className="text-xs text-gray-400 ml-3 whitespace-nowrap">
+                            ~{(tool.tokenEstimate || 0).toLocaleString()} tokens
+                          </span>
+                          <span className="text-gray-400 ml-3">
                             {expandedTools[tool.name] ? '▼' : '▶'}
                           </span>
                         </div>
                         
                         {expandedTools[tool.name] && (
                           <div className="p-3 border-t border-gray-700">
+                            {tool.collidesWith?.length > 0 && (
+                              <p className="mb-2 text-sm text-yellow-300">
+                                Also exposed by: {tool.collidesWith.join(', ')}
+                              </p>
+                            )}
                             <div className="mb-2">
                               <h4 className="font-medium text-sm text-gray-300 mb-1">Full Description:</h4>
                               <p className="text-gray-400 whitespace-pre-wrap">{tool.description}</p>
@@ -266,10 +424,17 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
           )}
         </div>
         
-        <div className="p-4 border-t border-gray-700">
+        <div className="p-4 border-t border-gray-700 flex gap-3">
+          <button
+            onClick={() => setShowAuditLog(true)}
+            className="py-2 px-4 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+            title="Every tool call with its arguments, approval decision and result"
+          >
+            Audit Log
+          </button>
           <button
             onClick={onClose}
-            className="w-full py-2 px-4 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
+            className="flex-1 py-2 px-4 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors"
           >
             Close
           </button>
@@ -283,6 +448,10 @@ function ToolsPanel({ tools = [], onClose, onDisconnectServer, onReconnectServer
           />
         )}
 
+        {showAuditLog && (
+          <ToolAuditLogModal onClose={() => setShowAuditLog(false)} />
+        )}
+
       </div>
     </div>
   );
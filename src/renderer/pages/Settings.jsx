@@ -1,5 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
+import McpImportModal from '../components/McpImportModal';
+
+// Transports that connect to a running server by URL instead of launching a command
+const REMOTE_TRANSPORTS = ['sse', 'streamableHttp'];
+const TRANSPORT_LABELS = { stdio: 'Stdio', sse: 'SSE', streamableHttp: 'Streamable HTTP' };
+// Sandbox profiles of stdio servers (electron/mcpSandbox.js); 'none' only filters the environment and sets the cwd
+const SANDBOX_TYPE_LABELS = { none: 'Environment and working directory only', bubblewrap: 'Bubblewrap', firejail: 'Firejail', docker: 'Docker container' };
+// Tool permission policy (evaluated in electron/toolPolicy.js)
+const POLICY_ACTION_LABELS = { ask: 'Ask', allow: 'Allow', deny: 'Deny' };
+const POLICY_OPERATOR_LABELS = { under: 'is inside folder', notUnder: 'is outside folder', matches: 'matches', notMatches: 'does not match' };
 
 function Settings() {
   const [settings, setSettings] = useState({
@@ -8,11 +18,24 @@ function Settings() {
     selectedPlatform: 'groq',
     model: '',
     max_tokens: 4096,
+    maxToolIterations: 10,
+    maxParallelToolCalls: 4,
+    coerceToolArguments: true,
+    samplingMaxTokens: 1024,
+    samplingMaxRequestsPerMinute: 5,
+    samplingLimits: {},
+    mcpRoots: [],
+    mcpReconnectMaxAttempts: 5,
+    mcpReconnectLimits: {},
+    toolPolicyRules: [],
+    toolPolicyDefaultAction: 'ask',
+    toolPolicyYolo: false,
     temperature: 0.7,
     top_p: 0.95,
     mcpServers: {},
     disabledMcpServers: [],
-    customSystemPrompt: ''
+    customSystemPrompt: '',
+    customProviders: []
   });
   const [saveStatus, setSaveStatus] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
@@ -24,14 +47,25 @@ function Settings() {
     command: '',
     args: '',
     env: {},
-    url: ''
+    url: '',
+    headers: {},
+    fallbackToSse: true,
+    sandbox: null
   });
   const [useJsonInput, setUseJsonInput] = useState(false);
   const [jsonInput, setJsonInput] = useState('');
   const [jsonError, setJsonError] = useState(null);
   const [settingsPath, setSettingsPath] = useState('');
   const [newEnvVar, setNewEnvVar] = useState({ key: '', value: '' });
+  const [newHeader, setNewHeader] = useState({ key: '', value: '' });
+  const [secretNames, setSecretNames] = useState([]);
+  const [newSecret, setNewSecret] = useState({ name: '', value: '' });
+  const [secretError, setSecretError] = useState(null);
   const [editingServerId, setEditingServerId] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [builtinProviders, setBuiltinProviders] = useState([]);
+  const [visibleEndpointKeys, setVisibleEndpointKeys] = useState({});
+  const [chatTitles, setChatTitles] = useState({}); // chat id -> title, for approvals scoped to a chat
   
   const statusTimeoutRef = useRef(null);
   const saveTimeoutRef = useRef(null);
@@ -46,11 +80,24 @@ function Settings() {
           selectedPlatform: 'groq',
           model: '',
           max_tokens: 4096,
+          maxToolIterations: 10,
+          maxParallelToolCalls: 4,
+          coerceToolArguments: true,
+          samplingMaxTokens: 1024,
+          samplingMaxRequestsPerMinute: 5,
+          samplingLimits: {},
+          mcpRoots: [],
+          mcpReconnectMaxAttempts: 5,
+          mcpReconnectLimits: {},
+          toolPolicyRules: [],
+          toolPolicyDefaultAction: 'ask',
+          toolPolicyYolo: false,
           temperature: 0.7,
           top_p: 0.95,
           mcpServers: {},
           disabledMcpServers: [],
           customSystemPrompt: '',
+          customProviders: [],
           ...settingsData,
           GROQ_API_KEY: undefined
         };
@@ -60,6 +107,9 @@ function Settings() {
         if (!Array.isArray(mergedSettings.disabledMcpServers)) {
           mergedSettings.disabledMcpServers = [];
         }
+        if (!Array.isArray(mergedSettings.customProviders)) {
+          mergedSettings.customProviders = [];
+        }
 
         setSettings(mergedSettings);
       } catch (error) {
@@ -70,11 +120,24 @@ function Settings() {
             selectedPlatform: 'groq',
             model: '',
             max_tokens: 4096,
+            maxToolIterations: 10,
+            maxParallelToolCalls: 4,
+            coerceToolArguments: true,
+            samplingMaxTokens: 1024,
+            samplingMaxRequestsPerMinute: 5,
+            samplingLimits: {},
+            mcpRoots: [],
+            mcpReconnectMaxAttempts: 5,
+            mcpReconnectLimits: {},
+            toolPolicyRules: [],
+            toolPolicyDefaultAction: 'ask',
+            toolPolicyYolo: false,
             temperature: 0.7,
             top_p: 0.95,
             mcpServers: {},
             disabledMcpServers: [],
-            customSystemPrompt: ''
+            customSystemPrompt: '',
+            customProviders: []
         });
       }
     };
@@ -88,8 +151,38 @@ function Settings() {
       }
     };
 
+    const loadProviders = async () => {
+      try {
+        const providers = await window.electron.getProviders();
+        setBuiltinProviders(providers.filter(provider => !provider.isCustom));
+      } catch (error) {
+        console.error('Error loading providers:', error);
+      }
+    };
+
+    const loadSecretNames = async () => {
+      try {
+        const result = await window.electron.listSecrets();
+        setSecretNames(result?.names || []);
+      } catch (error) {
+        console.error('Error loading secret names:', error);
+      }
+    };
+
+    const loadChatTitles = async () => {
+      try {
+        const chats = await window.electron.listChats();
+        setChatTitles(Object.fromEntries((chats || []).map(chat => [chat.id, chat.title])));
+      } catch (error) {
+        console.error('Error loading chat titles:', error);
+      }
+    };
+
     loadSettings();
     getSettingsPath();
+    loadProviders();
+    loadSecretNames();
+    loadChatTitles();
 
     // Cleanup timeouts on unmount
     return () => {
@@ -153,6 +246,46 @@ function Settings() {
     console.log(`Platform changed to: ${value}`);
   };
 
+  // --- Custom OpenAI-compatible endpoints --- //
+  const updateCustomProviders = (customProviders, extraUpdates = {}) => {
+    const updatedSettings = { ...settings, ...extraUpdates, customProviders };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  const addCustomProvider = () => {
+    const newEndpoint = {
+      id: `endpoint-${Date.now().toString(36)}`,
+      name: 'New Endpoint',
+      baseUrl: 'http://localhost:8000/v1',
+      apiKey: '',
+      models: [],
+      contextLength: 8192,
+      visionSupported: false
+    };
+    updateCustomProviders([...(settings.customProviders || []), newEndpoint]);
+  };
+
+  const handleCustomProviderChange = (endpointId, field, value) => {
+    updateCustomProviders((settings.customProviders || []).map(endpoint =>
+      endpoint.id === endpointId ? { ...endpoint, [field]: value } : endpoint
+    ));
+  };
+
+  const removeCustomProvider = (endpointId) => {
+    const remaining = (settings.customProviders || []).filter(endpoint => endpoint.id !== endpointId);
+    // Fall back to Groq if the removed endpoint was the active platform
+    const extraUpdates = settings.selectedPlatform === `custom:${endpointId}` ? { selectedPlatform: 'groq' } : {};
+    updateCustomProviders(remaining, extraUpdates);
+  };
+
+  const handleCheckboxChange = (e) => {
+    const { name, checked } = e.target;
+    const updatedSettings = { ...settings, [name]: checked };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
   const handleNumberChange = (e) => {
     const { name, value } = e.target;
     const updatedSettings = { ...settings, [name]: parseFloat(value) };
@@ -160,6 +293,120 @@ function Settings() {
     saveSettings(updatedSettings);
   };
 
+  // Workspace folders shared with MCP servers as roots; saving announces the change to connected servers
+  const addRootFolders = async () => {
+    try {
+      const result = await window.electron.selectMcpRootFolders();
+      if (!result.success) {
+        setSaveStatus({ type: 'error', message: `Could not select folders: ${result.error}` });
+        return;
+      }
+      const currentRoots = settings.mcpRoots || [];
+      const newRoots = result.folders.filter(folder => !currentRoots.some(root => root.path === folder.path));
+      if (newRoots.length === 0) return;
+      const updatedSettings = { ...settings, mcpRoots: [...currentRoots, ...newRoots] };
+      setSettings(updatedSettings);
+      saveSettings(updatedSettings);
+    } catch (error) {
+      console.error('Error adding root folders:', error);
+    }
+  };
+
+  const removeRootFolder = (folderPath) => {
+    const updatedSettings = { ...settings, mcpRoots: (settings.mcpRoots || []).filter(root => root.path !== folderPath) };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  // Per-server sampling overrides; an empty value falls back to the default limit
+  const handleSamplingLimitChange = (serverId, field, value) => {
+    const serverLimits = { ...(settings.samplingLimits?.[serverId] || {}) };
+    if (value === '' || value === null) {
+      delete serverLimits[field];
+    } else {
+      serverLimits[field] = value;
+    }
+    const samplingLimits = { ...(settings.samplingLimits || {}) };
+    if (Object.keys(serverLimits).length > 0) {
+      samplingLimits[serverId] = serverLimits;
+    } else {
+      delete samplingLimits[serverId];
+    }
+    const updatedSettings = { ...settings, samplingLimits };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  // Per-server reconnect attempts; an empty value falls back to the default
+  const handleReconnectLimitChange = (serverId, value) => {
+    const mcpReconnectLimits = { ...(settings.mcpReconnectLimits || {}) };
+    if (value === '' || Number.isNaN(value)) {
+      delete mcpReconnectLimits[serverId];
+    } else {
+      mcpReconnectLimits[serverId] = { maxAttempts: value };
+    }
+    const updatedSettings = { ...settings, mcpReconnectLimits };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  const updatePolicyRules = (toolPolicyRules) => {
+    const updatedSettings = { ...settings, toolPolicyRules };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  // Rules are edited by their index in settings.toolPolicyRules, which also holds the decisions remembered from the
+  // approval dialog ({ createdBy: 'approval' }); those are listed separately and can only be revoked
+  const handlePolicyRuleChange = (index, changes) => {
+    updatePolicyRules(settings.toolPolicyRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const addPolicyRule = () => {
+    updatePolicyRules([...(settings.toolPolicyRules || []), { action: 'ask', server: '*', tool: '*', args: [] }]);
+  };
+
+  const removePolicyRule = (index) => {
+    updatePolicyRules(settings.toolPolicyRules.filter((rule, i) => i !== index));
+  };
+
+  // Rules are evaluated top to bottom, so their order matters. Swaps with the neighbouring rule of the user's own.
+  const movePolicyRule = (index, offset) => {
+    const rules = [...settings.toolPolicyRules];
+    let target = index + offset;
+    while (target >= 0 && target < rules.length && rules[target]?.createdBy === 'approval') target += offset;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    updatePolicyRules(rules);
+  };
+
+  const revokeYoloMode = () => {
+    const updatedSettings = { ...settings, toolPolicyYolo: false };
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+  };
+
+  const describeApprovalScope = (rule) => {
+    const parts = [];
+    if (rule.chatId) parts.push(`In chat "${chatTitles[rule.chatId] || rule.chatId}"`);
+    if (rule.expiresAt) {
+      parts.push(rule.expiresAt <= Date.now() ? 'Expired' : `Until ${new Date(rule.expiresAt).toLocaleString()}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'All chats, no expiry';
+  };
+
+  const handlePolicyConditionChange = (ruleIndex, conditionIndex, changes) => {
+    const conditions = [...(settings.toolPolicyRules[ruleIndex].args || [])];
+    if (changes === null) {
+      conditions.splice(conditionIndex, 1);
+    } else if (conditionIndex >= conditions.length) {
+      conditions.push(changes);
+    } else {
+      conditions[conditionIndex] = { ...conditions[conditionIndex], ...changes };
+    }
+    handlePolicyRuleChange(ruleIndex, { args: conditions });
+  };
+
   const handleNewMcpServerChange = (e) => {
     const { name, value } = e.target;
     setNewMcpServer(prev => ({ ...prev, [name]: value }));
@@ -167,18 +414,74 @@ function Settings() {
 
   const handleTransportChange = (e) => {
     const transportType = e.target.value;
+    const isRemote = REMOTE_TRANSPORTS.includes(transportType);
     setNewMcpServer(prev => ({
         ...prev,
         transport: transportType,
-        command: transportType === 'sse' ? '' : prev.command,
-        args: transportType === 'sse' ? '' : prev.args,
-        env: transportType === 'sse' ? {} : prev.env,
-        url: transportType === 'stdio' ? '' : prev.url
+        command: isRemote ? '' : prev.command,
+        args: isRemote ? '' : prev.args,
+        env: isRemote ? {} : prev.env,
+        url: isRemote ? prev.url : '',
+        headers: isRemote ? prev.headers : {},
+        sandbox: isRemote ? null : prev.sandbox
     }));
     setJsonInput('');
     setJsonError(null);
   };
 
+  // Config object for a remote (SSE / Streamable HTTP) server; an empty header map is left out.
+  // `oauth` (overrides for the OAuth flow, or false) is only editable in the JSON view and kept as is.
+  const buildRemoteServerConfig = ({ transport, url, headers, fallbackToSse, oauth }) => {
+    const config = { transport, url };
+    if (headers && Object.keys(headers).length > 0) config.headers = headers;
+    if (transport === 'streamableHttp') config.fallbackToSse = fallbackToSse !== false;
+    if (oauth !== undefined) config.oauth = oauth;
+    return config;
+  };
+
+  // Config object for a stdio server; the sandbox profile is left out when there is none
+  const buildStdioServerConfig = ({ command, args, env, sandbox }) => {
+    const config = { transport: 'stdio', command, args, env };
+    if (sandbox) config.sandbox = sandbox;
+    return config;
+  };
+
+  // Sandbox profile as edited in the form (null for none); the env passthrough list is kept as text while typing
+  const toSandboxForm = (sandbox) => {
+    if (!sandbox || typeof sandbox !== 'object' || Array.isArray(sandbox)) return null;
+    return {
+      type: SANDBOX_TYPE_LABELS[sandbox.type] ? sandbox.type : 'none',
+      envPassthrough: Array.isArray(sandbox.envPassthrough) ? sandbox.envPassthrough.join(', ') : '',
+      cwd: sandbox.cwd || '',
+      allowNetwork: sandbox.allowNetwork !== false,
+      image: sandbox.image || ''
+    };
+  };
+
+  // Sandbox profile for the config; empty fields are left out so the defaults apply
+  const fromSandboxForm = (sandboxForm) => {
+    if (!sandboxForm) return undefined;
+    const sandbox = { type: sandboxForm.type };
+    const envNames = sandboxForm.envPassthrough.split(/[\s,]+/).filter(Boolean);
+    if (envNames.length > 0) sandbox.envPassthrough = envNames;
+    if (sandboxForm.cwd.trim()) sandbox.cwd = sandboxForm.cwd.trim();
+    if (!sandboxForm.allowNetwork) sandbox.allowNetwork = false;
+    if (sandboxForm.type === 'docker') sandbox.image = sandboxForm.image.trim();
+    return sandbox;
+  };
+
+  const handleSandboxTypeChange = (e) => {
+    const type = e.target.value;
+    setNewMcpServer(prev => ({
+      ...prev,
+      sandbox: !type ? null : { ...(prev.sandbox || { envPassthrough: '', cwd: '', allowNetwork: true, image: '' }), type }
+    }));
+  };
+
+  const updateSandbox = (changes) => {
+    setNewMcpServer(prev => ({ ...prev, sandbox: { ...prev.sandbox, ...changes } }));
+  };
+
   const addEnvVar = () => {
     if (!newEnvVar.key) return;
     
@@ -206,6 +509,64 @@ function Settings() {
     setNewEnvVar(prev => ({ ...prev, [name]: value }));
   };
 
+  const addHeader = () => {
+    if (!newHeader.key) return;
+
+    setNewMcpServer(prev => ({
+      ...prev,
+      headers: {
+        ...prev.headers,
+        [newHeader.key]: newHeader.value
+      }
+    }));
+
+    setNewHeader({ key: '', value: '' });
+  };
+
+  const removeHeader = (key) => {
+    setNewMcpServer(prev => {
+      const updatedHeaders = { ...prev.headers };
+      delete updatedHeaders[key];
+      return { ...prev, headers: updatedHeaders };
+    });
+  };
+
+  const handleHeaderChange = (e) => {
+    const { name, value } = e.target;
+    setNewHeader(prev => ({ ...prev, [name]: value }));
+  };
+
+  const addSecret = async () => {
+    if (!newSecret.name || !newSecret.value) return;
+    try {
+      const result = await window.electron.setSecret(newSecret.name, newSecret.value);
+      if (result.success) {
+        setSecretNames(result.names);
+        setNewSecret({ name: '', value: '' });
+        setSecretError(null);
+      } else {
+        setSecretError(result.error);
+      }
+    } catch (error) {
+      console.error('Error saving secret:', error);
+      setSecretError(error.message);
+    }
+  };
+
+  const removeSecret = async (name) => {
+    try {
+      const result = await window.electron.deleteSecret(name);
+      if (result.success) {
+        setSecretNames(result.names);
+      } else {
+        setSecretError(result.error);
+      }
+    } catch (error) {
+      console.error('Error deleting secret:', error);
+      setSecretError(error.message);
+    }
+  };
+
   const handleJsonInputChange = (e) => {
     setJsonInput(e.target.value);
     setJsonError(null);
@@ -228,7 +589,7 @@ function Settings() {
       const serverEntry = {};
       
       // Check for transport type in JSON (optional, default to stdio if missing)
-      const transport = parsedJson.transport === 'sse' ? 'sse' : 'stdio';
+      const transport = REMOTE_TRANSPORTS.includes(parsedJson.transport) ? parsedJson.transport : 'stdio';
       serverEntry.transport = transport;
 
       if (transport === 'stdio') {
@@ -262,13 +623,28 @@ function Settings() {
           // Ensure url field is not present or empty for stdio
           serverEntry.url = '';
 
-      } else { // transport === 'sse'
+      } else { // remote transport (sse / streamableHttp)
           if ('url' in parsedJson && typeof parsedJson.url === 'string' && parsedJson.url.trim() !== '') {
               serverEntry.url = parsedJson.url;
           } else {
-              throw new Error("SSE server config must include a non-empty 'url' field");
+              throw new Error(`${TRANSPORT_LABELS[transport]} server config must include a non-empty 'url' field`);
+          }
+          if ('headers' in parsedJson) {
+              if (typeof parsedJson.headers !== 'object' || parsedJson.headers === null || Array.isArray(parsedJson.headers)) {
+                  throw new Error("'headers' must be an object of header names to values");
+              }
+              serverEntry.headers = parsedJson.headers;
+          }
+          if (transport === 'streamableHttp') {
+              serverEntry.fallbackToSse = parsedJson.fallbackToSse !== false;
+          }
+          if ('oauth' in parsedJson) {
+              if (parsedJson.oauth !== false && (typeof parsedJson.oauth !== 'object' || parsedJson.oauth === null || Array.isArray(parsedJson.oauth))) {
+                  throw new Error("'oauth' must be false or an object like { \"clientId\": \"...\", \"scope\": \"...\" }");
+              }
+              serverEntry.oauth = parsedJson.oauth;
           }
-           // Ensure stdio fields are not present or empty for sse
+           // Ensure stdio fields are not present or empty for remote servers
           serverEntry.command = '';
           serverEntry.args = [];
           serverEntry.env = {};
@@ -334,8 +710,10 @@ function Settings() {
       const args = Array.isArray(parsedJson.args) ? parsedJson.args : [];
       const env = typeof parsedJson.env === 'object' && parsedJson.env !== null ? parsedJson.env : {};
       const argsString = args.join(' ');
+      const url = typeof parsedJson.url === 'string' ? parsedJson.url : '';
+      const headers = typeof parsedJson.headers === 'object' && parsedJson.headers !== null ? parsedJson.headers : {};
 
-      setNewMcpServer(prev => ({ ...prev, command, args: argsString, env }));
+      setNewMcpServer(prev => ({ ...prev, command, args: argsString, env, url, headers, fallbackToSse: parsedJson.fallbackToSse !== false, oauth: parsedJson.oauth, sandbox: toSandboxForm(parsedJson.sandbox) }));
       setJsonError(null);
       setUseJsonInput(false);
     } catch (error) {
@@ -353,21 +731,14 @@ function Settings() {
       let serverConfig = {};
       if (newMcpServer.transport === 'stdio') {
           const argsArray = parseArgsString(newMcpServer.args);
-          serverConfig = {
-              transport: 'stdio',
+          serverConfig = buildStdioServerConfig({
               command: newMcpServer.command,
               args: argsArray,
-              env: newMcpServer.env
-          };
-      } else { // sse
-          serverConfig = {
-              transport: 'sse',
-              url: newMcpServer.url
-          };
-          // Explicitly exclude stdio fields if they somehow exist
-          delete serverConfig.command;
-          delete serverConfig.args;
-          delete serverConfig.env;
+              env: newMcpServer.env,
+              sandbox: fromSandboxForm(newMcpServer.sandbox)
+          });
+      } else { // sse / streamableHttp
+          serverConfig = buildRemoteServerConfig(newMcpServer);
       }
 
       const jsonString = JSON.stringify(serverConfig, null, 2);
@@ -409,17 +780,21 @@ function Settings() {
               setSaveStatus({ type: 'error', message: 'Command is required for stdio transport' });
               return;
           }
+          if (newMcpServer.sandbox?.type === 'docker' && !newMcpServer.sandbox.image.trim()) {
+              setSaveStatus({ type: 'error', message: 'An image is required for the Docker sandbox' });
+              return;
+          }
           // Parse args string from the form field
           const args = parseArgsString(newMcpServer.args);
-          serverConfig = {
-              transport: 'stdio',
+          serverConfig = buildStdioServerConfig({
               command: newMcpServer.command,
               args, // Use the parsed array
-              env: newMcpServer.env
-          };
-      } else { // sse
+              env: newMcpServer.env,
+              sandbox: fromSandboxForm(newMcpServer.sandbox)
+          });
+      } else { // sse / streamableHttp
           if (!newMcpServer.url || !newMcpServer.url.trim()) {
-              setSaveStatus({ type: 'error', message: 'URL is required for SSE transport' });
+              setSaveStatus({ type: 'error', message: `URL is required for ${TRANSPORT_LABELS[newMcpServer.transport]} transport` });
               return;
           }
           try {
@@ -429,10 +804,7 @@ function Settings() {
               setSaveStatus({ type: 'error', message: `Invalid URL: ${urlError.message}` });
               return;
           }
-          serverConfig = {
-              transport: 'sse',
-              url: newMcpServer.url
-          };
+          serverConfig = buildRemoteServerConfig(newMcpServer);
       }
     }
 
@@ -449,12 +821,30 @@ function Settings() {
     saveSettings(updatedSettings);
     
     // Clear the form, reset to stdio default
-    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '' });
+    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '', headers: {}, fallbackToSse: true, sandbox: null });
     setJsonInput('');
     setJsonError(null);
     setEditingServerId(null); // Reset editing state after save
   };
 
+  // Merges servers picked in the import dialog; servers with the same ID are overwritten
+  const handleImportMcpServers = (importedServers) => {
+    const updatedSettings = {
+      ...settings,
+      mcpServers: {
+        ...settings.mcpServers,
+        ...importedServers
+      }
+    };
+
+    setSettings(updatedSettings);
+    saveSettings(updatedSettings);
+    setShowImportModal(false);
+    if (editingServerId && importedServers[editingServerId]) {
+      cancelEditing(); // The form would show the replaced config
+    }
+  };
+
   const removeMcpServer = (serverId) => {
     const updatedMcpServers = { ...settings.mcpServers };
     delete updatedMcpServers[serverId];
@@ -481,17 +871,18 @@ function Settings() {
     setEditingServerId(serverId);
     
     // Determine transport type (default to stdio if missing)
-    const transport = serverToEdit.transport === 'sse' ? 'sse' : 'stdio';
+    const transport = REMOTE_TRANSPORTS.includes(serverToEdit.transport) ? serverToEdit.transport : 'stdio';
 
     // Populate form fields based on transport type
-    let command = '', argsArray = [], envObject = {}, argsString = '', url = '';
+    let command = '', argsArray = [], envObject = {}, argsString = '', url = '', headers = {};
     if (transport === 'stdio') {
         command = serverToEdit.command || '';
         argsArray = Array.isArray(serverToEdit.args) ? serverToEdit.args : [];
         envObject = typeof serverToEdit.env === 'object' && serverToEdit.env !== null ? serverToEdit.env : {};
         argsString = argsArray.join(' ');
-    } else { // sse
+    } else { // sse / streamableHttp
         url = serverToEdit.url || '';
+        headers = typeof serverToEdit.headers === 'object' && serverToEdit.headers !== null ? serverToEdit.headers : {};
         // Ensure stdio fields are clear
         command = '';
         argsString = '';
@@ -504,16 +895,20 @@ function Settings() {
       command: command,
       args: argsString,
       env: envObject,
-      url: url
+      url: url,
+      headers: headers,
+      fallbackToSse: serverToEdit.fallbackToSse !== false,
+      oauth: transport === 'stdio' ? undefined : serverToEdit.oauth,
+      sandbox: transport === 'stdio' ? toSandboxForm(serverToEdit.sandbox) : null
     });
 
     // Also populate the JSON input field based on the correct structure
     try {
       let jsonConfig;
       if (transport === 'stdio') {
-          jsonConfig = { transport: 'stdio', command, args: argsArray, env: envObject };
+          jsonConfig = buildStdioServerConfig({ command, args: argsArray, env: envObject, sandbox: serverToEdit.sandbox });
       } else {
-          jsonConfig = { transport: 'sse', url };
+          jsonConfig = buildRemoteServerConfig({ transport, url, headers, fallbackToSse: serverToEdit.fallbackToSse, oauth: serverToEdit.oauth });
       }
       const jsonString = JSON.stringify(jsonConfig, null, 2);
       setJsonInput(jsonString);
@@ -533,7 +928,7 @@ function Settings() {
   // Function to cancel editing
   const cancelEditing = () => {
     setEditingServerId(null);
-    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '' }); // Reset form
+    setNewMcpServer({ id: '', transport: 'stdio', command: '', args: '', env: {}, url: '', headers: {}, fallbackToSse: true, sandbox: null }); // Reset form
     setJsonInput('');
     setJsonError(null);
   };
@@ -569,12 +964,25 @@ function Settings() {
     }
   };
 
-  // Function to reset tool call approvals in localStorage
-  const handleResetToolApprovals = () => {
+  // Revokes every decision remembered from the approval dialog, including YOLO mode
+  const handleResetToolApprovals = async () => {
     setIsSaving(true); // Use saving indicator
-    setSaveStatus({ type: 'info', message: 'Resetting approvals...' });
+    setSaveStatus({ type: 'info', message: 'Revoking approvals...' });
 
     try {
+      const result = await window.electron.resetToolApprovals();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // The main process changed the rules; pick them up so the next save does not bring them back
+      const settingsData = await window.electron.getSettings();
+      setSettings(prev => ({
+        ...prev,
+        toolPolicyRules: settingsData.toolPolicyRules || [],
+        toolPolicyYolo: settingsData.toolPolicyYolo === true
+      }));
+
+      // Leftovers of the approvals the renderer used to keep in localStorage
       const keysToRemove = [];
       for (let i = 0; i < localStorage.length; i++) {
         const key = localStorage.key(i);
@@ -588,10 +996,10 @@ function Settings() {
         console.log(`Removed tool approval key: ${key}`);
       });
 
-      setSaveStatus({ type: 'success', message: 'Tool call approvals reset' });
+      setSaveStatus({ type: 'success', message: 'Tool call approvals revoked' });
     } catch (error) {
-      console.error('Error resetting tool approvals:', error);
-      setSaveStatus({ type: 'error', message: `Error resetting: ${error.message}` });
+      console.error('Error revoking tool approvals:', error);
+      setSaveStatus({ type: 'error', message: `Error revoking: ${error.message}` });
     } finally {
       setIsSaving(false);
       // Clear status message after delay
@@ -604,6 +1012,11 @@ function Settings() {
     }
   };
 
+  // The policy rule list split into the user's rules and the remembered approvals, each keeping its index in the list
+  const indexedPolicyRules = (settings.toolPolicyRules || []).map((rule, index) => ({ rule, index }));
+  const userPolicyRules = indexedPolicyRules.filter(({ rule }) => rule.createdBy !== 'approval');
+  const approvalRules = indexedPolicyRules.filter(({ rule }) => rule.createdBy === 'approval');
+
   return (
     <div className="flex flex-col h-screen">
       <header className="bg-user-message-bg shadow">
@@ -652,8 +1065,12 @@ function Settings() {
                onChange={handlePlatformChange}
                className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white focus:outline-none focus:ring-2 focus:ring-primary"
              >
-               <option value="groq">Groq</option>
-               <option value="openrouter">OpenRouter</option>
+               {builtinProviders.map(provider => (
+                 <option key={provider.id} value={provider.id}>{provider.name}</option>
+               ))}
+               {(settings.customProviders || []).filter(endpoint => endpoint.baseUrl).map(endpoint => (
+                 <option key={endpoint.id} value={`custom:${endpoint.id}`}>{endpoint.name || endpoint.id} (Custom)</option>
+               ))}
              </select>
              <p className="text-xs text-gray-400 mt-2">
                Select the primary API provider to use for chat completions.
@@ -741,6 +1158,115 @@ function Settings() {
             </div>
           </div>
 
+          {/* --- Custom Endpoints Section --- */}
+          <h3 className="text-lg font-medium mt-6 mb-3 text-white">Custom OpenAI-Compatible Endpoints</h3>
+          <p className="text-sm text-gray-400 mb-4">
+            Add self-hosted or proxy endpoints (vLLM, llama.cpp server, LiteLLM) that implement the OpenAI chat completions API.
+            Leave the model list empty to fetch it from the endpoint's <span className="font-mono">/models</span> route.
+          </p>
+
+          {(settings.customProviders || []).map(endpoint => (
+            <div key={endpoint.id} className="mb-4 p-3 border border-gray-700 rounded-md bg-custom-dark-bg">
+              <div className="flex justify-between items-center mb-3">
+                <div className="font-medium text-gray-300 break-all">{endpoint.name || endpoint.id}</div>
+                <button
+                  type="button"
+                  onClick={() => removeCustomProvider(endpoint.id)}
+                  className="text-red-400 hover:text-red-300 text-sm py-1 px-2 bg-red-900 hover:bg-red-800 rounded"
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={endpoint.name || ''}
+                    onChange={(e) => handleCustomProviderChange(endpoint.id, 'name', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary bg-transparent text-white placeholder-gray-400 text-sm"
+                    placeholder="My vLLM server"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Base URL</label>
+                  <input
+                    type="text"
+                    value={endpoint.baseUrl || ''}
+                    onChange={(e) => handleCustomProviderChange(endpoint.id, 'baseUrl', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary bg-transparent text-white placeholder-gray-400 text-sm font-mono"
+                    placeholder="http://localhost:8000/v1"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">API Key (optional)</label>
+                  <div className="relative">
+                    <input
+                      type={visibleEndpointKeys[endpoint.id] ? "text" : "password"}
+                      value={endpoint.apiKey || ''}
+                      onChange={(e) => handleCustomProviderChange(endpoint.id, 'apiKey', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary bg-transparent text-white placeholder-gray-400 text-sm"
+                      placeholder="Sent as Bearer token"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center text-xs text-gray-400 hover:text-gray-200"
+                      onClick={() => setVisibleEndpointKeys(prev => ({ ...prev, [endpoint.id]: !prev[endpoint.id] }))}
+                    >
+                      {visibleEndpointKeys[endpoint.id] ? 'Hide' : 'Show'}
+                    </button>
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Models (comma-separated)</label>
+                  <input
+                    type="text"
+                    // Uncontrolled so commas can be typed; parsed into a list on blur
+                    key={`${endpoint.id}-models-${(endpoint.models || []).join(',')}`}
+                    defaultValue={(endpoint.models || []).join(', ')}
+                    onBlur={(e) => handleCustomProviderChange(
+                      endpoint.id,
+                      'models',
+                      e.target.value.split(',').map(model => model.trim()).filter(Boolean)
+                    )}
+                    className="w-full px-3 py-2 border border-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary bg-transparent text-white placeholder-gray-400 text-sm font-mono"
+                    placeholder="Leave empty to fetch from /models"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Context Length</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={endpoint.contextLength ?? ''}
+                    onChange={(e) => handleCustomProviderChange(endpoint.id, 'contextLength', parseInt(e.target.value, 10) || '')}
+                    className="w-full px-3 py-2 border border-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary bg-transparent text-white placeholder-gray-400 text-sm"
+                    placeholder="8192"
+                  />
+                </div>
+                <div className="flex items-end pb-2">
+                  <label className="flex items-center text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={endpoint.visionSupported === true}
+                      onChange={(e) => handleCustomProviderChange(endpoint.id, 'visionSupported', e.target.checked)}
+                      className="mr-2"
+                    />
+                    Models accept image input
+                  </label>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={addCustomProvider}
+            className="mb-4 px-3 py-2 bg-primary hover:bg-primary/90 text-white rounded text-sm"
+          >
+            Add Endpoint
+          </button>
+
           {/* --- Generation Parameters Section --- */}
           <h3 className="text-lg font-medium mt-6 mb-3 text-white">Generation Parameters</h3>
           
@@ -821,6 +1347,75 @@ function Settings() {
               </p>
             </div>
 
+          {/* Max Tool Iterations */}
+          <div className="mt-4">
+              <label htmlFor="maxToolIterations" className="block text-sm font-medium text-gray-300 mb-2">
+                Max Tool Iterations: {settings.maxToolIterations}
+              </label>
+              <div className="flex items-center">
+                <span className="mr-2 text-xs text-gray-400">1</span>
+                <input
+                  type="range"
+                  id="maxToolIterations"
+                  name="maxToolIterations"
+                  min="1"
+                  max="50"
+                  step="1"
+                  value={settings.maxToolIterations}
+                  onChange={handleNumberChange}
+                  className="w-full"
+                />
+                <span className="ml-2 text-xs text-gray-400">50</span>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                Maximum number of tool-calling rounds per message before the model is asked for a final answer.
+              </p>
+            </div>
+
+          {/* Max Parallel Tool Calls */}
+          <div className="mt-4">
+              <label htmlFor="maxParallelToolCalls" className="block text-sm font-medium text-gray-300 mb-2">
+                Parallel Tool Calls: {settings.maxParallelToolCalls}
+              </label>
+              <div className="flex items-center">
+                <span className="mr-2 text-xs text-gray-400">1</span>
+                <input
+                  type="range"
+                  id="maxParallelToolCalls"
+                  name="maxParallelToolCalls"
+                  min="1"
+                  max="10"
+                  step="1"
+                  value={settings.maxParallelToolCalls}
+                  onChange={handleNumberChange}
+                  className="w-full"
+                />
+                <span className="ml-2 text-xs text-gray-400">10</span>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                How many tool calls from a single model response may run at the same time. Set to 1 to run them one after another.
+              </p>
+            </div>
+
+          {/* Coerce Tool Arguments */}
+          <div className="mt-4">
+              <label className="flex items-center text-sm font-medium text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  id="coerceToolArguments"
+                  name="coerceToolArguments"
+                  checked={settings.coerceToolArguments !== false}
+                  onChange={handleCheckboxChange}
+                  className="mr-2"
+                />
+                Coerce tool argument types
+              </label>
+              <p className="text-xs text-gray-400 mt-1">
+                Tool arguments are checked against each tool's input schema before the call is sent. When enabled, simple type mismatches
+                (e.g. the string "5" for a number) are converted instead of being reported back to the model.
+              </p>
+            </div>
+
           {/* Custom System Prompt Section */}
           <div className="mt-6 border-t border-gray-700 pt-6">
             <h3 className="text-lg font-medium mb-3 text-white">Custom System Prompt</h3>
@@ -838,7 +1433,16 @@ function Settings() {
             />
           </div>
 
-          <h3 className="text-lg font-medium mt-8 mb-3 text-white">MCP Servers</h3>
+          <div className="flex justify-between items-center mt-8 mb-3">
+            <h3 className="text-lg font-medium text-white">MCP Servers</h3>
+            <button
+              type="button"
+              onClick={() => setShowImportModal(true)}
+              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded text-sm"
+            >
+              Import from Other Clients...
+            </button>
+          </div>
           <p className="text-sm text-gray-400 mb-4">
             Configure MCP servers that will be automatically started when the application launches. 
             These servers provide additional tools that can be used by the AI.
@@ -874,11 +1478,35 @@ function Settings() {
                     
                     {/* Bottom section for config details */}
                     <div className="text-sm text-gray-500">
-                      {config.transport === 'sse' ? (
-                        <div><span className="font-mono break-all">Type: SSE | URL: {config.url}</span></div>
+                      {REMOTE_TRANSPORTS.includes(config.transport) ? (
+                        <>
+                          <div><span className="font-mono break-all">Type: {TRANSPORT_LABELS[config.transport]} | URL: {config.url}</span></div>
+                          {config.headers && Object.keys(config.headers).length > 0 && (
+                            <div className="mt-1">
+                              <span className="text-xs text-gray-400">Headers:</span>
+                              <div className="pl-2 mt-1">
+                                {Object.entries(config.headers).map(([key, value]) => (
+                                  <div key={key} className="text-xs font-mono break-all">
+                                    <span className="text-gray-300">{key}: </span><span className="text-gray-400">
+                                      {/* Secret references are safe to show, literal values may be credentials */}
+                                      {typeof value === 'string' && value.includes('${secret:') ? value : '********'}
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                        </>
                       ) : (
                         <>
                           <div><span className="font-mono break-all">Type: Stdio | $ {config.command} {(config.args || []).join(' ')}</span></div>
+                          {config.sandbox && (
+                            <div className="text-xs text-gray-400 mt-1">
+                              Sandbox: {SANDBOX_TYPE_LABELS[config.sandbox.type] || SANDBOX_TYPE_LABELS.none}
+                              {config.sandbox.type === 'docker' && config.sandbox.image ? ` (${config.sandbox.image})` : ''}
+                              {config.sandbox.allowNetwork === false ? ', no network' : ''}
+                            </div>
+                          )}
                           {config.env && Object.keys(config.env).length > 0 && (
                             <div className="mt-1">
                               <span className="text-xs text-gray-400">Environment variables:</span>
@@ -965,6 +1593,7 @@ function Settings() {
                 >
                   <option value="stdio">Standard I/O (stdio)</option>
                   <option value="sse">Server-Sent Events (SSE)</option>
+                  <option value="streamableHttp">Streamable HTTP</option>
                 </select>
               </div>
 
@@ -1058,14 +1687,87 @@ function Settings() {
                           </button>
                         </div>
                       </div>
+
+                      <div className="mb-4">
+                        <label htmlFor="server-sandbox" className="block text-sm font-medium text-gray-300 mb-1">
+                          Sandbox:
+                        </label>
+                        <select
+                          id="server-sandbox"
+                          value={newMcpServer.sandbox?.type || ''}
+                          onChange={handleSandboxTypeChange}
+                          className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                        >
+                          <option value="">Off (full environment, command&apos;s directory)</option>
+                          {Object.entries(SANDBOX_TYPE_LABELS).map(([type, label]) => (
+                            <option key={type} value={type}>{label}</option>
+                          ))}
+                        </select>
+                        <p className="text-xs text-gray-400 mt-1">
+                          Bubblewrap and Firejail (Linux) make the file system read-only except the working directory. If the sandbox tool is not installed the server does not start.
+                        </p>
+
+                        {newMcpServer.sandbox && (
+                          <div className="mt-3 space-y-3 pl-3 border-l border-gray-700">
+                            {newMcpServer.sandbox.type === 'docker' && (
+                              <div>
+                                <label htmlFor="sandbox-image" className="block text-sm text-gray-300 mb-1">Image:</label>
+                                <input
+                                  type="text"
+                                  id="sandbox-image"
+                                  value={newMcpServer.sandbox.image}
+                                  onChange={e => updateSandbox({ image: e.target.value })}
+                                  className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
+                                  placeholder="e.g., node:20-slim"
+                                  required
+                                />
+                                <p className="text-xs text-gray-400 mt-1">The command runs inside this image, with the working directory mounted at /workspace.</p>
+                              </div>
+                            )}
+                            <div>
+                              <label htmlFor="sandbox-env" className="block text-sm text-gray-300 mb-1">Pass through environment variables:</label>
+                              <input
+                                type="text"
+                                id="sandbox-env"
+                                value={newMcpServer.sandbox.envPassthrough}
+                                onChange={e => updateSandbox({ envPassthrough: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm font-mono"
+                                placeholder="HOME, USER, LOGNAME, LANG, LC_*, TZ, TERM"
+                              />
+                              <p className="text-xs text-gray-400 mt-1">Names or prefixes ending in *. The variables above and PATH are always set. Empty uses the defaults shown.</p>
+                            </div>
+                            <div>
+                              <label htmlFor="sandbox-cwd" className="block text-sm text-gray-300 mb-1">Working directory:</label>
+                              <input
+                                type="text"
+                                id="sandbox-cwd"
+                                value={newMcpServer.sandbox.cwd}
+                                onChange={e => updateSandbox({ cwd: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm font-mono"
+                                placeholder="Empty: a private folder for this server in the app data"
+                              />
+                            </div>
+                            <label className="flex items-center text-sm text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={newMcpServer.sandbox.allowNetwork}
+                                onChange={e => updateSandbox({ allowNetwork: e.target.checked })}
+                                className="mr-2"
+                                disabled={newMcpServer.sandbox.type === 'none'}
+                              />
+                              Allow network access{newMcpServer.sandbox.type === 'none' ? ' (needs a sandbox tool to block)' : ''}
+                            </label>
+                          </div>
+                        )}
+                      </div>
                     </>
                   )}
 
-                  {/* SSE Specific Fields */}
-                  {newMcpServer.transport === 'sse' && (
+                  {/* Remote (SSE / Streamable HTTP) Fields */}
+                  {REMOTE_TRANSPORTS.includes(newMcpServer.transport) && (
                     <div className="mb-3">
                       <label htmlFor="server-url" className="block text-sm font-medium text-gray-300 mb-1">
-                        SSE URL:
+                        {newMcpServer.transport === 'sse' ? 'SSE URL:' : 'Server URL:'}
                       </label>
                       <input
                         type="url"
@@ -1074,12 +1776,83 @@ function Settings() {
                         value={newMcpServer.url}
                         onChange={handleNewMcpServerChange}
                         className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
-                        placeholder="e.g., http://localhost:8000/sse"
-                        required={newMcpServer.transport === 'sse'}
+                        placeholder={newMcpServer.transport === 'sse' ? 'e.g., http://localhost:8000/sse' : 'e.g., http://localhost:8000/mcp'}
+                        required={REMOTE_TRANSPORTS.includes(newMcpServer.transport)}
                       />
                        <p className="text-xs text-gray-400 mt-1">
-                        Enter the full URL for the Server-Sent Events endpoint.
+                        {newMcpServer.transport === 'sse'
+                          ? 'Enter the full URL for the Server-Sent Events endpoint.'
+                          : 'Enter the full URL of the MCP endpoint.'}
                        </p>
+                      {newMcpServer.transport === 'streamableHttp' && (
+                        <label className="flex items-center mt-2 text-sm text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={newMcpServer.fallbackToSse !== false}
+                            onChange={(e) => setNewMcpServer(prev => ({ ...prev, fallbackToSse: e.target.checked }))}
+                            className="mr-2"
+                          />
+                          Fall back to SSE if the server does not support Streamable HTTP
+                        </label>
+                      )}
+
+                      <div className="mt-4">
+                        <div className="flex justify-between items-center mb-2">
+                          <label className="text-sm font-medium text-gray-300">
+                            Headers:
+                          </label>
+                        </div>
+
+                        {Object.keys(newMcpServer.headers || {}).length > 0 && (
+                          <div className="mb-3 border border-gray-700 rounded-md overflow-hidden">
+                            {Object.entries(newMcpServer.headers).map(([key, value]) => (
+                              <div key={key} className="flex justify-between items-center p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg">
+                                <div className="flex-1 font-mono text-sm break-all">
+                                  <span className="text-gray-300">{key}: </span>
+                                  <span className="text-gray-400">{value}</span>
+                                </div>
+                                <button
+                                  type="button"
+                                  onClick={() => removeHeader(key)}
+                                  className="text-red-400 hover:text-red-300 text-xs py-1 px-2"
+                                >
+                                  Remove
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="flex space-x-2">
+                          <input
+                            type="text"
+                            value={newHeader.key}
+                            onChange={handleHeaderChange}
+                            name="key"
+                            placeholder="Header-Name"
+                            className="flex-1 px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={newHeader.value}
+                            onChange={handleHeaderChange}
+                            name="value"
+                            placeholder="Bearer ${secret:MY_TOKEN}"
+                            className="flex-1 px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
+                          />
+                          <button
+                            type="button"
+                            onClick={addHeader}
+                            disabled={!newHeader.key}
+                            className="px-3 py-2 bg-primary hover:bg-primary/90 text-white rounded disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
+                          >
+                            Add
+                          </button>
+                        </div>
+                        <p className="text-xs text-gray-400 mt-1">
+                          Sent with every request to the server. Use <span className="font-mono">{'${secret:NAME}'}</span> to insert a stored secret instead of saving the value in settings.json.
+                        </p>
+                      </div>
                     </div>
                   )}
                 </>
@@ -1093,7 +1866,7 @@ function Settings() {
                     value={jsonInput}
                     onChange={handleJsonInputChange}
                     className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm font-mono"
-                    placeholder={`{\n  "transport": "stdio",\n  "command": "npx",\n  "args": ["-y", "..."],\n  "env": { ... }\n}\n\n// OR\n\n{\n  "transport": "sse",\n  "url": "http://localhost:8000/sse"\n}`}
+                    placeholder={`{\n  "transport": "stdio",\n  "command": "npx",\n  "args": ["-y", "..."],\n  "env": { ... }\n}\n\n// OR\n\n{\n  "transport": "sse",\n  "url": "http://localhost:8000/sse"\n}\n\n// OR\n\n{\n  "transport": "streamableHttp",\n  "url": "http://localhost:8000/mcp",\n  "headers": { "Authorization": "Bearer ..." }\n}`}
                     rows={10}
                   />
                   {jsonError && (
@@ -1122,17 +1895,347 @@ function Settings() {
             </form>
           </div>
 
-          {/* Reset Tool Approvals Section */}
+          {/* Workspace Folders (MCP Roots) Section */}
+          <div className="mt-8 border-t border-gray-700 pt-6">
+            <h3 className="text-lg font-medium mb-3 text-white">Workspace Folders</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Folders shared with MCP servers as roots. Filesystem servers use them to scope their access; connected servers are
+              notified when the list changes.
+            </p>
+            {(settings.mcpRoots || []).length > 0 && (
+              <div className="mb-3 border border-gray-700 rounded-md overflow-hidden">
+                {settings.mcpRoots.map(root => (
+                  <div key={root.path} className="flex justify-between items-center p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg">
+                    <div className="flex-1 text-sm min-w-0">
+                      <span className="text-gray-300">{root.name}</span>
+                      <span className="ml-2 font-mono text-gray-500 truncate">{root.path}</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeRootFolder(root.path)}
+                      className="text-red-400 hover:text-red-300 text-xs py-1 px-2"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <button
+              type="button"
+              onClick={addRootFolders}
+              className="px-3 py-2 bg-primary hover:bg-primary/90 text-white rounded text-sm"
+            >
+              Add Folders...
+            </button>
+          </div>
+
+          {/* Secrets Section */}
+          <div className="mt-8 border-t border-gray-700 pt-6">
+            <h3 className="text-lg font-medium mb-3 text-white">Secrets</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Secrets are encrypted with the operating system's credential storage and never written to settings.json.
+              Reference them in MCP server headers and environment variables as <span className="font-mono">{'${secret:NAME}'}</span>.
+            </p>
+            {secretNames.length > 0 && (
+              <div className="mb-3 border border-gray-700 rounded-md overflow-hidden">
+                {secretNames.map(name => (
+                  <div key={name} className="flex justify-between items-center p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg">
+                    <div className="flex-1 font-mono text-sm">
+                      <span className="text-gray-300">{name}</span>
+                      <span className="text-gray-500"> = ********</span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeSecret(name)}
+                      className="text-red-400 hover:text-red-300 text-xs py-1 px-2"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={newSecret.name}
+                onChange={e => setNewSecret(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="NAME"
+                className="flex-1 px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
+              />
+              <input
+                type="password"
+                value={newSecret.value}
+                onChange={e => setNewSecret(prev => ({ ...prev, value: e.target.value }))}
+                placeholder="Value"
+                className="flex-1 px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-400 text-sm"
+              />
+              <button
+                type="button"
+                onClick={addSecret}
+                disabled={!newSecret.name || !newSecret.value}
+                className="px-3 py-2 bg-primary hover:bg-primary/90 text-white rounded disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
+              >
+                Save
+              </button>
+            </div>
+            {secretError && (
+              <p className="mt-1 text-sm text-red-400">{secretError}</p>
+            )}
+          </div>
+
+          {/* MCP Sampling Section */}
+          <div className="mt-8 border-t border-gray-700 pt-6">
+            <h3 className="text-lg font-medium mb-3 text-white">MCP Sampling</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Servers can ask your selected model for completions. Each request needs your approval and is limited per server.
+            </p>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label htmlFor="samplingMaxTokens" className="block text-sm font-medium text-gray-300 mb-1">Max tokens per request</label>
+                <input
+                  type="number"
+                  id="samplingMaxTokens"
+                  name="samplingMaxTokens"
+                  min="1"
+                  value={settings.samplingMaxTokens}
+                  onChange={handleNumberChange}
+                  className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="samplingMaxRequestsPerMinute" className="block text-sm font-medium text-gray-300 mb-1">Max requests per minute</label>
+                <input
+                  type="number"
+                  id="samplingMaxRequestsPerMinute"
+                  name="samplingMaxRequestsPerMinute"
+                  min="1"
+                  value={settings.samplingMaxRequestsPerMinute}
+                  onChange={handleNumberChange}
+                  className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white text-sm"
+                />
+              </div>
+            </div>
+            {Object.keys(settings.mcpServers || {}).length > 0 && (
+              <div className="border border-gray-700 rounded-md overflow-hidden">
+                {Object.keys(settings.mcpServers).map(serverId => {
+                  const serverLimits = settings.samplingLimits?.[serverId] || {};
+                  return (
+                    <div key={serverId} className="flex items-center gap-3 p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg text-sm">
+                      <label className="flex-1 flex items-center text-gray-300 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={serverLimits.enabled !== false}
+                          onChange={e => handleSamplingLimitChange(serverId, 'enabled', e.target.checked ? '' : false)}
+                          className="mr-2"
+                        />
+                        {serverId}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={serverLimits.maxTokens ?? ''}
+                        onChange={e => handleSamplingLimitChange(serverId, 'maxTokens', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                        placeholder={`${settings.samplingMaxTokens} tokens`}
+                        title="Max tokens per request for this server"
+                        className="w-32 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-500"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={serverLimits.maxRequestsPerMinute ?? ''}
+                        onChange={e => handleSamplingLimitChange(serverId, 'maxRequestsPerMinute', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                        placeholder={`${settings.samplingMaxRequestsPerMinute} / min`}
+                        title="Max requests per minute for this server"
+                        className="w-32 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-500"
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* MCP Reconnect Section */}
+          <div className="mt-8 border-t border-gray-700 pt-6">
+            <h3 className="text-lg font-medium mb-3 text-white">MCP Reconnect</h3>
+            <p className="text-sm text-gray-400 mb-4">
+              Servers whose process exits or whose connection is lost are reconnected automatically, waiting longer after each failed attempt.
+              A server that loses its connection 3 times within 5 minutes is not reconnected again until you reconnect it manually. 0 turns automatic reconnects off.
+            </p>
+            <div className="mb-4 max-w-xs">
+              <label htmlFor="mcpReconnectMaxAttempts" className="block text-sm font-medium text-gray-300 mb-1">Max attempts</label>
+              <input
+                type="number"
+                id="mcpReconnectMaxAttempts"
+                name="mcpReconnectMaxAttempts"
+                min="0"
+                value={settings.mcpReconnectMaxAttempts}
+                onChange={handleNumberChange}
+                className="w-full px-3 py-2 border border-gray-500 rounded-md bg-transparent text-white text-sm"
+              />
+            </div>
+            {Object.keys(settings.mcpServers || {}).length > 0 && (
+              <div className="border border-gray-700 rounded-md overflow-hidden">
+                {Object.keys(settings.mcpServers).map(serverId => (
+                  <div key={serverId} className="flex items-center gap-3 p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg text-sm">
+                    <span className="flex-1 text-gray-300">{serverId}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={settings.mcpReconnectLimits?.[serverId]?.maxAttempts ?? ''}
+                      onChange={e => handleReconnectLimitChange(serverId, e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                      placeholder={`${settings.mcpReconnectMaxAttempts} attempts`}
+                      title="Max reconnect attempts for this server"
+                      className="w-32 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white placeholder-gray-500"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Tool Call Permissions Section */}
           <div className="mt-8 border-t border-gray-700 pt-6">
             <h3 className="text-lg font-medium mb-3 text-white">Tool Call Permissions</h3>
             <p className="text-sm text-gray-400 mb-4">
-              Reset all saved permissions for tool calls. You will be prompted again the next time each tool is invoked.
+              Every tool call is checked against these rules before it runs; the first matching rule decides.
+              Server and tool patterns accept <span className="font-mono">*</span> and <span className="font-mono">?</span> wildcards,
+              argument conditions name an argument (dots reach into objects) and compare it with a folder (<span className="font-mono">~</span> is your home folder) or a pattern.
             </p>
+            {userPolicyRules.length > 0 && (
+              <div className="mb-3 border border-gray-700 rounded-md overflow-hidden">
+                {userPolicyRules.map(({ rule, index }, position) => (
+                  <div key={index} className="p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg space-y-2">
+                    <div className="flex items-center gap-2 text-sm">
+                      <span className="text-gray-500 text-xs w-6">#{position + 1}</span>
+                      <select
+                        value={rule.action}
+                        onChange={e => handlePolicyRuleChange(index, { action: e.target.value })}
+                        className="px-2 py-1 border border-gray-500 rounded-md bg-custom-dark-bg text-white text-sm"
+                        aria-label="Action"
+                      >
+                        {Object.entries(POLICY_ACTION_LABELS).map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+                      </select>
+                      <input
+                        type="text"
+                        value={rule.server ?? '*'}
+                        onChange={e => handlePolicyRuleChange(index, { server: e.target.value })}
+                        placeholder="Server"
+                        title="Server ID pattern"
+                        className="w-32 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white font-mono text-sm"
+                      />
+                      <span className="text-gray-500">/</span>
+                      <input
+                        type="text"
+                        value={rule.tool ?? '*'}
+                        onChange={e => handlePolicyRuleChange(index, { tool: e.target.value })}
+                        placeholder="Tool"
+                        title="Tool name pattern"
+                        className="flex-1 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white font-mono text-sm"
+                      />
+                      <button type="button" onClick={() => movePolicyRule(index, -1)} disabled={position === 0} className="text-gray-400 hover:text-white disabled:opacity-30 px-1" aria-label="Move up">↑</button>
+                      <button type="button" onClick={() => movePolicyRule(index, 1)} disabled={position === userPolicyRules.length - 1} className="text-gray-400 hover:text-white disabled:opacity-30 px-1" aria-label="Move down">↓</button>
+                      <button type="button" onClick={() => removePolicyRule(index)} className="text-red-400 hover:text-red-300 text-xs py-1 px-2">Remove</button>
+                    </div>
+                    {(rule.args || []).map((condition, conditionIndex) => (
+                      <div key={conditionIndex} className="flex items-center gap-2 pl-8 text-sm">
+                        <span className="text-gray-500 text-xs">{conditionIndex === 0 ? 'when' : 'and'}</span>
+                        <input
+                          type="text"
+                          value={condition.name || ''}
+                          onChange={e => handlePolicyConditionChange(index, conditionIndex, { name: e.target.value })}
+                          placeholder="argument"
+                          className="w-32 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white font-mono text-sm"
+                        />
+                        <select
+                          value={condition.operator}
+                          onChange={e => handlePolicyConditionChange(index, conditionIndex, { operator: e.target.value })}
+                          className="px-2 py-1 border border-gray-500 rounded-md bg-custom-dark-bg text-white text-sm"
+                        >
+                          {Object.entries(POLICY_OPERATOR_LABELS).map(([operator, label]) => <option key={operator} value={operator}>{label}</option>)}
+                        </select>
+                        <input
+                          type="text"
+                          value={condition.value || ''}
+                          onChange={e => handlePolicyConditionChange(index, conditionIndex, { value: e.target.value })}
+                          placeholder={condition.operator === 'under' || condition.operator === 'notUnder' ? '~/projects' : 'pattern*'}
+                          className="flex-1 px-2 py-1 border border-gray-500 rounded-md bg-transparent text-white font-mono text-sm"
+                        />
+                        <button type="button" onClick={() => handlePolicyConditionChange(index, conditionIndex, null)} className="text-red-400 hover:text-red-300 text-xs py-1 px-2">Remove</button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => handlePolicyConditionChange(index, (rule.args || []).length, { name: 'path', operator: 'under', value: '' })}
+                      className="ml-8 text-xs text-blue-400 hover:text-blue-300"
+                    >
+                      + Argument condition
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-4 mb-6">
+              <button
+                type="button"
+                onClick={addPolicyRule}
+                className="px-3 py-2 bg-primary hover:bg-primary/90 text-white rounded text-sm"
+              >
+                Add Rule
+              </button>
+              <label htmlFor="toolPolicyDefaultAction" className="text-sm text-gray-300">Calls no rule matches:</label>
+              <select
+                id="toolPolicyDefaultAction"
+                value={settings.toolPolicyDefaultAction || 'ask'}
+                onChange={e => {
+                  const updatedSettings = { ...settings, toolPolicyDefaultAction: e.target.value };
+                  setSettings(updatedSettings);
+                  saveSettings(updatedSettings);
+                }}
+                className="px-2 py-1 border border-gray-500 rounded-md bg-custom-dark-bg text-white text-sm"
+              >
+                {Object.entries(POLICY_ACTION_LABELS).map(([action, label]) => <option key={action} value={action}>{label}</option>)}
+              </select>
+            </div>
+
+            <h4 className="text-md font-medium mb-2 text-white">Remembered Approvals</h4>
+            <p className="text-sm text-gray-400 mb-3">
+              Decisions made in the approval dialog. They apply to calls none of the rules above matches.
+            </p>
+            {approvalRules.length === 0 && !settings.toolPolicyYolo ? (
+              <p className="text-sm text-gray-500 mb-4">No remembered approvals.</p>
+            ) : (
+              <div className="mb-4 border border-gray-700 rounded-md overflow-hidden">
+                {settings.toolPolicyYolo && (
+                  <div className="flex items-center gap-3 p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg text-sm">
+                    <span className="text-xs px-2 py-0.5 rounded bg-yellow-900 text-yellow-300">YOLO mode</span>
+                    <span className="flex-1 text-gray-300">Every tool no rule matches is allowed</span>
+                    <button type="button" onClick={revokeYoloMode} className="text-red-400 hover:text-red-300 text-xs py-1 px-2">Revoke</button>
+                  </div>
+                )}
+                {approvalRules.map(({ rule, index }) => (
+                  <div key={index} className={`flex items-center gap-3 p-2 border-b border-gray-700 last:border-b-0 bg-custom-dark-bg text-sm ${rule.expiresAt && rule.expiresAt <= Date.now() ? 'opacity-50' : ''}`}>
+                    <span className={`text-xs px-2 py-0.5 rounded ${rule.action === 'deny' ? 'bg-red-900 text-red-300' : 'bg-green-900 text-green-300'}`}>
+                      {rule.action === 'deny' ? 'Never allow' : 'Allow'}
+                    </span>
+                    <span className="font-mono text-gray-200 break-all">{rule.server}/{rule.tool}</span>
+                    <span className="flex-1 text-xs text-gray-400">
+                      {describeApprovalScope(rule)}
+                      {rule.createdAt && ` · since ${new Date(rule.createdAt).toLocaleString()}`}
+                    </span>
+                    <button type="button" onClick={() => removePolicyRule(index)} className="text-red-400 hover:text-red-300 text-xs py-1 px-2">Revoke</button>
+                  </div>
+                ))}
+              </div>
+            )}
             <button
               onClick={handleResetToolApprovals}
-              className="px-4 py-2 bg-yellow-700 text-gray-100 rounded hover:bg-yellow-800 focus:outline-none focus:ring-2 focus:ring-yellow-600 focus:ring-opacity-70 transition-colors"
+              disabled={approvalRules.length === 0 && !settings.toolPolicyYolo}
+              className="px-4 py-2 bg-yellow-700 text-gray-100 rounded hover:bg-yellow-800 focus:outline-none focus:ring-2 focus:ring-yellow-600 focus:ring-opacity-70 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Reset Tool Call Approvals
+              Revoke All Approvals
             </button>
           </div>
 
@@ -1146,6 +2249,13 @@ function Settings() {
           </div>
         </div>
       </main>
+
+      {showImportModal && (
+        <McpImportModal
+          onImport={handleImportMcpServers}
+          onClose={() => setShowImportModal(false)}
+        />
+      )}
     </div>
   );
 }